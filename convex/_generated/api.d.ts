@@ -8,7 +8,24 @@
  * @module
  */
 
+import type * as apiTokens from "../apiTokens.js";
+import type * as auth from "../auth.js";
+import type * as comments from "../comments.js";
+import type * as crons from "../crons.js";
 import type * as functions from "../functions.js";
+import type * as history from "../history.js";
+import type * as http from "../http.js";
+import type * as httpApi from "../httpApi.js";
+import type * as leases from "../leases.js";
+import type * as mentions from "../mentions.js";
+import type * as presence from "../presence.js";
+import type * as roles from "../roles.js";
+import type * as scheduledChanges from "../scheduledChanges.js";
+import type * as stats from "../stats.js";
+import type * as tags from "../tags.js";
+import type * as validation from "../validation.js";
+import type * as valueSnapshots from "../valueSnapshots.js";
+import type * as webhooks from "../webhooks.js";
 
 import type {
   ApiFromModules,
@@ -17,7 +34,24 @@ import type {
 } from "convex/server";
 
 declare const fullApi: ApiFromModules<{
+  apiTokens: typeof apiTokens;
+  auth: typeof auth;
+  comments: typeof comments;
+  crons: typeof crons;
   functions: typeof functions;
+  history: typeof history;
+  http: typeof http;
+  httpApi: typeof httpApi;
+  leases: typeof leases;
+  mentions: typeof mentions;
+  presence: typeof presence;
+  roles: typeof roles;
+  scheduledChanges: typeof scheduledChanges;
+  stats: typeof stats;
+  tags: typeof tags;
+  validation: typeof validation;
+  valueSnapshots: typeof valueSnapshots;
+  webhooks: typeof webhooks;
 }>;
 
 /**
@@ -0,0 +1,126 @@
+/**
+ * Convex API Token Tests
+ *
+ * Unit tests for API token hashing, the token management functions and
+ * the role a token acts with.
+ *
+ * References:
+ * - Convex Functions Docs: https://docs.convex.dev/functions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  hashToken,
+  requireApiToken,
+  listApiTokens,
+  insertApiToken,
+  createApiToken,
+  revokeApiToken,
+} from './apiTokens'
+import { listRecords } from './httpApi'
+import { errorOf, fakeCtx, run } from './test.utils'
+
+describe('Convex API Tokens - hashToken', () => {
+  it('should return the base64url SHA-256 of the token', async () => {
+    // SHA-256 of the empty string, base64url-encoded without padding
+    expect(await hashToken('')).toBe('47DEQpj8HBSa-_TImW-5JCeuQeRkm5NMpJWZG3hSuFU')
+  })
+
+  it('should give different tokens different hashes', async () => {
+    expect(await hashToken('mdk_a')).not.toBe(await hashToken('mdk_b'))
+  })
+})
+
+describe('Convex API Tokens - token management', () => {
+  it('should create tokens in an action, storing them internally', () => {
+    expect(createApiToken.isAction).toBe(true)
+    expect(createApiToken.isPublic).toBe(true)
+    expect(insertApiToken.isMutation).toBe(true)
+    expect(insertApiToken.isInternal).toBe(true)
+  })
+
+  it('should expose listing and revoking to clients', () => {
+    expect(listApiTokens.isQuery).toBe(true)
+    expect(listApiTokens.isPublic).toBe(true)
+    expect(revokeApiToken.isMutation).toBe(true)
+    expect(revokeApiToken.isPublic).toBe(true)
+  })
+})
+
+describe('Convex API Tokens - requireApiToken', () => {
+  // users:1 is Ana, who created an admin token (apiTokens:3) while an admin;
+  // `role` is her role now, or null for no role entry
+  const setup = (role: string | null, tokenFields: Record<string, unknown> = {}) =>
+    fakeCtx({
+      users: [{ name: 'Ana', passwordHash: '', passwordSalt: '' }],
+      roles: role ? [{ userId: 'users:1', role }] : [],
+      apiTokens: [
+        {
+          name: 'nightly job',
+          tokenHash: 'hash',
+          prefix: 'abcdefgh',
+          role: 'admin',
+          createdBy: 'users:1',
+          ...tokenFields,
+        },
+      ],
+    })
+
+  it('should act as the creator while they keep the role', async () => {
+    const { ctx } = setup('admin')
+
+    const { token, userId } = await requireApiToken(ctx, 'hash', 'admin')
+
+    expect(token._id).toBe('apiTokens:3')
+    expect(userId).toBe('users:1')
+  })
+
+  it('should reject unknown and revoked tokens', async () => {
+    expect(await errorOf(requireApiToken(setup('admin').ctx, 'other', 'viewer'))).toMatchObject({
+      code: 'UNAUTHENTICATED',
+    })
+    const revoked = setup('admin', { revokedAt: 1 })
+    expect(await errorOf(requireApiToken(revoked.ctx, 'hash', 'viewer'))).toMatchObject({
+      code: 'UNAUTHENTICATED',
+    })
+  })
+
+  it('should reject requests above the token role', async () => {
+    const { ctx } = setup('admin', { role: 'viewer' })
+
+    expect(await errorOf(requireApiToken(ctx, 'hash', 'editor'))).toMatchObject({
+      code: 'FORBIDDEN',
+    })
+  })
+
+  it("should cap the token at its creator's current role", async () => {
+    // Ana was demoted to editor: her admin token can still edit, not delete
+    const { ctx } = setup('editor')
+
+    await expect(requireApiToken(ctx, 'hash', 'editor')).resolves.toMatchObject({
+      userId: 'users:1',
+    })
+    expect(await errorOf(requireApiToken(ctx, 'hash', 'admin'))).toEqual({
+      code: 'FORBIDDEN',
+      message: "This request requires the admin role; the token's creator, Ana, is now a editor.",
+    })
+  })
+
+  it('should treat a creator without a role entry as a viewer', async () => {
+    const { ctx } = setup(null)
+
+    expect(await errorOf(requireApiToken(ctx, 'hash', 'editor'))).toMatchObject({
+      code: 'FORBIDDEN',
+    })
+  })
+
+  it('should stop working when the creator is deleted', async () => {
+    const { ctx, db } = setup('admin')
+    await db.delete('users:1')
+
+    expect(await errorOf(run(listRecords, ctx, { tokenHash: 'hash' }))).toMatchObject({
+      code: 'UNAUTHENTICATED',
+    })
+  })
+})
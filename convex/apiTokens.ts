@@ -0,0 +1,217 @@
+import { action, query, mutation, internalMutation, QueryCtx } from "./_generated/server";
+import { v, ConvexError } from "convex/values";
+import { internal } from "./_generated/api";
+import { Doc, Id } from "./_generated/dataModel";
+import { roleValidator, requireRole, getRole, hasRole, Role } from "./roles";
+
+/**
+ * Convex API Token Functions
+ *
+ * Bearer tokens for the REST API (convex/http.ts), for scripts and services
+ * that can't sign in through the React client. Admins create and revoke
+ * them on the Admin page.
+ *
+ * Each token carries a role, checked like a user's role (see convex/roles.ts),
+ * and acts on behalf of the admin who created it: records written through
+ * the API show that admin in createdBy/updatedBy and in their history. A
+ * token never grants more than its creator currently has: if the admin is
+ * demoted the token is capped at their new role, and if their account is
+ * deleted the token stops working.
+ *
+ * Only a SHA-256 hash of each token is stored. The token itself is returned
+ * once by createApiToken and can't be recovered afterwards; a lost token is
+ * revoked and replaced.
+ *
+ * Client Usage:
+ * - Query: useQuery(api.apiTokens.listApiTokens)        // admins only
+ * - Action: useAction(api.apiTokens.createApiToken)     // admins only
+ * - Mutation: useMutation(api.apiTokens.revokeApiToken) // admins only
+ *
+ * Server Usage:
+ * - const { token, userId } = await requireApiToken(ctx, tokenHash, "editor");
+ */
+
+/**
+ * Prefix of every token, so leaked tokens are easy to recognize in logs.
+ */
+const TOKEN_PREFIX = "mdk_";
+
+/**
+ * Characters of the token (after TOKEN_PREFIX) kept to identify it in the UI.
+ */
+const PREFIX_LENGTH = 8;
+
+const MAX_NAME_LENGTH = 50;
+
+const toBase64Url = (bytes: Uint8Array) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+/**
+ * SHA-256 of a token (base64url), as stored in the apiTokens table.
+ */
+export async function hashToken(token: string): Promise<string> {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(token)
+  );
+  return toBase64Url(new Uint8Array(digest));
+}
+
+/**
+ * requireApiToken - Helper (not a Convex function)
+ *
+ * The API counterpart of requireRole: asserts the hashed token belongs to an
+ * active token with at least the given role. The token's role is capped at
+ * the current role of the user who created it. Throws a ConvexError with
+ * code "UNAUTHENTICATED" for an unknown or revoked token, or one whose
+ * creator no longer exists, or "FORBIDDEN" when the (capped) role is too low.
+ *
+ * @param ctx - The calling query's or mutation's context
+ * @param tokenHash - hashToken() of the bearer token sent with the request
+ * @param minimum - The lowest role allowed to proceed
+ * @returns Promise<{ token, userId }> - The token and the user it acts as
+ */
+export async function requireApiToken(
+  ctx: QueryCtx,
+  tokenHash: string,
+  minimum: Role
+): Promise<{ token: Doc<"apiTokens">; userId: Id<"users"> }> {
+  const token = await ctx.db
+    .query("apiTokens")
+    .withIndex("by_hash", (q) => q.eq("tokenHash", tokenHash))
+    .unique();
+  const creator = token && (await ctx.db.get(token.createdBy));
+  if (token === null || token.revokedAt !== undefined || creator === null) {
+    throw new ConvexError({
+      code: "UNAUTHENTICATED",
+      message: "Missing, invalid or revoked API token.",
+    });
+  }
+  if (!hasRole(token.role, minimum)) {
+    throw new ConvexError({
+      code: "FORBIDDEN",
+      message: `This request requires a token with the ${minimum} role; this token is a ${token.role} token.`,
+    });
+  }
+  // The token acts as its creator, so it can't do more than they can now
+  const creatorRole = await getRole(ctx, creator._id);
+  if (!hasRole(creatorRole, minimum)) {
+    throw new ConvexError({
+      code: "FORBIDDEN",
+      message: `This request requires the ${minimum} role; the token's creator, ${creator.name}, is now a ${creatorRole}.`,
+    });
+  }
+  return { token, userId: creator._id };
+}
+
+/**
+ * listApiTokens - Query Function
+ *
+ * Lists every token, newest first, without its hash. Used by the Admin page.
+ *
+ * @returns Promise<Array<{ _id, _creationTime, name, prefix, role, revokedAt?, createdByName }>>
+ */
+export const listApiTokens = query({
+  args: {},
+  handler: async (ctx) => {
+    await requireRole(ctx, "admin");
+    const tokens = await ctx.db.query("apiTokens").order("desc").collect();
+    return await Promise.all(
+      tokens.map(async ({ tokenHash: _hash, createdBy, ...token }) => ({
+        ...token,
+        createdByName: (await ctx.db.get(createdBy))?.name ?? "Unknown",
+      }))
+    );
+  },
+});
+
+/**
+ * insertApiToken - Internal Mutation Function
+ *
+ * Stores a new token's hash for createApiToken, attributed to the calling
+ * admin (the action's identity carries over to this mutation).
+ */
+export const insertApiToken = internalMutation({
+  args: {
+    name: v.string(),
+    tokenHash: v.string(),
+    prefix: v.string(),
+    role: roleValidator,
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "admin");
+    return await ctx.db.insert("apiTokens", { ...args, createdBy: user._id });
+  },
+});
+
+/**
+ * createApiToken - Action Function
+ *
+ * Generates a new token. It runs as an action so the token comes from
+ * crypto.getRandomValues rather than the deterministic randomness
+ * available inside mutations.
+ *
+ * @param name - What the token is for (1-50 characters)
+ * @param role - The role requests made with the token act with
+ * @returns Promise<{ tokenId, token }> - The only time the token is returned
+ */
+export const createApiToken = action({
+  args: {
+    name: v.string(),
+    role: roleValidator,
+  },
+  handler: async (
+    ctx,
+    args
+  ): Promise<{ tokenId: Id<"apiTokens">; token: string }> => {
+    const name = args.name.trim();
+    if (name === "" || name.length > MAX_NAME_LENGTH) {
+      throw new ConvexError({
+        code: "INVALID_NAME",
+        message: `Name must be between 1 and ${MAX_NAME_LENGTH} characters.`,
+      });
+    }
+
+    const secret = toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+    const token = `${TOKEN_PREFIX}${secret}`;
+    const tokenId: Id<"apiTokens"> = await ctx.runMutation(
+      internal.apiTokens.insertApiToken,
+      {
+        name,
+        tokenHash: await hashToken(token),
+        prefix: secret.slice(0, PREFIX_LENGTH),
+        role: args.role,
+      }
+    );
+    return { tokenId, token };
+  },
+});
+
+/**
+ * revokeApiToken - Mutation Function
+ *
+ * Revokes a token; requests using it fail with 401 from then on. The entry
+ * is kept so the Admin page still shows what it was.
+ *
+ * @param tokenId - The token to revoke
+ * @returns Promise<Id<"apiTokens">> - The ID of the revoked token
+ */
+export const revokeApiToken = mutation({
+  args: {
+    tokenId: v.id("apiTokens"),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "admin");
+    const token = await ctx.db.get(args.tokenId);
+    if (token === null) {
+      throw new Error("API token not found");
+    }
+    if (token.revokedAt === undefined) {
+      await ctx.db.patch(args.tokenId, { revokedAt: Date.now() });
+    }
+    return args.tokenId;
+  },
+});
@@ -0,0 +1,30 @@
+import { AuthConfig } from "convex/server";
+
+/**
+ * Convex Auth Configuration
+ *
+ * Tells Convex which JWTs to trust for ctx.auth. Tokens are self-issued by the
+ * signIn/signUp actions in convex/auth.ts, so sign-in works against the local
+ * Docker backend without any external identity provider or network access.
+ *
+ * References:
+ * - Custom JWT Providers: https://docs.convex.dev/auth/advanced/custom-jwt
+ *
+ * Environment Variables (set with `npm run generate-auth-keys`):
+ * - JWKS: Public key set used to verify tokens, inlined as a data URI
+ * - JWT_PRIVATE_KEY: Matching private key, read only by convex/auth.ts
+ *
+ * The issuer and application ID must match the claims written by signToken
+ * in convex/auth.ts.
+ */
+export default {
+  providers: [
+    {
+      type: "customJwt",
+      applicationID: "convex-poc",
+      issuer: process.env.CONVEX_SITE_URL!,
+      jwks: `data:application/json;base64,${btoa(process.env.JWKS ?? "")}`,
+      algorithm: "RS256",
+    },
+  ],
+} satisfies AuthConfig;
@@ -0,0 +1,85 @@
+/**
+ * Convex Auth Tests
+ *
+ * Unit tests for the sign-in functions.
+ * Verifies which functions are exposed to clients, and runs account
+ * creation and the signed-in user checks against an in-memory database.
+ *
+ * References:
+ * - Convex Functions Docs: https://docs.convex.dev/functions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { errorOf, fakeCtx, run } from './test.utils'
+import { currentUser, getUserByName, insertUser, requireUser, signIn, signUp } from './auth'
+
+const account = (name: string) => ({ name, passwordHash: 'hash', passwordSalt: 'salt' })
+
+describe('Convex Auth - public functions', () => {
+  it('should expose sign-in and sign-up as public actions', () => {
+    for (const fn of [signIn, signUp]) {
+      expect(fn.isAction).toBe(true)
+      expect(fn.isPublic).toBe(true)
+    }
+  })
+
+  it('should expose the current user as a public query', () => {
+    expect(currentUser.isQuery).toBe(true)
+    expect(currentUser.isPublic).toBe(true)
+  })
+})
+
+describe('Convex Auth - internal functions', () => {
+  it('should keep password hashes out of reach of clients', () => {
+    // Both read or write passwordHash, so only the actions may call them
+    expect(getUserByName.isInternal).toBe(true)
+    expect(insertUser.isInternal).toBe(true)
+  })
+})
+
+describe('Convex Auth - insertUser', () => {
+  it('should make the first account an admin and later ones viewers', async () => {
+    const { ctx, all } = fakeCtx()
+
+    const first = await run(insertUser, ctx, account('Ana'))
+    const second = await run(insertUser, ctx, account('Ben'))
+
+    expect(all('roles').map(({ userId, role }) => [userId, role])).toEqual([
+      [first, 'admin'],
+      [second, 'viewer'],
+    ])
+  })
+
+  it('should refuse a name that is already taken', async () => {
+    const { ctx, all } = fakeCtx({ users: [account('Ana')] })
+
+    expect(await errorOf(run(insertUser, ctx, account('Ana')))).toMatchObject({
+      code: 'NAME_TAKEN',
+    })
+    expect(all('users')).toHaveLength(1)
+    expect(all('roles')).toEqual([])
+  })
+})
+
+describe('Convex Auth - signed-in user', () => {
+  it('should return the signed-in user without the password hash', async () => {
+    const { ctx } = fakeCtx(
+      { users: [account('Ana')], roles: [{ userId: 'users:1', role: 'editor' }] },
+      'users:1'
+    )
+
+    expect((await requireUser(ctx))._id).toBe('users:1')
+    expect(await run(currentUser, ctx)).toEqual({ _id: 'users:1', name: 'Ana', role: 'editor' })
+  })
+
+  it('should refuse callers without an identity or a deleted account', async () => {
+    const { as } = fakeCtx({ users: [account('Ana')] })
+
+    expect(await errorOf(requireUser(as()))).toMatchObject({ code: 'UNAUTHENTICATED' })
+    expect(await errorOf(requireUser(as('users:99')))).toMatchObject({
+      code: 'UNAUTHENTICATED',
+    })
+    expect(await run(currentUser, as())).toBeNull()
+  })
+})
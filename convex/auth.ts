@@ -0,0 +1,314 @@
+import {
+  action,
+  query,
+  internalQuery,
+  internalMutation,
+  QueryCtx,
+} from "./_generated/server";
+import { v, ConvexError } from "convex/values";
+import { internal } from "./_generated/api";
+import { Doc, Id } from "./_generated/dataModel";
+import { getRole, DEFAULT_ROLE } from "./roles";
+
+/**
+ * Convex Auth Functions
+ *
+ * Username/password accounts with self-issued JWTs. signUp and signIn check
+ * the credentials and return a token signed with JWT_PRIVATE_KEY; the React
+ * client hands it to ConvexProviderWithAuth, and Convex verifies it against
+ * the JWKS configured in convex/auth.config.ts. Nothing here needs network
+ * access, so it works with the local Docker backend.
+ *
+ * References:
+ * - Custom JWT Providers: https://docs.convex.dev/auth/advanced/custom-jwt
+ * - Auth in Functions: https://docs.convex.dev/auth/functions-auth
+ *
+ * Client Usage:
+ * - Sign up: convex.action(api.auth.signUp, { name, password })
+ * - Sign in: convex.action(api.auth.signIn, { name, password })
+ * - Current user: useQuery(api.auth.currentUser)
+ *
+ * Server Usage:
+ * - const user = await requireUser(ctx); // in every public mutation
+ */
+
+/**
+ * Claims that must match convex/auth.config.ts.
+ */
+const APPLICATION_ID = "convex-poc";
+const KEY_ID = "convex-poc-auth";
+
+/**
+ * How long (in seconds) an issued token stays valid. There are no refresh
+ * tokens; once it expires the user signs in again.
+ */
+const TOKEN_TTL = 24 * 60 * 60; // 1 day
+
+/**
+ * PBKDF2 work factor for password hashes.
+ */
+const PBKDF2_ITERATIONS = 100000;
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Error thrown for a wrong name or password; deliberately doesn't say which.
+ */
+const invalidCredentials = () =>
+  new ConvexError({
+    code: "INVALID_CREDENTIALS",
+    message: "Incorrect name or password.",
+  });
+
+const encoder = new TextEncoder();
+
+const toBase64Url = (bytes: Uint8Array) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const fromBase64Url = (text: string) =>
+  Uint8Array.from(
+    atob(text.replace(/-/g, "+").replace(/_/g, "/")),
+    (char) => char.charCodeAt(0)
+  );
+
+async function hashPassword(password: string, salt: BufferSource) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations: PBKDF2_ITERATIONS },
+    key,
+    256
+  );
+  return toBase64Url(new Uint8Array(bits));
+}
+
+// Compare without bailing out early, so timing doesn't leak how much matched
+function constantTimeEqual(a: string, b: string) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Sign an RS256 JWT for the user with JWT_PRIVATE_KEY. The subject is the
+ * user's document id, which requireUser turns back into the user.
+ */
+async function signToken(user: { _id: Id<"users">; name: string }) {
+  const pem = process.env.JWT_PRIVATE_KEY;
+  if (!pem) {
+    throw new Error(
+      "JWT_PRIVATE_KEY is not set; run `npm run generate-auth-keys` first"
+    );
+  }
+  // Accept the PEM with or without line breaks (env vars often lose them)
+  const der = fromBase64Url(
+    pem.replace(/-----[^-]+-----/g, "").replace(/\s+/g, "")
+  );
+  const key = await crypto.subtle.importKey(
+    "pkcs8",
+    der,
+    { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: "RS256", typ: "JWT", kid: KEY_ID };
+  const payload = {
+    iss: process.env.CONVEX_SITE_URL,
+    aud: APPLICATION_ID,
+    sub: user._id,
+    name: user.name,
+    iat: now,
+    exp: now + TOKEN_TTL,
+  };
+  const unsigned = [header, payload]
+    .map((part) => toBase64Url(encoder.encode(JSON.stringify(part))))
+    .join(".");
+  const signature = await crypto.subtle.sign(
+    "RSASSA-PKCS1-v1_5",
+    key,
+    encoder.encode(unsigned)
+  );
+  return `${unsigned}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * requireUser - Helper (not a Convex function)
+ *
+ * Returns the signed-in user, or throws a ConvexError with code
+ * "UNAUTHENTICATED" when the request carries no valid token (or the account
+ * no longer exists). Call it at the start of every public mutation.
+ *
+ * @param ctx - The calling query's or mutation's context
+ * @returns Promise<Doc<"users">> - The signed-in user
+ */
+export async function requireUser(ctx: QueryCtx): Promise<Doc<"users">> {
+  const identity = await ctx.auth.getUserIdentity();
+  const userId = identity && ctx.db.normalizeId("users", identity.subject);
+  const user = userId ? await ctx.db.get(userId) : null;
+  if (user === null) {
+    throw new ConvexError({
+      code: "UNAUTHENTICATED",
+      message: "You must be signed in to make changes.",
+    });
+  }
+  return user;
+}
+
+/**
+ * currentUser - Query Function
+ *
+ * Returns the signed-in user's id, name and role, or null when signed out.
+ * Used by the navbar and to show or hide actions the user may not take.
+ *
+ * @returns Promise<{ _id, name, role } | null>
+ */
+export const currentUser = query({
+  args: {},
+  handler: async (ctx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    const userId = identity && ctx.db.normalizeId("users", identity.subject);
+    const user = userId ? await ctx.db.get(userId) : null;
+    if (user === null) {
+      return null;
+    }
+    // Never send the password hash to the client
+    return { _id: user._id, name: user.name, role: await getRole(ctx, user._id) };
+  },
+});
+
+/**
+ * getUserByName - Internal Query Function
+ *
+ * Looks up an account, including its password hash, for signIn.
+ */
+export const getUserByName = internalQuery({
+  args: {
+    name: v.string(),
+  },
+  handler: async (ctx, args) => {
+    return await ctx.db
+      .query("users")
+      .withIndex("by_name", (q) => q.eq("name", args.name))
+      .unique();
+  },
+});
+
+/**
+ * insertUser - Internal Mutation Function
+ *
+ * Creates an account for signUp. Checking the name inside the mutation makes
+ * the uniqueness check and the insert one transaction. The very first
+ * account becomes an admin; everyone after that starts as DEFAULT_ROLE.
+ */
+export const insertUser = internalMutation({
+  args: {
+    name: v.string(),
+    passwordHash: v.string(),
+    passwordSalt: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const existing = await ctx.db
+      .query("users")
+      .withIndex("by_name", (q) => q.eq("name", args.name))
+      .unique();
+    if (existing !== null) {
+      throw new ConvexError({
+        code: "NAME_TAKEN",
+        message: "That name is already taken.",
+      });
+    }
+    const isFirstUser = (await ctx.db.query("users").first()) === null;
+    const userId = await ctx.db.insert("users", args);
+    await ctx.db.insert("roles", {
+      userId,
+      role: isFirstUser ? "admin" : DEFAULT_ROLE,
+    });
+    return userId;
+  },
+});
+
+/**
+ * signUp - Action Function
+ *
+ * Creates an account and signs it in.
+ *
+ * @param name - Display and login name (1-50 characters, unique)
+ * @param password - At least MIN_PASSWORD_LENGTH characters
+ * @returns Promise<string> - A signed JWT for ConvexProviderWithAuth
+ */
+export const signUp = action({
+  args: {
+    name: v.string(),
+    password: v.string(),
+  },
+  handler: async (ctx, args): Promise<string> => {
+    const name = args.name.trim();
+    if (name === "" || name.length > MAX_NAME_LENGTH) {
+      throw new ConvexError({
+        code: "INVALID_NAME",
+        message: `Name must be between 1 and ${MAX_NAME_LENGTH} characters.`,
+      });
+    }
+    if (args.password.length < MIN_PASSWORD_LENGTH) {
+      throw new ConvexError({
+        code: "WEAK_PASSWORD",
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+      });
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const userId: Id<"users"> = await ctx.runMutation(internal.auth.insertUser, {
+      name,
+      passwordHash: await hashPassword(args.password, salt),
+      passwordSalt: toBase64Url(salt),
+    });
+    return await signToken({ _id: userId, name });
+  },
+});
+
+/**
+ * signIn - Action Function
+ *
+ * Checks a name and password and returns a token for the account.
+ *
+ * @param name - The account name
+ * @param password - The account password
+ * @returns Promise<string> - A signed JWT for ConvexProviderWithAuth
+ */
+export const signIn = action({
+  args: {
+    name: v.string(),
+    password: v.string(),
+  },
+  handler: async (ctx, args): Promise<string> => {
+    const user: Doc<"users"> | null = await ctx.runQuery(
+      internal.auth.getUserByName,
+      { name: args.name.trim() }
+    );
+    if (user === null) {
+      throw invalidCredentials();
+    }
+
+    const hash = await hashPassword(args.password, fromBase64Url(user.passwordSalt));
+    if (!constantTimeEqual(hash, user.passwordHash)) {
+      throw invalidCredentials();
+    }
+    return await signToken(user);
+  },
+});
@@ -0,0 +1,217 @@
+/**
+ * Convex Comment Tests
+ *
+ * Unit tests for record comments and notifications: the functions' types
+ * and arguments, who gets notified of mentions, who may edit and delete a
+ * comment, and cleaning up when a record is purged.
+ *
+ * References:
+ * - Convex Functions Docs: https://docs.convex.dev/functions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { argsOf, errorOf, fakeCtx, run } from './test.utils'
+import {
+  listComments,
+  addComment,
+  editComment,
+  deleteComment,
+  listNotifications,
+  markNotificationsRead,
+  removeRecordComments,
+} from './comments'
+import { Id } from './_generated/dataModel'
+
+// Ana (users:1), Ben (users:2) and Cy Li (users:3) are viewers; Alpha
+// (mockData:7) is a live record and Old (mockData:8) a trashed one.
+// Commenting is signed in as Ana unless `as` switches the user.
+const setup = () => {
+  const fake = fakeCtx(
+    {
+      users: [
+        { name: 'Ana', passwordHash: '', passwordSalt: '' },
+        { name: 'Ben', passwordHash: '', passwordSalt: '' },
+        { name: 'Cy Li', passwordHash: '', passwordSalt: '' },
+      ],
+      roles: [
+        { userId: 'users:1', role: 'viewer' },
+        { userId: 'users:2', role: 'viewer' },
+        { userId: 'users:3', role: 'viewer' },
+      ],
+      mockData: [
+        { name: 'Alpha', value: 1 },
+        { name: 'Old', value: 2, deletedAt: 1 },
+      ],
+    },
+    'users:1'
+  )
+  // Who was notified of which comment, as "userId commentId" pairs
+  const notified = () =>
+    fake.all('notifications').map(({ userId, commentId }) => `${userId} ${commentId}`)
+  return { ...fake, notified }
+}
+
+describe('Convex Comments - function types', () => {
+  it('should expose the queries as public queries', () => {
+    for (const fn of [listComments, listNotifications]) {
+      expect(fn.isQuery).toBe(true)
+      expect(fn.isPublic).toBe(true)
+    }
+  })
+
+  it('should expose the mutations as public mutations', () => {
+    for (const fn of [addComment, editComment, deleteComment, markNotificationsRead]) {
+      expect(fn.isMutation).toBe(true)
+      expect(fn.isPublic).toBe(true)
+    }
+  })
+
+  it('should accept any string as the record ID when listing', () => {
+    // Malformed IDs from the URL return null instead of failing
+    expect(argsOf(listComments).recordId.fieldType.type).toBe('string')
+  })
+
+  it('should make the parent optional when adding', () => {
+    const args = argsOf(addComment)
+    expect(args.recordId.fieldType.tableName).toBe('mockData')
+    expect(args.body.fieldType.type).toBe('string')
+    expect(args.parentId.optional).toBe(true)
+    expect(args.parentId.fieldType.tableName).toBe('comments')
+  })
+
+  it('should identify the comment to edit or delete', () => {
+    expect(argsOf(editComment).commentId.fieldType.tableName).toBe('comments')
+    expect(argsOf(deleteComment).commentId.fieldType.tableName).toBe('comments')
+  })
+})
+
+describe('Convex Comments - mentions', () => {
+  it('should notify the mentioned users except the author', async () => {
+    const { ctx, all, notified } = setup()
+
+    const commentId = await run(addComment, ctx, {
+      recordId: 'mockData:7',
+      body: '@Ana @Ben, and @"Cy Li" — not @Nobody',
+    })
+
+    expect(all('comments')).toMatchObject([
+      { _id: commentId, authorId: 'users:1', mentions: ['users:1', 'users:2', 'users:3'] },
+    ])
+    expect(notified()).toEqual([`users:2 ${commentId}`, `users:3 ${commentId}`])
+    expect(all('notifications')[0]).toMatchObject({
+      kind: 'mention',
+      recordId: 'mockData:7',
+      actorId: 'users:1',
+    })
+  })
+
+  it('should notify only the users an edit newly mentions', async () => {
+    const { ctx, notified } = setup()
+    const commentId = await run(addComment, ctx, { recordId: 'mockData:7', body: 'Hi @Ben' })
+
+    await run(editComment, ctx, { commentId, body: 'Hi @Ben and @"Cy Li"' })
+    // Unchanged text notifies no one
+    await run(editComment, ctx, { commentId, body: ' Hi @Ben and @"Cy Li" ' })
+
+    expect(notified()).toEqual([`users:2 ${commentId}`, `users:3 ${commentId}`])
+  })
+
+  it("should list a user's own notifications and mark them read", async () => {
+    const { ctx, as } = setup()
+    await run(addComment, ctx, { recordId: 'mockData:7', body: '@Ben see this' })
+
+    expect(await run(listNotifications, as('users:2'))).toMatchObject({
+      unreadCount: 1,
+      notifications: [
+        { recordName: 'Alpha', actorName: 'Ana', excerpt: '@Ben see this', read: false },
+      ],
+    })
+    expect(await run(listNotifications, as('users:3'))).toEqual({
+      unreadCount: 0,
+      notifications: [],
+    })
+
+    expect(await run(markNotificationsRead, as('users:2'))).toBe(1)
+    expect(await run(listNotifications, as('users:2'))).toMatchObject({
+      unreadCount: 0,
+      notifications: [{ read: true }],
+    })
+  })
+})
+
+describe('Convex Comments - threads', () => {
+  it('should add a reply to a reply to the same thread', async () => {
+    const { ctx, as } = setup()
+    const threadId = await run(addComment, ctx, { recordId: 'mockData:7', body: 'First' })
+    const replyId = await run(addComment, as('users:2'), {
+      recordId: 'mockData:7',
+      body: 'Second',
+      parentId: threadId,
+    })
+    await run(addComment, ctx, { recordId: 'mockData:7', body: 'Third', parentId: replyId })
+
+    const threads = await run(listComments, ctx, { recordId: 'mockData:7' })
+    expect(threads).toHaveLength(1)
+    expect(threads[0]).toMatchObject({ body: 'First', authorName: 'Ana' })
+    expect(threads[0].replies.map((reply: { body: string }) => reply.body)).toEqual([
+      'Second',
+      'Third',
+    ])
+  })
+
+  it('should not comment on a trashed record', async () => {
+    const { ctx, all } = setup()
+
+    expect(
+      await errorOf(run(addComment, ctx, { recordId: 'mockData:8', body: 'Hi' }))
+    ).toMatchObject({ code: 'NOT_FOUND' })
+    expect(all('comments')).toEqual([])
+  })
+})
+
+describe('Convex Comments - editing and deleting', () => {
+  it('should not let anyone but the author edit or delete a comment', async () => {
+    const { ctx, as, all } = setup()
+    const commentId = await run(addComment, ctx, { recordId: 'mockData:7', body: '@Ben hi' })
+
+    expect(
+      await errorOf(run(editComment, as('users:2'), { commentId, body: 'Changed' }))
+    ).toMatchObject({ code: 'FORBIDDEN' })
+    expect(await errorOf(run(deleteComment, as('users:2'), { commentId }))).toMatchObject({
+      code: 'FORBIDDEN',
+    })
+    expect(all('comments')).toMatchObject([{ body: '@Ben hi' }])
+    expect(all('comments')[0].deletedAt).toBeUndefined()
+  })
+
+  it('should hide a deleted comment and remove its notifications', async () => {
+    const { ctx, all, notified } = setup()
+    const commentId = await run(addComment, ctx, { recordId: 'mockData:7', body: '@Ben hi' })
+
+    await run(deleteComment, ctx, { commentId })
+
+    expect(notified()).toEqual([])
+    expect(all('comments')[0].deletedAt).toBeDefined()
+    expect(await run(listComments, ctx, { recordId: 'mockData:7' })).toEqual([])
+    expect(await errorOf(run(editComment, ctx, { commentId, body: 'Back' }))).toMatchObject({
+      code: 'NOT_FOUND',
+    })
+  })
+})
+
+describe('Convex Comments - removeRecordComments', () => {
+  it('should delete the comments and their notifications', async () => {
+    const { ctx, db, all, notified } = setup()
+    const first = await run(addComment, ctx, { recordId: 'mockData:7', body: '@Ben one' })
+    await run(addComment, ctx, { recordId: 'mockData:7', body: '@Ben two', parentId: first })
+    // A comment on another record stays
+    await db.patch('mockData:8', { deletedAt: undefined })
+    const other = await run(addComment, ctx, { recordId: 'mockData:8', body: '@Ben three' })
+
+    await removeRecordComments(ctx, 'mockData:7' as Id<'mockData'>)
+
+    expect(all('comments').map((comment) => comment._id)).toEqual([other])
+    expect(notified()).toEqual([`users:2 ${other}`])
+  })
+})
@@ -0,0 +1,417 @@
+import { query, mutation, QueryCtx, MutationCtx } from "./_generated/server";
+import { v, ConvexError } from "convex/values";
+import { Doc, Id } from "./_generated/dataModel";
+import { requireRole } from "./roles";
+import { requireUser } from "./auth";
+import { mentionedNames, MAX_MENTIONS } from "./mentions";
+
+/**
+ * Convex Comment Functions
+ *
+ * Threaded discussions on records, e.g. why a value changed, kept next to
+ * the record instead of in chat.
+ *
+ * - listComments: A record's threads, oldest first, for the comment panel
+ * - addComment: Starts a thread, or replies to one
+ * - editComment / deleteComment: Only the author can change or delete a
+ *   comment; deleting is a soft delete (deletedAt)
+ * - listNotifications / markNotificationsRead: The signed-in user's
+ *   notifications (the navbar's notification menu)
+ *
+ * Threads:
+ * A thread is a top-level comment and its replies. Replies are one level
+ * deep: replying to a reply adds to the same thread. A deleted comment's
+ * text is never returned; a deleted thread start stays as a placeholder
+ * while it has replies, and is left out once it has none.
+ *
+ * Mentions:
+ * `@name` (or `@"full name"`, see convex/mentions.ts) in a comment notifies
+ * that user with a notifications entry. Editing a comment notifies only
+ * the users it newly mentions; deleting it removes its notifications.
+ *
+ * Roles:
+ * Commenting doesn't change the record, so every signed-in user (viewer and
+ * up) can comment; new comments need a live record. Comments on a record
+ * are deleted with it when it is purged.
+ *
+ * Client Usage:
+ * - Query: useQuery(api.comments.listComments, { recordId })
+ * - Query: useQuery(api.comments.listNotifications)
+ * - Mutation: useMutation(api.comments.addComment)      // { recordId, body, parentId? }
+ * - Mutation: useMutation(api.comments.editComment)     // { commentId, body }
+ * - Mutation: useMutation(api.comments.deleteComment)   // { commentId }
+ * - Mutation: useMutation(api.comments.markNotificationsRead)
+ */
+
+export const COMMENT_MAX_LENGTH = 2000;
+
+/**
+ * What a notification is about. Comments only notify mentioned users today.
+ */
+export const notificationKindValidator = v.literal("mention");
+
+/**
+ * Number of notifications returned by listNotifications, newest first.
+ */
+const NOTIFICATION_LIMIT = 20;
+
+// Length of the comment excerpt shown with a notification
+const EXCERPT_LENGTH = 120;
+
+// The trimmed body, or an INVALID_COMMENT error
+const requireCommentBody = (body: string) => {
+  const trimmed = body.trim();
+  if (trimmed === "") {
+    throw new ConvexError({ code: "INVALID_COMMENT", message: "Comment cannot be empty." });
+  }
+  if (trimmed.length > COMMENT_MAX_LENGTH) {
+    throw new ConvexError({
+      code: "INVALID_COMMENT",
+      message: `Comment must be at most ${COMMENT_MAX_LENGTH} characters.`,
+    });
+  }
+  return trimmed;
+};
+
+// The users a body mentions that have an account (unknown names are ignored)
+const resolveMentions = async (ctx: QueryCtx, body: string) => {
+  const names = mentionedNames(body);
+  if (names.length > MAX_MENTIONS) {
+    throw new ConvexError({
+      code: "INVALID_COMMENT",
+      message: `A comment can mention at most ${MAX_MENTIONS} people.`,
+    });
+  }
+  const users = await Promise.all(
+    names.map((name) =>
+      ctx.db
+        .query("users")
+        .withIndex("by_name", (q) => q.eq("name", name))
+        .unique()
+    )
+  );
+  return users.filter((user): user is Doc<"users"> => user !== null).map((user) => user._id);
+};
+
+// Notify each mentioned user, except the author mentioning themselves
+const notifyMentions = async (
+  ctx: MutationCtx,
+  comment: { _id: Id<"comments">; recordId: Id<"mockData">; authorId: Id<"users"> },
+  userIds: Id<"users">[]
+) => {
+  for (const userId of userIds) {
+    if (userId !== comment.authorId) {
+      await ctx.db.insert("notifications", {
+        userId,
+        kind: "mention",
+        recordId: comment.recordId,
+        commentId: comment._id,
+        actorId: comment.authorId,
+      });
+    }
+  }
+};
+
+const removeNotifications = async (ctx: MutationCtx, commentId: Id<"comments">) => {
+  const notifications = await ctx.db
+    .query("notifications")
+    .withIndex("by_comment", (q) => q.eq("commentId", commentId))
+    .collect();
+  for (const notification of notifications) {
+    await ctx.db.delete(notification._id);
+  }
+};
+
+// The comment, if it exists, isn't deleted and was written by `userId`
+const requireOwnComment = async (
+  ctx: QueryCtx,
+  commentId: Id<"comments">,
+  userId: Id<"users">,
+  action: string
+) => {
+  const comment = await ctx.db.get(commentId);
+  if (comment === null || comment.deletedAt !== undefined) {
+    throw new ConvexError({ code: "NOT_FOUND", message: "Comment not found or has been deleted" });
+  }
+  if (comment.authorId !== userId) {
+    throw new ConvexError({
+      code: "FORBIDDEN",
+      message: `Only the author can ${action} this comment.`,
+    });
+  }
+  return comment;
+};
+
+/**
+ * removeRecordComments - Helper (not a Convex function)
+ *
+ * Deletes all of a record's comments and their notifications. Called when
+ * a record is purged.
+ *
+ * @param ctx - The calling mutation's context
+ * @param recordId - The purged record
+ */
+export async function removeRecordComments(ctx: MutationCtx, recordId: Id<"mockData">) {
+  const comments = await ctx.db
+    .query("comments")
+    .withIndex("by_record", (q) => q.eq("recordId", recordId))
+    .collect();
+  for (const comment of comments) {
+    await removeNotifications(ctx, comment._id);
+    await ctx.db.delete(comment._id);
+  }
+}
+
+/**
+ * listComments - Query Function
+ *
+ * A record's comment threads, oldest first, each with its replies (oldest
+ * first). Deleted comments come without their text (body is null).
+ *
+ * @param recordId - The record (any string; malformed IDs return null)
+ * @returns Promise<Array<Comment & { replies: Comment[] }> | null>, where
+ *   Comment is { _id, _creationTime, authorId, authorName, body, mentions,
+ *   editedAt?, deletedAt? } and mentions lists the mentioned users' names
+ */
+export const listComments = query({
+  args: {
+    recordId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "viewer");
+
+    const recordId = ctx.db.normalizeId("mockData", args.recordId);
+    if (recordId === null) {
+      return null;
+    }
+
+    const comments = await ctx.db
+      .query("comments")
+      .withIndex("by_record", (q) => q.eq("recordId", recordId))
+      .collect();
+
+    // Resolve each distinct author and mentioned user once
+    const names = new Map<Id<"users">, string>();
+    for (const comment of comments) {
+      for (const userId of [comment.authorId, ...comment.mentions]) {
+        if (!names.has(userId)) {
+          names.set(userId, (await ctx.db.get(userId))?.name ?? "Deleted user");
+        }
+      }
+    }
+
+    const toComment = (comment: Doc<"comments">) => ({
+      _id: comment._id,
+      _creationTime: comment._creationTime,
+      authorId: comment.authorId,
+      authorName: names.get(comment.authorId),
+      body: comment.deletedAt === undefined ? comment.body : null,
+      mentions:
+        comment.deletedAt === undefined ? comment.mentions.map((userId) => names.get(userId)) : [],
+      editedAt: comment.editedAt,
+      deletedAt: comment.deletedAt,
+    });
+
+    return comments
+      .filter((comment) => comment.parentId === undefined)
+      .map((thread) => ({
+        ...toComment(thread),
+        replies: comments
+          .filter((reply) => reply.parentId === thread._id && reply.deletedAt === undefined)
+          .map(toComment),
+      }))
+      .filter((thread) => thread.deletedAt === undefined || thread.replies.length > 0);
+  },
+});
+
+/**
+ * addComment - Mutation Function
+ *
+ * Adds a comment to a live record, as a new thread or as a reply, and
+ * notifies the users it mentions.
+ *
+ * @param recordId - The record
+ * @param body - The text (1 to COMMENT_MAX_LENGTH characters after trimming)
+ * @param parentId - Optional comment to reply to; replies to a reply join
+ *   its thread
+ * @returns Promise<Id<"comments">> - The new comment's ID
+ */
+export const addComment = mutation({
+  args: {
+    recordId: v.id("mockData"),
+    body: v.string(),
+    parentId: v.optional(v.id("comments")),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "viewer");
+    const record = await ctx.db.get(args.recordId);
+    if (record === null || record.deletedAt !== undefined) {
+      throw new ConvexError({
+        code: "NOT_FOUND",
+        message: "Record not found or has been deleted",
+      });
+    }
+
+    let parentId: Id<"comments"> | undefined;
+    if (args.parentId !== undefined) {
+      const parent = await ctx.db.get(args.parentId);
+      if (parent === null || parent.deletedAt !== undefined || parent.recordId !== args.recordId) {
+        throw new ConvexError({
+          code: "NOT_FOUND",
+          message: "The comment you replied to was deleted",
+        });
+      }
+      parentId = parent.parentId ?? parent._id;
+    }
+
+    const body = requireCommentBody(args.body);
+    const mentions = await resolveMentions(ctx, body);
+    const commentId = await ctx.db.insert("comments", {
+      recordId: args.recordId,
+      parentId,
+      authorId: user._id,
+      body,
+      mentions,
+    });
+    await notifyMentions(
+      ctx,
+      { _id: commentId, recordId: args.recordId, authorId: user._id },
+      mentions
+    );
+    return commentId;
+  },
+});
+
+/**
+ * editComment - Mutation Function
+ *
+ * Changes the text of the caller's own comment and notifies the users the
+ * new text mentions for the first time.
+ *
+ * @param commentId - The comment
+ * @param body - The new text
+ * @returns Promise<Id<"comments">> - The comment's ID
+ */
+export const editComment = mutation({
+  args: {
+    commentId: v.id("comments"),
+    body: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const user = await requireUser(ctx);
+    const comment = await requireOwnComment(ctx, args.commentId, user._id, "edit");
+    const body = requireCommentBody(args.body);
+    if (body === comment.body) {
+      return comment._id;
+    }
+
+    const mentions = await resolveMentions(ctx, body);
+    await ctx.db.patch(comment._id, { body, mentions, editedAt: Date.now() });
+    await notifyMentions(
+      ctx,
+      comment,
+      mentions.filter((userId) => !comment.mentions.includes(userId))
+    );
+    return comment._id;
+  },
+});
+
+/**
+ * deleteComment - Mutation Function
+ *
+ * Soft-deletes the caller's own comment and removes its notifications.
+ * Replies stay; the thread shows the deleted comment as a placeholder.
+ *
+ * @param commentId - The comment
+ * @returns Promise<Id<"comments">> - The comment's ID
+ */
+export const deleteComment = mutation({
+  args: {
+    commentId: v.id("comments"),
+  },
+  handler: async (ctx, args) => {
+    const user = await requireUser(ctx);
+    const comment = await requireOwnComment(ctx, args.commentId, user._id, "delete");
+    await ctx.db.patch(comment._id, { deletedAt: Date.now() });
+    await removeNotifications(ctx, comment._id);
+    return comment._id;
+  },
+});
+
+/**
+ * listNotifications - Query Function
+ *
+ * The signed-in user's latest notifications, newest first, with who
+ * triggered them, the record's name and an excerpt of the comment.
+ *
+ * @returns Promise<{ unreadCount, notifications }> - notifications holds at
+ *   most NOTIFICATION_LIMIT entries of { _id, _creationTime, kind, recordId,
+ *   recordName, commentId, actorName, excerpt, read }
+ */
+export const listNotifications = query({
+  args: {},
+  handler: async (ctx) => {
+    const user = await requireUser(ctx);
+
+    const unread = await ctx.db
+      .query("notifications")
+      .withIndex("by_unread", (q) => q.eq("userId", user._id).eq("readAt", undefined))
+      .collect();
+    const newest = await ctx.db
+      .query("notifications")
+      .withIndex("by_user", (q) => q.eq("userId", user._id))
+      .order("desc")
+      .take(NOTIFICATION_LIMIT);
+
+    const notifications = await Promise.all(
+      newest.map(async (notification) => {
+        const [actor, record, comment] = await Promise.all([
+          ctx.db.get(notification.actorId),
+          ctx.db.get(notification.recordId),
+          ctx.db.get(notification.commentId),
+        ]);
+        const body = comment?.deletedAt === undefined ? comment?.body : undefined;
+        return {
+          _id: notification._id,
+          _creationTime: notification._creationTime,
+          kind: notification.kind,
+          recordId: notification.recordId,
+          recordName: record?.name ?? null,
+          commentId: notification.commentId,
+          actorName: actor?.name ?? "Deleted user",
+          excerpt:
+            body === undefined
+              ? null
+              : body.length > EXCERPT_LENGTH
+                ? `${body.slice(0, EXCERPT_LENGTH)}…`
+                : body,
+          read: notification.readAt !== undefined,
+        };
+      })
+    );
+    return { unreadCount: unread.length, notifications };
+  },
+});
+
+/**
+ * markNotificationsRead - Mutation Function
+ *
+ * Marks all of the signed-in user's unread notifications as read.
+ *
+ * @returns Promise<number> - The number of notifications marked
+ */
+export const markNotificationsRead = mutation({
+  args: {},
+  handler: async (ctx) => {
+    const user = await requireUser(ctx);
+    const unread = await ctx.db
+      .query("notifications")
+      .withIndex("by_unread", (q) => q.eq("userId", user._id).eq("readAt", undefined))
+      .collect();
+    const now = Date.now();
+    for (const notification of unread) {
+      await ctx.db.patch(notification._id, { readAt: now });
+    }
+    return unread.length;
+  },
+});
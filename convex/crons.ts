@@ -0,0 +1,81 @@
+import { cronJobs } from "convex/server";
+import { internal } from "./_generated/api";
+
+/**
+ * Convex Cron Jobs
+ *
+ * Scheduled background jobs for the Convex POC application.
+ * Convex picks up the default export of this file automatically on deploy.
+ *
+ * References:
+ * - Convex Cron Jobs: https://docs.convex.dev/scheduling/cron-jobs
+ *
+ * Jobs:
+ * - purge expired trash: Hard-deletes soft-deleted mockData records once they
+ *   have been in the trash longer than TRASH_RETENTION_DELAY
+ * - prune webhook deliveries: Removes finished webhook deliveries older than
+ *   DELIVERY_LOG_RETENTION from the delivery log
+ * - remove stale presence: Deletes presence entries of tabs that stopped
+ *   sending heartbeats without leaving
+ * - remove expired leases: Deletes edit leases that ran out without being
+ *   released
+ * - take value snapshots: Records every record's value once per
+ *   VALUE_SNAPSHOT_INTERVAL (checked every 5 minutes)
+ * - prune value snapshots: Removes snapshots older than
+ *   VALUE_SNAPSHOT_RETENTION
+ * - reconcile value stats: Recounts the Stats page's aggregates from the
+ *   records, picking up records written around the mutations and
+ *   correcting drift in the sums
+ */
+const crons = cronJobs();
+
+crons.interval(
+  "purge expired trash",
+  { hours: 1 },
+  internal.functions.purgeExpiredMockData,
+  {}
+);
+
+crons.interval(
+  "prune webhook deliveries",
+  { hours: 24 },
+  internal.webhooks.pruneWebhookDeliveries,
+  {}
+);
+
+crons.interval(
+  "remove stale presence",
+  { minutes: 1 },
+  internal.presence.removeStalePresence,
+  {}
+);
+
+crons.interval(
+  "remove expired leases",
+  { minutes: 5 },
+  internal.leases.removeExpiredLeases,
+  {}
+);
+
+crons.interval(
+  "take value snapshots",
+  { minutes: 5 },
+  internal.valueSnapshots.takeValueSnapshots,
+  {}
+);
+
+crons.interval(
+  "prune value snapshots",
+  { hours: 24 },
+  internal.valueSnapshots.pruneValueSnapshots,
+  {}
+);
+
+crons.interval(
+  "reconcile value stats",
+  { hours: 1 },
+  internal.stats.reconcileValueStats,
+  {}
+);
+
+export default crons;
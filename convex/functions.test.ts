@@ -2,15 +2,64 @@
  * Convex Functions Tests
  *
  * Unit tests for Convex query and mutation functions.
- * Verifies that functions are properly defined with correct signatures.
+ * Verifies that functions are properly defined with correct signatures,
+ * and runs the handlers that write records against an in-memory database.
  *
  * References:
  * - Convex Functions Docs: https://docs.convex.dev/functions
  * - Vitest Docs: https://vitest.dev/guide/
  */
 
-import { describe, it, expect } from 'vitest'
-import { getMockData, updateMockData } from './functions'
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { argsOf, errorOf, fakeCtx, run } from './test.utils'
+import {
+  getMockData,
+  getMockDataById,
+  listMockData,
+  searchMockData,
+  updateMockData,
+  createMockData,
+  getDeletedMockData,
+  deleteMockData,
+  restoreMockData,
+  purgeMockData,
+  purgeExpiredMockData,
+  revertMockData,
+  importMockData,
+  bulkEditMockData,
+} from './functions'
+
+// Writes record history, which queues webhooks by function reference
+vi.mock('./_generated/api', () => ({
+  internal: {
+    webhooks: { deliverWebhook: 'webhooks:deliverWebhook' },
+    functions: { purgeExpiredMockData: 'functions:purgeExpiredMockData' },
+  },
+}))
+
+// Ana (users:1) has `role` and Ben (users:2) is an editor; Alpha
+// (mockData:5, revision 2) and Beta (mockData:6) are live, Old (mockData:7)
+// is in the trash
+const setup = (role: string, tables: Record<string, Record<string, unknown>[]> = {}) =>
+  fakeCtx(
+    {
+      users: [
+        { name: 'Ana', passwordHash: '', passwordSalt: '' },
+        { name: 'Ben', passwordHash: '', passwordSalt: '' },
+      ],
+      roles: [
+        { userId: 'users:1', role },
+        { userId: 'users:2', role: 'editor' },
+      ],
+      mockData: [
+        { name: 'Alpha', value: 1, revision: 2 },
+        { name: 'Beta', value: 2 },
+        { name: 'Old', value: 3, deletedAt: 1 },
+      ],
+      ...tables,
+    },
+    'users:1'
+  )
 
 describe('Convex Functions - getMockData', () => {
   it('should be defined as a query function', () => {
@@ -41,6 +90,41 @@ describe('Convex Functions - getMockData', () => {
   })
 })
 
+describe('Convex Functions - getMockData limit', () => {
+  it('should return at most 1000 live records, oldest first', async () => {
+    const { ctx } = fakeCtx(
+      {
+        users: [{ name: 'Ana', passwordHash: '', passwordSalt: '' }], // users:1
+        roles: [{ userId: 'users:1', role: 'viewer' }],
+        mockData: [
+          { name: 'Trashed', value: 0, deletedAt: 1 },
+          ...Array.from({ length: 1001 }, (_, i) => ({ name: `Record ${i}`, value: i })),
+        ],
+      },
+      'users:1'
+    )
+
+    const records = await run(getMockData, ctx)
+
+    expect(records).toHaveLength(1000)
+    expect(records[0].name).toBe('Record 0')
+    expect(records[999].name).toBe('Record 999')
+  })
+})
+
+describe('Convex Functions - getMockDataById', () => {
+  it('should be registered as a public query', () => {
+    expect(getMockDataById.isQuery).toBe(true)
+    expect(getMockDataById.isPublic).toBe(true)
+  })
+
+  it('should take the id as a plain string so malformed ids from URLs do not throw', () => {
+    const args = argsOf(getMockDataById)
+    expect(Object.keys(args)).toEqual(['id'])
+    expect(args.id.fieldType.type).toBe('string')
+  })
+})
+
 describe('Convex Functions - updateMockData', () => {
   it('should be defined as a mutation function', () => {
     expect(updateMockData).toBeDefined()
@@ -73,6 +157,544 @@ describe('Convex Functions - updateMockData', () => {
   })
 })
 
+describe('Convex Functions - listMockData', () => {
+  it('should be registered as a public query', () => {
+    expect(listMockData.isQuery).toBe(true)
+    expect(listMockData.isPublic).toBe(true)
+  })
+
+  it('should accept pagination options for usePaginatedQuery', () => {
+    const args = argsOf(listMockData)
+    expect(args).toHaveProperty('paginationOpts')
+    expect(args.paginationOpts.optional).toBe(false)
+  })
+
+  it('should accept optional sort and value range arguments', () => {
+    const args = argsOf(listMockData)
+    for (const key of ['sortField', 'sortDirection', 'valueMin', 'valueMax']) {
+      expect(args[key].optional).toBe(true)
+    }
+    const sortFields = args.sortField.fieldType.value.map(
+      (literal: { value: string }) => literal.value
+    )
+    expect(sortFields).toEqual(['_creationTime', 'name', 'value'])
+  })
+  it('should accept an optional tag filter', () => {
+    const args = argsOf(listMockData)
+    expect(args.tagIds.optional).toBe(true)
+    // Plain strings: IDs from the URL that don't name a tag are dropped, not rejected
+    expect(args.tagIds.fieldType.value.type).toBe('string')
+    expect(
+      args.tagMatch.fieldType.value.map((literal: { value: string }) => literal.value)
+    ).toEqual(['all', 'any'])
+  })
+})
+
+describe('Convex Functions - searchMockData', () => {
+  it('should be registered as a public query', () => {
+    expect(searchMockData.isQuery).toBe(true)
+    expect(searchMockData.isPublic).toBe(true)
+  })
+
+  it('should take the search text and an optional limit', () => {
+    const args = argsOf(searchMockData)
+    expect(args.query.optional).toBe(false)
+    expect(args.limit.optional).toBe(true)
+  })
+})
+
+describe('Convex Functions - updateMockData concurrency', () => {
+  it('should require the revision the edit is based on', () => {
+    const args = argsOf(updateMockData)
+    expect(args).toHaveProperty('expectedRevision')
+    expect(args.expectedRevision.optional).toBe(false)
+  })
+})
+
+describe('Convex Functions - updateMockData handler', () => {
+  it('should reject a write based on a stale revision with the current record', async () => {
+    const { ctx, db, all } = setup('editor')
+
+    expect(
+      await errorOf(
+        run(updateMockData, ctx, { id: 'mockData:5', name: 'Mine', value: 9, expectedRevision: 1 })
+      )
+    ).toMatchObject({
+      code: 'CONFLICT',
+      current: { name: 'Alpha', value: 1, revision: 2 },
+    })
+    expect(await db.get('mockData:5')).toMatchObject({ name: 'Alpha', value: 1, revision: 2 })
+    expect(all('mockDataHistory')).toEqual([])
+  })
+
+  it('should apply a write based on the current revision and bump it', async () => {
+    const { ctx, db, all } = setup('editor')
+
+    await run(updateMockData, ctx, {
+      id: 'mockData:5',
+      name: ' Alpha 2 ',
+      value: 9,
+      expectedRevision: 2,
+    })
+
+    expect(await db.get('mockData:5')).toMatchObject({
+      name: 'Alpha 2',
+      value: 9,
+      revision: 3,
+      updatedBy: 'users:1',
+    })
+    expect(all('mockDataHistory')).toMatchObject([
+      {
+        recordId: 'mockData:5',
+        action: 'update',
+        before: { name: 'Alpha', value: 1 },
+        after: { name: 'Alpha 2', value: 9 },
+        revision: 3,
+        changedBy: 'users:1',
+      },
+    ])
+    // The next write must be based on the new revision
+    expect(
+      await errorOf(
+        run(updateMockData, ctx, { id: 'mockData:5', name: 'Alpha', value: 1, expectedRevision: 2 })
+      )
+    ).toMatchObject({ code: 'CONFLICT' })
+  })
+
+  it('should not update a trashed record', async () => {
+    const { ctx, db } = setup('editor')
+
+    expect(
+      await errorOf(
+        run(updateMockData, ctx, { id: 'mockData:7', name: 'Old', value: 9, expectedRevision: 0 })
+      )
+    ).toMatchObject({ code: 'NOT_FOUND' })
+    expect(await db.get('mockData:7')).toMatchObject({ value: 3 })
+  })
+
+  it('should not let viewers update', async () => {
+    const { ctx } = setup('viewer')
+
+    expect(
+      await errorOf(
+        run(updateMockData, ctx, { id: 'mockData:5', name: 'Alpha', value: 9, expectedRevision: 2 })
+      )
+    ).toMatchObject({ code: 'FORBIDDEN' })
+  })
+})
+
+describe('Convex Functions - createMockData', () => {
+  it('should be registered as a public mutation', () => {
+    expect(createMockData).toBeDefined()
+    expect(createMockData.isMutation).toBe(true)
+    expect(createMockData.isPublic).toBe(true)
+  })
+
+  it('should accept name, value and an optional description', () => {
+    // createMockData takes: name, value, description (optional)
+    const args = argsOf(createMockData)
+    expect(args).toHaveProperty('name')
+    expect(args).toHaveProperty('value')
+    expect(args).toHaveProperty('description')
+    expect(args.description.optional).toBe(true)
+  })
+})
+
+describe('Convex Functions - soft deletion', () => {
+  it('should expose the trash listing as a public query', () => {
+    expect(getDeletedMockData.isQuery).toBe(true)
+    expect(getDeletedMockData.isPublic).toBe(true)
+  })
+
+  it('should expose delete, restore and purge as public mutations taking an id', () => {
+    for (const fn of [deleteMockData, restoreMockData, purgeMockData]) {
+      expect(fn.isMutation).toBe(true)
+      expect(fn.isPublic).toBe(true)
+      expect(Object.keys(argsOf(fn))).toEqual(['id'])
+    }
+  })
+
+  it('should keep the retention cleanup internal', () => {
+    // Only the cron job may purge expired records
+    expect(purgeExpiredMockData.isMutation).toBe(true)
+    expect(purgeExpiredMockData.isInternal).toBe(true)
+  })
+})
+
+describe('Convex Functions - soft deletion handlers', () => {
+  const DAY = 24 * 60 * 60 * 1000
+  const now = 100 * DAY
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  // The trashed record Old (mockData:7) has a tag, a value snapshot, a
+  // comment and a history entry
+  const withTrashedData = (role: string) =>
+    setup(role, {
+      tags: [{ name: 'budget', normalizedName: 'budget' }], // tags:8
+      recordTags: [{ recordId: 'mockData:7', tagId: 'tags:8' }],
+      valueSnapshots: [{ recordId: 'mockData:7', value: 3, takenAt: 1 }],
+      comments: [{ recordId: 'mockData:7', authorId: 'users:2', body: 'Old news', mentions: [] }],
+      mockDataHistory: [{ recordId: 'mockData:7', action: 'delete', revision: 0 }],
+    })
+
+  it('should let only admins move a live record to the trash', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(now)
+    expect(
+      await errorOf(run(deleteMockData, setup('editor').ctx, { id: 'mockData:5' }))
+    ).toMatchObject({ code: 'FORBIDDEN' })
+
+    const { ctx, db, all } = setup('admin')
+    await run(deleteMockData, ctx, { id: 'mockData:5' })
+
+    expect(await db.get('mockData:5')).toMatchObject({ deletedAt: now, updatedBy: 'users:1' })
+    expect(all('mockDataHistory')).toMatchObject([
+      { recordId: 'mockData:5', action: 'delete', revision: 2 },
+    ])
+    expect(await errorOf(run(deleteMockData, ctx, { id: 'mockData:5' }))).toMatchObject({
+      code: 'NOT_FOUND',
+    })
+  })
+
+  it('should restore a trashed record unless its name was taken', async () => {
+    const { ctx, db, all } = setup('editor')
+
+    await run(restoreMockData, ctx, { id: 'mockData:7' })
+    expect((await db.get('mockData:7'))?.deletedAt).toBeUndefined()
+    expect(all('mockDataHistory')).toMatchObject([{ recordId: 'mockData:7', action: 'restore' }])
+
+    // Beta goes to the trash and another record takes its name meanwhile
+    await db.patch('mockData:6', { deletedAt: 1 })
+    await db.insert('mockData', { name: 'Beta', value: 9 })
+    expect(await errorOf(run(restoreMockData, ctx, { id: 'mockData:6' }))).toMatchObject({
+      code: 'VALIDATION_FAILED',
+    })
+    expect(await db.get('mockData:6')).toMatchObject({ deletedAt: 1 })
+  })
+
+  it('should purge only trashed records, with their tags, snapshots and comments', async () => {
+    const { ctx, db, all } = withTrashedData('admin')
+
+    await expect(run(purgeMockData, ctx, { id: 'mockData:5' })).rejects.toThrow(
+      'Only records in the trash can be permanently deleted'
+    )
+    await run(purgeMockData, ctx, { id: 'mockData:7' })
+
+    expect(await db.get('mockData:7')).toBeNull()
+    expect(all('recordTags')).toEqual([])
+    expect(all('valueSnapshots')).toEqual([])
+    expect(all('comments')).toEqual([])
+    // The tag itself stays for other records, and the history ends in the purge
+    expect(all('tags')).toHaveLength(1)
+    expect(all('mockDataHistory').map((entry) => entry.action)).toEqual(['delete', 'purge'])
+  })
+
+  it('should purge only records trashed longer than the retention delay', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(now)
+    const { ctx, db, all, scheduler } = withTrashedData('admin')
+    await db.patch('mockData:7', { deletedAt: now - 3 * DAY })
+    await db.patch('mockData:6', { deletedAt: now - DAY })
+
+    expect(await run(purgeExpiredMockData, ctx)).toBe(1)
+
+    expect(all('mockData').map((record) => record.name)).toEqual(['Alpha', 'Beta'])
+    expect(all('recordTags')).toEqual([])
+    expect(all('valueSnapshots')).toEqual([])
+    expect(all('comments')).toEqual([])
+    expect(all('mockDataHistory')).toMatchObject([
+      { action: 'delete' },
+      { recordId: 'mockData:7', action: 'purge', before: { name: 'Old', value: 3 } },
+    ])
+    expect(scheduler.runAfter).not.toHaveBeenCalled()
+  })
+
+  it('should continue in another batch when more than 500 records expired', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(now)
+    const { ctx, all, scheduler } = fakeCtx({
+      mockData: Array.from({ length: 501 }, (_, i) => ({
+        name: `Record ${i}`,
+        value: i,
+        deletedAt: 1,
+      })),
+    })
+
+    expect(await run(purgeExpiredMockData, ctx)).toBe(500)
+    expect(scheduler.runAfter).toHaveBeenCalledWith(0, 'functions:purgeExpiredMockData', {})
+
+    expect(await run(purgeExpiredMockData, ctx)).toBe(1)
+    expect(all('mockData')).toEqual([])
+    expect(scheduler.runAfter).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('Convex Functions - revertMockData', () => {
+  it('should be a public mutation taking a history entry id', () => {
+    expect(revertMockData.isMutation).toBe(true)
+    expect(revertMockData.isPublic).toBe(true)
+    expect(argsOf(revertMockData).historyId.fieldType).toEqual({
+      type: 'id',
+      tableName: 'mockDataHistory',
+    })
+  })
+})
+
+describe('Convex Functions - importMockData', () => {
+  it('should be a public mutation taking rows and an import mode', () => {
+    expect(importMockData.isMutation).toBe(true)
+    expect(importMockData.isPublic).toBe(true)
+    const args = argsOf(importMockData)
+    expect(args.rows.fieldType.type).toBe('array')
+    expect(args.mode.fieldType.value.map((member: { value: string }) => member.value)).toEqual([
+      'append',
+      'upsert',
+    ])
+  })
+})
+
+describe('Convex Functions - bulkEditMockData', () => {
+  it('should be a public mutation taking record ids and one action', () => {
+    expect(bulkEditMockData.isMutation).toBe(true)
+    expect(bulkEditMockData.isPublic).toBe(true)
+    const args = argsOf(bulkEditMockData)
+    expect(args.ids.fieldType.type).toBe('array')
+    expect(args.ids.fieldType.value.tableName).toBe('mockData')
+    expect(
+      args.action.fieldType.value.map(
+        (member: { value: { kind: { fieldType: { value: string } } } }) =>
+          member.value.kind.fieldType.value
+      )
+    ).toEqual(['setValue', 'addValue', 'multiplyValue', 'setDescription', 'delete'])
+  })
+})
+
+describe('Convex Functions - importMockData handler', () => {
+  it('should insert every valid row when appending and report the rest', async () => {
+    const { ctx, all } = setup('editor')
+
+    const result = await run(importMockData, ctx, {
+      mode: 'append',
+      rows: [
+        { name: ' Gamma ', value: 3, description: 'New' },
+        { name: 'Alpha', value: 4 },
+        { name: '', value: 5 },
+      ],
+    })
+
+    expect(result).toEqual({
+      inserted: 1,
+      updated: 0,
+      rejected: [
+        { index: 1, message: 'A record named "Alpha" already exists.' },
+        { index: 2, message: 'Name cannot be empty.' },
+      ],
+    })
+    expect(all('mockData').map((record) => record.name)).toEqual([
+      'Alpha',
+      'Beta',
+      'Old',
+      'Gamma',
+    ])
+  })
+
+  it('should update live records by name when upserting', async () => {
+    const { ctx, db, all } = setup('editor')
+    await db.patch('mockData:5', { description: 'Kept' })
+
+    const result = await run(importMockData, ctx, {
+      mode: 'upsert',
+      rows: [
+        { name: 'Alpha', value: 10 },
+        { name: 'Old', value: 30 },
+      ],
+    })
+
+    expect(result).toEqual({ inserted: 1, updated: 1, rejected: [] })
+    expect(await db.get('mockData:5')).toMatchObject({
+      value: 10,
+      description: 'Kept',
+      revision: 3,
+      updatedBy: 'users:1',
+    })
+    // Only live records are matched: the trashed one stays as it was
+    expect(await db.get('mockData:7')).toMatchObject({ value: 3 })
+    expect(all('mockData').filter((record) => record.name === 'Old')).toHaveLength(2)
+  })
+
+  it("should not upsert a record another user's lease covers", async () => {
+    const { ctx, db } = setup('editor', {
+      editLeases: [{ recordId: 'mockData:6', userId: 'users:2', expiresAt: Date.now() + 60_000 }],
+    })
+
+    const result = await run(importMockData, ctx, {
+      mode: 'upsert',
+      rows: [{ name: 'Beta', value: 20 }],
+    })
+
+    expect(result).toEqual({
+      inserted: 0,
+      updated: 0,
+      rejected: [{ index: 0, message: 'Ben is editing this record.' }],
+    })
+    expect(await db.get('mockData:6')).toMatchObject({ value: 2 })
+  })
+
+  it('should refuse viewers and batches over 100 rows', async () => {
+    const rows = [{ name: 'Gamma', value: 3 }]
+    expect(
+      await errorOf(run(importMockData, setup('viewer').ctx, { mode: 'append', rows }))
+    ).toMatchObject({ code: 'FORBIDDEN' })
+
+    const { ctx, all } = setup('editor')
+    const tooMany = Array.from({ length: 101 }, (_, i) => ({ name: `Row ${i}`, value: i }))
+    await expect(run(importMockData, ctx, { mode: 'append', rows: tooMany })).rejects.toThrow(
+      'At most 100 rows can be imported per batch'
+    )
+    expect(all('mockData')).toHaveLength(3)
+  })
+})
+
+describe('Convex Functions - bulkEditMockData handler', () => {
+  it('should change each live record once and skip the missing ones', async () => {
+    const { ctx, db } = setup('editor')
+
+    const result = await run(bulkEditMockData, ctx, {
+      ids: ['mockData:5', 'mockData:6', 'mockData:5', 'mockData:7'],
+      action: { kind: 'addValue', delta: 10 },
+    })
+
+    expect(result).toEqual({
+      changed: 2,
+      skipped: 1,
+      results: [
+        { id: 'mockData:5', name: 'Alpha', status: 'updated' },
+        { id: 'mockData:6', name: 'Beta', status: 'updated' },
+        {
+          id: 'mockData:7',
+          name: 'Old',
+          status: 'skipped',
+          message: 'Record not found or has been deleted',
+        },
+      ],
+    })
+    expect(await db.get('mockData:5')).toMatchObject({ value: 11, revision: 3 })
+    expect(await db.get('mockData:6')).toMatchObject({ value: 12, revision: 1 })
+  })
+
+  it("should skip records locked by another user's lease or made invalid", async () => {
+    const { ctx, db } = setup('editor', {
+      editLeases: [{ recordId: 'mockData:6', userId: 'users:2', expiresAt: Date.now() + 60_000 }],
+    })
+    await db.insert('mockData', { name: 'Gamma', value: 3 })
+
+    const result = await run(bulkEditMockData, ctx, {
+      ids: ['mockData:5', 'mockData:6', 'mockData:9'],
+      action: { kind: 'multiplyValue', factor: 500_000_000 },
+    })
+
+    expect(result.changed).toBe(1)
+    expect(result.results).toEqual([
+      { id: 'mockData:5', name: 'Alpha', status: 'updated' },
+      { id: 'mockData:6', name: 'Beta', status: 'skipped', message: 'Ben is editing this record.' },
+      {
+        id: 'mockData:9',
+        name: 'Gamma',
+        status: 'skipped',
+        message: expect.stringMatching(/^Value must be between/),
+      },
+    ])
+    expect(await db.get('mockData:5')).toMatchObject({ value: 500_000_000 })
+    expect(await db.get('mockData:9')).toMatchObject({ value: 3 })
+  })
+
+  it('should only let admins move records to the trash in bulk', async () => {
+    const editor = setup('editor')
+    expect(
+      await errorOf(
+        run(bulkEditMockData, editor.ctx, { ids: ['mockData:5'], action: { kind: 'delete' } })
+      )
+    ).toMatchObject({ code: 'FORBIDDEN' })
+    expect((await editor.db.get('mockData:5'))?.deletedAt).toBeUndefined()
+
+    const admin = setup('admin')
+    const result = await run(bulkEditMockData, admin.ctx, {
+      ids: ['mockData:5', 'mockData:6'],
+      action: { kind: 'delete' },
+    })
+    expect(result.results.map((row: { status: string }) => row.status)).toEqual([
+      'deleted',
+      'deleted',
+    ])
+    expect((await admin.db.get('mockData:6'))?.deletedAt).toBeDefined()
+  })
+
+  it('should refuse more than 500 records at once', async () => {
+    const { ctx, all } = setup('editor')
+    const ids = Array.from({ length: 501 }, (_, i) => `mockData:${1000 + i}`)
+
+    await expect(
+      run(bulkEditMockData, ctx, { ids, action: { kind: 'setValue', value: 0 } })
+    ).rejects.toThrow('At most 500 records can be changed at once')
+    expect(all('mockDataHistory')).toEqual([])
+  })
+})
+
+describe('Convex Functions - tag filter', () => {
+  // Alpha carries budget and q3, Beta only budget, Gamma none
+  const setup = () =>
+    fakeCtx(
+      {
+        users: [{ name: 'Ana', passwordHash: '', passwordSalt: '' }], // users:1
+        roles: [{ userId: 'users:1', role: 'viewer' }],
+        tags: [
+          { name: 'budget', normalizedName: 'budget' }, // tags:3
+          { name: 'q3', normalizedName: 'q3' }, // tags:4
+        ],
+        mockData: [
+          { name: 'Alpha', value: 1 }, // mockData:5
+          { name: 'Beta', value: 2 }, // mockData:6
+          { name: 'Gamma', value: 3 }, // mockData:7
+        ],
+        recordTags: [
+          { recordId: 'mockData:5', tagId: 'tags:3' },
+          { recordId: 'mockData:5', tagId: 'tags:4' },
+          { recordId: 'mockData:6', tagId: 'tags:3' },
+        ],
+      },
+      'users:1'
+    ).ctx
+
+  const namesListed = async (filter: Record<string, unknown>) => {
+    const result = await run(listMockData, setup(), {
+      paginationOpts: { numItems: 10, cursor: null },
+      ...filter,
+    })
+    return result.page.map((record: { name: string }) => record.name)
+  }
+
+  it('should keep records carrying every tag with "all"', async () => {
+    expect(await namesListed({ tagIds: ['tags:3', 'tags:4'], tagMatch: 'all' })).toEqual([
+      'Alpha',
+    ])
+  })
+
+  it('should keep records carrying one of the tags with "any"', async () => {
+    expect(await namesListed({ tagIds: ['tags:4', 'tags:3'], tagMatch: 'any' })).toEqual([
+      'Alpha',
+      'Beta',
+    ])
+  })
+
+  it('should ignore malformed and unknown tag IDs from a link', async () => {
+    expect(await namesListed({ tagIds: ['bogus', 'tags:99', 'tags:4'] })).toEqual(['Alpha'])
+    expect(await namesListed({ tagIds: ['bogus'] })).toEqual(['Alpha', 'Beta', 'Gamma'])
+  })
+})
+
 describe('Convex Functions - Integration', () => {
   it('should export all required functions', () => {
     // Verify all expected functions are exported
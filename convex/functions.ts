@@ -1,6 +1,15 @@
-import { query, mutation } from "./_generated/server";
-import { v } from "convex/values";
-import { Id } from "./_generated/dataModel";
+import { query, mutation, internalMutation, MutationCtx } from "./_generated/server";
+import { v, ConvexError, Infer } from "convex/values";
+import { paginationOptsValidator } from "convex/server";
+import { internal } from "./_generated/api";
+import { Doc, Id } from "./_generated/dataModel";
+import { recordHistory, snapshotOf } from "./history";
+import { requireRole } from "./roles";
+import { requireNoOtherLease, otherLeaseHolder } from "./leases";
+import { requireValidRecord, recordFieldErrors } from "./validation";
+import { withTags, matchesTags, resolveTagIds, removeRecordTags, tagMatchValidator } from "./tags";
+import { removeRecordSnapshots } from "./valueSnapshots";
+import { removeRecordComments } from "./comments";
 
 /**
  * Convex Functions - Query and Mutation Functions
@@ -20,14 +29,262 @@ import { Id } from "./_generated/dataModel";
  *
  * Client Usage:
  * - Query: useQuery(api.functions.getMockData)
+ * - Query: useQuery(api.functions.getMockDataById, { id })
+ * - Paginated query: usePaginatedQuery(api.functions.listMockData, {}, { initialNumItems: 50 })
+ * - Search: useQuery(api.functions.searchMockData, { query: "alpha" })
  * - Mutation: useMutation(api.functions.updateMockData)
+ * - Mutation: useMutation(api.functions.createMockData)
+ * - Mutation: useMutation(api.functions.deleteMockData)
+ * - Mutation: useMutation(api.functions.revertMockData)
+ * - Mutation: useMutation(api.functions.importMockData)
+ *
+ * Soft Deletion:
+ * - Deleting a record only sets its `deletedAt` timestamp (moves it to the trash)
+ * - getMockData hides trashed records; getDeletedMockData lists them;
+ *   getMockDataById returns either, so links to a trashed record still work
+ * - Trashed records can be restored, purged manually, or are purged by the
+ *   purgeExpiredMockData cron job once TRASH_RETENTION_DELAY has elapsed
+ *
+ * Optimistic Concurrency:
+ * - Every record carries a `revision` that updateMockData increments
+ * - Clients send back the revision they started editing from
+ *   (expectedRevision); a stale write is rejected with a ConvexError whose
+ *   data is { code: "CONFLICT", current } so the client can offer a merge
+ *
+ * Authentication and Roles:
+ * - Every public function calls requireRole (convex/roles.ts) first; it
+ *   fails with a ConvexError { code: "UNAUTHENTICATED" } for signed-out
+ *   callers and { code: "FORBIDDEN" } when the caller's role is too low
+ * - Queries need viewer; create, update, revert and restore need editor;
+ *   delete and purge are destructive and need admin
+ * - Writes record the user in createdBy/updatedBy and in the history entry
+ *
+ * Change History:
+ * - Every write appends an entry to mockDataHistory (see convex/history.ts)
+ *   with the record's name, value and description before and after
+ * - revertMockData restores the fields from a history entry; the revert is
+ *   itself recorded, so it can be reverted too
+ * - Recording the entry also queues outbound webhook deliveries for the
+ *   change (see convex/webhooks.ts)
+ */
+
+/**
+ * Default time (in seconds) a record stays in the trash before it is purged.
+ * Override with `npx convex env set TRASH_RETENTION_DELAY <seconds>`; the unit
+ * matches DOCUMENT_RETENTION_DELAY in docker-compose.yml.
+ */
+const DEFAULT_TRASH_RETENTION_DELAY = 172800; // 2 days
+
+/**
+ * Maximum number of expired records purged per batch.
+ * Keeps the mutation well within Convex transaction limits; a full batch
+ * schedules the next one right away.
+ */
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * Revision of a record; records written before revisions existed count as 0.
+ */
+export const revisionOf = (doc: Doc<"mockData">) => doc.revision ?? 0;
+
+/**
+ * Default and maximum number of results returned by searchMockData.
  */
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+/**
+ * Maximum number of records returned by getMockData, so a subscription to it
+ * stays bounded however large the table grows.
+ */
+const GET_MOCK_DATA_LIMIT = 1000;
+
+/**
+ * Maximum number of rows accepted by one importMockData call. The client
+ * splits larger files into batches of this size.
+ */
+const IMPORT_BATCH_SIZE = 100;
+
+/**
+ * Maximum number of records one bulkEditMockData call may change.
+ */
+const BULK_EDIT_LIMIT = 500;
+
+/**
+ * Fields of a mockData record that clients can write.
+ */
+type RecordFields = {
+  name: string;
+  value: number;
+  description?: string;
+};
+
+/**
+ * insertRecord - Helper (not a Convex function)
+ *
+ * Inserts a record at revision 0 and records its "create" history entry.
+ * Shared by createMockData and the REST API (convex/httpApi.ts).
+ *
+ * The fields must pass the rules in convex/validation.ts (a
+ * VALIDATION_FAILED ConvexError otherwise); the name is stored trimmed.
+ *
+ * @param ctx - The calling mutation's context
+ * @param fields - The new record's name, value and optional description
+ * @param userId - The user the write is attributed to
+ * @returns Promise<Id<"mockData">> - The ID of the inserted document
+ */
+export async function insertRecord(
+  ctx: MutationCtx,
+  fields: RecordFields,
+  userId: Id<"users">
+): Promise<Id<"mockData">> {
+  await requireValidRecord(ctx, fields);
+  const record = { ...fields, name: fields.name.trim() };
+
+  // Insert the new document; _id and _creationTime are assigned by Convex
+  const id: Id<"mockData"> = await ctx.db.insert("mockData", {
+    ...record,
+    revision: 0,
+    createdBy: userId,
+    updatedBy: userId,
+  });
+  await recordHistory(ctx, {
+    recordId: id,
+    action: "create",
+    after: record,
+    revision: 0,
+    changedBy: userId,
+  });
+  return id;
+}
+
+/**
+ * updateRecord - Helper (not a Convex function)
+ *
+ * Applies changes to a live record if it is still at expectedRevision (see
+ * Optimistic Concurrency above), bumps its revision and records an "update"
+ * history entry. Shared by updateMockData and the REST API.
+ *
+ * Throws a ConvexError with code "NOT_FOUND" for a missing or trashed
+ * record, "LOCKED" if another user holds an edit lease on it (see
+ * convex/leases.ts), "CONFLICT" for a stale expectedRevision, or
+ * "VALIDATION_FAILED" if the changes break a rule in convex/validation.ts.
+ * A changed name is stored trimmed.
+ *
+ * @param ctx - The calling mutation's context
+ * @param id - The document ID to update
+ * @param changes - The fields to change; a description of null removes it
+ * @param expectedRevision - The revision the change is based on
+ * @param userId - The user the write is attributed to
+ * @returns Promise<Doc<"mockData">> - The record as it was before the update
+ */
+export async function updateRecord(
+  ctx: MutationCtx,
+  id: Id<"mockData">,
+  changes: Partial<Omit<RecordFields, "description">> & { description?: string | null },
+  expectedRevision: number,
+  userId: Id<"users">
+): Promise<Doc<"mockData">> {
+  const existing = await ctx.db.get(id);
+  if (existing === null || existing.deletedAt !== undefined) {
+    throw new ConvexError({
+      code: "NOT_FOUND",
+      message: "Record not found or has been deleted",
+    });
+  }
+  await requireNoOtherLease(ctx, id, userId);
+
+  // Reject stale writes instead of silently clobbering a newer revision
+  const revision = revisionOf(existing);
+  if (revision !== expectedRevision) {
+    throw new ConvexError({
+      code: "CONFLICT",
+      message: "This record was changed by someone else after you loaded it.",
+      current: {
+        name: existing.name,
+        value: existing.value,
+        // Convex values can't contain undefined, so omit a missing description
+        ...(existing.description !== undefined
+          ? { description: existing.description }
+          : {}),
+        revision,
+      },
+    });
+  }
+
+  await requireValidRecord(ctx, changes, existing);
+
+  const { description, ...fields } = changes;
+  if (fields.name !== undefined) {
+    fields.name = fields.name.trim();
+  }
+  // Patching a field to undefined removes it from the document
+  const updates = {
+    ...fields,
+    ...(description !== undefined ? { description: description ?? undefined } : {}),
+  };
+  await ctx.db.patch(id, {
+    ...updates,
+    revision: revision + 1,
+    updatedBy: userId,
+  });
+  await recordHistory(ctx, {
+    recordId: id,
+    action: "update",
+    before: snapshotOf(existing),
+    after: snapshotOf({ ...existing, ...updates }),
+    revision: revision + 1,
+    changedBy: userId,
+  });
+  return existing;
+}
+
+/**
+ * trashRecord - Helper (not a Convex function)
+ *
+ * Soft-deletes a live record (see Soft Deletion above) and records a
+ * "delete" history entry. Shared by deleteMockData and the REST API.
+ * Throws a ConvexError with code "NOT_FOUND" if the record is missing or
+ * already in the trash, or "LOCKED" if another user holds an edit lease on
+ * it, so a record isn't trashed while someone is still editing it.
+ *
+ * @param ctx - The calling mutation's context
+ * @param id - The document ID to delete
+ * @param userId - The user the write is attributed to
+ */
+export async function trashRecord(
+  ctx: MutationCtx,
+  id: Id<"mockData">,
+  userId: Id<"users">
+): Promise<void> {
+  const existing = await ctx.db.get(id);
+  if (existing === null || existing.deletedAt !== undefined) {
+    throw new ConvexError({
+      code: "NOT_FOUND",
+      message: "Record not found or has already been deleted",
+    });
+  }
+  await requireNoOtherLease(ctx, id, userId);
+  await ctx.db.patch(id, { deletedAt: Date.now(), updatedBy: userId });
+  // Trashing doesn't change the tracked fields, so before and after match
+  const snapshot = snapshotOf(existing);
+  await recordHistory(ctx, {
+    recordId: id,
+    action: "delete",
+    before: snapshot,
+    after: snapshot,
+    revision: revisionOf(existing),
+    changedBy: userId,
+  });
+}
 
 /**
  * getMockData - Query Function
  *
- * Retrieves all mock data records from the database.
- * This function is called by the View page to display data in real-time.
+ * Retrieves the oldest live mock data records, up to GET_MOCK_DATA_LIMIT.
+ * Meant for small tables and examples; pages that list records use
+ * listMockData (paginated) or searchMockData, and load a single record
+ * with getMockDataById.
  *
  * Usage in React:
  * ```tsx
@@ -40,22 +297,252 @@ import { Id } from "./_generated/dataModel";
  * }
  * ```
  *
- * @returns Promise<Array<Document>> - All records from the mockData table
+ * @returns Promise<Array<Document>> - Up to GET_MOCK_DATA_LIMIT live (not deleted) records, oldest first
  *
  * Query Context:
  * - ctx.db: Database interface for querying data
- * - ctx.auth: Authentication context (not used in this POC)
+ * - ctx.auth: Authentication context (checked by requireRole)
  * - ctx.storage: File storage interface (not used in this POC)
  */
 export const getMockData = query({
   args: {},
   handler: async (ctx) => {
-    // Query the mockData table and return all documents
-    const mockData = await ctx.db.query("mockData").collect();
+    await requireRole(ctx, "viewer");
+
+    // Query the mockData table for documents that are not in the trash
+    const mockData = await ctx.db
+      .query("mockData")
+      .withIndex("by_deletedAt", (q) => q.eq("deletedAt", undefined))
+      .take(GET_MOCK_DATA_LIMIT);
     return mockData;
   },
 });
 
+/**
+ * getMockDataById - Query Function
+ *
+ * A single record with its tags, for the record detail page, the record
+ * being edited on the Update page, and links to one record. Trashed records are returned too (with `deletedAt` set) so
+ * the page can say so. The ID comes from the URL, so it is accepted as any
+ * string: a malformed ID, or one of a purged record, returns null instead
+ * of throwing.
+ *
+ * @param id - The record's ID
+ * @returns Promise<(Document & { tags: RecordTag[] }) | null> - The record,
+ *   or null if there is no such record
+ */
+export const getMockDataById = query({
+  args: {
+    id: v.string(),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "viewer");
+
+    const id = ctx.db.normalizeId("mockData", args.id);
+    const record = id === null ? null : await ctx.db.get(id);
+    if (record === null) {
+      return null;
+    }
+    const [tagged] = await withTags(ctx, [record]);
+    return tagged;
+  },
+});
+
+/**
+ * Fields listMockData can sort by. Each one is served by an index on the
+ * mockData table (see convex/schema.ts), so sorting never scans the table.
+ */
+const sortFieldValidator = v.union(
+  v.literal("_creationTime"),
+  v.literal("name"),
+  v.literal("value")
+);
+
+const sortDirectionValidator = v.union(v.literal("asc"), v.literal("desc"));
+
+/**
+ * listMockData - Paginated Query Function
+ *
+ * Retrieves live (not deleted) mock data records one page at a time using
+ * Convex cursor-based pagination, sorted and filtered on the server. Use this
+ * instead of getMockData wherever the table may be large; the View page loads
+ * further pages as the user scrolls.
+ *
+ * Usage in React:
+ * ```tsx
+ * import { usePaginatedQuery } from "convex/react";
+ * import { api } from "../convex/_generated/api";
+ *
+ * function ViewPage() {
+ *   const { results, status, loadMore } = usePaginatedQuery(
+ *     api.functions.listMockData,
+ *     { sortField: "value", sortDirection: "desc", valueMin: 100 },
+ *     { initialNumItems: 50 }
+ *   );
+ *   // status: "LoadingFirstPage" | "CanLoadMore" | "LoadingMore" | "Exhausted"
+ * }
+ * ```
+ *
+ * Every loaded page stays subscribed, so edits to rows that are already on
+ * screen still sync in real time. Changing any argument other than
+ * paginationOpts restarts pagination from the first page.
+ *
+ * Tags:
+ * Each record comes with its tags (see convex/tags.ts). A tag filter can't
+ * use an index, so it is applied to each page after it is read: pages may
+ * hold fewer than numItems records, or none, while isDone is still false.
+ * The View page then offers to search further pages.
+ *
+ * Index usage:
+ * - sortField "value": by_value, with valueMin/valueMax applied as the index range
+ * - sortField "name": by_name, with the value range applied as a filter
+ * - sortField "_creationTime" (default): by_deletedAt, value range as a filter
+ *
+ * @param paginationOpts - Cursor and page size, supplied by usePaginatedQuery
+ * @param sortField - Field to sort by (default "_creationTime")
+ * @param sortDirection - "asc" (default) or "desc"
+ * @param valueMin - Optional inclusive lower bound on value
+ * @param valueMax - Optional inclusive upper bound on value
+ * @param tagIds - Optional tags to filter by; IDs that don't name a tag are ignored
+ * @param tagMatch - "all" (default): records with every tag; "any": with at least one
+ * @returns Promise<PaginationResult<Document & { tags }>> - One page of records plus the continuation cursor
+ */
+export const listMockData = query({
+  args: {
+    paginationOpts: paginationOptsValidator,
+    sortField: v.optional(sortFieldValidator),
+    sortDirection: v.optional(sortDirectionValidator),
+    valueMin: v.optional(v.number()),
+    valueMax: v.optional(v.number()),
+    tagIds: v.optional(v.array(v.string())),
+    tagMatch: v.optional(tagMatchValidator),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "viewer");
+
+    const { sortField = "_creationTime", sortDirection = "asc", valueMin, valueMax } = args;
+
+    let result;
+    if (sortField === "value") {
+      // Sorting by value lets the value range narrow the index scan directly
+      result = await ctx.db
+        .query("mockData")
+        .withIndex("by_value", (q) => {
+          const live = q.eq("deletedAt", undefined);
+          const lower = valueMin !== undefined ? live.gte("value", valueMin) : live;
+          return valueMax !== undefined ? lower.lte("value", valueMax) : lower;
+        })
+        .order(sortDirection)
+        .paginate(args.paginationOpts);
+    } else {
+      const indexed =
+        sortField === "name"
+          ? ctx.db
+              .query("mockData")
+              .withIndex("by_name", (q) => q.eq("deletedAt", undefined))
+          : ctx.db
+              .query("mockData")
+              .withIndex("by_deletedAt", (q) => q.eq("deletedAt", undefined));
+
+      // Other sort orders can't range over value, so filter within the index scan
+      result = await indexed
+        .order(sortDirection)
+        .filter((q) =>
+          q.and(
+            valueMin !== undefined ? q.gte(q.field("value"), valueMin) : true,
+            valueMax !== undefined ? q.lte(q.field("value"), valueMax) : true
+          )
+        )
+        .paginate(args.paginationOpts);
+    }
+
+    // Add each record's tags, then apply the tag filter to the page
+    const tagIds = await resolveTagIds(ctx, args.tagIds);
+    const page = await withTags(ctx, result.page);
+    return {
+      ...result,
+      page: page.filter((record) => matchesTags(record.tags, tagIds, args.tagMatch)),
+    };
+  },
+});
+
+/**
+ * searchMockData - Query Function
+ *
+ * Full-text search over the name and description of live records.
+ * Used by the search box on the View page and the record combobox on the
+ * Update page. Results are reactive like any other query, so they update
+ * while the user is looking at them.
+ *
+ * Usage in React:
+ * ```tsx
+ * const results = useQuery(
+ *   api.functions.searchMockData,
+ *   searchTerm ? { query: searchTerm } : "skip"
+ * );
+ * ```
+ *
+ * Name matches are ranked ahead of description matches; a record matching
+ * both appears once, in its name-match position. Within each group results
+ * keep Convex's relevance order. The last search term is prefix-matched, so
+ * results appear while the user is still typing a word.
+ *
+ * Results come with their tags and can be narrowed by tag like
+ * listMockData. The tag filter applies to the `limit` best matches, so it
+ * can return fewer.
+ *
+ * @param query - The search text; blank text returns no results
+ * @param limit - Maximum results (default DEFAULT_SEARCH_LIMIT, capped at MAX_SEARCH_LIMIT)
+ * @param tagIds - Optional tags to filter by, as for listMockData
+ * @param tagMatch - "all" (default) or "any", as for listMockData
+ * @returns Promise<Array<Document & { tags }>> - Matching live records, most relevant first
+ */
+export const searchMockData = query({
+  args: {
+    query: v.string(),
+    limit: v.optional(v.number()),
+    tagIds: v.optional(v.array(v.string())),
+    tagMatch: v.optional(tagMatchValidator),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "viewer");
+
+    const text = args.query.trim();
+    if (!text) {
+      return [];
+    }
+    const limit = Math.min(args.limit ?? DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+
+    const [nameMatches, descriptionMatches] = await Promise.all([
+      ctx.db
+        .query("mockData")
+        .withSearchIndex("search_name", (q) =>
+          q.search("name", text).eq("deletedAt", undefined)
+        )
+        .take(limit),
+      ctx.db
+        .query("mockData")
+        .withSearchIndex("search_description", (q) =>
+          q.search("description", text).eq("deletedAt", undefined)
+        )
+        .take(limit),
+    ]);
+
+    // Merge, keeping the first (name-match) occurrence of each record
+    const seen = new Set<Id<"mockData">>();
+    const results = [];
+    for (const doc of [...nameMatches, ...descriptionMatches]) {
+      if (!seen.has(doc._id)) {
+        seen.add(doc._id);
+        results.push(doc);
+      }
+    }
+    const tagIds = await resolveTagIds(ctx, args.tagIds);
+    const tagged = await withTags(ctx, results.slice(0, limit));
+    return tagged.filter((record) => matchesTags(record.tags, tagIds, args.tagMatch));
+  },
+});
+
 /**
  * updateMockData - Mutation Function
  *
@@ -70,14 +557,36 @@ export const getMockData = query({
  * function UpdatePage() {
  *   const updateMockData = useMutation(api.functions.updateMockData);
  *   const handleSubmit = () => {
- *     await updateMockData({ id: "abc123", name: "Updated Name", value: 42 });
+ *     await updateMockData({
+ *       id: "abc123",
+ *       name: "Updated Name",
+ *       value: 42,
+ *       expectedRevision: record.revision ?? 0,
+ *     });
  *   };
  * }
  * ```
  *
+ * Conflict Detection:
+ * If the record's revision no longer matches expectedRevision, someone else
+ * has written it since the client loaded it. The update is rejected with
+ * `ConvexError({ code: "CONFLICT", message, current })`, where `current` holds
+ * the record's latest name, value, description and revision. Retrying with
+ * expectedRevision set to current.revision deliberately overwrites it.
+ *
+ * Edit Leases:
+ * While another user holds the record's edit lease (taken by the Update
+ * page, see convex/leases.ts), the update is rejected with
+ * `ConvexError({ code: "LOCKED", message, holder })`.
+ *
+ * Validation:
+ * Fields breaking a rule in convex/validation.ts are rejected with
+ * `ConvexError({ code: "VALIDATION_FAILED", message, field, fields })`.
+ *
  * @param id - The document ID to update
  * @param name - The updated name field
  * @param value - The updated value field
+ * @param expectedRevision - The revision the client's edit is based on
  * @returns Promise<Id<"mockData">> - The ID of the updated document
  *
  * Mutation Context:
@@ -89,11 +598,494 @@ export const updateMockData = mutation({
     id: v.id("mockData"),
     name: v.string(),
     value: v.number(),
+    expectedRevision: v.number(),
   },
   handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "editor");
+
     // Update the document with the specified id
-    const { id, name, value } = args;
-    await ctx.db.patch(id, { name, value });
+    const { id, name, value, expectedRevision } = args;
+    await updateRecord(ctx, id, { name, value }, expectedRevision, user._id);
     return id;
   },
 });
+
+/**
+ * createMockData - Mutation Function
+ *
+ * Inserts a new mock data record into the database.
+ * This function is called by the Create page to add new data.
+ *
+ * Usage in React:
+ * ```tsx
+ * import { useMutation } from "convex/react";
+ * import { api } from "../convex/_generated/api";
+ *
+ * function CreatePage() {
+ *   const createMockData = useMutation(api.functions.createMockData);
+ *   const handleSubmit = async () => {
+ *     await createMockData({ name: "New Item", value: 42, description: "Optional" });
+ *   };
+ * }
+ * ```
+ *
+ * Fields breaking a rule in convex/validation.ts (including a name another
+ * record already has) are rejected with a VALIDATION_FAILED ConvexError.
+ *
+ * @param name - The name field for the new record
+ * @param value - The value field for the new record
+ * @param description - Optional description for the new record
+ * @returns Promise<Id<"mockData">> - The ID of the inserted document
+ *
+ * Mutation Context:
+ * - ctx.db.insert(table, document): Inserts a new document and returns its ID
+ */
+export const createMockData = mutation({
+  args: {
+    name: v.string(),
+    value: v.number(),
+    description: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "editor");
+    return await insertRecord(ctx, args, user._id);
+  },
+});
+
+/**
+ * importMockData - Mutation Function
+ *
+ * Imports one batch of records from the Import page. Each batch runs as a
+ * single transaction; the page sends a large file as a series of batches
+ * and reports progress between them.
+ *
+ * Modes:
+ * - "append": every row becomes a new record
+ * - "upsert": a row whose name matches a live record updates that record
+ *   (the first one, if several share the name); other rows are inserted.
+ *   A row without a description leaves the existing description unchanged
+ *
+ * The page validates rows before sending them; rows that fail the rules in
+ * convex/validation.ts (including a name another record already has), and
+ * upserts of records another user holds an edit
+ * lease on (see convex/leases.ts), are skipped and reported back instead
+ * of failing the whole batch.
+ *
+ * @param rows - Up to IMPORT_BATCH_SIZE records to import
+ * @param mode - "append" or "upsert"
+ * @returns Promise<{ inserted, updated, rejected }> - Counts, plus the index
+ *   within `rows` and reason for each skipped row
+ */
+export const importMockData = mutation({
+  args: {
+    rows: v.array(
+      v.object({
+        name: v.string(),
+        value: v.number(),
+        description: v.optional(v.string()),
+      })
+    ),
+    mode: v.union(v.literal("append"), v.literal("upsert")),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "editor");
+    if (args.rows.length > IMPORT_BATCH_SIZE) {
+      throw new Error(`At most ${IMPORT_BATCH_SIZE} rows can be imported per batch`);
+    }
+
+    let inserted = 0;
+    let updated = 0;
+    const rejected: Array<{ index: number; message: string }> = [];
+
+    for (const [index, row] of args.rows.entries()) {
+      const name = row.name.trim();
+      const record = { ...row, name };
+
+      const existing =
+        args.mode === "upsert"
+          ? await ctx.db
+              .query("mockData")
+              .withIndex("by_name", (q) =>
+                q.eq("deletedAt", undefined).eq("name", name)
+              )
+              .first()
+          : null;
+
+      const errors = await recordFieldErrors(ctx, record, existing ?? undefined);
+      if (errors.length > 0) {
+        rejected.push({ index, message: errors.map((e) => e.message).join(" ") });
+        continue;
+      }
+
+      if (existing !== null) {
+        // Don't overwrite a record someone is editing on the Update page
+        const holder = await otherLeaseHolder(ctx, existing._id, user._id);
+        if (holder !== null) {
+          rejected.push({ index, message: `${holder} is editing this record.` });
+          continue;
+        }
+        const revision = revisionOf(existing) + 1;
+        await ctx.db.patch(existing._id, {
+          ...record,
+          revision,
+          updatedBy: user._id,
+        });
+        await recordHistory(ctx, {
+          recordId: existing._id,
+          action: "update",
+          before: snapshotOf(existing),
+          after: snapshotOf({ ...existing, ...record }),
+          revision,
+          changedBy: user._id,
+        });
+        updated++;
+      } else {
+        await insertRecord(ctx, record, user._id);
+        inserted++;
+      }
+    }
+
+    return { inserted, updated, rejected };
+  },
+});
+
+/**
+ * What bulkEditMockData does to each selected record.
+ * - setValue: value becomes `value`
+ * - addValue / multiplyValue: value changes by `delta` / `factor`
+ * - setDescription: description becomes `description` (null or blank removes it)
+ * - delete: the record moves to the trash (admins only)
+ */
+export const bulkActionValidator = v.union(
+  v.object({ kind: v.literal("setValue"), value: v.number() }),
+  v.object({ kind: v.literal("addValue"), delta: v.number() }),
+  v.object({ kind: v.literal("multiplyValue"), factor: v.number() }),
+  v.object({
+    kind: v.literal("setDescription"),
+    description: v.union(v.string(), v.null()),
+  }),
+  v.object({ kind: v.literal("delete") })
+);
+
+export type BulkAction = Infer<typeof bulkActionValidator>;
+
+// The changes a non-delete bulk action makes to `record`
+const bulkChangesFor = (
+  action: Exclude<BulkAction, { kind: "delete" }>,
+  record: Doc<"mockData">
+) => {
+  switch (action.kind) {
+    case "setValue":
+      return { value: action.value };
+    case "addValue":
+      return { value: record.value + action.delta };
+    case "multiplyValue":
+      return { value: record.value * action.factor };
+    case "setDescription":
+      return { description: action.description?.trim() || null };
+  }
+};
+
+/**
+ * bulkEditMockData - Mutation Function
+ *
+ * Applies one action to many records, for the View page's bulk action bar.
+ * All records are handled in one transaction, each through the same helper
+ * as a single edit (updateRecord or trashRecord), so history, webhooks,
+ * validation and edit leases apply per record. Records that can't be
+ * changed (deleted meanwhile, locked by another user's edit lease, or a
+ * result that breaks a validation rule) are skipped and reported; the rest
+ * are written together.
+ *
+ * Requires the editor role, or admin for "delete".
+ *
+ * @param ids - Up to BULK_EDIT_LIMIT records to change
+ * @param action - What to do to each record (see bulkActionValidator)
+ * @returns Promise<{ changed, skipped, results }> - Counts, plus for each
+ *   record its ID, name, status ("updated", "deleted" or "skipped") and,
+ *   when skipped, the reason
+ */
+export const bulkEditMockData = mutation({
+  args: {
+    ids: v.array(v.id("mockData")),
+    action: bulkActionValidator,
+  },
+  handler: async (ctx, args) => {
+    const { action } = args;
+    const { user } = await requireRole(ctx, action.kind === "delete" ? "admin" : "editor");
+    if (args.ids.length > BULK_EDIT_LIMIT) {
+      throw new Error(`At most ${BULK_EDIT_LIMIT} records can be changed at once`);
+    }
+
+    const results: Array<{
+      id: Id<"mockData">;
+      name: string | null;
+      status: "updated" | "deleted" | "skipped";
+      message?: string;
+    }> = [];
+
+    for (const id of new Set(args.ids)) {
+      const existing = await ctx.db.get(id);
+      if (existing === null || existing.deletedAt !== undefined) {
+        results.push({
+          id,
+          name: existing?.name ?? null,
+          status: "skipped",
+          message: "Record not found or has been deleted",
+        });
+        continue;
+      }
+      try {
+        if (action.kind === "delete") {
+          await trashRecord(ctx, id, user._id);
+        } else {
+          await updateRecord(
+            ctx,
+            id,
+            bulkChangesFor(action, existing),
+            revisionOf(existing),
+            user._id
+          );
+        }
+      } catch (error) {
+        // The helpers check everything before writing, so nothing of this
+        // record was written and the others can go ahead
+        if (error instanceof ConvexError) {
+          results.push({
+            id,
+            name: existing.name,
+            status: "skipped",
+            message: (error.data as { message: string }).message,
+          });
+          continue;
+        }
+        throw error;
+      }
+      results.push({
+        id,
+        name: existing.name,
+        status: action.kind === "delete" ? "deleted" : "updated",
+      });
+    }
+
+    const skipped = results.filter((result) => result.status === "skipped").length;
+    return { changed: results.length - skipped, skipped, results };
+  },
+});
+
+/**
+ * revertMockData - Mutation Function
+ *
+ * Restores a record's name, value and description to the state recorded
+ * after the given history entry. Used by the Record History page.
+ *
+ * A revert is an ordinary write: it bumps the revision (so editors holding
+ * the old revision get a conflict) and appends its own "revert" entry.
+ * While another user holds the record's edit lease it is refused with a
+ * "LOCKED" ConvexError.
+ *
+ * @param historyId - The history entry whose "after" state to restore
+ * @returns Promise<Id<"mockData">> - The ID of the reverted document
+ */
+export const revertMockData = mutation({
+  args: {
+    historyId: v.id("mockDataHistory"),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "editor");
+    const entry = await ctx.db.get(args.historyId);
+    if (entry === null || entry.after === undefined) {
+      throw new Error("History entry not found or has no version to revert to");
+    }
+    const existing = await ctx.db.get(entry.recordId);
+    if (existing === null || existing.deletedAt !== undefined) {
+      throw new Error("Record not found or has been deleted");
+    }
+    await requireNoOtherLease(ctx, existing._id, user._id);
+    // Rules may have tightened, or another record taken the name, since then
+    await requireValidRecord(ctx, entry.after, existing);
+
+    const { name, value, description } = entry.after;
+    const revision = revisionOf(existing) + 1;
+    // Patching description to undefined removes it if that version had none
+    await ctx.db.patch(existing._id, {
+      name,
+      value,
+      description,
+      revision,
+      updatedBy: user._id,
+    });
+    await recordHistory(ctx, {
+      recordId: existing._id,
+      action: "revert",
+      before: snapshotOf(existing),
+      after: entry.after,
+      revision,
+      changedBy: user._id,
+    });
+    return existing._id;
+  },
+});
+
+/**
+ * getDeletedMockData - Query Function
+ *
+ * Retrieves all records currently in the trash, most recently deleted first.
+ * This function is called by the Trash page.
+ *
+ * @returns Promise<Array<Document>> - All soft-deleted records from the mockData table
+ */
+export const getDeletedMockData = query({
+  args: {},
+  handler: async (ctx) => {
+    await requireRole(ctx, "viewer");
+
+    // Any deletedAt timestamp sorts after undefined, so gt(0) selects only trashed records
+    const deleted = await ctx.db
+      .query("mockData")
+      .withIndex("by_deletedAt", (q) => q.gt("deletedAt", 0))
+      .order("desc")
+      .collect();
+    return deleted;
+  },
+});
+
+/**
+ * deleteMockData - Mutation Function
+ *
+ * Soft-deletes a record by moving it to the trash.
+ * The record disappears from getMockData but can still be restored
+ * with restoreMockData until it is purged. While another user holds the
+ * record's edit lease it is refused with a "LOCKED" ConvexError.
+ *
+ * @param id - The document ID to delete
+ * @returns Promise<Id<"mockData">> - The ID of the deleted document
+ */
+export const deleteMockData = mutation({
+  args: {
+    id: v.id("mockData"),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "admin");
+    await trashRecord(ctx, args.id, user._id);
+    return args.id;
+  },
+});
+
+/**
+ * restoreMockData - Mutation Function
+ *
+ * Moves a soft-deleted record out of the trash.
+ * Used both by the undo toast and by the Trash page.
+ * Fails with VALIDATION_FAILED if another live record has its name.
+ *
+ * @param id - The document ID to restore
+ * @returns Promise<Id<"mockData">> - The ID of the restored document
+ */
+export const restoreMockData = mutation({
+  args: {
+    id: v.id("mockData"),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "editor");
+    const existing = await ctx.db.get(args.id);
+    if (existing === null || existing.deletedAt === undefined) {
+      throw new Error("Record not found in the trash");
+    }
+    // Another live record may have taken the name while this one was in the trash
+    await requireValidRecord(ctx, { name: existing.name });
+    // Patching a field to undefined removes it from the document
+    await ctx.db.patch(args.id, { deletedAt: undefined, updatedBy: user._id });
+    const snapshot = snapshotOf(existing);
+    await recordHistory(ctx, {
+      recordId: args.id,
+      action: "restore",
+      before: snapshot,
+      after: snapshot,
+      revision: revisionOf(existing),
+      changedBy: user._id,
+    });
+    return args.id;
+  },
+});
+
+/**
+ * purgeMockData - Mutation Function
+ *
+ * Permanently deletes a record that is already in the trash.
+ * Live records must be soft-deleted first, so a purge can never
+ * happen by accident from the Update page.
+ *
+ * @param id - The document ID to purge
+ * @returns Promise<Id<"mockData">> - The ID of the purged document
+ */
+export const purgeMockData = mutation({
+  args: {
+    id: v.id("mockData"),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "admin");
+    const existing = await ctx.db.get(args.id);
+    if (existing === null || existing.deletedAt === undefined) {
+      throw new Error("Only records in the trash can be permanently deleted");
+    }
+    await ctx.db.delete(args.id);
+    await removeRecordTags(ctx, args.id);
+    await removeRecordSnapshots(ctx, args.id);
+    await removeRecordComments(ctx, args.id);
+    await recordHistory(ctx, {
+      recordId: args.id,
+      action: "purge",
+      before: snapshotOf(existing),
+      changedBy: user._id,
+    });
+    return args.id;
+  },
+});
+
+/**
+ * purgeExpiredMockData - Internal Mutation Function
+ *
+ * Hard-deletes trashed records whose retention window has elapsed, with
+ * their tags, value snapshots and comments; their history stays, ending in
+ * a "purge" entry. Scheduled by the cron job in convex/crons.ts; not
+ * callable from clients. A full batch schedules another right away until
+ * nothing expired is left.
+ *
+ * The retention window is read from the TRASH_RETENTION_DELAY environment
+ * variable (seconds) and defaults to DEFAULT_TRASH_RETENTION_DELAY.
+ *
+ * @returns Promise<number> - The number of records purged in this batch
+ */
+export const purgeExpiredMockData = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const retentionSeconds =
+      Number(process.env.TRASH_RETENTION_DELAY) || DEFAULT_TRASH_RETENTION_DELAY;
+    const cutoff = Date.now() - retentionSeconds * 1000;
+
+    const expired = await ctx.db
+      .query("mockData")
+      .withIndex("by_deletedAt", (q) =>
+        q.gt("deletedAt", 0).lt("deletedAt", cutoff)
+      )
+      .take(PURGE_BATCH_SIZE);
+
+    for (const record of expired) {
+      await ctx.db.delete(record._id);
+      await removeRecordTags(ctx, record._id);
+      await removeRecordSnapshots(ctx, record._id);
+      await removeRecordComments(ctx, record._id);
+      // No changedBy: the cron job runs without a signed-in user
+      await recordHistory(ctx, {
+        recordId: record._id,
+        action: "purge",
+        before: snapshotOf(record),
+      });
+    }
+    if (expired.length === PURGE_BATCH_SIZE) {
+      await ctx.scheduler.runAfter(0, internal.functions.purgeExpiredMockData, {});
+    }
+    return expired.length;
+  },
+});
@@ -0,0 +1,140 @@
+/**
+ * Convex History Tests
+ *
+ * Unit tests for the change history helpers and query.
+ *
+ * References:
+ * - Convex Functions Docs: https://docs.convex.dev/functions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { argsOf } from './test.utils'
+import { getRecordHistory, recordHistory, snapshotOf } from './history'
+import { Doc, Id } from './_generated/dataModel'
+import { MutationCtx } from './_generated/server'
+
+// Webhook deliveries are scheduled by function reference
+vi.mock('./_generated/api', () => ({
+  internal: { webhooks: { deliverWebhook: 'webhooks:deliverWebhook' } },
+}))
+
+const recordId = 'record1' as Id<'mockData'>
+
+const record = (fields: Partial<Doc<'mockData'>>) =>
+  ({
+    _id: recordId,
+    _creationTime: 0,
+    name: 'Alpha',
+    value: 1,
+    ...fields,
+  }) as Doc<'mockData'>
+
+describe('Convex History - snapshotOf', () => {
+  it('should keep only the tracked fields', () => {
+    expect(
+      snapshotOf(record({ description: 'First', revision: 3, deletedAt: 5 }))
+    ).toEqual({ name: 'Alpha', value: 1, description: 'First' })
+  })
+
+  it('should omit a missing description instead of storing undefined', () => {
+    expect(Object.keys(snapshotOf(record({})))).toEqual(['name', 'value'])
+  })
+})
+
+// A mutation context whose webhooks table holds the given subscriptions
+const fakeCtx = (webhooks: unknown[] = []) => {
+  const insert = vi.fn().mockResolvedValue('entry1')
+  const patch = vi.fn()
+  const runAfter = vi.fn()
+  // Every value falls in an existing valueStats bucket
+  const bucket = { _id: 'bucket1', count: 5, sum: 10 }
+  const query = () => ({
+    withIndex: () => ({ collect: async () => webhooks, unique: async () => bucket }),
+  })
+  const ctx = { db: { insert, patch, query }, scheduler: { runAfter } } as unknown as MutationCtx
+  return { ctx, insert, patch, runAfter }
+}
+
+describe('Convex History - recordHistory', () => {
+  it('should insert an entry and omit the absent sides', async () => {
+    const { ctx, insert } = fakeCtx()
+
+    await recordHistory(ctx, {
+      recordId,
+      action: 'create',
+      before: undefined,
+      after: { name: 'Alpha', value: 1 },
+      revision: 0,
+    })
+
+    expect(insert).toHaveBeenCalledWith('mockDataHistory', {
+      recordId,
+      action: 'create',
+      after: { name: 'Alpha', value: 1 },
+      revision: 0,
+    })
+    expect(insert).toHaveBeenCalledTimes(1)
+  })
+
+  it('should queue a webhook delivery for subscribers to the event', async () => {
+    const { ctx, insert, runAfter } = fakeCtx([
+      { _id: 'hook1', eventTypes: ['mockData.updated'] },
+      { _id: 'hook2', eventTypes: ['mockData.created'] },
+    ])
+
+    await recordHistory(ctx, {
+      recordId,
+      action: 'revert',
+      before: { name: 'Alpha', value: 1 },
+      after: { name: 'Alpha', value: 2 },
+      revision: 4,
+    })
+
+    expect(insert).toHaveBeenCalledTimes(2)
+    const [table, delivery] = insert.mock.calls[1]
+    expect(table).toBe('webhookDeliveries')
+    expect(delivery).toMatchObject({
+      webhookId: 'hook1',
+      eventType: 'mockData.updated',
+      status: 'pending',
+      attempts: 0,
+    })
+    expect(JSON.parse(delivery.payload)).toMatchObject({
+      id: 'entry1',
+      type: 'mockData.updated',
+      data: {
+        recordId,
+        revision: 4,
+        before: { name: 'Alpha', value: 1 },
+        after: { name: 'Alpha', value: 2 },
+      },
+    })
+    expect(runAfter).toHaveBeenCalledTimes(1)
+    expect(runAfter).toHaveBeenCalledWith(0, 'webhooks:deliverWebhook', { deliveryId: 'entry1' })
+  })
+})
+
+describe('Convex History - getRecordHistory', () => {
+  it('should be a public query taking the record id as a string', () => {
+    expect(getRecordHistory.isQuery).toBe(true)
+    expect(getRecordHistory.isPublic).toBe(true)
+    const args = argsOf(getRecordHistory)
+    expect(args.recordId.fieldType.type).toBe('string')
+  })
+
+  it('should keep the value statistics up to date', async () => {
+    const { ctx, patch } = fakeCtx()
+
+    await recordHistory(ctx, {
+      recordId,
+      action: 'update',
+      before: { name: 'Alpha', value: 1 },
+      after: { name: 'Alpha', value: 3 },
+      revision: 1,
+    })
+
+    expect(patch).toHaveBeenCalledWith('bucket1', { count: 4, sum: 9 })
+    expect(patch).toHaveBeenCalledWith('bucket1', { count: 6, sum: 13 })
+  })
+})
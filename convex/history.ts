@@ -0,0 +1,151 @@
+import { query, MutationCtx } from "./_generated/server";
+import { v, Infer } from "convex/values";
+import { Doc, Id } from "./_generated/dataModel";
+import { requireRole } from "./roles";
+import { dispatchWebhooks } from "./webhooks";
+import { updateValueStats } from "./stats";
+
+/**
+ * Convex History Functions
+ *
+ * Change history (audit trail) for mockData records. Every write made by
+ * the mutations in convex/functions.ts appends an entry to the
+ * mockDataHistory table with the record's name, value and description
+ * before and after the change.
+ *
+ * References:
+ * - Convex Mutation Functions: https://docs.convex.dev/functions/mutation-functions
+ *
+ * Client Usage:
+ * - Query: useQuery(api.history.getRecordHistory, { recordId })
+ * - Revert: useMutation(api.functions.revertMockData)
+ */
+
+/**
+ * The tracked fields of a mockData record at one point in time.
+ * Shared with the schema so history entries are validated on write.
+ */
+export const snapshotValidator = v.object({
+  name: v.string(),
+  value: v.number(),
+  description: v.optional(v.string()),
+});
+
+export type Snapshot = Infer<typeof snapshotValidator>;
+
+/**
+ * Kinds of change recorded in the history table.
+ */
+export const historyActionValidator = v.union(
+  v.literal("create"),
+  v.literal("update"),
+  v.literal("delete"),
+  v.literal("restore"),
+  v.literal("purge"),
+  v.literal("revert")
+);
+
+export type HistoryAction = Infer<typeof historyActionValidator>;
+
+/**
+ * Extract the tracked fields from a record. A missing description is left
+ * out rather than stored as undefined.
+ */
+export const snapshotOf = (doc: Doc<"mockData">): Snapshot => ({
+  name: doc.name,
+  value: doc.value,
+  ...(doc.description !== undefined ? { description: doc.description } : {}),
+});
+
+/**
+ * recordHistory - Helper (not a Convex function)
+ *
+ * Appends a history entry for a change to a mockData record. Call it from
+ * inside the mutation making the change so the entry commits atomically
+ * with the write itself. Every change passes through here, so this is also
+ * where webhook deliveries for the change are queued (dispatchWebhooks) and
+ * the value statistics are kept up to date (updateValueStats).
+ *
+ * @param ctx - The calling mutation's context
+ * @param entry.recordId - The record that changed
+ * @param entry.action - What kind of change it was
+ * @param entry.before - The record's tracked fields before the change (omit for create)
+ * @param entry.after - The record's tracked fields after the change (omit for purge)
+ * @param entry.revision - The record's revision after the change, if it still exists
+ * @param entry.changedBy - The user who made the change (omit for system jobs)
+ */
+export async function recordHistory(
+  ctx: MutationCtx,
+  entry: {
+    recordId: Id<"mockData">;
+    action: HistoryAction;
+    before?: Snapshot;
+    after?: Snapshot;
+    revision?: number;
+    changedBy?: Id<"users">;
+  }
+) {
+  // Convex documents can't hold undefined, so drop the fields not given
+  const fields = Object.fromEntries(
+    Object.entries(entry).filter(([, value]) => value !== undefined)
+  ) as typeof entry;
+  const id = await ctx.db.insert("mockDataHistory", fields);
+  const { recordId, action, revision, before, after } = entry;
+  await dispatchWebhooks(ctx, { id, action, recordId, revision, before, after });
+  await updateValueStats(ctx, { action, before, after });
+}
+
+/**
+ * getRecordHistory - Query Function
+ *
+ * Returns a record's change timeline, newest entry first, together with the
+ * record itself (null once it has been purged; history outlives the record).
+ * Each entry carries changedByName, the name of the user who made it.
+ * Used by the Record History page.
+ *
+ * The id is taken as a plain string so a malformed id from the URL yields
+ * null instead of an argument validation error.
+ *
+ * @param recordId - The mockData record id
+ * @returns Promise<{ record, entries } | null> - null if the id is not a mockData id
+ */
+export const getRecordHistory = query({
+  args: {
+    recordId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "viewer");
+
+    const recordId = ctx.db.normalizeId("mockData", args.recordId);
+    if (recordId === null) {
+      return null;
+    }
+
+    const record = await ctx.db.get(recordId);
+    const entries = await ctx.db
+      .query("mockDataHistory")
+      .withIndex("by_record", (q) => q.eq("recordId", recordId))
+      .order("desc")
+      .collect();
+
+    if (record === null && entries.length === 0) {
+      return null;
+    }
+
+    // Resolve each distinct author once
+    const names = new Map<Id<"users">, string | undefined>();
+    for (const { changedBy } of entries) {
+      if (changedBy !== undefined && !names.has(changedBy)) {
+        names.set(changedBy, (await ctx.db.get(changedBy))?.name);
+      }
+    }
+    return {
+      record,
+      entries: entries.map((entry) => {
+        const changedByName =
+          entry.changedBy === undefined ? undefined : names.get(entry.changedBy);
+        return changedByName === undefined ? entry : { ...entry, changedByName };
+      }),
+    };
+  },
+});
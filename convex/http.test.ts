@@ -0,0 +1,337 @@
+/**
+ * Convex HTTP Routes Tests
+ *
+ * Unit tests for the REST API routes and the internal functions behind them,
+ * including requests sent through the routes to the internal functions on an
+ * in-memory database: token checks, body validation and error statuses.
+ *
+ * References:
+ * - Convex HTTP Actions: https://docs.convex.dev/functions/http-actions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { ConvexError } from 'convex/values'
+import http from './http'
+import { listRecords, getRecord, createRecord, patchRecord, deleteRecord } from './httpApi'
+import { hashToken } from './apiTokens'
+import { fakeCtx, run } from './test.utils'
+
+// The routes call the internal functions by reference, and writes queue
+// webhooks the same way
+vi.mock('./_generated/api', () => ({
+  internal: {
+    httpApi: {
+      listRecords: 'httpApi:listRecords',
+      getRecord: 'httpApi:getRecord',
+      createRecord: 'httpApi:createRecord',
+      patchRecord: 'httpApi:patchRecord',
+      deleteRecord: 'httpApi:deleteRecord',
+    },
+    webhooks: { deliverWebhook: 'webhooks:deliverWebhook' },
+  },
+}))
+
+const functionsByReference: Record<string, unknown> = {
+  'httpApi:listRecords': listRecords,
+  'httpApi:getRecord': getRecord,
+  'httpApi:createRecord': createRecord,
+  'httpApi:patchRecord': patchRecord,
+  'httpApi:deleteRecord': deleteRecord,
+}
+
+// Ana (users:1) is an admin and created the tokens mdk_viewer, mdk_editor and
+// mdk_admin with those roles; Alpha (mockData:3) is at revision 1
+const setup = async () => {
+  const fake = fakeCtx({
+    users: [{ name: 'Ana', passwordHash: '', passwordSalt: '' }],
+    roles: [{ userId: 'users:1', role: 'admin' }],
+    mockData: [{ name: 'Alpha', value: 1, revision: 1 }],
+  })
+  for (const role of ['viewer', 'editor', 'admin']) {
+    await fake.db.insert('apiTokens', {
+      name: role,
+      tokenHash: await hashToken(`mdk_${role}`),
+      prefix: role,
+      role,
+      createdBy: 'users:1',
+    })
+  }
+  return fake
+}
+
+// Sends a request through its route, running the internal functions it calls
+// against `fake`'s database; `body` is sent as is
+const send = async (
+  fake: Awaited<ReturnType<typeof setup>>,
+  method: 'GET' | 'POST' | 'PATCH' | 'DELETE',
+  path: string,
+  { token, body }: { token?: string; body?: string } = {}
+) => {
+  const [route] = http.lookup(path, method)!
+  const call = (reference: unknown, args: unknown) =>
+    run(functionsByReference[reference as string], fake.ctx, args)
+  const response: Response = await run(
+    route,
+    { runQuery: call, runMutation: call },
+    new Request(`https://example.test${path}`, {
+      method,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body,
+    })
+  )
+  return {
+    status: response.status,
+    body: response.status === 204 ? null : await response.json(),
+  }
+}
+
+describe('Convex HTTP Routes - /api/mockData', () => {
+  it('should route list and create requests on the collection path', () => {
+    expect(http.lookup('/api/mockData', 'GET')).not.toBeNull()
+    expect(http.lookup('/api/mockData', 'POST')).not.toBeNull()
+  })
+
+  it('should route get, patch and delete requests for a single record', () => {
+    for (const method of ['GET', 'PATCH', 'DELETE'] as const) {
+      expect(http.lookup('/api/mockData/abc123', method)).not.toBeNull()
+    }
+  })
+
+  it('should not route unsupported methods', () => {
+    expect(http.lookup('/api/mockData', 'DELETE')).toBeNull()
+    expect(http.lookup('/api/mockData/abc123', 'POST')).toBeNull()
+  })
+})
+
+describe('Convex HTTP Routes - internal functions', () => {
+  it('should keep the API functions internal', () => {
+    expect(listRecords.isQuery).toBe(true)
+    expect(getRecord.isQuery).toBe(true)
+    for (const fn of [createRecord, patchRecord, deleteRecord]) {
+      expect(fn.isMutation).toBe(true)
+    }
+    for (const fn of [listRecords, getRecord, createRecord, patchRecord, deleteRecord]) {
+      expect(fn.isInternal).toBe(true)
+    }
+  })
+})
+
+describe('Convex HTTP Routes - GET /api/mockData cursor', () => {
+  const [listRoute] = http.lookup('/api/mockData', 'GET')!
+
+  // Sends a list request whose listRecords call is answered by `runQuery`
+  const list = async (query: string, runQuery: (...args: unknown[]) => Promise<unknown>) => {
+    const ctx = { runQuery: vi.fn(runQuery) }
+    const response: Response = await run(
+      listRoute,
+      ctx,
+      new Request(`https://example.test/api/mockData${query}`, {
+        headers: { Authorization: 'Bearer mdk_test' },
+      })
+    )
+    return { ctx, status: response.status, body: await response.json() }
+  }
+
+  it('should answer a bad cursor with 400 and a structured error', async () => {
+    const { status, body } = await list('?cursor=bogus', async () => {
+      throw new ConvexError({ code: 'INVALID_CURSOR', message: 'The cursor is invalid.' })
+    })
+
+    expect(status).toBe(400)
+    expect(body).toEqual({ error: { code: 'INVALID_CURSOR', message: 'The cursor is invalid.' } })
+  })
+
+  it('should treat an empty cursor as the first page', async () => {
+    const { ctx, status } = await list('?cursor=', async () => ({
+      page: [],
+      isDone: true,
+      continueCursor: '',
+    }))
+
+    expect(status).toBe(200)
+    expect(ctx.runQuery.mock.calls[0][1]).toMatchObject({
+      paginationOpts: { numItems: 50, cursor: null },
+    })
+  })
+
+  it('should reject a cursor from elsewhere in listRecords', async () => {
+    const { ctx } = fakeCtx({
+      users: [{ name: 'Ana', passwordHash: '', passwordSalt: '' }],
+      roles: [{ userId: 'users:1', role: 'viewer' }],
+      apiTokens: [
+        {
+          name: 'job',
+          tokenHash: 'hash',
+          prefix: 'abcdefgh',
+          role: 'viewer',
+          createdBy: 'users:1',
+        },
+      ],
+    })
+
+    const error = await run(listRecords, ctx, {
+      tokenHash: 'hash',
+      paginationOpts: { numItems: 10, cursor: 'bogus' },
+    }).catch((e) => e)
+
+    expect(error).toBeInstanceOf(ConvexError)
+    expect(error.data.code).toBe('INVALID_CURSOR')
+  })
+})
+
+describe('Convex HTTP Routes - tokens', () => {
+  it('should answer 401 without a token or with an unknown or revoked one', async () => {
+    const fake = await setup()
+    await fake.db.patch('apiTokens:4', { revokedAt: 1 })
+    const body = JSON.stringify({ name: 'Beta', value: 2 })
+
+    for (const token of [undefined, 'mdk_unknown', 'mdk_viewer']) {
+      const response = await send(fake, 'POST', '/api/mockData', { token, body })
+      expect(response.status).toBe(401)
+      expect(response.body.error.code).toBe('UNAUTHENTICATED')
+    }
+  })
+
+  it('should create, update and delete only with a token of the required role', async () => {
+    const fake = await setup()
+    const body = JSON.stringify({ name: 'Beta', value: 2 })
+    const alpha = '/api/mockData/mockData:3'
+
+    expect((await send(fake, 'POST', '/api/mockData', { token: 'mdk_viewer', body })).status).toBe(
+      403
+    )
+    expect((await send(fake, 'PATCH', alpha, { token: 'mdk_viewer', body })).status).toBe(403)
+    expect((await send(fake, 'DELETE', alpha, { token: 'mdk_editor' })).body).toMatchObject({
+      error: { code: 'FORBIDDEN' },
+    })
+    expect(fake.all('mockData')).toHaveLength(1)
+
+    const created = await send(fake, 'POST', '/api/mockData', { token: 'mdk_editor', body })
+    expect(created).toMatchObject({ status: 201, body: { name: 'Beta', value: 2, revision: 0 } })
+    // The token acts as the admin who created it
+    expect(await fake.db.get(created.body._id)).toMatchObject({ createdBy: 'users:1' })
+
+    const patched = await send(fake, 'PATCH', alpha, {
+      token: 'mdk_editor',
+      body: JSON.stringify({ value: 5 }),
+    })
+    expect(patched).toMatchObject({ status: 200, body: { name: 'Alpha', value: 5, revision: 2 } })
+
+    expect((await send(fake, 'DELETE', alpha, { token: 'mdk_admin' })).status).toBe(204)
+    expect((await fake.db.get('mockData:3'))?.deletedAt).toBeDefined()
+  })
+
+  it("should cap a token at its creator's current role", async () => {
+    const fake = await setup()
+    await fake.db.patch('roles:2', { role: 'editor' })
+
+    const response = await send(fake, 'DELETE', '/api/mockData/mockData:3', { token: 'mdk_admin' })
+
+    expect(response.status).toBe(403)
+    expect((await fake.db.get('mockData:3'))?.deletedAt).toBeUndefined()
+  })
+})
+
+describe('Convex HTTP Routes - request bodies', () => {
+  it('should answer a body that is not JSON with 400', async () => {
+    const fake = await setup()
+
+    for (const [method, path] of [
+      ['POST', '/api/mockData'],
+      ['PATCH', '/api/mockData/mockData:3'],
+    ] as const) {
+      const response = await send(fake, method, path, { token: 'mdk_editor', body: '{name:' })
+      expect(response).toEqual({
+        status: 400,
+        body: { error: { code: 'INVALID_JSON', message: 'The request body is not valid JSON.' } },
+      })
+    }
+  })
+
+  it('should answer 422 listing every field of the wrong type', async () => {
+    const fake = await setup()
+
+    const created = await send(fake, 'POST', '/api/mockData', {
+      token: 'mdk_editor',
+      body: JSON.stringify({ name: 5, value: '1', description: null, color: 'red' }),
+    })
+    expect(created.status).toBe(422)
+    expect(created.body.error.fields.map(({ field }: { field: string }) => field)).toEqual([
+      'color',
+      'name',
+      'value',
+      'description',
+    ])
+
+    const patched = await send(fake, 'PATCH', '/api/mockData/mockData:3', {
+      token: 'mdk_editor',
+      body: JSON.stringify({ expectedRevision: -1 }),
+    })
+    expect(patched.status).toBe(422)
+    expect(patched.body.error.fields).toEqual([
+      { field: 'expectedRevision', message: 'Expected revision must be a non-negative integer.' },
+    ])
+    expect(fake.all('mockData')).toHaveLength(1)
+  })
+})
+
+describe('Convex HTTP Routes - error statuses', () => {
+  it('should answer a stale expectedRevision with 409 and the current record', async () => {
+    const fake = await setup()
+
+    const response = await send(fake, 'PATCH', '/api/mockData/mockData:3', {
+      token: 'mdk_editor',
+      body: JSON.stringify({ value: 5, expectedRevision: 0 }),
+    })
+
+    expect(response.status).toBe(409)
+    expect(response.body.error).toMatchObject({
+      code: 'CONFLICT',
+      current: { name: 'Alpha', value: 1, revision: 1 },
+    })
+  })
+
+  it('should answer an unknown or trashed record with 404', async () => {
+    const fake = await setup()
+    await fake.db.insert('mockData', { name: 'Old', value: 2, deletedAt: 1 }) // mockData:7
+    const body = JSON.stringify({ value: 5 })
+
+    for (const id of ['mockData:99', 'not-an-id', 'mockData:7']) {
+      const path = `/api/mockData/${id}`
+      expect((await send(fake, 'GET', path, { token: 'mdk_viewer' })).status).toBe(404)
+      expect((await send(fake, 'PATCH', path, { token: 'mdk_editor', body })).status).toBe(404)
+      expect((await send(fake, 'DELETE', path, { token: 'mdk_admin' })).status).toBe(404)
+    }
+  })
+
+  it('should answer a rule the mutation enforces with 422', async () => {
+    const fake = await setup()
+
+    const response = await send(fake, 'POST', '/api/mockData', {
+      token: 'mdk_editor',
+      body: JSON.stringify({ name: 'Alpha', value: 2 }),
+    })
+
+    expect(response.status).toBe(422)
+    expect(response.body.error).toMatchObject({
+      code: 'VALIDATION_FAILED',
+      message: 'A record named "Alpha" already exists.',
+    })
+  })
+
+  it('should answer a record being edited by someone else with 423', async () => {
+    const fake = await setup()
+    const ben = await fake.db.insert('users', { name: 'Ben', passwordHash: '', passwordSalt: '' })
+    await fake.db.insert('editLeases', {
+      recordId: 'mockData:3',
+      userId: ben,
+      expiresAt: Date.now() + 60_000,
+    })
+
+    const response = await send(fake, 'DELETE', '/api/mockData/mockData:3', { token: 'mdk_admin' })
+
+    expect(response.status).toBe(423)
+    expect(response.body.error).toMatchObject({ code: 'LOCKED', holder: 'Ben' })
+  })
+})
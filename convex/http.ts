@@ -0,0 +1,339 @@
+import { httpRouter } from "convex/server";
+import { ConvexError } from "convex/values";
+import { httpAction, ActionCtx } from "./_generated/server";
+import { internal } from "./_generated/api";
+import { Doc } from "./_generated/dataModel";
+import { hashToken } from "./apiTokens";
+import { validateRecordFields, RecordInput } from "./validation";
+
+/**
+ * Convex HTTP Routes - REST API for mockData
+ *
+ * JSON endpoints for scripts and services that don't use the React client.
+ * They are served on the HTTP actions port (3211 in docker-compose.yml,
+ * i.e. CONVEX_SITE_URL), not the client port.
+ *
+ * References:
+ * - Convex HTTP Actions: https://docs.convex.dev/functions/http-actions
+ *
+ * Endpoints:
+ * - GET    /api/mockData?limit=50&cursor=...  List live records, oldest first
+ * - GET    /api/mockData/:id                  Get one record
+ * - POST   /api/mockData                      Create a record
+ * - PATCH  /api/mockData/:id                  Change some of a record's fields
+ * - DELETE /api/mockData/:id                  Move a record to the trash
+ *
+ * Authentication:
+ * Every request needs `Authorization: Bearer <token>` with a token created
+ * on the Admin page (see convex/apiTokens.ts). Listing and reading need a
+ * viewer token, creating and updating an editor token, deleting an admin one.
+ *
+ * Request bodies (POST, PATCH):
+ * - name: Non-empty text (required for POST)
+ * - value: A finite number (required for POST)
+ * - description: Text; in a PATCH, null removes it
+ * - expectedRevision (PATCH only): Reject the change with 409 if the record
+ *   is no longer at this revision
+ *
+ * Responses:
+ * - Records: { _id, name, value, description?, revision, _creationTime }
+ *   with _creationTime as an ISO 8601 timestamp
+ * - Errors: { error: { code, message, fields?, current? } }, where fields
+ *   lists { field, message } for each invalid field of a 422 response and
+ *   current holds the record's latest fields and revision in a 409 response
+ *
+ * Status codes: 200 OK, 201 Created, 204 No Content (DELETE), 400 invalid
+ * JSON or list cursor, 401 missing/invalid token, 403 token role too low, 404 record not
+ * found, 409 revision conflict, 422 validation failed, 423 record is being
+ * edited on the Update page (see convex/leases.ts), 500 unexpected error.
+ */
+
+/**
+ * Default and maximum page size for GET /api/mockData.
+ */
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * HTTP status for each ConvexError code the internal functions throw.
+ */
+const STATUS_BY_CODE: Record<string, number> = {
+  INVALID_CURSOR: 400,
+  UNAUTHENTICATED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  VALIDATION_FAILED: 422,
+  LOCKED: 423,
+};
+
+type FieldError = { field: string; message: string };
+
+const json = (status: number, body: unknown) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+const errorResponse = (
+  status: number,
+  code: string,
+  message: string,
+  fields?: FieldError[]
+) => json(status, { error: { code, message, ...(fields ? { fields } : {}) } });
+
+const validationError = (fields: FieldError[]) =>
+  errorResponse(422, "VALIDATION_FAILED", "The request is invalid.", fields);
+
+/**
+ * A record as returned by the API.
+ */
+const toApiRecord = (doc: Doc<"mockData">) => ({
+  _id: doc._id,
+  name: doc.name,
+  value: doc.value,
+  ...(doc.description !== undefined ? { description: doc.description } : {}),
+  revision: doc.revision ?? 0,
+  _creationTime: new Date(doc._creationTime).toISOString(),
+});
+
+// The :id segment of /api/mockData/:id; a malformed one simply won't match a record
+const recordIdOf = (request: Request) => {
+  const segment = new URL(request.url).pathname.slice("/api/mockData/".length);
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+/**
+ * Check a POST or PATCH body. Returns the cleaned fields, or the problems
+ * found. POST requires name and value; PATCH requires at least one field.
+ * Well-typed fields are also checked against the record rules in
+ * convex/validation.ts, so one response lists every problem; name
+ * uniqueness is left to the mutation.
+ */
+function parseRecordBody(
+  body: unknown,
+  isPatch: boolean
+):
+  | { fields: Record<string, string | number | null>; errors: null }
+  | { fields: null; errors: FieldError[] } {
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    return {
+      fields: null,
+      errors: [{ field: "body", message: "The body must be a JSON object." }],
+    };
+  }
+
+  const allowed = ["name", "value", "description", ...(isPatch ? ["expectedRevision"] : [])];
+  const input = body as Record<string, unknown>;
+  const errors: FieldError[] = [];
+  const fields: Record<string, string | number | null> = {};
+
+  for (const field of Object.keys(input)) {
+    if (!allowed.includes(field)) {
+      errors.push({ field, message: "Unknown field." });
+    }
+  }
+
+  if (input.name !== undefined || !isPatch) {
+    if (typeof input.name !== "string" || input.name.trim() === "") {
+      errors.push({ field: "name", message: "Name must be non-empty text." });
+    } else {
+      fields.name = input.name.trim();
+    }
+  }
+  if (input.value !== undefined || !isPatch) {
+    if (typeof input.value !== "number" || !Number.isFinite(input.value)) {
+      errors.push({ field: "value", message: "Value must be a finite number." });
+    } else {
+      fields.value = input.value;
+    }
+  }
+  if (input.description !== undefined) {
+    if (typeof input.description === "string") {
+      fields.description = input.description;
+    } else if (input.description === null && isPatch) {
+      fields.description = null;
+    } else {
+      errors.push({
+        field: "description",
+        message: isPatch ? "Description must be text or null." : "Description must be text.",
+      });
+    }
+  }
+  if (input.expectedRevision !== undefined) {
+    if (!Number.isInteger(input.expectedRevision) || (input.expectedRevision as number) < 0) {
+      errors.push({
+        field: "expectedRevision",
+        message: "Expected revision must be a non-negative integer.",
+      });
+    } else {
+      fields.expectedRevision = input.expectedRevision as number;
+    }
+  }
+
+  for (const { field, message } of validateRecordFields(fields as RecordInput)) {
+    errors.push({ field, message });
+  }
+
+  if (errors.length === 0 && isPatch && !["name", "value", "description"].some((f) => f in fields)) {
+    errors.push({ field: "body", message: "Provide at least one of name, value or description." });
+  }
+  return errors.length > 0 ? { fields: null, errors } : { fields, errors: null };
+}
+
+/**
+ * Wrap an endpoint: authenticates the bearer token (passing its hash to the
+ * handler) and turns thrown errors into JSON error responses.
+ */
+const endpoint = (
+  handler: (ctx: ActionCtx, request: Request, tokenHash: string) => Promise<Response>
+) =>
+  httpAction(async (ctx, request) => {
+    const match = /^Bearer\s+(\S+)$/.exec(request.headers.get("Authorization") ?? "");
+    if (!match) {
+      return errorResponse(
+        401,
+        "UNAUTHENTICATED",
+        "Send an API token in the Authorization header: Bearer <token>."
+      );
+    }
+    try {
+      return await handler(ctx, request, await hashToken(match[1]));
+    } catch (error) {
+      if (error instanceof ConvexError) {
+        // Extra data (such as a conflict's current record) is passed through
+        const { code, message, ...details } = error.data as {
+          code: string;
+          message: string;
+        };
+        return json(STATUS_BY_CODE[code] ?? 400, {
+          error: { code, message, ...details },
+        });
+      }
+      console.error("REST API request failed", error);
+      return errorResponse(500, "INTERNAL_ERROR", "The request could not be completed.");
+    }
+  });
+
+// Read a JSON body, or null if it isn't valid JSON
+const readJson = async (request: Request): Promise<{ body: unknown } | null> => {
+  try {
+    return { body: await request.json() };
+  } catch {
+    return null;
+  }
+};
+
+const invalidJson = () =>
+  errorResponse(400, "INVALID_JSON", "The request body is not valid JSON.");
+
+const recordNotFound = () => errorResponse(404, "NOT_FOUND", "Record not found.");
+
+const http = httpRouter();
+
+http.route({
+  path: "/api/mockData",
+  method: "GET",
+  handler: endpoint(async (ctx, request, tokenHash) => {
+    const params = new URL(request.url).searchParams;
+    const rawLimit = params.get("limit");
+    const limit = rawLimit === null ? DEFAULT_LIST_LIMIT : Number(rawLimit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+      return validationError([
+        { field: "limit", message: `Limit must be an integer from 1 to ${MAX_LIST_LIMIT}.` },
+      ]);
+    }
+
+    const result = await ctx.runQuery(internal.httpApi.listRecords, {
+      tokenHash,
+      // An empty cursor (`?cursor=`) starts from the beginning, like none
+      paginationOpts: { numItems: limit, cursor: params.get("cursor") || null },
+    });
+    return json(200, {
+      records: result.page.map(toApiRecord),
+      nextCursor: result.isDone ? null : result.continueCursor,
+    });
+  }),
+});
+
+http.route({
+  pathPrefix: "/api/mockData/",
+  method: "GET",
+  handler: endpoint(async (ctx, request, tokenHash) => {
+    const record = await ctx.runQuery(internal.httpApi.getRecord, {
+      tokenHash,
+      id: recordIdOf(request),
+    });
+    return record === null ? recordNotFound() : json(200, toApiRecord(record));
+  }),
+});
+
+http.route({
+  path: "/api/mockData",
+  method: "POST",
+  handler: endpoint(async (ctx, request, tokenHash) => {
+    const parsed = await readJson(request);
+    if (parsed === null) {
+      return invalidJson();
+    }
+    const { fields, errors } = parseRecordBody(parsed.body, false);
+    if (errors) {
+      return validationError(errors);
+    }
+
+    const record = await ctx.runMutation(internal.httpApi.createRecord, {
+      tokenHash,
+      name: fields.name as string,
+      value: fields.value as number,
+      ...(fields.description !== undefined
+        ? { description: fields.description as string }
+        : {}),
+    });
+    return json(201, toApiRecord(record!));
+  }),
+});
+
+http.route({
+  pathPrefix: "/api/mockData/",
+  method: "PATCH",
+  handler: endpoint(async (ctx, request, tokenHash) => {
+    const parsed = await readJson(request);
+    if (parsed === null) {
+      return invalidJson();
+    }
+    const { fields, errors } = parseRecordBody(parsed.body, true);
+    if (errors) {
+      return validationError(errors);
+    }
+
+    const record = await ctx.runMutation(internal.httpApi.patchRecord, {
+      tokenHash,
+      id: recordIdOf(request),
+      ...(fields as {
+        name?: string;
+        value?: number;
+        description?: string | null;
+        expectedRevision?: number;
+      }),
+    });
+    return json(200, toApiRecord(record!));
+  }),
+});
+
+http.route({
+  pathPrefix: "/api/mockData/",
+  method: "DELETE",
+  handler: endpoint(async (ctx, request, tokenHash) => {
+    await ctx.runMutation(internal.httpApi.deleteRecord, {
+      tokenHash,
+      id: recordIdOf(request),
+    });
+    return new Response(null, { status: 204 });
+  }),
+});
+
+export default http;
@@ -0,0 +1,152 @@
+import { internalQuery, internalMutation, QueryCtx } from "./_generated/server";
+import { v, ConvexError } from "convex/values";
+import { paginationOptsValidator } from "convex/server";
+import { Id } from "./_generated/dataModel";
+import { requireApiToken } from "./apiTokens";
+import { insertRecord, updateRecord, trashRecord } from "./functions";
+
+/**
+ * Convex REST API Functions
+ *
+ * Internal queries and mutations behind the HTTP endpoints in convex/http.ts.
+ * HTTP actions can't read the database themselves, so each endpoint calls
+ * one of these. Every function takes the hash of the request's bearer token
+ * and checks it with requireApiToken in the same transaction as the read or
+ * write. Writes go through the same helpers as the public mutations in
+ * convex/functions.ts, so revisions and history behave identically.
+ *
+ * Required token roles:
+ * - listRecords, getRecord: viewer
+ * - createRecord, patchRecord: editor
+ * - deleteRecord: admin
+ */
+
+// A live record by its ID as given in the URL, or null if there is none
+async function getLiveRecord(ctx: QueryCtx, rawId: string) {
+  const id = ctx.db.normalizeId("mockData", rawId);
+  const record = id ? await ctx.db.get(id) : null;
+  return record === null || record.deletedAt !== undefined ? null : record;
+}
+
+const notFound = () =>
+  new ConvexError({ code: "NOT_FOUND", message: "Record not found." });
+
+/**
+ * listRecords - Internal Query Function
+ *
+ * One page of live records, oldest first. A cursor that doesn't come from
+ * this listing (mistyped, or from another deployment) fails with code
+ * "INVALID_CURSOR" instead of an internal error.
+ */
+export const listRecords = internalQuery({
+  args: {
+    tokenHash: v.string(),
+    paginationOpts: paginationOptsValidator,
+  },
+  handler: async (ctx, args) => {
+    await requireApiToken(ctx, args.tokenHash, "viewer");
+    try {
+      return await ctx.db
+        .query("mockData")
+        .withIndex("by_deletedAt", (q) => q.eq("deletedAt", undefined))
+        .paginate(args.paginationOpts);
+    } catch {
+      throw new ConvexError({
+        code: "INVALID_CURSOR",
+        message:
+          "The cursor is invalid. Use the nextCursor of a previous response, or leave it out to start from the beginning.",
+      });
+    }
+  },
+});
+
+/**
+ * getRecord - Internal Query Function
+ *
+ * A live record, or null for unknown, malformed or trashed IDs.
+ */
+export const getRecord = internalQuery({
+  args: {
+    tokenHash: v.string(),
+    id: v.string(),
+  },
+  handler: async (ctx, args) => {
+    await requireApiToken(ctx, args.tokenHash, "viewer");
+    return await getLiveRecord(ctx, args.id);
+  },
+});
+
+/**
+ * createRecord - Internal Mutation Function
+ *
+ * Inserts a record and returns it.
+ */
+export const createRecord = internalMutation({
+  args: {
+    tokenHash: v.string(),
+    name: v.string(),
+    value: v.number(),
+    description: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const { tokenHash, ...fields } = args;
+    const { userId } = await requireApiToken(ctx, tokenHash, "editor");
+    const id: Id<"mockData"> = await insertRecord(ctx, fields, userId);
+    return await ctx.db.get(id);
+  },
+});
+
+/**
+ * patchRecord - Internal Mutation Function
+ *
+ * Changes some of a record's fields and returns the updated record. With
+ * expectedRevision the update fails with a CONFLICT error if the record has
+ * changed since; without it the update applies to the latest revision.
+ */
+export const patchRecord = internalMutation({
+  args: {
+    tokenHash: v.string(),
+    id: v.string(),
+    name: v.optional(v.string()),
+    value: v.optional(v.number()),
+    description: v.optional(v.union(v.string(), v.null())),
+    expectedRevision: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    const { tokenHash, id: rawId, expectedRevision, ...changes } = args;
+    const { userId } = await requireApiToken(ctx, tokenHash, "editor");
+    const existing = await getLiveRecord(ctx, rawId);
+    if (existing === null) {
+      throw notFound();
+    }
+    await updateRecord(
+      ctx,
+      existing._id,
+      changes,
+      expectedRevision ?? existing.revision ?? 0,
+      userId
+    );
+    return await ctx.db.get(existing._id);
+  },
+});
+
+/**
+ * deleteRecord - Internal Mutation Function
+ *
+ * Moves a record to the trash, like deleteMockData.
+ */
+export const deleteRecord = internalMutation({
+  args: {
+    tokenHash: v.string(),
+    id: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const { userId } = await requireApiToken(ctx, args.tokenHash, "admin");
+    const existing = await getLiveRecord(ctx, args.id);
+    if (existing === null) {
+      throw notFound();
+    }
+    await trashRecord(ctx, existing._id, userId);
+    return null;
+  },
+});
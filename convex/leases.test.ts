@@ -0,0 +1,247 @@
+/**
+ * Convex Edit Lease Tests
+ *
+ * Unit tests for the edit lease functions and the lock check used by
+ * updateRecord and trashRecord, including who may acquire, release and
+ * break a lease.
+ *
+ * References:
+ * - Convex Functions Docs: https://docs.convex.dev/functions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { ConvexError } from 'convex/values'
+import { errorOf, fakeCtx, run } from './test.utils'
+import {
+  acquireLease,
+  releaseLease,
+  breakLease,
+  listLeases,
+  removeExpiredLeases,
+  requireNoOtherLease,
+} from './leases'
+import { deleteMockData } from './functions'
+
+// Deleting records history, which queues webhooks by function reference
+vi.mock('./_generated/api', () => ({
+  internal: { webhooks: { deliverWebhook: 'webhooks:deliverWebhook' } },
+}))
+
+// Ana (users:1) and Ben (users:2) are editors, Cy (users:3) an admin;
+// Alpha (mockData:7) is a live record and Old (mockData:8) a trashed one.
+// `lease` is the lease on Alpha, if any (editLeases:9).
+const setup = (lease?: Record<string, unknown>) =>
+  fakeCtx({
+    users: [
+      { name: 'Ana', passwordHash: '', passwordSalt: '' },
+      { name: 'Ben', passwordHash: '', passwordSalt: '' },
+      { name: 'Cy', passwordHash: '', passwordSalt: '' },
+    ],
+    roles: [
+      { userId: 'users:1', role: 'editor' },
+      { userId: 'users:2', role: 'editor' },
+      { userId: 'users:3', role: 'admin' },
+    ],
+    mockData: [
+      { name: 'Alpha', value: 1 },
+      { name: 'Old', value: 2, deletedAt: 1 },
+    ],
+    editLeases: lease ? [{ recordId: 'mockData:7', ...lease }] : [],
+  })
+
+describe('Convex Edit Leases - function types', () => {
+  it('should expose acquiring, releasing and breaking as public mutations', () => {
+    for (const fn of [acquireLease, releaseLease, breakLease]) {
+      expect(fn.isMutation).toBe(true)
+      expect(fn.isPublic).toBe(true)
+    }
+  })
+
+  it('should expose listLeases as a public query', () => {
+    expect(listLeases.isQuery).toBe(true)
+    expect(listLeases.isPublic).toBe(true)
+  })
+
+  it('should keep the cleanup internal', () => {
+    expect(removeExpiredLeases.isMutation).toBe(true)
+    expect(removeExpiredLeases.isInternal).toBe(true)
+  })
+})
+
+describe('Convex Edit Leases - requireNoOtherLease', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const lease = { userId: 'users:1', expiresAt: 2_000 }
+
+  it('should allow writes to records nobody has leased', async () => {
+    const { ctx } = setup()
+
+    await expect(
+      requireNoOtherLease(ctx, 'mockData:7' as never, 'users:2' as never)
+    ).resolves.toBeUndefined()
+  })
+
+  it('should allow the lease holder to write', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(1_000)
+    const { ctx } = setup(lease)
+
+    await expect(
+      requireNoOtherLease(ctx, 'mockData:7' as never, 'users:1' as never)
+    ).resolves.toBeUndefined()
+  })
+
+  it('should refuse other users while the lease is active', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(1_000)
+    const { ctx } = setup(lease)
+
+    const error = await requireNoOtherLease(
+      ctx,
+      'mockData:7' as never,
+      'users:2' as never
+    ).catch((e) => e)
+
+    expect(error).toBeInstanceOf(ConvexError)
+    expect(error.data).toMatchObject({
+      code: 'LOCKED',
+      message: 'Ana is editing this record.',
+      holder: 'Ana',
+      expiresAt: 2_000,
+    })
+  })
+
+  it('should ignore an expired lease', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(2_000)
+    const { ctx } = setup(lease)
+
+    await expect(
+      requireNoOtherLease(ctx, 'mockData:7' as never, 'users:2' as never)
+    ).resolves.toBeUndefined()
+  })
+})
+
+describe('Convex Edit Leases - ownership', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const now = 10_000
+  const heldByAna = { userId: 'users:1', expiresAt: now + 30_000 }
+
+  it('should grant a free record and renew the holder\'s lease', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(now)
+    const { as, all } = setup()
+
+    await run(acquireLease, as('users:1'), { recordId: 'mockData:7' })
+    vi.setSystemTime(now + 5_000)
+    const renewed = await run(acquireLease, as('users:1'), { recordId: 'mockData:7' })
+
+    expect(all('editLeases')).toEqual([
+      expect.objectContaining({
+        recordId: 'mockData:7',
+        userId: 'users:1',
+        expiresAt: renewed.expiresAt,
+      }),
+    ])
+    expect(renewed.expiresAt).toBeGreaterThan(now + 5_000)
+  })
+
+  it('should refuse another editor while the lease is active', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(now)
+    const { as, db } = setup(heldByAna)
+
+    expect(
+      await errorOf(run(acquireLease, as('users:2'), { recordId: 'mockData:7' }))
+    ).toMatchObject({
+      code: 'LOCKED',
+      holder: 'Ana',
+    })
+    expect(await db.get('editLeases:9')).toMatchObject({ userId: 'users:1' })
+  })
+
+  it('should let another editor take over an expired lease', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(now + 60_000)
+    const { as, db } = setup(heldByAna)
+
+    await run(acquireLease, as('users:2'), { recordId: 'mockData:7' })
+
+    expect(await db.get('editLeases:9')).toMatchObject({ userId: 'users:2' })
+  })
+
+  it('should not lease trashed records or let viewers lease', async () => {
+    const { as, db } = setup()
+    await db.patch('roles:5', { role: 'viewer' })
+
+    expect(
+      await errorOf(run(acquireLease, as('users:1'), { recordId: 'mockData:8' }))
+    ).toMatchObject({
+      code: 'NOT_FOUND',
+    })
+    expect(
+      await errorOf(run(acquireLease, as('users:2'), { recordId: 'mockData:7' }))
+    ).toMatchObject({
+      code: 'FORBIDDEN',
+    })
+  })
+
+  it('should only release the caller\'s own lease', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(now)
+    const { as, all } = setup(heldByAna)
+
+    await run(releaseLease, as('users:2'), { recordId: 'mockData:7' })
+    expect(all('editLeases')).toHaveLength(1)
+
+    await run(releaseLease, as('users:1'), { recordId: 'mockData:7' })
+    expect(all('editLeases')).toEqual([])
+  })
+
+  it('should only let admins break a lease', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(now)
+    const { as, db } = setup(heldByAna)
+
+    expect(
+      await errorOf(run(breakLease, as('users:2'), { recordId: 'mockData:7' }))
+    ).toMatchObject({
+      code: 'FORBIDDEN',
+    })
+    await run(breakLease, as('users:3'), { recordId: 'mockData:7' })
+
+    expect(await db.get('editLeases:9')).toMatchObject({ userId: 'users:3' })
+    // Ana's next renewal finds the lease taken
+    expect(
+      await errorOf(run(acquireLease, as('users:1'), { recordId: 'mockData:7' }))
+    ).toMatchObject({
+      code: 'LOCKED',
+      holder: 'Cy',
+    })
+  })
+
+  it('should not let an admin delete a record another user is editing', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(now)
+    const { as, db } = setup(heldByAna)
+
+    expect(
+      await errorOf(run(deleteMockData, as('users:3'), { id: 'mockData:7' }))
+    ).toMatchObject({
+      code: 'LOCKED',
+      holder: 'Ana',
+    })
+    expect((await db.get('mockData:7'))?.deletedAt).toBeUndefined()
+
+    // Once the admin breaks the lease, the record can go to the trash
+    await run(breakLease, as('users:3'), { recordId: 'mockData:7' })
+    await run(deleteMockData, as('users:3'), { id: 'mockData:7' })
+    expect((await db.get('mockData:7'))?.deletedAt).toBe(now)
+  })
+})
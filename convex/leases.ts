@@ -0,0 +1,263 @@
+import {
+  query,
+  mutation,
+  internalMutation,
+  QueryCtx,
+  MutationCtx,
+} from "./_generated/server";
+import { v, ConvexError } from "convex/values";
+import { Doc, Id } from "./_generated/dataModel";
+import { requireRole } from "./roles";
+
+/**
+ * Convex Edit Lease Functions
+ *
+ * A lease is a short, renewable lock on one record, taken by the Update page
+ * while a user has that record open. Conflict detection (see "Optimistic
+ * Concurrency" in convex/functions.ts) still catches stale writes; leases
+ * stop two people from starting to edit the same record in the first place.
+ *
+ * - acquireLease: Takes or renews the lease; fails with LOCKED if another
+ *   user holds it
+ * - releaseLease: Gives it up (after saving, or when leaving the page)
+ * - breakLease: Lets an admin take over a lease someone left behind
+ * - listLeases: Current leases with the holder's name, for lock icons
+ * - removeExpiredLeases: Cron job deleting leases that ran out
+ *
+ * A lease ends LEASE_DURATION after its last renewal, so a closed laptop or
+ * crashed tab can't hold a record forever. listLeases returns expiresAt
+ * rather than filtering by it (a query only re-runs when data changes, not
+ * as time passes); clients compare it with their own clock.
+ *
+ * While a lease is active, writes from everyone but its holder are refused:
+ * updates, deletes and reverts from the Update page, the REST API and bulk
+ * edits fail with LOCKED (requireNoOtherLease), and import upserts reject
+ * the row (otherLeaseHolder). Admins break the lease first to delete a
+ * record someone is editing.
+ *
+ * Client Usage:
+ * - Mutation: useMutation(api.leases.acquireLease)  // { recordId }
+ * - Mutation: useMutation(api.leases.releaseLease)  // { recordId }
+ * - Mutation: useMutation(api.leases.breakLease)    // { recordId }
+ * - Query: useQuery(api.leases.listLeases)
+ */
+
+/**
+ * How long (in milliseconds) a lease lasts after it was last acquired or
+ * renewed. The Update page renews well within this (see useEditLease).
+ */
+export const LEASE_DURATION = 60 * 1000;
+
+/**
+ * Maximum number of leases removed by a single cleanup run.
+ */
+const CLEANUP_BATCH_SIZE = 500;
+
+const leaseOf = (ctx: QueryCtx, recordId: Id<"mockData">) =>
+  ctx.db
+    .query("editLeases")
+    .withIndex("by_record", (q) => q.eq("recordId", recordId))
+    .unique();
+
+const isActive = (lease: Doc<"editLeases"> | null): lease is Doc<"editLeases"> =>
+  lease !== null && lease.expiresAt > Date.now();
+
+// The name shown for a lease's holder
+const holderName = async (ctx: QueryCtx, lease: Doc<"editLeases">) =>
+  (await ctx.db.get(lease.userId))?.name ?? "Another user";
+
+// The LOCKED error for a lease held by someone else
+const lockedError = async (ctx: QueryCtx, lease: Doc<"editLeases">) => {
+  const holder = await holderName(ctx, lease);
+  return new ConvexError({
+    code: "LOCKED",
+    message: `${holder} is editing this record.`,
+    holder,
+    expiresAt: lease.expiresAt,
+  });
+};
+
+/**
+ * otherLeaseHolder - Helper (not a Convex function)
+ *
+ * The name of the user other than `userId` holding an active lease on the
+ * record, or null if writes by `userId` are allowed. Used by bulk writes
+ * that report locked records instead of failing (importMockData).
+ *
+ * @param ctx - The calling mutation's context
+ * @param recordId - The record about to be written
+ * @param userId - The user making the write
+ * @returns Promise<string | null>
+ */
+export async function otherLeaseHolder(
+  ctx: QueryCtx,
+  recordId: Id<"mockData">,
+  userId: Id<"users">
+): Promise<string | null> {
+  const lease = await leaseOf(ctx, recordId);
+  return isActive(lease) && lease.userId !== userId
+    ? await holderName(ctx, lease)
+    : null;
+}
+
+/**
+ * requireNoOtherLease - Helper (not a Convex function)
+ *
+ * Throws a ConvexError with code "LOCKED" (and the holder's name) if a user
+ * other than `userId` holds an active lease on the record. Called by
+ * updateRecord and revertMockData before writing.
+ *
+ * @param ctx - The calling mutation's context
+ * @param recordId - The record about to be written
+ * @param userId - The user making the write
+ */
+export async function requireNoOtherLease(
+  ctx: QueryCtx,
+  recordId: Id<"mockData">,
+  userId: Id<"users">
+) {
+  const lease = await leaseOf(ctx, recordId);
+  if (isActive(lease) && lease.userId !== userId) {
+    throw await lockedError(ctx, lease);
+  }
+}
+
+// Make `userId` the holder of the record's lease for another LEASE_DURATION
+async function grantLease(
+  ctx: MutationCtx,
+  recordId: Id<"mockData">,
+  userId: Id<"users">,
+  existing: Doc<"editLeases"> | null
+) {
+  const expiresAt = Date.now() + LEASE_DURATION;
+  if (existing === null) {
+    await ctx.db.insert("editLeases", { recordId, userId, expiresAt });
+  } else {
+    await ctx.db.patch(existing._id, { userId, expiresAt });
+  }
+  return { expiresAt };
+}
+
+/**
+ * acquireLease - Mutation Function
+ *
+ * Takes the lease on a record, or renews it if the caller already holds it.
+ * An expired lease of another user is taken over.
+ *
+ * Throws a ConvexError with code "NOT_FOUND" for a missing or trashed
+ * record, or "LOCKED" (with holder and expiresAt) if another user holds it.
+ *
+ * @param recordId - The record to lock
+ * @returns Promise<{ expiresAt: number }>
+ */
+export const acquireLease = mutation({
+  args: {
+    recordId: v.id("mockData"),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "editor");
+    const record = await ctx.db.get(args.recordId);
+    if (record === null || record.deletedAt !== undefined) {
+      throw new ConvexError({
+        code: "NOT_FOUND",
+        message: "Record not found or has been deleted",
+      });
+    }
+
+    const lease = await leaseOf(ctx, args.recordId);
+    if (isActive(lease) && lease.userId !== user._id) {
+      throw await lockedError(ctx, lease);
+    }
+    return await grantLease(ctx, args.recordId, user._id, lease);
+  },
+});
+
+/**
+ * releaseLease - Mutation Function
+ *
+ * Gives up the caller's lease on a record. Does nothing if the caller
+ * doesn't hold it (e.g. an admin broke it in the meantime).
+ *
+ * @param recordId - The locked record
+ * @returns Promise<null>
+ */
+export const releaseLease = mutation({
+  args: {
+    recordId: v.id("mockData"),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "editor");
+    const lease = await leaseOf(ctx, args.recordId);
+    if (lease !== null && lease.userId === user._id) {
+      await ctx.db.delete(lease._id);
+    }
+    return null;
+  },
+});
+
+/**
+ * breakLease - Mutation Function
+ *
+ * Admins only. Takes over another user's lease, typically one left behind
+ * in a forgotten tab that keeps renewing it. The previous holder's next
+ * renewal fails with LOCKED, which their Update page shows.
+ *
+ * @param recordId - The locked record
+ * @returns Promise<{ expiresAt: number }>
+ */
+export const breakLease = mutation({
+  args: {
+    recordId: v.id("mockData"),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "admin");
+    const lease = await leaseOf(ctx, args.recordId);
+    return await grantLease(ctx, args.recordId, user._id, lease);
+  },
+});
+
+/**
+ * listLeases - Query Function
+ *
+ * Every lease with the holder's name. Includes expired leases, which
+ * clients skip by comparing expiresAt with the current time.
+ *
+ * @returns Promise<Array<{ recordId, userId, holder, expiresAt }>>
+ */
+export const listLeases = query({
+  args: {},
+  handler: async (ctx) => {
+    await requireRole(ctx, "viewer");
+    const leases = await ctx.db.query("editLeases").collect();
+    return await Promise.all(
+      leases.map(async (lease) => ({
+        recordId: lease.recordId,
+        userId: lease.userId,
+        holder: (await ctx.db.get(lease.userId))?.name ?? "Unknown",
+        expiresAt: lease.expiresAt,
+      }))
+    );
+  },
+});
+
+/**
+ * removeExpiredLeases - Internal Mutation Function
+ *
+ * Deletes leases that expired without being released (closed tabs, lost
+ * connections). Scheduled by the cron job in convex/crons.ts.
+ *
+ * @returns Promise<number> - The number of leases removed in this run
+ */
+export const removeExpiredLeases = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const expired = await ctx.db
+      .query("editLeases")
+      .withIndex("by_expiresAt", (q) => q.lt("expiresAt", Date.now()))
+      .take(CLEANUP_BATCH_SIZE);
+    for (const lease of expired) {
+      await ctx.db.delete(lease._id);
+    }
+    return expired.length;
+  },
+});
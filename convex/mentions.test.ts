@@ -0,0 +1,49 @@
+/**
+ * Convex Mention Tests
+ *
+ * Unit tests for finding @mentions in comment bodies.
+ *
+ * References:
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { mentionedNames, splitMentions } from './mentions'
+
+describe('Convex Mentions - mentionedNames', () => {
+  it('should find plain and quoted names in order', () => {
+    expect(mentionedNames('@ana please check with @"Ana Maria"')).toEqual(['ana', 'Ana Maria'])
+  })
+
+  it('should leave trailing punctuation out of the name', () => {
+    expect(mentionedNames('Thanks @ana, and @bob. Also (@carol)!')).toEqual(['ana', 'bob', 'carol'])
+  })
+
+  it('should list each name once', () => {
+    expect(mentionedNames('@ana @bob @ana')).toEqual(['ana', 'bob'])
+  })
+
+  it('should ignore email addresses and a lone @', () => {
+    expect(mentionedNames('mail ana@example.com @ or @""')).toEqual([])
+  })
+})
+
+describe('Convex Mentions - splitMentions', () => {
+  it('should split text around mentions', () => {
+    expect(splitMentions('Hi @ana, see @"Ana Maria"')).toEqual([
+      { text: 'Hi ' },
+      { text: '@ana', mention: 'ana' },
+      { text: ', see ' },
+      { text: '@"Ana Maria"', mention: 'Ana Maria' },
+    ])
+  })
+
+  it('should give back the body when joined', () => {
+    const body = '@ana: value went from 10 to 12 (see bob@example.com) @bob'
+    expect(splitMentions(body).map((part) => part.text).join('')).toBe(body)
+  })
+
+  it('should return no parts for an empty body', () => {
+    expect(splitMentions('')).toEqual([])
+  })
+})
@@ -0,0 +1,65 @@
+/**
+ * Comment Mentions
+ *
+ * How @mentions are written in comment bodies, in one place. Used by
+ * convex/comments.ts to find the users a comment mentions and by the
+ * comment panel to highlight them. The module has no server-only imports
+ * so the browser can load it too.
+ *
+ * Syntax:
+ * - `@Ana`: a name without spaces; trailing punctuation isn't part of it
+ *   (`@Ana,` mentions "Ana")
+ * - `@"Ana Maria"`: quotes for names with spaces
+ * An @ right after a letter or digit (e.g. in an email address) doesn't
+ * start a mention. Names are matched exactly, like sign-in names.
+ */
+
+/**
+ * Maximum number of distinct users one comment can mention.
+ */
+export const MAX_MENTIONS = 10;
+
+const MENTION_PATTERN = /(?<![\p{L}\p{N}])@(?:"([^"\n]+)"|([^\s@"]*[^\s@".,!?;:)\]]))/gu;
+
+export type MentionPart = { text: string; mention?: string };
+
+/**
+ * mentionedNames - Helper (not a Convex function)
+ *
+ * The names mentioned in a comment body, each once, in order of appearance.
+ *
+ * @param body - The comment text
+ * @returns string[]
+ */
+export function mentionedNames(body: string): string[] {
+  const names = [...body.matchAll(MENTION_PATTERN)].map((match) =>
+    (match[1] ?? match[2]).trim()
+  );
+  return [...new Set(names)].filter((name) => name !== "");
+}
+
+/**
+ * splitMentions - Helper (not a Convex function)
+ *
+ * Splits a comment body into plain text and mentions, for display. Joining
+ * the parts' text gives back the body.
+ *
+ * @param body - The comment text
+ * @returns MentionPart[] - `mention` is the mentioned name on mention parts
+ */
+export function splitMentions(body: string): MentionPart[] {
+  const parts: MentionPart[] = [];
+  let last = 0;
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    const start = match.index ?? 0;
+    if (start > last) {
+      parts.push({ text: body.slice(last, start) });
+    }
+    parts.push({ text: match[0], mention: (match[1] ?? match[2]).trim() });
+    last = start + match[0].length;
+  }
+  if (last < body.length) {
+    parts.push({ text: body.slice(last) });
+  }
+  return parts;
+}
@@ -0,0 +1,128 @@
+/**
+ * Convex Presence Tests
+ *
+ * Unit tests for the presence heartbeat, listing and cleanup functions,
+ * including their handlers run against an in-memory database.
+ *
+ * References:
+ * - Convex Functions Docs: https://docs.convex.dev/functions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { argsOf, fakeCtx, run } from './test.utils'
+import {
+  heartbeat,
+  leavePresence,
+  listPresence,
+  removeStalePresence,
+} from './presence'
+
+// Ana (users:1) and Ben (users:2) are viewers; Alpha (mockData:5) and Beta
+// (mockData:6) are records
+const setup = (presence: Record<string, unknown>[] = []) =>
+  fakeCtx({
+    users: [
+      { name: 'Ana', passwordHash: '', passwordSalt: '' },
+      { name: 'Ben', passwordHash: '', passwordSalt: '' },
+    ],
+    roles: [
+      { userId: 'users:1', role: 'viewer' },
+      { userId: 'users:2', role: 'viewer' },
+    ],
+    mockData: [
+      { name: 'Alpha', value: 1 },
+      { name: 'Beta', value: 2 },
+    ],
+    presence,
+  })
+
+afterEach(() => {
+  vi.useRealTimers()
+})
+
+describe('Convex Presence - heartbeat', () => {
+  it('should be a public mutation', () => {
+    expect(heartbeat.isMutation).toBe(true)
+    expect(heartbeat.isPublic).toBe(true)
+  })
+
+  it('should take a session, a page and an optional record', () => {
+    const args = argsOf(heartbeat)
+    expect(args.sessionId.optional).toBe(false)
+    expect(args.page.fieldType.value.map((p: { value: string }) => p.value)).toEqual([
+      'view',
+      'update',
+    ])
+    expect(args.recordId.optional).toBe(true)
+    expect(args.recordId.fieldType).toEqual({ type: 'id', tableName: 'mockData' })
+  })
+})
+
+describe('Convex Presence - leaving and listing', () => {
+  it('should expose leavePresence and listPresence to clients', () => {
+    expect(leavePresence.isMutation).toBe(true)
+    expect(leavePresence.isPublic).toBe(true)
+    expect(listPresence.isQuery).toBe(true)
+    expect(listPresence.isPublic).toBe(true)
+  })
+})
+
+describe('Convex Presence - removeStalePresence', () => {
+  it('should be an internal mutation, run only by the cron job', () => {
+    expect(removeStalePresence.isMutation).toBe(true)
+    expect(removeStalePresence.isInternal).toBe(true)
+  })
+})
+
+describe('Convex Presence - handlers', () => {
+  it("should keep one entry per tab, following the tab's page and record", async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(1_000)
+    const editing = (recordId?: string) => ({ sessionId: 'tab1', page: 'update', recordId })
+    const { as, all } = setup()
+
+    await run(heartbeat, as('users:1'), editing('mockData:5'))
+    await run(heartbeat, as('users:2'), { sessionId: 'tab2', page: 'view' })
+    vi.setSystemTime(2_000)
+    await run(heartbeat, as('users:1'), editing('mockData:6'))
+    expect(all('presence')).toMatchObject([{ sessionId: 'tab1', recordId: 'mockData:6' }, {}])
+
+    // Deselecting the record clears it from the entry
+    vi.setSystemTime(3_000)
+    await run(heartbeat, as('users:1'), editing())
+
+    expect(all('presence')).toHaveLength(2)
+    expect(await run(listPresence, as('users:2'))).toEqual([
+      { sessionId: 'tab1', userId: 'users:1', name: 'Ana', page: 'update', lastSeen: 3_000 },
+      { sessionId: 'tab2', userId: 'users:2', name: 'Ben', page: 'view', lastSeen: 1_000 },
+    ])
+  })
+
+  it("should only remove the caller's own entry when leaving", async () => {
+    const { as, all } = setup([
+      { sessionId: 'tab1', userId: 'users:1', page: 'view', lastSeen: 1 },
+      { sessionId: 'tab2', userId: 'users:2', page: 'view', lastSeen: 1 },
+    ])
+
+    await run(leavePresence, as('users:1'), { sessionId: 'tab2' })
+    expect(all('presence')).toHaveLength(2)
+
+    await run(leavePresence, as('users:1'), { sessionId: 'tab1' })
+    expect(all('presence').map((entry) => entry.sessionId)).toEqual(['tab2'])
+  })
+
+  it('should remove only entries not seen for a minute', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(100_000)
+    const { ctx, all } = setup([
+      { sessionId: 'gone', userId: 'users:1', page: 'view', lastSeen: 39_999 },
+      { sessionId: 'quiet', userId: 'users:2', page: 'view', lastSeen: 40_000 },
+      { sessionId: 'active', userId: 'users:2', page: 'update', lastSeen: 99_000 },
+    ])
+
+    expect(await run(removeStalePresence, ctx)).toBe(1)
+
+    expect(all('presence').map((entry) => entry.sessionId)).toEqual(['quiet', 'active'])
+  })
+})
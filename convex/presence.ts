@@ -0,0 +1,160 @@
+import { query, mutation, internalMutation } from "./_generated/server";
+import { v, Infer } from "convex/values";
+import { requireRole } from "./roles";
+
+/**
+ * Convex Presence Functions
+ *
+ * Who is online, and which record each of them is editing. Every open View
+ * or Update page (a "session", one per browser tab) sends a heartbeat every
+ * few seconds; a session whose heartbeats stop is treated as gone.
+ *
+ * - heartbeat: Creates or refreshes the tab's entry with its current page
+ *   and, on the Update page, the selected record
+ * - leavePresence: Removes the entry when the tab navigates away or closes
+ * - listPresence: Everyone's entries, for avatars and "X is editing" badges
+ * - removeStalePresence: Cron job deleting entries of tabs that vanished
+ *   without leaving (crashed, lost network)
+ *
+ * listPresence returns lastSeen rather than filtering by it: a query's
+ * result only updates when the data changes, not as time passes, so the
+ * client compares lastSeen with its own clock (see PRESENCE_TIMEOUT in
+ * src/hooks/usePresence.js).
+ *
+ * Client Usage:
+ * - Mutation: useMutation(api.presence.heartbeat)      // { sessionId, page, recordId? }
+ * - Mutation: useMutation(api.presence.leavePresence)  // { sessionId }
+ * - Query: useQuery(api.presence.listPresence)
+ */
+
+export const presencePageValidator = v.union(
+  v.literal("view"),
+  v.literal("update")
+);
+
+export type PresencePage = Infer<typeof presencePageValidator>;
+
+/**
+ * Age (in milliseconds) after which removeStalePresence deletes an entry.
+ * Well above the client's heartbeat interval, so only dead tabs go.
+ */
+const STALE_PRESENCE_AGE = 60 * 1000;
+
+/**
+ * Maximum number of entries removed by a single cleanup run.
+ */
+const CLEANUP_BATCH_SIZE = 500;
+
+/**
+ * heartbeat - Mutation Function
+ *
+ * Records that the signed-in user's tab is on `page` (and editing
+ * `recordId`) right now.
+ *
+ * @param sessionId - Random ID identifying the browser tab
+ * @param page - "view" or "update"
+ * @param recordId - The record selected on the Update page, if any
+ * @returns Promise<null>
+ */
+export const heartbeat = mutation({
+  args: {
+    sessionId: v.string(),
+    page: presencePageValidator,
+    recordId: v.optional(v.id("mockData")),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "viewer");
+    const entry = {
+      userId: user._id,
+      page: args.page,
+      recordId: args.recordId,
+      lastSeen: Date.now(),
+    };
+
+    const existing = await ctx.db
+      .query("presence")
+      .withIndex("by_session", (q) => q.eq("sessionId", args.sessionId))
+      .unique();
+    if (existing === null) {
+      await ctx.db.insert("presence", { sessionId: args.sessionId, ...entry });
+    } else {
+      // Patching recordId to undefined clears it when the tab deselects
+      await ctx.db.patch(existing._id, entry);
+    }
+    return null;
+  },
+});
+
+/**
+ * leavePresence - Mutation Function
+ *
+ * Removes the tab's entry right away instead of waiting for it to go stale.
+ *
+ * @param sessionId - The tab's session ID, as sent with its heartbeats
+ * @returns Promise<null>
+ */
+export const leavePresence = mutation({
+  args: {
+    sessionId: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "viewer");
+    const existing = await ctx.db
+      .query("presence")
+      .withIndex("by_session", (q) => q.eq("sessionId", args.sessionId))
+      .unique();
+    // Only the tab's own user may remove it
+    if (existing !== null && existing.userId === user._id) {
+      await ctx.db.delete(existing._id);
+    }
+    return null;
+  },
+});
+
+/**
+ * listPresence - Query Function
+ *
+ * Every presence entry with the user's name, most recently seen first.
+ *
+ * @returns Promise<Array<{ sessionId, userId, name, page, recordId?, lastSeen }>>
+ */
+export const listPresence = query({
+  args: {},
+  handler: async (ctx) => {
+    await requireRole(ctx, "viewer");
+    const entries = await ctx.db
+      .query("presence")
+      .withIndex("by_lastSeen")
+      .order("desc")
+      .collect();
+    return await Promise.all(
+      entries.map(async ({ _id, _creationTime, ...entry }) => ({
+        ...entry,
+        name: (await ctx.db.get(entry.userId))?.name ?? "Unknown",
+      }))
+    );
+  },
+});
+
+/**
+ * removeStalePresence - Internal Mutation Function
+ *
+ * Deletes entries whose tab stopped sending heartbeats more than
+ * STALE_PRESENCE_AGE ago. Scheduled by the cron job in convex/crons.ts.
+ *
+ * @returns Promise<number> - The number of entries removed in this run
+ */
+export const removeStalePresence = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const cutoff = Date.now() - STALE_PRESENCE_AGE;
+    const stale = await ctx.db
+      .query("presence")
+      .withIndex("by_lastSeen", (q) => q.lt("lastSeen", cutoff))
+      .take(CLEANUP_BATCH_SIZE);
+    for (const entry of stale) {
+      await ctx.db.delete(entry._id);
+    }
+    return stale.length;
+  },
+});
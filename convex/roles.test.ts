@@ -0,0 +1,126 @@
+/**
+ * Convex Roles Tests
+ *
+ * Unit tests for the role hierarchy and role management functions, with
+ * handler tests for the role checks and role assignment.
+ *
+ * References:
+ * - Convex Functions Docs: https://docs.convex.dev/functions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { errorOf, fakeCtx, run } from './test.utils'
+import { hasRole, requireRole, listUsers, setRole, DEFAULT_ROLE } from './roles'
+
+// Ana (users:1) is an admin, Ben (users:2) an editor and Cy (users:3) has no
+// roles entry; Ana is signed in
+const setup = () =>
+  fakeCtx(
+    {
+      users: [
+        { name: 'Ana', passwordHash: '', passwordSalt: '' },
+        { name: 'Ben', passwordHash: '', passwordSalt: '' },
+        { name: 'Cy', passwordHash: '', passwordSalt: '' },
+      ],
+      roles: [
+        { userId: 'users:1', role: 'admin' }, // roles:4
+        { userId: 'users:2', role: 'editor' }, // roles:5
+      ],
+    },
+    'users:1'
+  )
+
+describe('Convex Roles - hasRole', () => {
+  it('should let each role include the ones below it', () => {
+    expect(hasRole('admin', 'editor')).toBe(true)
+    expect(hasRole('admin', 'viewer')).toBe(true)
+    expect(hasRole('editor', 'viewer')).toBe(true)
+    expect(hasRole('editor', 'editor')).toBe(true)
+  })
+
+  it('should not let a role act above itself', () => {
+    expect(hasRole('viewer', 'editor')).toBe(false)
+    expect(hasRole('editor', 'admin')).toBe(false)
+  })
+
+  it('should default new accounts to the least privileged role', () => {
+    expect(DEFAULT_ROLE).toBe('viewer')
+  })
+})
+
+describe('Convex Roles - role management', () => {
+  it('should expose listing users as a public query', () => {
+    expect(listUsers.isQuery).toBe(true)
+    expect(listUsers.isPublic).toBe(true)
+  })
+
+  it('should expose role assignment as a public mutation', () => {
+    expect(setRole.isMutation).toBe(true)
+    expect(setRole.isPublic).toBe(true)
+  })
+})
+
+describe('Convex Roles - requireRole', () => {
+  it('should return the user and role when the role is high enough', async () => {
+    const { as } = setup()
+
+    expect(await requireRole(as('users:2'), 'editor')).toMatchObject({
+      user: { _id: 'users:2', name: 'Ben' },
+      role: 'editor',
+    })
+  })
+
+  it('should refuse a role that is too low, counting no entry as viewer', async () => {
+    const { as } = setup()
+
+    expect(await errorOf(requireRole(as('users:2'), 'admin'))).toMatchObject({
+      code: 'FORBIDDEN',
+      message: expect.stringContaining('requires the admin role'),
+    })
+    expect(await errorOf(requireRole(as('users:3'), 'editor'))).toMatchObject({
+      code: 'FORBIDDEN',
+    })
+    expect(await errorOf(requireRole(as(), 'viewer'))).toMatchObject({
+      code: 'UNAUTHENTICATED',
+    })
+  })
+})
+
+describe('Convex Roles - setRole', () => {
+  it('should only let admins assign roles', async () => {
+    const { as, db } = setup()
+
+    expect(
+      await errorOf(run(setRole, as('users:2'), { userId: 'users:2', role: 'admin' }))
+    ).toMatchObject({ code: 'FORBIDDEN' })
+    expect(await db.get('roles:5')).toMatchObject({ role: 'editor' })
+  })
+
+  it('should update an existing role or add one', async () => {
+    const { ctx, all } = setup()
+
+    await run(setRole, ctx, { userId: 'users:2', role: 'viewer' })
+    await run(setRole, ctx, { userId: 'users:3', role: 'editor' })
+
+    expect(all('roles').map(({ userId, role }) => `${userId} ${role}`)).toEqual([
+      'users:1 admin',
+      'users:2 viewer',
+      'users:3 editor',
+    ])
+  })
+
+  it('should refuse to demote the last admin', async () => {
+    const { ctx, db } = setup()
+
+    expect(
+      await errorOf(run(setRole, ctx, { userId: 'users:1', role: 'editor' }))
+    ).toMatchObject({ code: 'LAST_ADMIN' })
+    expect(await db.get('roles:4')).toMatchObject({ role: 'admin' })
+
+    // With a second admin, either can step down
+    await run(setRole, ctx, { userId: 'users:2', role: 'admin' })
+    await run(setRole, ctx, { userId: 'users:1', role: 'editor' })
+    expect(await db.get('roles:4')).toMatchObject({ role: 'editor' })
+  })
+})
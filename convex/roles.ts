@@ -0,0 +1,158 @@
+import { query, mutation, QueryCtx } from "./_generated/server";
+import { v, ConvexError, Infer } from "convex/values";
+import { Doc, Id } from "./_generated/dataModel";
+import { requireUser } from "./auth";
+
+/**
+ * Convex Role Functions
+ *
+ * Role-based permissions for signed-in users. Every user has exactly one
+ * role, stored in the roles table:
+ * - viewer: May read data (the default for new accounts)
+ * - editor: May also create, update, revert and restore records
+ * - admin: May also delete and purge records and assign roles
+ *
+ * Roles are ordered, so each one includes the permissions of those before it.
+ * The first account ever created becomes an admin, so there is always
+ * someone who can hand out roles.
+ *
+ * Client Usage:
+ * - Query: useQuery(api.roles.listUsers)           // admins only
+ * - Mutation: useMutation(api.roles.setRole)       // admins only
+ *
+ * Server Usage:
+ * - const { user, role } = await requireRole(ctx, "editor");
+ */
+
+export const roleValidator = v.union(
+  v.literal("viewer"),
+  v.literal("editor"),
+  v.literal("admin")
+);
+
+export type Role = Infer<typeof roleValidator>;
+
+/**
+ * Role given to accounts that have no roles entry.
+ */
+export const DEFAULT_ROLE: Role = "viewer";
+
+// Position of each role in the hierarchy; higher includes lower
+const ROLE_RANK: Record<Role, number> = { viewer: 0, editor: 1, admin: 2 };
+
+/**
+ * Whether `role` grants at least the permissions of `minimum`.
+ */
+export const hasRole = (role: Role, minimum: Role) =>
+  ROLE_RANK[role] >= ROLE_RANK[minimum];
+
+const getRoleEntry = (ctx: QueryCtx, userId: Id<"users">) =>
+  ctx.db
+    .query("roles")
+    .withIndex("by_user", (q) => q.eq("userId", userId))
+    .unique();
+
+/**
+ * getRole - Helper (not a Convex function)
+ *
+ * @param ctx - Any query or mutation context
+ * @param userId - The user to look up
+ * @returns Promise<Role> - The user's role, DEFAULT_ROLE if none is stored
+ */
+export async function getRole(ctx: QueryCtx, userId: Id<"users">): Promise<Role> {
+  return (await getRoleEntry(ctx, userId))?.role ?? DEFAULT_ROLE;
+}
+
+/**
+ * requireRole - Helper (not a Convex function)
+ *
+ * Asserts the caller is signed in with at least the given role. Throws a
+ * ConvexError with code "UNAUTHENTICATED" when signed out (see requireUser)
+ * or "FORBIDDEN" when the role is too low. Every public function in
+ * convex/functions.ts calls this first.
+ *
+ * @param ctx - The calling query's or mutation's context
+ * @param minimum - The lowest role allowed to proceed
+ * @returns Promise<{ user, role }> - The signed-in user and their role
+ */
+export async function requireRole(
+  ctx: QueryCtx,
+  minimum: Role
+): Promise<{ user: Doc<"users">; role: Role }> {
+  const user = await requireUser(ctx);
+  const role = await getRole(ctx, user._id);
+  if (!hasRole(role, minimum)) {
+    throw new ConvexError({
+      code: "FORBIDDEN",
+      message: `This action requires the ${minimum} role; you are a ${role}.`,
+    });
+  }
+  return { user, role };
+}
+
+/**
+ * listUsers - Query Function
+ *
+ * Lists every account with its role, sorted by name. Used by the Admin page.
+ *
+ * @returns Promise<Array<{ _id, name, role }>>
+ */
+export const listUsers = query({
+  args: {},
+  handler: async (ctx) => {
+    await requireRole(ctx, "admin");
+    const users = await ctx.db.query("users").collect();
+    const withRoles = await Promise.all(
+      users.map(async (user) => ({
+        _id: user._id,
+        name: user.name,
+        role: await getRole(ctx, user._id),
+      }))
+    );
+    return withRoles.sort((a, b) => a.name.localeCompare(b.name));
+  },
+});
+
+/**
+ * setRole - Mutation Function
+ *
+ * Assigns a role to a user. Refuses to demote the last admin, so the
+ * deployment can't be locked out of role management.
+ *
+ * @param userId - The user whose role to change
+ * @param role - The new role
+ * @returns Promise<Id<"users">> - The ID of the updated user
+ */
+export const setRole = mutation({
+  args: {
+    userId: v.id("users"),
+    role: roleValidator,
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "admin");
+    if ((await ctx.db.get(args.userId)) === null) {
+      throw new Error("User not found");
+    }
+
+    const entry = await getRoleEntry(ctx, args.userId);
+    if (entry?.role === "admin" && args.role !== "admin") {
+      const admins = await ctx.db
+        .query("roles")
+        .withIndex("by_role", (q) => q.eq("role", "admin"))
+        .take(2);
+      if (admins.length < 2) {
+        throw new ConvexError({
+          code: "LAST_ADMIN",
+          message: "At least one admin must remain.",
+        });
+      }
+    }
+
+    if (entry === null) {
+      await ctx.db.insert("roles", { userId: args.userId, role: args.role });
+    } else {
+      await ctx.db.patch(entry._id, { role: args.role });
+    }
+    return args.userId;
+  },
+});
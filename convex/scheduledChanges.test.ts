@@ -0,0 +1,228 @@
+/**
+ * Convex Scheduled Change Tests
+ *
+ * Unit tests for scheduling, rescheduling, cancelling and applying
+ * future updates, with handler tests for who may schedule, how the
+ * scheduled run is kept in step, and what happens when it runs.
+ *
+ * References:
+ * - Convex Functions Docs: https://docs.convex.dev/functions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { argsOf, errorOf, fakeCtx, run } from './test.utils'
+import {
+  scheduleChange,
+  rescheduleChange,
+  cancelScheduledChange,
+  listScheduledChanges,
+  nextScheduledChanges,
+  applyScheduledChange,
+} from './scheduledChanges'
+
+vi.mock('./_generated/api', () => ({
+  internal: {
+    scheduledChanges: { applyScheduledChange: 'scheduledChanges:applyScheduledChange' },
+  },
+}))
+
+describe('Convex Scheduled Changes - function types', () => {
+  it('should expose scheduling, rescheduling and cancelling as public mutations', () => {
+    for (const fn of [scheduleChange, rescheduleChange, cancelScheduledChange]) {
+      expect(fn.isMutation).toBe(true)
+      expect(fn.isPublic).toBe(true)
+    }
+  })
+
+  it('should expose the change lists as public queries', () => {
+    for (const fn of [listScheduledChanges, nextScheduledChanges]) {
+      expect(fn.isQuery).toBe(true)
+      expect(fn.isPublic).toBe(true)
+    }
+  })
+
+  it('should only let the scheduler apply changes', () => {
+    expect(applyScheduledChange.isMutation).toBe(true)
+    expect(applyScheduledChange.isInternal).toBe(true)
+  })
+})
+
+describe('Convex Scheduled Changes - arguments', () => {
+  it('should schedule a new name and value for a record at a time', () => {
+    const args = argsOf(scheduleChange)
+    expect(args.recordId.fieldType).toEqual({ type: 'id', tableName: 'mockData' })
+    for (const key of ['name', 'value', 'runAt']) {
+      expect(args[key].optional).toBe(false)
+    }
+  })
+
+  it('should list one record or all of them', () => {
+    expect(argsOf(listScheduledChanges).recordId.optional).toBe(true)
+  })
+
+  it('should look up the next change of the given records', () => {
+    expect(argsOf(nextScheduledChanges).recordIds.fieldType).toEqual({
+      type: 'array',
+      value: { type: 'id', tableName: 'mockData' },
+    })
+  })
+})
+
+const FUTURE = Date.now() + 60 * 60 * 1000
+
+// Ana (users:1) has `role` and Ben (users:2) none; Alpha (mockData:4) is
+// live and Old (mockData:5) trashed; `tables` adds further documents
+const setup = (role: string, tables: Record<string, Record<string, unknown>[]> = {}) =>
+  fakeCtx(
+    {
+      users: [
+        { name: 'Ana', passwordHash: '', passwordSalt: '' },
+        { name: 'Ben', passwordHash: '', passwordSalt: '' },
+      ],
+      roles: [{ userId: 'users:1', role }],
+      mockData: [
+        { name: 'Alpha', value: 1, revision: 2 },
+        { name: 'Old', value: 2, deletedAt: 1 },
+      ],
+      ...tables,
+    },
+    'users:1'
+  )
+
+// A pending change of Alpha (scheduledChanges:6) to Alpha 2 / 10
+const pendingChange = {
+  recordId: 'mockData:4',
+  name: 'Alpha 2',
+  value: 10,
+  runAt: FUTURE,
+  status: 'pending',
+  createdBy: 'users:1',
+  scheduledFunctionId: '_scheduled_functions:99',
+}
+
+describe('Convex Scheduled Changes - scheduling', () => {
+  const args = { recordId: 'mockData:4', name: ' Alpha 2 ', value: 10, runAt: FUTURE }
+
+  it('should only let editors schedule', async () => {
+    const { ctx, all } = setup('viewer')
+
+    expect(await errorOf(run(scheduleChange, ctx, args))).toMatchObject({ code: 'FORBIDDEN' })
+    expect(all('scheduledChanges')).toEqual([])
+  })
+
+  it('should refuse past times and trashed records', async () => {
+    const { ctx } = setup('editor')
+
+    expect(
+      await errorOf(run(scheduleChange, ctx, { ...args, runAt: Date.now() - 1000 }))
+    ).toMatchObject({ code: 'INVALID_TIME' })
+    expect(
+      await errorOf(run(scheduleChange, ctx, { ...args, recordId: 'mockData:5' }))
+    ).toMatchObject({ code: 'NOT_FOUND' })
+  })
+
+  it('should store the change and schedule its run', async () => {
+    const { ctx, db, scheduler } = setup('editor')
+
+    const changeId = await run(scheduleChange, ctx, args)
+
+    expect(scheduler.runAt).toHaveBeenCalledWith(
+      FUTURE,
+      'scheduledChanges:applyScheduledChange',
+      { changeId }
+    )
+    expect(await db.get(changeId)).toMatchObject({
+      name: 'Alpha 2',
+      status: 'pending',
+      createdBy: 'users:1',
+      scheduledFunctionId: '_scheduled_functions:1',
+    })
+  })
+
+  it('should replace the scheduled run when rescheduling', async () => {
+    const { ctx, db, scheduler } = setup('editor', { scheduledChanges: [pendingChange] })
+
+    await run(rescheduleChange, ctx, { changeId: 'scheduledChanges:6', runAt: FUTURE + 1000 })
+
+    expect(scheduler.cancel).toHaveBeenCalledWith('_scheduled_functions:99')
+    expect(await db.get('scheduledChanges:6')).toMatchObject({
+      runAt: FUTURE + 1000,
+      status: 'pending',
+      scheduledFunctionId: '_scheduled_functions:1',
+    })
+  })
+
+  it('should cancel the scheduled run along with the change', async () => {
+    const { ctx, all, scheduler } = setup('editor', { scheduledChanges: [pendingChange] })
+
+    await run(cancelScheduledChange, ctx, { changeId: 'scheduledChanges:6' })
+
+    expect(scheduler.cancel).toHaveBeenCalledWith('_scheduled_functions:99')
+    expect(all('scheduledChanges')).toEqual([])
+  })
+})
+
+describe('Convex Scheduled Changes - nextScheduledChanges', () => {
+  it("should return each given record's soonest pending change", async () => {
+    const { ctx } = setup('viewer', {
+      mockData: [
+        { name: 'Alpha', value: 1 },
+        { name: 'Beta', value: 2 },
+        { name: 'Gamma', value: 3 },
+      ],
+      scheduledChanges: [
+        { ...pendingChange, runAt: FUTURE + 2000 },
+        { ...pendingChange, runAt: FUTURE + 1000 },
+        { ...pendingChange, runAt: FUTURE, status: 'failed', error: 'Ben is editing this record.' },
+        { ...pendingChange, recordId: 'mockData:5', runAt: FUTURE },
+        { ...pendingChange, recordId: 'mockData:6' },
+      ],
+    })
+
+    // Alpha's sooner change has failed, and Gamma (mockData:6) isn't asked for
+    const changes = await run(nextScheduledChanges, ctx, {
+      recordIds: ['mockData:4', 'mockData:5'],
+    })
+
+    expect(changes).toEqual([
+      expect.objectContaining({ _id: 'scheduledChanges:8', recordId: 'mockData:4' }),
+      expect.objectContaining({ _id: 'scheduledChanges:10', recordId: 'mockData:5' }),
+    ])
+  })
+})
+
+describe('Convex Scheduled Changes - applyScheduledChange', () => {
+  it('should update the record as the scheduling user and remove the change', async () => {
+    const { ctx, db, all } = setup('editor', { scheduledChanges: [pendingChange] })
+
+    await run(applyScheduledChange, ctx, { changeId: 'scheduledChanges:6' })
+
+    expect(await db.get('mockData:4')).toMatchObject({
+      name: 'Alpha 2',
+      value: 10,
+      revision: 3,
+      updatedBy: 'users:1',
+    })
+    expect(all('scheduledChanges')).toEqual([])
+  })
+
+  it("should keep the change as failed when another user's lease blocks it", async () => {
+    const { ctx, db } = setup('editor', {
+      scheduledChanges: [pendingChange],
+    })
+    await db.insert('editLeases', {
+      recordId: 'mockData:4',
+      userId: 'users:2',
+      expiresAt: Date.now() + 60_000,
+    })
+
+    await run(applyScheduledChange, ctx, { changeId: 'scheduledChanges:6' })
+
+    expect(await db.get('scheduledChanges:6')).toMatchObject({
+      status: 'failed',
+      error: 'Ben is editing this record.',
+    })
+    expect(await db.get('mockData:4')).toMatchObject({ name: 'Alpha', value: 1 })
+  })
+})
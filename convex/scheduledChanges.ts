@@ -0,0 +1,302 @@
+import {
+  query,
+  mutation,
+  internalMutation,
+  QueryCtx,
+  MutationCtx,
+} from "./_generated/server";
+import { v, ConvexError, Infer } from "convex/values";
+import { internal } from "./_generated/api";
+import { Doc, Id } from "./_generated/dataModel";
+import { requireRole } from "./roles";
+import { updateRecord, revisionOf } from "./functions";
+import { requireValidRecord } from "./validation";
+
+/**
+ * Convex Scheduled Change Functions
+ *
+ * Updates that take effect at a set time, such as a price change at
+ * midnight. The Update page stores the new name and value as a pending
+ * change, and the Convex scheduler applies it at runAt.
+ *
+ * References:
+ * - Convex Scheduling: https://docs.convex.dev/scheduling/scheduled-functions
+ *
+ * Lifecycle:
+ * 1. scheduleChange inserts a "pending" entry and schedules
+ *    applyScheduledChange with ctx.scheduler.runAt, remembering the
+ *    scheduled function's ID
+ * 2. At runAt, applyScheduledChange writes the change through updateRecord
+ *    (history, webhooks and edit leases apply as for any update) and
+ *    removes the entry
+ * 3. If the write is refused (record deleted, locked by another user's
+ *    edit lease, or the name taken by another record by then), the entry stays as "failed" with the reason, to be
+ *    rescheduled or cancelled
+ *
+ * A scheduled change replaces the name and value as of runAt; edits made in
+ * the meantime are overwritten rather than reported as a conflict.
+ *
+ * Client Usage:
+ * - Query: useQuery(api.scheduledChanges.listScheduledChanges, { recordId? })
+ * - Query: useQuery(api.scheduledChanges.nextScheduledChanges, { recordIds })
+ * - Mutation: useMutation(api.scheduledChanges.scheduleChange)     // { recordId, name, value, runAt }
+ * - Mutation: useMutation(api.scheduledChanges.rescheduleChange)   // { changeId, runAt }
+ * - Mutation: useMutation(api.scheduledChanges.cancelScheduledChange) // { changeId }
+ */
+
+export const scheduledChangeStatusValidator = v.union(
+  v.literal("pending"),
+  v.literal("failed")
+);
+
+export type ScheduledChangeStatus = Infer<typeof scheduledChangeStatusValidator>;
+
+// Reject times that have already passed
+const requireFutureTime = (runAt: number) => {
+  if (!Number.isFinite(runAt) || runAt <= Date.now()) {
+    throw new ConvexError({
+      code: "INVALID_TIME",
+      message: "Pick a time in the future.",
+    });
+  }
+};
+
+const getChange = async (ctx: QueryCtx, changeId: Id<"scheduledChanges">) => {
+  const change = await ctx.db.get(changeId);
+  if (change === null) {
+    throw new ConvexError({
+      code: "NOT_FOUND",
+      message: "This scheduled change was already applied or cancelled.",
+    });
+  }
+  return change;
+};
+
+// Stop a pending change's scheduled function, if it hasn't run yet
+const cancelRun = async (ctx: MutationCtx, change: Doc<"scheduledChanges">) => {
+  if (change.status === "pending" && change.scheduledFunctionId !== undefined) {
+    await ctx.scheduler.cancel(change.scheduledFunctionId);
+  }
+};
+
+/**
+ * scheduleChange - Mutation Function
+ *
+ * Schedules a record's name and value to change at `runAt`.
+ *
+ * Throws a ConvexError with code "INVALID_TIME" if runAt isn't in the
+ * future, "NOT_FOUND" for a missing or trashed record, or
+ * "VALIDATION_FAILED" if the name or value breaks a rule in
+ * convex/validation.ts. The rules are checked again when the change runs.
+ *
+ * @param recordId - The record to change
+ * @param name - The name it will get
+ * @param value - The value it will get
+ * @param runAt - When to apply the change (milliseconds since the epoch)
+ * @returns Promise<Id<"scheduledChanges">>
+ */
+export const scheduleChange = mutation({
+  args: {
+    recordId: v.id("mockData"),
+    name: v.string(),
+    value: v.number(),
+    runAt: v.number(),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "editor");
+    requireFutureTime(args.runAt);
+    const record = await ctx.db.get(args.recordId);
+    if (record === null || record.deletedAt !== undefined) {
+      throw new ConvexError({
+        code: "NOT_FOUND",
+        message: "Record not found or has been deleted",
+      });
+    }
+    await requireValidRecord(ctx, { name: args.name, value: args.value }, record);
+
+    // Insert first: the scheduled function needs the entry's ID
+    const changeId = await ctx.db.insert("scheduledChanges", {
+      recordId: args.recordId,
+      name: args.name.trim(),
+      value: args.value,
+      runAt: args.runAt,
+      status: "pending",
+      createdBy: user._id,
+    });
+    await ctx.db.patch(changeId, {
+      scheduledFunctionId: await ctx.scheduler.runAt(
+        args.runAt,
+        internal.scheduledChanges.applyScheduledChange,
+        { changeId }
+      ),
+    });
+    return changeId;
+  },
+});
+
+/**
+ * rescheduleChange - Mutation Function
+ *
+ * Moves a pending or failed change to a new time.
+ *
+ * @param changeId - The scheduled change
+ * @param runAt - The new time (milliseconds since the epoch)
+ * @returns Promise<null>
+ */
+export const rescheduleChange = mutation({
+  args: {
+    changeId: v.id("scheduledChanges"),
+    runAt: v.number(),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "editor");
+    requireFutureTime(args.runAt);
+    const change = await getChange(ctx, args.changeId);
+
+    await cancelRun(ctx, change);
+    await ctx.db.patch(args.changeId, {
+      runAt: args.runAt,
+      status: "pending",
+      error: undefined,
+      scheduledFunctionId: await ctx.scheduler.runAt(
+        args.runAt,
+        internal.scheduledChanges.applyScheduledChange,
+        { changeId: args.changeId }
+      ),
+    });
+    return null;
+  },
+});
+
+/**
+ * cancelScheduledChange - Mutation Function
+ *
+ * Cancels a pending change (or dismisses a failed one).
+ *
+ * @param changeId - The scheduled change
+ * @returns Promise<null>
+ */
+export const cancelScheduledChange = mutation({
+  args: {
+    changeId: v.id("scheduledChanges"),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "editor");
+    const change = await getChange(ctx, args.changeId);
+    await cancelRun(ctx, change);
+    await ctx.db.delete(args.changeId);
+    return null;
+  },
+});
+
+/**
+ * listScheduledChanges - Query Function
+ *
+ * Pending and failed changes, soonest first, for one record or all of
+ * them, with the record's current name and the scheduling user's name.
+ *
+ * @param recordId - Only list this record's changes (optional)
+ * @returns Promise<Array<Doc<"scheduledChanges"> & { recordName, createdByName }>>
+ *   where recordName is null if the record no longer exists
+ */
+export const listScheduledChanges = query({
+  args: {
+    recordId: v.optional(v.id("mockData")),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "viewer");
+    const recordId = args.recordId;
+    const changes =
+      recordId !== undefined
+        ? await ctx.db
+            .query("scheduledChanges")
+            .withIndex("by_record", (q) => q.eq("recordId", recordId))
+            .collect()
+        : await ctx.db.query("scheduledChanges").withIndex("by_runAt").collect();
+
+    const withNames = await Promise.all(
+      changes.map(async (change) => {
+        const record = await ctx.db.get(change.recordId);
+        const creator = await ctx.db.get(change.createdBy);
+        return {
+          ...change,
+          recordName: record?.name ?? null,
+          createdByName: creator?.name ?? "Unknown",
+        };
+      })
+    );
+    return withNames.sort((a, b) => a.runAt - b.runAt);
+  },
+});
+
+/**
+ * nextScheduledChanges - Query Function
+ *
+ * The soonest pending change of each given record, for the View page's
+ * "Scheduled" badges. Each record is one index lookup, so the query only
+ * reads (and re-runs for) the records on screen rather than every change.
+ *
+ * @param recordIds - The records to look up
+ * @returns Promise<Array<Doc<"scheduledChanges">>> with at most one change
+ *   per record; records without a pending change are left out
+ */
+export const nextScheduledChanges = query({
+  args: {
+    recordIds: v.array(v.id("mockData")),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "viewer");
+    const changes = await Promise.all(
+      args.recordIds.map((recordId) =>
+        ctx.db
+          .query("scheduledChanges")
+          .withIndex("by_record", (q) => q.eq("recordId", recordId).eq("status", "pending"))
+          .first()
+      )
+    );
+    return changes.filter((change) => change !== null);
+  },
+});
+
+/**
+ * applyScheduledChange - Internal Mutation Function
+ *
+ * Run by the scheduler at a change's runAt. Applies it as an update by the
+ * user who scheduled it, or marks it failed with the reason.
+ *
+ * @param changeId - The scheduled change
+ */
+export const applyScheduledChange = internalMutation({
+  args: {
+    changeId: v.id("scheduledChanges"),
+  },
+  handler: async (ctx, args) => {
+    const change = await ctx.db.get(args.changeId);
+    if (change === null || change.status !== "pending") {
+      return;
+    }
+
+    const record = await ctx.db.get(change.recordId);
+    try {
+      // Based on the current revision: the change overwrites whatever is there
+      await updateRecord(
+        ctx,
+        change.recordId,
+        { name: change.name, value: change.value },
+        record === null ? 0 : revisionOf(record),
+        change.createdBy
+      );
+    } catch (error) {
+      if (error instanceof ConvexError) {
+        // Nothing was written, so recording the failure is safe
+        await ctx.db.patch(change._id, {
+          status: "failed",
+          error: (error.data as { message: string }).message,
+        });
+        return;
+      }
+      throw error;
+    }
+    await ctx.db.delete(change._id);
+  },
+});
@@ -57,3 +57,144 @@ describe('Convex Schema', () => {
     expect(typeof schema.mockData.validator).toBe('object')
   })
 })
+
+describe('Convex Schema - mockData soft deletion', () => {
+  it('should declare an optional deletedAt field', () => {
+    const fields = schema.tables.mockData.validator.fields
+    expect(fields).toHaveProperty('deletedAt')
+    expect(fields.deletedAt.isOptional).toBe('optional')
+  })
+
+  it('should index records by deletedAt', () => {
+    const indexes = schema.tables.mockData[' indexes']()
+    expect(indexes).toContainEqual({
+      indexDescriptor: 'by_deletedAt',
+      fields: ['deletedAt'],
+    })
+  })
+})
+
+describe('Convex Schema - mockData sort indexes', () => {
+  it('should index live records by value and by name', () => {
+    const indexes = schema.tables.mockData[' indexes']()
+    expect(indexes).toContainEqual({
+      indexDescriptor: 'by_value',
+      fields: ['deletedAt', 'value'],
+    })
+    expect(indexes).toContainEqual({
+      indexDescriptor: 'by_name',
+      fields: ['deletedAt', 'name'],
+    })
+  })
+})
+
+describe('Convex Schema - mockData search indexes', () => {
+  it('should define full-text search over name and description', () => {
+    // export() serializes the table definition but isn't part of the public type
+    const { searchIndexes } = (
+      schema.tables.mockData as unknown as { export: () => { searchIndexes: unknown[] } }
+    ).export()
+    expect(searchIndexes).toContainEqual({
+      indexDescriptor: 'search_name',
+      searchField: 'name',
+      filterFields: ['deletedAt'],
+    })
+    expect(searchIndexes).toContainEqual({
+      indexDescriptor: 'search_description',
+      searchField: 'description',
+      filterFields: ['deletedAt'],
+    })
+  })
+})
+
+describe('Convex Schema - mockDataHistory table', () => {
+  it('should define the history table', () => {
+    expect(schema.tables.mockDataHistory).toBeDefined()
+  })
+
+  it('should index entries by record for the timeline', () => {
+    const indexes = schema.tables.mockDataHistory[' indexes']()
+    expect(indexes).toContainEqual({
+      indexDescriptor: 'by_record',
+      fields: ['recordId'],
+    })
+  })
+})
+
+describe('Convex Schema - users table', () => {
+  it('should index users by name for sign-in', () => {
+    const indexes = schema.tables.users[' indexes']()
+    expect(indexes).toContainEqual({
+      indexDescriptor: 'by_name',
+      fields: ['name'],
+    })
+  })
+})
+
+describe('Convex Schema - roles table', () => {
+  it('should index roles by user and by role', () => {
+    const indexes = schema.tables.roles[' indexes']()
+    expect(indexes).toContainEqual({
+      indexDescriptor: 'by_user',
+      fields: ['userId'],
+    })
+    expect(indexes).toContainEqual({
+      indexDescriptor: 'by_role',
+      fields: ['role'],
+    })
+  })
+})
+
+describe('Convex Schema - apiTokens table', () => {
+  it('should index tokens by their hash', () => {
+    const indexes = schema.tables.apiTokens[' indexes']()
+    expect(indexes).toContainEqual({
+      indexDescriptor: 'by_hash',
+      fields: ['tokenHash'],
+    })
+  })
+})
+
+describe('Convex Schema - webhook tables', () => {
+  it('should index subscriptions by status and deliveries by subscription and status', () => {
+    expect(schema.tables.webhooks[' indexes']()).toContainEqual({
+      indexDescriptor: 'by_enabled',
+      fields: ['enabled'],
+    })
+    expect(schema.tables.webhookDeliveries[' indexes']()).toContainEqual({
+      indexDescriptor: 'by_webhook',
+      fields: ['webhookId'],
+    })
+    expect(schema.tables.webhookDeliveries[' indexes']()).toContainEqual({
+      indexDescriptor: 'by_status',
+      fields: ['status'],
+    })
+  })
+})
+
+describe('Convex Schema - presence table', () => {
+  it('should index entries by session and by last heartbeat', () => {
+    const indexes = schema.tables.presence[' indexes']()
+    expect(indexes).toContainEqual({ indexDescriptor: 'by_session', fields: ['sessionId'] })
+    expect(indexes).toContainEqual({ indexDescriptor: 'by_lastSeen', fields: ['lastSeen'] })
+  })
+})
+
+describe('Convex Schema - editLeases table', () => {
+  it('should index leases by record and by expiry', () => {
+    const indexes = schema.tables.editLeases[' indexes']()
+    expect(indexes).toContainEqual({ indexDescriptor: 'by_record', fields: ['recordId'] })
+    expect(indexes).toContainEqual({ indexDescriptor: 'by_expiresAt', fields: ['expiresAt'] })
+  })
+})
+
+describe('Convex Schema - scheduledChanges table', () => {
+  it('should index changes by record and by time', () => {
+    const indexes = schema.tables.scheduledChanges[' indexes']()
+    expect(indexes).toContainEqual({
+      indexDescriptor: 'by_record',
+      fields: ['recordId', 'status', 'runAt'],
+    })
+    expect(indexes).toContainEqual({ indexDescriptor: 'by_runAt', fields: ['runAt'] })
+  })
+})
@@ -1,5 +1,11 @@
 import { defineSchema, defineTable } from "convex/server";
 import { v } from "convex/values";
+import { snapshotValidator, historyActionValidator } from "./history";
+import { roleValidator } from "./roles";
+import { webhookEventTypeValidator, deliveryStatusValidator } from "./webhooks";
+import { presencePageValidator } from "./presence";
+import { scheduledChangeStatusValidator } from "./scheduledChanges";
+import { notificationKindValidator } from "./comments";
 
 /**
  * Convex Schema Definition
@@ -30,12 +36,432 @@ export default defineSchema({
    * - name: A descriptive name for the data item (required)
    * - value: A numeric value associated with the item (required)
    * - description: Optional additional context about the item
+   * - deletedAt: Timestamp (ms) set when the record is moved to the trash;
+   *   absent for live records
+   * - revision: Incremented on every update, for optimistic concurrency
+   *   control. Records created before revisions existed have none and are
+   *   treated as revision 0
+   * - createdBy: The user who created the record
+   * - updatedBy: The user who last changed the record
    * - _id: Auto-generated unique identifier (provided by Convex)
    * - _creationTime: Auto-generated timestamp (provided by Convex)
+   *
+   * Indexes:
+   * - by_deletedAt: Separates live records (deletedAt undefined) from trashed
+   *   ones, and lets the cleanup job find records past the retention window.
+   *   Convex appends _creationTime to every index, so this also serves
+   *   creation-time ordering of live records
+   * - by_value: Live records ordered by value; supports value range filters
+   * - by_name: Live records ordered by name
+   *
+   * by_value and by_name are prefixed with deletedAt so that queries over live
+   * records (deletedAt undefined) stay a single index range.
+   *
+   * Search Indexes:
+   * - search_name: Full-text search over name
+   * - search_description: Full-text search over description
+   *
+   * A Convex search index has exactly one search field, so name and
+   * description each get their own index and searchMockData merges the
+   * results. Both filter on deletedAt to leave trashed records out.
    */
   mockData: defineTable({
     name: v.string(),
     value: v.number(),
     description: v.optional(v.string()),
-  }),
+    deletedAt: v.optional(v.number()),
+    revision: v.optional(v.number()),
+    // Optional because seeded and pre-auth records have no author
+    createdBy: v.optional(v.id("users")),
+    updatedBy: v.optional(v.id("users")),
+  })
+    .index("by_deletedAt", ["deletedAt"])
+    .index("by_value", ["deletedAt", "value"])
+    .index("by_name", ["deletedAt", "name"])
+    .searchIndex("search_name", {
+      searchField: "name",
+      filterFields: ["deletedAt"],
+    })
+    .searchIndex("search_description", {
+      searchField: "description",
+      filterFields: ["deletedAt"],
+    }),
+
+  /**
+   * mockDataHistory table
+   *
+   * Append-only change log for mockData records, written by every mutation
+   * in convex/functions.ts (see recordHistory in convex/history.ts).
+   *
+   * Fields:
+   * - recordId: The mockData record that changed (may since have been purged)
+   * - action: create | update | delete | restore | purge | revert
+   * - before: name/value/description before the change (absent for create)
+   * - after: name/value/description after the change (absent for purge)
+   * - revision: The record's revision after the change, when it still exists
+   * - changedBy: The user who made the change (absent for system jobs)
+   * - _creationTime: When the change happened (provided by Convex)
+   *
+   * Indexes:
+   * - by_record: A record's entries in chronological order
+   */
+  mockDataHistory: defineTable({
+    recordId: v.id("mockData"),
+    action: historyActionValidator,
+    before: v.optional(snapshotValidator),
+    after: v.optional(snapshotValidator),
+    revision: v.optional(v.number()),
+    changedBy: v.optional(v.id("users")),
+  }).index("by_record", ["recordId"]),
+
+  /**
+   * users table
+   *
+   * Accounts for the self-issued JWT sign-in in convex/auth.ts.
+   *
+   * Fields:
+   * - name: Login and display name (unique)
+   * - passwordHash: PBKDF2-SHA256 hash of the password (base64url)
+   * - passwordSalt: Random per-user salt for the hash (base64url)
+   *
+   * Indexes:
+   * - by_name: Look up an account by name at sign-in
+   */
+  users: defineTable({
+    name: v.string(),
+    passwordHash: v.string(),
+    passwordSalt: v.string(),
+  }).index("by_name", ["name"]),
+
+  /**
+   * roles table
+   *
+   * Each user's permission level (see convex/roles.ts). Users without an
+   * entry are treated as viewers.
+   *
+   * Fields:
+   * - userId: The user the role belongs to (one entry per user)
+   * - role: viewer | editor | admin
+   *
+   * Indexes:
+   * - by_user: Look up a user's role on every request
+   * - by_role: Count admins, so the last one can't be demoted
+   */
+  roles: defineTable({
+    userId: v.id("users"),
+    role: roleValidator,
+  })
+    .index("by_user", ["userId"])
+    .index("by_role", ["role"]),
+
+  /**
+   * apiTokens table
+   *
+   * Bearer tokens for the REST API in convex/http.ts, created and revoked
+   * by admins (see convex/apiTokens.ts). Only a hash of each token is
+   * stored; the token itself is shown once, when it is created.
+   *
+   * Fields:
+   * - name: What the token is for (e.g. "nightly report job")
+   * - tokenHash: SHA-256 of the token (base64url)
+   * - prefix: The token's first characters, to tell tokens apart in the UI
+   * - role: The role requests made with the token act with
+   * - createdBy: The admin who created it; API writes are attributed to them
+   * - revokedAt: When it was revoked (undefined while active)
+   *
+   * Indexes:
+   * - by_hash: Look up the token presented with each request
+   */
+  apiTokens: defineTable({
+    name: v.string(),
+    tokenHash: v.string(),
+    prefix: v.string(),
+    role: roleValidator,
+    createdBy: v.id("users"),
+    revokedAt: v.optional(v.number()),
+  }).index("by_hash", ["tokenHash"]),
+
+  /**
+   * webhooks table
+   *
+   * Outbound webhook subscriptions (see convex/webhooks.ts).
+   *
+   * Fields:
+   * - url: Where events are POSTed
+   * - secret: Key for the HMAC signature sent with every delivery
+   * - eventTypes: The events to send (e.g. "mockData.updated")
+   * - enabled: Paused subscriptions get no new deliveries
+   * - createdBy: The admin who created it
+   *
+   * Indexes:
+   * - by_enabled: Find the active subscriptions on every change
+   */
+  webhooks: defineTable({
+    url: v.string(),
+    secret: v.string(),
+    eventTypes: v.array(webhookEventTypeValidator),
+    enabled: v.boolean(),
+    createdBy: v.id("users"),
+  }).index("by_enabled", ["enabled"]),
+
+  /**
+   * webhookDeliveries table
+   *
+   * One entry per event per subscription: the delivery log shown on the
+   * Webhooks page, and the state of its retries.
+   *
+   * Fields:
+   * - webhookId: The subscription it is sent to
+   * - eventType / recordId: What happened, and to which record
+   * - payload: The exact JSON body sent (and signed) on every attempt
+   * - status: pending (sending or waiting to retry) | succeeded | failed (gave up)
+   * - attempts: Attempts made so far
+   * - lastAttemptAt / lastStatusCode / lastError: Outcome of the latest attempt
+   * - nextAttemptAt: When the next retry is scheduled, while pending
+   *
+   * Indexes:
+   * - by_webhook: A subscription's deliveries in chronological order
+   * - by_status: Deliveries by status, oldest first (pruning finished ones)
+   */
+  webhookDeliveries: defineTable({
+    webhookId: v.id("webhooks"),
+    eventType: webhookEventTypeValidator,
+    recordId: v.id("mockData"),
+    payload: v.string(),
+    status: deliveryStatusValidator,
+    attempts: v.number(),
+    lastAttemptAt: v.optional(v.number()),
+    lastStatusCode: v.optional(v.number()),
+    lastError: v.optional(v.string()),
+    nextAttemptAt: v.optional(v.number()),
+  })
+    .index("by_webhook", ["webhookId"])
+    .index("by_status", ["status"]),
+
+  /**
+   * presence table
+   *
+   * One entry per open View or Update page tab, kept fresh by heartbeats
+   * (see convex/presence.ts).
+   *
+   * Fields:
+   * - sessionId: Random ID of the browser tab
+   * - userId: The signed-in user in that tab
+   * - page: view | update
+   * - recordId: The record selected on the Update page, if any
+   * - lastSeen: Time of the latest heartbeat
+   *
+   * Indexes:
+   * - by_session: Find a tab's entry on each heartbeat
+   * - by_lastSeen: List entries by freshness and find stale ones
+   */
+  presence: defineTable({
+    sessionId: v.string(),
+    userId: v.id("users"),
+    page: presencePageValidator,
+    recordId: v.optional(v.id("mockData")),
+    lastSeen: v.number(),
+  })
+    .index("by_session", ["sessionId"])
+    .index("by_lastSeen", ["lastSeen"]),
+
+  /**
+   * editLeases table
+   *
+   * Time-limited locks on records being edited on the Update page (see
+   * convex/leases.ts). At most one per record.
+   *
+   * Fields:
+   * - recordId: The locked record
+   * - userId: The user holding the lease
+   * - expiresAt: When the lease ends unless renewed
+   *
+   * Indexes:
+   * - by_record: Find a record's lease on every acquire and update
+   * - by_expiresAt: Find expired leases for cleanup
+   */
+  editLeases: defineTable({
+    recordId: v.id("mockData"),
+    userId: v.id("users"),
+    expiresAt: v.number(),
+  })
+    .index("by_record", ["recordId"])
+    .index("by_expiresAt", ["expiresAt"]),
+
+  /**
+   * scheduledChanges table
+   *
+   * Updates waiting to be applied at a set time (see
+   * convex/scheduledChanges.ts). Applied and cancelled changes are removed.
+   *
+   * Fields:
+   * - recordId: The record to change
+   * - name, value: The fields it will get
+   * - runAt: When the change is applied
+   * - status: pending | failed
+   * - error: Why a failed change couldn't be applied
+   * - createdBy: The user who scheduled it; the update is attributed to them
+   * - scheduledFunctionId: The scheduler job applying it, for cancelling
+   *
+   * Indexes:
+   * - by_record: A record's changes (Update page), and its soonest pending
+   *   one (View page badge)
+   * - by_runAt: All changes, soonest first (Scheduled page)
+   */
+  scheduledChanges: defineTable({
+    recordId: v.id("mockData"),
+    name: v.string(),
+    value: v.number(),
+    runAt: v.number(),
+    status: scheduledChangeStatusValidator,
+    error: v.optional(v.string()),
+    createdBy: v.id("users"),
+    scheduledFunctionId: v.optional(v.id("_scheduled_functions")),
+  })
+    .index("by_record", ["recordId", "status", "runAt"])
+    .index("by_runAt", ["runAt"]),
+
+  /**
+   * tags table
+   *
+   * Labels that group records (see convex/tags.ts).
+   *
+   * Fields:
+   * - name: The name as shown, e.g. "Q3 budget"
+   * - normalizedName: The name trimmed and lowercased; unique, so two tags
+   *   can't differ only in case
+   *
+   * Indexes:
+   * - by_normalizedName: Find a tag by name when tagging and renaming
+   */
+  tags: defineTable({
+    name: v.string(),
+    normalizedName: v.string(),
+  }).index("by_normalizedName", ["normalizedName"]),
+
+  /**
+   * recordTags table
+   *
+   * Join table between mockData and tags: one entry per tag per record.
+   * Removed with the record when it is purged, and with the tag when it is
+   * deleted.
+   *
+   * Fields:
+   * - recordId: The tagged record
+   * - tagId: The tag
+   *
+   * Indexes:
+   * - by_record: A record's tags, and whether it carries a given one
+   * - by_tag: The records carrying a tag (counts, merge, delete)
+   */
+  recordTags: defineTable({
+    recordId: v.id("mockData"),
+    tagId: v.id("tags"),
+  })
+    .index("by_record", ["recordId", "tagId"])
+    .index("by_tag", ["tagId"]),
+
+  /**
+   * valueStats table
+   *
+   * Incrementally maintained aggregates of live record values (see
+   * convex/stats.ts): one entry per non-empty bucket of values that agree
+   * to two significant digits.
+   *
+   * Fields:
+   * - bucket: The bucket's key (see bucketOf); ordered like its values
+   * - count: Live records with a value in the bucket
+   * - sum: Sum of their values
+   *
+   * Indexes:
+   * - by_bucket: Find a value's bucket on every write, and read buckets in
+   *   value order
+   */
+  valueStats: defineTable({
+    bucket: v.number(),
+    count: v.number(),
+    sum: v.number(),
+  }).index("by_bucket", ["bucket"]),
+
+  /**
+   * valueSnapshots table
+   *
+   * Time series of record values (see convex/valueSnapshots.ts): the
+   * "take value snapshots" cron job adds one entry per live record every
+   * snapshot interval, and old entries are pruned after the retention period.
+   *
+   * Fields:
+   * - recordId: The record
+   * - value: Its value when the snapshot was taken
+   * - takenAt: When the snapshot was taken (ms); shared by a whole run
+   *
+   * Indexes:
+   * - by_record: A record's series over a time range
+   * - by_takenAt: Find the latest run, and the snapshots to prune
+   */
+  valueSnapshots: defineTable({
+    recordId: v.id("mockData"),
+    value: v.number(),
+    takenAt: v.number(),
+  })
+    .index("by_record", ["recordId", "takenAt"])
+    .index("by_takenAt", ["takenAt"]),
+
+  /**
+   * comments table
+   *
+   * Discussion threads on records (see convex/comments.ts). Removed with the
+   * record when it is purged.
+   *
+   * Fields:
+   * - recordId: The record commented on
+   * - parentId: The thread's first comment, for replies (absent on it)
+   * - authorId: The user who wrote it; only they can edit or delete it
+   * - body: The text, with @mentions (see convex/mentions.ts)
+   * - mentions: The users the text mentions
+   * - editedAt: When the text was last edited
+   * - deletedAt: When it was deleted (soft delete; the text isn't shown)
+   *
+   * Indexes:
+   * - by_record: A record's comments in chronological order
+   */
+  comments: defineTable({
+    recordId: v.id("mockData"),
+    parentId: v.optional(v.id("comments")),
+    authorId: v.id("users"),
+    body: v.string(),
+    mentions: v.array(v.id("users")),
+    editedAt: v.optional(v.number()),
+    deletedAt: v.optional(v.number()),
+  }).index("by_record", ["recordId"]),
+
+  /**
+   * notifications table
+   *
+   * Things a user should look at, shown in the navbar's notification menu.
+   * Today only mentions in comments (see convex/comments.ts).
+   *
+   * Fields:
+   * - userId: Who is notified
+   * - kind: mention
+   * - recordId / commentId: The comment that mentioned them, and its record
+   * - actorId: The user who mentioned them
+   * - readAt: When they marked it read (absent while unread)
+   *
+   * Indexes:
+   * - by_user: A user's notifications in chronological order
+   * - by_unread: A user's unread notifications (readAt undefined)
+   * - by_comment: A comment's notifications, removed when it is deleted
+   */
+  notifications: defineTable({
+    userId: v.id("users"),
+    kind: notificationKindValidator,
+    recordId: v.id("mockData"),
+    commentId: v.id("comments"),
+    actorId: v.id("users"),
+    readAt: v.optional(v.number()),
+  })
+    .index("by_user", ["userId"])
+    .index("by_unread", ["userId", "readAt"])
+    .index("by_comment", ["commentId"]),
 });
@@ -0,0 +1,218 @@
+/**
+ * Convex Statistics Tests
+ *
+ * Unit tests for the value buckets behind the statistics aggregates, how
+ * changes move values between them, the histogram built from them, and how
+ * stale aggregates are flagged and recounted.
+ *
+ * References:
+ * - Convex Functions Docs: https://docs.convex.dev/functions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { argsOf, fakeCtx, run } from './test.utils'
+import {
+  bucketOf,
+  bucketRange,
+  valueStatsChange,
+  histogramOf,
+  getValueStats,
+  rebuildValueStats,
+  reconcileValueStats,
+  MIN_MAGNITUDE,
+} from './stats'
+
+vi.mock('./_generated/api', () => ({
+  internal: { stats: { reconcileValueStats: 'stats:reconcileValueStats' } },
+}))
+
+describe('Convex Statistics - function types', () => {
+  it('should expose getValueStats as a public query with an optional value range', () => {
+    expect(getValueStats.isQuery).toBe(true)
+    expect(getValueStats.isPublic).toBe(true)
+    const args = argsOf(getValueStats)
+    for (const key of ['valueMin', 'valueMax', 'bins']) {
+      expect(args[key].optional).toBe(true)
+    }
+  })
+
+  it('should keep the rebuild and the reconciliation internal', () => {
+    expect(rebuildValueStats.isMutation).toBe(true)
+    expect(rebuildValueStats.isInternal).toBe(true)
+    expect(reconcileValueStats.isMutation).toBe(true)
+    expect(reconcileValueStats.isInternal).toBe(true)
+  })
+})
+
+describe('Convex Statistics - buckets', () => {
+  it('should group values that agree to two significant digits', () => {
+    expect(bucketOf(120)).toBe(bucketOf(129.99))
+    expect(bucketOf(130)).toBe(bucketOf(120) + 1)
+    expect(bucketOf(0.35)).toBe(bucketOf(0.3599))
+    expect(bucketOf(-120)).toBe(-bucketOf(120))
+  })
+
+  it('should put values near 0 in bucket 0', () => {
+    expect(bucketOf(0)).toBe(0)
+    expect(bucketOf(MIN_MAGNITUDE / 2)).toBe(0)
+    expect(bucketOf(-MIN_MAGNITUDE / 2)).toBe(0)
+    expect(bucketOf(MIN_MAGNITUDE)).toBe(1)
+  })
+
+  it('should order buckets like their values', () => {
+    const values = [-1e9, -5000, -99.5, -1, -0.5, 0, 0.011, 0.1, 1, 9.99, 10, 1000, 1e9]
+    const buckets = values.map(bucketOf)
+    expect(buckets).toEqual([...buckets].sort((a, b) => a - b))
+  })
+
+  it('should keep every value within its bucket range, including powers of ten', () => {
+    for (const value of [0.01, 0.1, 0.3, 1, 10, 99.9, 100, 1000, 123456, 1e9, -0.3, -1000]) {
+      const { from, to } = bucketRange(bucketOf(value))
+      expect(value).toBeGreaterThanOrEqual(from)
+      expect(value).toBeLessThanOrEqual(to)
+    }
+  })
+})
+
+describe('Convex Statistics - valueStatsChange', () => {
+  const before = { name: 'Alpha', value: 1 }
+  const after = { name: 'Alpha', value: 2 }
+
+  it('should add created and restored values and remove deleted ones', () => {
+    expect(valueStatsChange('create', undefined, after)).toEqual({ added: 2 })
+    expect(valueStatsChange('restore', before, before)).toEqual({ added: 1 })
+    expect(valueStatsChange('delete', before, before)).toEqual({ removed: 1 })
+  })
+
+  it('should swap the value on updates and reverts that change it', () => {
+    expect(valueStatsChange('update', before, after)).toEqual({ removed: 1, added: 2 })
+    expect(valueStatsChange('revert', after, before)).toEqual({ removed: 2, added: 1 })
+    expect(valueStatsChange('update', before, { ...before, name: 'Renamed' })).toEqual({})
+  })
+
+  it('should ignore purges, which only remove records from the trash', () => {
+    expect(valueStatsChange('purge', before, undefined)).toEqual({})
+  })
+})
+
+describe('Convex Statistics - histogramOf', () => {
+  it('should count each bucket in the bin holding its mean', () => {
+    const buckets = [
+      { bucket: 1, count: 2, sum: 4 }, // mean 2
+      { bucket: 2, count: 1, sum: 55 }, // mean 55
+      { bucket: 3, count: 3, sum: 300 }, // mean 100, the max
+    ]
+
+    expect(histogramOf(buckets, 0, 100, 4)).toEqual([
+      { from: 0, to: 25, count: 2 },
+      { from: 25, to: 50, count: 0 },
+      { from: 50, to: 75, count: 1 },
+      { from: 75, to: 100, count: 3 },
+    ])
+  })
+
+  it('should return a single bin when every value is the same', () => {
+    expect(histogramOf([{ bucket: 5, count: 4, sum: 20 }], 5, 5, 10)).toEqual([
+      { from: 5, to: 5, count: 4 },
+    ])
+  })
+})
+
+// A viewer (users:1) and live records with the given values
+const withRecords = (values: number[], tables: Record<string, Record<string, unknown>[]> = {}) =>
+  fakeCtx(
+    {
+      users: [{ name: 'Ana', passwordHash: '', passwordSalt: '' }],
+      roles: [{ userId: 'users:1', role: 'viewer' }],
+      mockData: values.map((value) => ({ name: `Record ${value}`, value })),
+      ...tables,
+    },
+    'users:1'
+  )
+
+const bucketsOf = (rows: Record<string, unknown>[]) =>
+  rows
+    .map(({ bucket, count, sum }) => ({ bucket, count, sum }))
+    .sort((a, b) => (a.bucket as number) - (b.bucket as number))
+
+describe('Convex Statistics - getValueStats staleness', () => {
+  it('should not flag aggregates that count every record', async () => {
+    const { ctx } = withRecords([5, 120], {
+      valueStats: [
+        { bucket: bucketOf(5), count: 1, sum: 5 },
+        { bucket: bucketOf(120), count: 1, sum: 120 },
+      ],
+    })
+
+    expect(await run(getValueStats, ctx)).toMatchObject({ count: 2, sum: 125, stale: false })
+  })
+
+  it('should flag aggregates that were never built', async () => {
+    const { ctx } = withRecords([5, 120])
+
+    expect(await run(getValueStats, ctx)).toMatchObject({ count: 0, min: null, stale: true })
+  })
+
+  it('should flag records written around the aggregates', async () => {
+    const { ctx } = withRecords([5, 120], {
+      valueStats: [{ bucket: bucketOf(5), count: 1, sum: 5 }],
+    })
+
+    expect(await run(getValueStats, ctx)).toMatchObject({ count: 1, max: 120, stale: true })
+  })
+
+  it('should not flag an empty table', async () => {
+    const { ctx } = withRecords([])
+
+    expect(await run(getValueStats, ctx)).toMatchObject({ count: 0, stale: false })
+  })
+})
+
+describe('Convex Statistics - reconcileValueStats', () => {
+  it('should recount drifted sums, add missing buckets and delete empty ones', async () => {
+    const { ctx, all, scheduler } = withRecords([120, 125, 5], {
+      valueStats: [
+        { bucket: bucketOf(-50), count: 1, sum: -50 },
+        { bucket: bucketOf(120), count: 2, sum: 245.00000000001 },
+        { bucket: bucketOf(300), count: 1, sum: 300 },
+      ],
+    })
+
+    expect(await run(reconcileValueStats, ctx)).toBe(3)
+
+    expect(bucketsOf(all('valueStats'))).toEqual([
+      { bucket: bucketOf(5), count: 1, sum: 5 },
+      { bucket: bucketOf(120), count: 2, sum: 245 },
+    ])
+    expect(scheduler.runAfter).not.toHaveBeenCalled()
+  })
+
+  it('should leave trashed records out', async () => {
+    const { ctx, all, db } = withRecords([5, 7])
+    await db.patch('mockData:4', { deletedAt: 1 })
+
+    await run(reconcileValueStats, ctx)
+
+    expect(bucketsOf(all('valueStats'))).toEqual([{ bucket: bucketOf(5), count: 1, sum: 5 }])
+  })
+
+  it('should continue in batches of whole buckets', async () => {
+    const values = Array.from({ length: 600 }, (_, i) => i + 1)
+    const { ctx, all, scheduler } = withRecords(values)
+
+    const read = await run(reconcileValueStats, ctx)
+    expect(read).toBeGreaterThanOrEqual(500)
+    expect(read).toBeLessThan(600)
+    expect(scheduler.runAfter).toHaveBeenCalledWith(0, 'stats:reconcileValueStats', {
+      afterValue: read,
+    })
+
+    await run(reconcileValueStats, ctx, scheduler.runAfter.mock.calls[0][2])
+
+    const rows = all('valueStats')
+    expect(rows.reduce((total, row) => total + (row.count as number), 0)).toBe(600)
+    expect(rows.reduce((total, row) => total + (row.sum as number), 0)).toBe(180300)
+    expect(scheduler.runAfter).toHaveBeenCalledTimes(1)
+  })
+})
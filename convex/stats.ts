@@ -0,0 +1,482 @@
+import { query, internalMutation, QueryCtx, MutationCtx } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { requireRole } from "./roles";
+import type { HistoryAction, Snapshot } from "./history";
+
+/**
+ * Convex Statistics Functions
+ *
+ * Count, sum, mean, min, max, median and a value histogram of the live
+ * mockData records, for the Stats page, without reading every record on
+ * every request.
+ *
+ * References:
+ * - Convex Indexes: https://docs.convex.dev/database/reading-data/indexes/
+ *
+ * Aggregates:
+ * Values are grouped into buckets of values that agree to two significant
+ * digits (e.g. 120 to 129.99..., or -0.35 to -0.3599...); values closer to 0
+ * than MIN_MAGNITUDE share bucket 0. The valueStats table keeps the count
+ * and sum of every non-empty bucket, and every write moves its record's
+ * value between buckets in the same transaction (updateValueStats, called
+ * from recordHistory, which every write goes through). There are at most a
+ * couple of thousand buckets however many records there are.
+ *
+ * getValueStats reads the buckets and derives:
+ * - count, sum, mean: from the bucket totals
+ * - min, max: the first and last live record of the by_value index
+ * - median: the bucket holding the middle record is found from the counts;
+ *   only that bucket's records are read to pick the exact value
+ * - histogram: equal-width bins from min to max, each bucket counted in the
+ *   bin holding its mean, so bars are accurate to within a bucket
+ * With a value range, the buckets a bound cuts through are counted from
+ * their records instead, so the figures stay exact.
+ *
+ * Records written outside the mutations (e.g. `npx convex import`, used by
+ * the seed script, or records that predate the aggregates) aren't counted;
+ * run rebuildValueStats afterwards:
+ *   npx convex run stats:rebuildValueStats
+ * getValueStats flags the figures as stale when a live record's bucket is
+ * missing, and the hourly reconcileValueStats cron job recounts every
+ * bucket from its records, which also corrects the floating-point drift
+ * that adding and subtracting values leaves in the sums.
+ *
+ * Client Usage:
+ * - Query: useQuery(api.stats.getValueStats, { valueMin?, valueMax?, bins? })
+ */
+
+/**
+ * Values closer to 0 than this share bucket 0.
+ */
+export const MIN_MAGNITUDE = 0.01;
+const MIN_EXPONENT = -2; // log10(MIN_MAGNITUDE)
+
+// Two significant digits: mantissas 1.0 to 9.9 make 90 buckets per power of ten
+const BUCKETS_PER_DECADE = 90;
+
+/**
+ * Default and maximum number of histogram bins returned by getValueStats.
+ */
+const DEFAULT_HISTOGRAM_BINS = 10;
+const MAX_HISTOGRAM_BINS = 50;
+
+/**
+ * Records counted per rebuildValueStats or reconcileValueStats batch.
+ */
+const REBUILD_BATCH_SIZE = 500;
+
+// Smallest magnitude in the index-th bucket of positive values
+const lowerBoundOf = (index: number) => {
+  const exponent = Math.floor(index / BUCKETS_PER_DECADE) + MIN_EXPONENT;
+  const mantissa = (index % BUCKETS_PER_DECADE) + 10;
+  // Dividing by an exact power of ten keeps e.g. 0.35 exact, where 35 * 0.01 isn't
+  const scale = exponent - 1;
+  return scale >= 0 ? mantissa * 10 ** scale : mantissa / 10 ** -scale;
+};
+
+/**
+ * bucketOf - Helper (not a Convex function)
+ *
+ * The bucket a value is counted in. Buckets are ordered like their values:
+ * negative buckets hold negative values, and bucket 0 values within
+ * MIN_MAGNITUDE of 0.
+ *
+ * @param value - A record's value
+ * @returns number - An integer bucket key
+ */
+export function bucketOf(value: number): number {
+  const magnitude = Math.abs(value);
+  if (magnitude < MIN_MAGNITUDE) {
+    return 0;
+  }
+  // Estimate from the logarithm, then settle floating-point error against
+  // lowerBoundOf so the bucket always agrees with bucketRange
+  const exponent = Math.floor(Math.log10(magnitude));
+  const mantissa = Math.floor((magnitude / 10 ** exponent) * 10);
+  let index = Math.max(0, (exponent - MIN_EXPONENT) * BUCKETS_PER_DECADE + mantissa - 10);
+  while (index > 0 && lowerBoundOf(index) > magnitude) {
+    index--;
+  }
+  while (lowerBoundOf(index + 1) <= magnitude) {
+    index++;
+  }
+  return Math.sign(value) * (index + 1);
+}
+
+/**
+ * bucketRange - Helper (not a Convex function)
+ *
+ * Bounds enclosing every value of a bucket. The bound on the far side from
+ * 0 is the next bucket's start, so filter by bucketOf for exact membership.
+ *
+ * @param bucket - A bucket key
+ * @returns { from, to } - Inclusive bounds
+ */
+export function bucketRange(bucket: number): { from: number; to: number } {
+  if (bucket === 0) {
+    return { from: -MIN_MAGNITUDE, to: MIN_MAGNITUDE };
+  }
+  const index = Math.abs(bucket) - 1;
+  const [low, high] = [lowerBoundOf(index), lowerBoundOf(index + 1)];
+  return bucket > 0 ? { from: low, to: high } : { from: -high, to: -low };
+}
+
+/**
+ * valueStatsChange - Helper (not a Convex function)
+ *
+ * How a recorded change moves values in and out of the live records:
+ * creating or restoring adds the value, deleting removes it, updating and
+ * reverting swap the old value for the new one. Purging only ever affects
+ * records already in the trash.
+ *
+ * @returns { removed?: number, added?: number } - Values leaving and joining
+ */
+export function valueStatsChange(
+  action: HistoryAction,
+  before: Snapshot | undefined,
+  after: Snapshot | undefined
+): { removed?: number; added?: number } {
+  switch (action) {
+    case "create":
+    case "restore":
+      return { added: after?.value };
+    case "delete":
+      return { removed: before?.value };
+    case "update":
+    case "revert":
+      return before?.value === after?.value
+        ? {}
+        : { removed: before?.value, added: after?.value };
+    case "purge":
+      return {};
+  }
+}
+
+// Add `value` to its bucket (delta 1) or take it out (delta -1)
+async function adjustBucket(ctx: MutationCtx, value: number, delta: 1 | -1) {
+  const bucket = bucketOf(value);
+  const row = await ctx.db
+    .query("valueStats")
+    .withIndex("by_bucket", (q) => q.eq("bucket", bucket))
+    .unique();
+  if (row === null) {
+    // Removing from a missing bucket means the aggregates predate the record
+    if (delta > 0) {
+      await ctx.db.insert("valueStats", { bucket, count: 1, sum: value });
+    }
+    return;
+  }
+  if (row.count + delta <= 0) {
+    // Empty buckets are deleted, so reads only touch buckets with records
+    await ctx.db.delete(row._id);
+  } else {
+    await ctx.db.patch(row._id, { count: row.count + delta, sum: row.sum + delta * value });
+  }
+}
+
+/**
+ * updateValueStats - Helper (not a Convex function)
+ *
+ * Keeps the valueStats aggregates in step with a change to a record.
+ * Called by recordHistory, so it runs in the transaction making the change.
+ *
+ * @param ctx - The calling mutation's context
+ * @param change.action - What kind of change it was
+ * @param change.before - The record's tracked fields before the change
+ * @param change.after - The record's tracked fields after the change
+ */
+export async function updateValueStats(
+  ctx: MutationCtx,
+  change: { action: HistoryAction; before?: Snapshot; after?: Snapshot }
+) {
+  const { removed, added } = valueStatsChange(change.action, change.before, change.after);
+  if (removed !== undefined) {
+    await adjustBucket(ctx, removed, -1);
+  }
+  if (added !== undefined) {
+    await adjustBucket(ctx, added, 1);
+  }
+}
+
+type Bucket = { bucket: number; count: number; sum: number };
+
+/**
+ * histogramOf - Helper (not a Convex function)
+ *
+ * Spreads bucket counts over `bins` equal-width bins from min to max, each
+ * bucket in the bin holding its mean value.
+ *
+ * @param buckets - Non-empty buckets
+ * @param min - The smallest value
+ * @param max - The largest value
+ * @param bins - Number of bins
+ * @returns Array<{ from, to, count }>
+ */
+export function histogramOf(buckets: Bucket[], min: number, max: number, bins: number) {
+  if (min === max) {
+    const count = buckets.reduce((total, bucket) => total + bucket.count, 0);
+    return [{ from: min, to: max, count }];
+  }
+  const width = (max - min) / bins;
+  const histogram = Array.from({ length: bins }, (_, i) => ({
+    from: min + i * width,
+    to: i === bins - 1 ? max : min + (i + 1) * width,
+    count: 0,
+  }));
+  for (const { count, sum } of buckets) {
+    const index = Math.floor((sum / count - min) / width);
+    histogram[Math.min(bins - 1, Math.max(0, index))].count += count;
+  }
+  return histogram;
+}
+
+type ValueRange = { valueMin?: number; valueMax?: number };
+
+// Live records from valueMin to valueMax (both optional), by value
+const liveByValue = (ctx: QueryCtx, { valueMin, valueMax }: ValueRange) =>
+  ctx.db.query("mockData").withIndex("by_value", (q) => {
+    const live = q.eq("deletedAt", undefined);
+    const lower = valueMin !== undefined ? live.gte("value", valueMin) : live;
+    return valueMax !== undefined ? lower.lte("value", valueMax) : lower;
+  });
+
+// The values of a bucket's live records within the range, ascending
+const valuesInBucket = async (ctx: QueryCtx, bucket: number, range: ValueRange) => {
+  const { from, to } = bucketRange(bucket);
+  const records = await liveByValue(ctx, {
+    valueMin: Math.max(from, range.valueMin ?? from),
+    valueMax: Math.min(to, range.valueMax ?? to),
+  }).collect();
+  return records.map((record) => record.value).filter((value) => bucketOf(value) === bucket);
+};
+
+/**
+ * getValueStats - Query Function
+ *
+ * Statistics of the live records' values, optionally only those in a value
+ * range (see the module comment for how each figure is derived). Updates
+ * live like any query, as records are written.
+ *
+ * @param valueMin - Optional inclusive lower bound on value
+ * @param valueMax - Optional inclusive upper bound on value
+ * @param bins - Histogram bins (default DEFAULT_HISTOGRAM_BINS, capped at MAX_HISTOGRAM_BINS)
+ * @returns Promise<{ count, sum, mean, min, max, median, histogram, stale }>
+ *   where mean, min, max and median are null and histogram is empty without
+ *   records, histogram is an array of { from, to, count }, and stale is true
+ *   when the aggregates miss records (see the module comment)
+ */
+export const getValueStats = query({
+  args: {
+    valueMin: v.optional(v.number()),
+    valueMax: v.optional(v.number()),
+    bins: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "viewer");
+    const range = { valueMin: args.valueMin, valueMax: args.valueMax };
+    const lowBucket = args.valueMin !== undefined ? bucketOf(args.valueMin) : undefined;
+    const highBucket = args.valueMax !== undefined ? bucketOf(args.valueMax) : undefined;
+
+    const rows = await ctx.db
+      .query("valueStats")
+      .withIndex("by_bucket", (q) => {
+        const lower = lowBucket !== undefined ? q.gte("bucket", lowBucket) : q;
+        return highBucket !== undefined ? lower.lte("bucket", highBucket) : lower;
+      })
+      .collect();
+
+    // A bucket cut by a bound only partly counts; count its records in range
+    const buckets = (
+      await Promise.all(
+        rows.map(async ({ bucket, count, sum }): Promise<Bucket> => {
+          if (bucket !== lowBucket && bucket !== highBucket) {
+            return { bucket, count, sum };
+          }
+          const values = await valuesInBucket(ctx, bucket, range);
+          return {
+            bucket,
+            count: values.length,
+            sum: values.reduce((total, value) => total + value, 0),
+          };
+        })
+      )
+    ).filter((bucket) => bucket.count > 0);
+
+    const count = buckets.reduce((total, bucket) => total + bucket.count, 0);
+    const sum = buckets.reduce((total, bucket) => total + bucket.sum, 0);
+    const [lowest, highest] = await Promise.all([
+      liveByValue(ctx, range).order("asc").first(),
+      liveByValue(ctx, range).order("desc").first(),
+    ]);
+    // The extremes are read from the records; if either one's bucket is
+    // missing, records were written around the aggregates
+    const counted = new Set(buckets.map((bucket) => bucket.bucket));
+    const stale = [lowest, highest].some(
+      (record) => record !== null && !counted.has(bucketOf(record.value))
+    );
+    if (count === 0 || lowest === null || highest === null) {
+      return {
+        count: 0,
+        sum: 0,
+        mean: null,
+        min: null,
+        max: null,
+        median: null,
+        histogram: [],
+        stale,
+      };
+    }
+
+    // The value at a 0-based rank: find its bucket, then read only that bucket
+    const valueAt = async (rank: number) => {
+      let before = 0;
+      for (const bucket of buckets) {
+        if (rank < before + bucket.count) {
+          const values = await valuesInBucket(ctx, bucket.bucket, range);
+          return values[rank - before] ?? null;
+        }
+        before += bucket.count;
+      }
+      return null;
+    };
+    const [lowerMiddle, upperMiddle] = await Promise.all([
+      valueAt(Math.floor((count - 1) / 2)),
+      valueAt(Math.floor(count / 2)),
+    ]);
+
+    const bins = Math.max(
+      1,
+      Math.min(Math.floor(args.bins ?? DEFAULT_HISTOGRAM_BINS), MAX_HISTOGRAM_BINS)
+    );
+    return {
+      count,
+      sum,
+      mean: sum / count,
+      min: lowest.value,
+      max: highest.value,
+      median:
+        lowerMiddle !== null && upperMiddle !== null ? (lowerMiddle + upperMiddle) / 2 : null,
+      histogram: histogramOf(buckets, lowest.value, highest.value, bins),
+      stale,
+    };
+  },
+});
+
+/**
+ * rebuildValueStats - Internal Mutation Function
+ *
+ * Recomputes the valueStats aggregates from the live records, for data
+ * written around the mutations (see the module comment). The first call
+ * clears them; each batch then counts REBUILD_BATCH_SIZE records and
+ * schedules the next. Run it while nobody is editing, since a write to a
+ * record not yet counted would be counted twice.
+ *
+ * @param cursor - Where the next batch starts (set by the previous batch)
+ * @returns Promise<number> - The number of records counted in this batch
+ */
+export const rebuildValueStats = internalMutation({
+  args: {
+    cursor: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    if (args.cursor === undefined) {
+      for (const row of await ctx.db.query("valueStats").collect()) {
+        await ctx.db.delete(row._id);
+      }
+    }
+
+    const batch = await ctx.db
+      .query("mockData")
+      .withIndex("by_deletedAt", (q) => q.eq("deletedAt", undefined))
+      .paginate({ numItems: REBUILD_BATCH_SIZE, cursor: args.cursor ?? null });
+    for (const record of batch.page) {
+      await adjustBucket(ctx, record.value, 1);
+    }
+    if (!batch.isDone) {
+      await ctx.scheduler.runAfter(0, internal.stats.rebuildValueStats, {
+        cursor: batch.continueCursor,
+      });
+    }
+    return batch.page.length;
+  },
+});
+
+/**
+ * reconcileValueStats - Internal Mutation Function
+ *
+ * Recounts the valueStats aggregates from the live records, bucket by
+ * bucket in value order: each bucket's count and sum are set from its
+ * records, buckets with records but no entry are added and entries without
+ * records are deleted. Run hourly by a cron job (convex/crons.ts).
+ *
+ * Unlike rebuildValueStats it is safe while records are being edited: each
+ * bucket is recounted within one transaction, and a write that lands
+ * between batches moves its value between buckets as usual. Each batch
+ * recounts whole buckets until REBUILD_BATCH_SIZE records have been read,
+ * then schedules the next.
+ *
+ * @param afterValue - Recount the buckets above the one holding this value
+ *   (set by the previous batch; omitted to start from the lowest bucket)
+ * @returns Promise<number> - The number of records read in this batch
+ */
+export const reconcileValueStats = internalMutation({
+  args: {
+    afterValue: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    let afterValue = args.afterValue;
+    let read = 0;
+
+    // Delete the entries of buckets above `lowBucket` and below `highBucket`
+    // (either open-ended when undefined), which have no live records
+    const deleteEmptyBuckets = async (lowBucket?: number, highBucket?: number) => {
+      const rows = await ctx.db
+        .query("valueStats")
+        .withIndex("by_bucket", (q) => {
+          const lower = lowBucket !== undefined ? q.gt("bucket", lowBucket) : q;
+          return highBucket !== undefined ? lower.lt("bucket", highBucket) : lower;
+        })
+        .collect();
+      for (const row of rows) {
+        await ctx.db.delete(row._id);
+      }
+    };
+
+    while (read < REBUILD_BATCH_SIZE) {
+      const previousBucket = afterValue !== undefined ? bucketOf(afterValue) : undefined;
+      const next = await ctx.db
+        .query("mockData")
+        .withIndex("by_value", (q) => {
+          const live = q.eq("deletedAt", undefined);
+          return afterValue !== undefined ? live.gt("value", afterValue) : live;
+        })
+        .first();
+      if (next === null) {
+        await deleteEmptyBuckets(previousBucket);
+        return read;
+      }
+
+      const bucket = bucketOf(next.value);
+      await deleteEmptyBuckets(previousBucket, bucket);
+      const values = await valuesInBucket(ctx, bucket, {});
+      const count = values.length;
+      const sum = values.reduce((total, value) => total + value, 0);
+      const row = await ctx.db
+        .query("valueStats")
+        .withIndex("by_bucket", (q) => q.eq("bucket", bucket))
+        .unique();
+      if (row === null) {
+        await ctx.db.insert("valueStats", { bucket, count, sum });
+      } else if (row.count !== count || row.sum !== sum) {
+        await ctx.db.patch(row._id, { count, sum });
+      }
+
+      read += count;
+      afterValue = values[values.length - 1];
+    }
+
+    await ctx.scheduler.runAfter(0, internal.stats.reconcileValueStats, { afterValue });
+    return read;
+  },
+});
@@ -0,0 +1,231 @@
+/**
+ * Convex Tag Tests
+ *
+ * Unit tests for the tag functions and the tag helpers used by
+ * listMockData and searchMockData, with handler tests for tagging, merging
+ * and deleting tags and who may do each.
+ *
+ * References:
+ * - Convex Functions Docs: https://docs.convex.dev/functions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { argsOf, errorOf, fakeCtx, run } from './test.utils'
+import {
+  listTags,
+  getRecordTags,
+  createTag,
+  renameTag,
+  mergeTags,
+  deleteTag,
+  addRecordTag,
+  removeRecordTag,
+  matchesTags,
+  resolveTagIds,
+  withTags,
+} from './tags'
+
+// Ana (users:1) has `role` and Ben (users:2) is another user; the tags are
+// budget (tags:4) and Q3 (tags:5); Alpha (mockData:6) carries both and
+// Beta (mockData:7) budget
+const setup = (role: string) =>
+  fakeCtx(
+    {
+      users: [
+        { name: 'Ana', passwordHash: '', passwordSalt: '' },
+        { name: 'Ben', passwordHash: '', passwordSalt: '' },
+      ],
+      roles: [{ userId: 'users:1', role }],
+      tags: [
+        { name: 'budget', normalizedName: 'budget' },
+        { name: 'Q3', normalizedName: 'q3' },
+      ],
+      mockData: [
+        { name: 'Alpha', value: 1 },
+        { name: 'Beta', value: 2 },
+      ],
+      recordTags: [
+        { recordId: 'mockData:6', tagId: 'tags:4' },
+        { recordId: 'mockData:6', tagId: 'tags:5' },
+        { recordId: 'mockData:7', tagId: 'tags:4' },
+      ],
+    },
+    'users:1'
+  )
+
+// The tag IDs of each record, as "recordId:tagId" pairs
+const assignments = (all: (table: string) => Record<string, unknown>[]) =>
+  all('recordTags').map(({ recordId, tagId }) => `${recordId} ${tagId}`)
+
+describe('Convex Tags - function types', () => {
+  it('should expose the tag lists as public queries', () => {
+    for (const fn of [listTags, getRecordTags]) {
+      expect(fn.isQuery).toBe(true)
+      expect(fn.isPublic).toBe(true)
+    }
+  })
+
+  it('should expose tag management and tagging as public mutations', () => {
+    for (const fn of [createTag, renameTag, mergeTags, deleteTag, addRecordTag, removeRecordTag]) {
+      expect(fn.isMutation).toBe(true)
+      expect(fn.isPublic).toBe(true)
+    }
+  })
+
+  it('should tag records by name and untag them by tag ID', () => {
+    expect(Object.keys(argsOf(addRecordTag)).sort()).toEqual(['name', 'recordId'])
+    expect(argsOf(removeRecordTag).tagId.fieldType.tableName).toBe('tags')
+  })
+})
+
+describe('Convex Tags - matchesTags', () => {
+  const tags = [
+    { _id: 't1', name: 'budget' },
+    { _id: 't2', name: 'q3' },
+  ] as never
+
+  it('should pass every record without a filter', () => {
+    expect(matchesTags(tags, undefined)).toBe(true)
+    expect(matchesTags([], [])).toBe(true)
+  })
+
+  it('should require every tag with "all"', () => {
+    expect(matchesTags(tags, ['t1', 't2'] as never, 'all')).toBe(true)
+    expect(matchesTags(tags, ['t1', 't3'] as never, 'all')).toBe(false)
+    // "all" is the default
+    expect(matchesTags(tags, ['t1', 't3'] as never)).toBe(false)
+  })
+
+  it('should require one of the tags with "any"', () => {
+    expect(matchesTags(tags, ['t1', 't3'] as never, 'any')).toBe(true)
+    expect(matchesTags(tags, ['t3'] as never, 'any')).toBe(false)
+  })
+})
+
+describe('Convex Tags - withTags', () => {
+  it("should add each record's existing tags, sorted by name", async () => {
+    const { ctx, db } = setup('viewer')
+    // Q3 is assigned before budget, and one assignment's tag is gone
+    await db.delete('recordTags:8')
+    await db.insert('recordTags', { recordId: 'mockData:6', tagId: 'tags:4' })
+    await db.insert('recordTags', { recordId: 'mockData:6', tagId: 'tags:99' })
+    await db.delete('recordTags:10')
+
+    const records = await withTags(ctx, [
+      { _id: 'mockData:6', name: 'Alpha' },
+      { _id: 'mockData:7', name: 'Beta' },
+    ] as never)
+
+    expect(records).toEqual([
+      {
+        _id: 'mockData:6',
+        name: 'Alpha',
+        tags: [
+          { _id: 'tags:4', name: 'budget' },
+          { _id: 'tags:5', name: 'Q3' },
+        ],
+      },
+      { _id: 'mockData:7', name: 'Beta', tags: [] },
+    ])
+  })
+})
+
+describe('Convex Tags - resolveTagIds', () => {
+  it('should keep the IDs of existing tags and drop the rest', async () => {
+    const { ctx } = setup('viewer')
+
+    expect(await resolveTagIds(ctx, ['tags:5', 'not-an-id', 'tags:99', 'mockData:6'])).toEqual([
+      'tags:5',
+    ])
+    expect(await resolveTagIds(ctx, undefined)).toBeUndefined()
+  })
+})
+
+describe('Convex Tags - tagging records', () => {
+  it('should only let editors tag', async () => {
+    const { ctx, all } = setup('viewer')
+
+    expect(
+      await errorOf(run(addRecordTag, ctx, { recordId: 'mockData:7', name: 'q3' }))
+    ).toMatchObject({ code: 'FORBIDDEN' })
+    expect(all('recordTags')).toHaveLength(3)
+  })
+
+  it('should reuse a tag of the same name, ignoring case, and create new ones', async () => {
+    const { ctx, all } = setup('editor')
+
+    expect(await run(addRecordTag, ctx, { recordId: 'mockData:7', name: ' q3 ' })).toBe('tags:5')
+    // Already tagged: nothing changes
+    expect(await run(addRecordTag, ctx, { recordId: 'mockData:7', name: 'Q3' })).toBe('tags:5')
+    const created = await run(addRecordTag, ctx, { recordId: 'mockData:7', name: 'urgent' })
+
+    expect(all('tags').map((tag) => tag.name)).toEqual(['budget', 'Q3', 'urgent'])
+    expect(assignments(all)).toEqual([
+      'mockData:6 tags:4',
+      'mockData:6 tags:5',
+      'mockData:7 tags:4',
+      'mockData:7 tags:5',
+      `mockData:7 ${created}`,
+    ])
+  })
+
+  it("should refuse to tag a record while another user's lease is active", async () => {
+    const { ctx, db } = setup('editor')
+    await db.insert('editLeases', {
+      recordId: 'mockData:7',
+      userId: 'users:2',
+      expiresAt: Date.now() + 60_000,
+    })
+
+    expect(
+      await errorOf(run(addRecordTag, ctx, { recordId: 'mockData:7', name: 'q3' }))
+    ).toMatchObject({ code: 'LOCKED', holder: 'Ben' })
+    expect(
+      await errorOf(run(removeRecordTag, ctx, { recordId: 'mockData:7', tagId: 'tags:4' }))
+    ).toMatchObject({ code: 'LOCKED' })
+  })
+
+  it('should take a tag off one record only', async () => {
+    const { ctx, all } = setup('editor')
+
+    await run(removeRecordTag, ctx, { recordId: 'mockData:6', tagId: 'tags:4' })
+
+    expect(assignments(all)).toEqual(['mockData:6 tags:5', 'mockData:7 tags:4'])
+    expect(all('tags')).toHaveLength(2)
+  })
+})
+
+describe('Convex Tags - managing tags', () => {
+  it('should refuse a name another tag has, ignoring case', async () => {
+    const { ctx } = setup('editor')
+
+    expect(await errorOf(run(createTag, ctx, { name: 'BUDGET' }))).toMatchObject({
+      code: 'TAG_TAKEN',
+    })
+    expect(
+      await errorOf(run(renameTag, ctx, { tagId: 'tags:5', name: 'Budget' }))
+    ).toMatchObject({ code: 'TAG_TAKEN' })
+  })
+
+  it('should merge a tag into another without duplicate assignments', async () => {
+    const { ctx, all } = setup('editor')
+
+    expect(await run(mergeTags, ctx, { sourceId: 'tags:4', targetId: 'tags:5' })).toBe(1)
+
+    expect(all('tags').map((tag) => tag.name)).toEqual(['Q3'])
+    expect(assignments(all)).toEqual(['mockData:6 tags:5', 'mockData:7 tags:5'])
+  })
+
+  it('should only let admins delete a tag, which leaves every record', async () => {
+    const editor = setup('editor')
+    expect(await errorOf(run(deleteTag, editor.ctx, { tagId: 'tags:4' }))).toMatchObject({
+      code: 'FORBIDDEN',
+    })
+
+    const admin = setup('admin')
+    await run(deleteTag, admin.ctx, { tagId: 'tags:4' })
+    expect(admin.all('tags').map((tag) => tag.name)).toEqual(['Q3'])
+    expect(assignments(admin.all)).toEqual(['mockData:6 tags:5'])
+  })
+})
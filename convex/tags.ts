@@ -0,0 +1,451 @@
+import { query, mutation, QueryCtx, MutationCtx } from "./_generated/server";
+import { v, ConvexError, Infer } from "convex/values";
+import { Doc, Id } from "./_generated/dataModel";
+import { requireRole } from "./roles";
+import { requireNoOtherLease } from "./leases";
+
+/**
+ * Convex Tag Functions
+ *
+ * Tags group records, e.g. "q3-budget" or "archived". A record can carry
+ * many tags and a tag many records: tags live in the tags table and each
+ * assignment is one recordTags row (see convex/schema.ts).
+ *
+ * - listTags: Every tag with the number of records carrying it
+ * - getRecordTags: One record's tags (Update page token input)
+ * - createTag / renameTag: Tag names are unique, ignoring case
+ * - mergeTags: Moves a tag's records onto another tag and deletes it
+ * - deleteTag: Removes a tag from every record (admins only)
+ * - addRecordTag / removeRecordTag: Tag or untag a record; adding by name
+ *   creates the tag if it doesn't exist yet
+ *
+ * listMockData and searchMockData return each record with its tags and can
+ * filter by tags (see withTags and matchesTags below): "all" keeps records
+ * carrying every given tag, "any" records carrying at least one.
+ *
+ * Tagging a record is refused while another user holds its edit lease, like
+ * any other write to it. Tags aren't part of a record's fields, so they
+ * don't change its revision or appear in its history.
+ *
+ * Client Usage:
+ * - Query: useQuery(api.tags.listTags)
+ * - Query: useQuery(api.tags.getRecordTags, { recordId })
+ * - Mutation: useMutation(api.tags.createTag)        // { name }
+ * - Mutation: useMutation(api.tags.renameTag)        // { tagId, name }
+ * - Mutation: useMutation(api.tags.mergeTags)        // { sourceId, targetId }
+ * - Mutation: useMutation(api.tags.deleteTag)        // { tagId }
+ * - Mutation: useMutation(api.tags.addRecordTag)     // { recordId, name }
+ * - Mutation: useMutation(api.tags.removeRecordTag)  // { recordId, tagId }
+ */
+
+export const TAG_NAME_MAX_LENGTH = 32;
+
+/**
+ * Maximum number of tags one record can carry.
+ */
+export const MAX_TAGS_PER_RECORD = 20;
+
+export const tagMatchValidator = v.union(v.literal("all"), v.literal("any"));
+
+export type TagMatch = Infer<typeof tagMatchValidator>;
+
+/**
+ * A tag as returned with a record.
+ */
+export type RecordTag = { _id: Id<"tags">; name: string };
+
+// Tag names are unique ignoring case and surrounding spaces
+const normalize = (name: string) => name.trim().toLowerCase();
+
+// The trimmed name, or an INVALID_TAG error
+const requireTagName = (name: string) => {
+  const trimmed = name.trim();
+  if (trimmed === "") {
+    throw new ConvexError({ code: "INVALID_TAG", message: "Tag name cannot be empty." });
+  }
+  if (trimmed.length > TAG_NAME_MAX_LENGTH) {
+    throw new ConvexError({
+      code: "INVALID_TAG",
+      message: `Tag name must be at most ${TAG_NAME_MAX_LENGTH} characters.`,
+    });
+  }
+  return trimmed;
+};
+
+const tagByName = (ctx: QueryCtx, name: string) =>
+  ctx.db
+    .query("tags")
+    .withIndex("by_normalizedName", (q) => q.eq("normalizedName", normalize(name)))
+    .unique();
+
+// Throws TAG_TAKEN if a tag other than `tagId` already has the name
+const requireUnusedName = async (ctx: QueryCtx, name: string, tagId?: Id<"tags">) => {
+  const existing = await tagByName(ctx, name);
+  if (existing !== null && existing._id !== tagId) {
+    throw new ConvexError({
+      code: "TAG_TAKEN",
+      message: `A tag named "${existing.name}" already exists.`,
+    });
+  }
+};
+
+const getTag = async (ctx: QueryCtx, tagId: Id<"tags">) => {
+  const tag = await ctx.db.get(tagId);
+  if (tag === null) {
+    throw new ConvexError({ code: "NOT_FOUND", message: "Tag not found or has been deleted" });
+  }
+  return tag;
+};
+
+const assignmentsOfRecord = (ctx: QueryCtx, recordId: Id<"mockData">) =>
+  ctx.db
+    .query("recordTags")
+    .withIndex("by_record", (q) => q.eq("recordId", recordId))
+    .collect();
+
+const assignmentsOfTag = (ctx: QueryCtx, tagId: Id<"tags">) =>
+  ctx.db
+    .query("recordTags")
+    .withIndex("by_tag", (q) => q.eq("tagId", tagId))
+    .collect();
+
+const byName = (a: { name: string }, b: { name: string }) => a.name.localeCompare(b.name);
+
+/**
+ * tagsOf - Helper (not a Convex function)
+ *
+ * A record's tags, sorted by name.
+ *
+ * @param ctx - The calling query's or mutation's context
+ * @param recordId - The record
+ * @returns Promise<RecordTag[]>
+ */
+export async function tagsOf(ctx: QueryCtx, recordId: Id<"mockData">): Promise<RecordTag[]> {
+  const assignments = await assignmentsOfRecord(ctx, recordId);
+  const tags = await Promise.all(assignments.map((assignment) => ctx.db.get(assignment.tagId)));
+  return tags
+    .filter((tag): tag is Doc<"tags"> => tag !== null)
+    .map(({ _id, name }) => ({ _id, name }))
+    .sort(byName);
+}
+
+/**
+ * withTags - Helper (not a Convex function)
+ *
+ * The records, each with its tags added as `tags`. Used by listMockData and
+ * searchMockData.
+ *
+ * @param ctx - The calling query's context
+ * @param records - Records to return
+ * @returns Promise<Array<Doc<"mockData"> & { tags: RecordTag[] }>>
+ */
+export async function withTags(ctx: QueryCtx, records: Doc<"mockData">[]) {
+  return await Promise.all(
+    records.map(async (record) => ({ ...record, tags: await tagsOf(ctx, record._id) }))
+  );
+}
+
+/**
+ * matchesTags - Helper (not a Convex function)
+ *
+ * Whether a record with `tags` passes a tag filter: with match "all" it must
+ * carry every one of `tagIds`, with "any" at least one. An empty filter
+ * passes every record.
+ *
+ * @param tags - The record's tags
+ * @param tagIds - The tags filtered by
+ * @param match - "all" (default) or "any"
+ * @returns boolean
+ */
+export function matchesTags(
+  tags: RecordTag[],
+  tagIds: Id<"tags">[] | undefined,
+  match: TagMatch = "all"
+): boolean {
+  if (tagIds === undefined || tagIds.length === 0) {
+    return true;
+  }
+  const carried = new Set(tags.map((tag) => tag._id));
+  return match === "any"
+    ? tagIds.some((tagId) => carried.has(tagId))
+    : tagIds.every((tagId) => carried.has(tagId));
+}
+
+/**
+ * resolveTagIds - Helper (not a Convex function)
+ *
+ * The IDs of a tag filter that name existing tags. The View page sends the
+ * IDs from its URL as they are, so a hand-edited link or one to a tag that
+ * has since been deleted drops those IDs instead of failing the query.
+ *
+ * @param ctx - The calling query's context
+ * @param tagIds - The filter's tag IDs, as given by the client
+ * @returns Promise<Id<"tags">[] | undefined> - undefined without a filter
+ */
+export async function resolveTagIds(
+  ctx: QueryCtx,
+  tagIds: string[] | undefined
+): Promise<Id<"tags">[] | undefined> {
+  if (tagIds === undefined) {
+    return undefined;
+  }
+  const tags = await Promise.all(
+    tagIds.map((rawId) => {
+      const tagId = ctx.db.normalizeId("tags", rawId);
+      return tagId ? ctx.db.get(tagId) : null;
+    })
+  );
+  return tags.filter((tag): tag is Doc<"tags"> => tag !== null).map((tag) => tag._id);
+}
+
+/**
+ * removeRecordTags - Helper (not a Convex function)
+ *
+ * Deletes all of a record's tag assignments. Called when a record is purged.
+ *
+ * @param ctx - The calling mutation's context
+ * @param recordId - The purged record
+ */
+export async function removeRecordTags(ctx: MutationCtx, recordId: Id<"mockData">) {
+  for (const assignment of await assignmentsOfRecord(ctx, recordId)) {
+    await ctx.db.delete(assignment._id);
+  }
+}
+
+// The record, if it can be tagged by `userId` (live and not leased to someone else)
+const requireTaggableRecord = async (
+  ctx: QueryCtx,
+  recordId: Id<"mockData">,
+  userId: Id<"users">
+) => {
+  const record = await ctx.db.get(recordId);
+  if (record === null || record.deletedAt !== undefined) {
+    throw new ConvexError({
+      code: "NOT_FOUND",
+      message: "Record not found or has been deleted",
+    });
+  }
+  await requireNoOtherLease(ctx, recordId, userId);
+  return record;
+};
+
+/**
+ * listTags - Query Function
+ *
+ * Every tag, sorted by name, with the number of records (including ones in
+ * the trash) carrying it.
+ *
+ * @returns Promise<Array<Doc<"tags"> & { recordCount: number }>>
+ */
+export const listTags = query({
+  args: {},
+  handler: async (ctx) => {
+    await requireRole(ctx, "viewer");
+    const tags = await ctx.db.query("tags").collect();
+    const withCounts = await Promise.all(
+      tags.map(async (tag) => ({
+        ...tag,
+        recordCount: (await assignmentsOfTag(ctx, tag._id)).length,
+      }))
+    );
+    return withCounts.sort(byName);
+  },
+});
+
+/**
+ * getRecordTags - Query Function
+ *
+ * @param recordId - The record
+ * @returns Promise<RecordTag[]> - Its tags, sorted by name
+ */
+export const getRecordTags = query({
+  args: {
+    recordId: v.id("mockData"),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "viewer");
+    return await tagsOf(ctx, args.recordId);
+  },
+});
+
+/**
+ * createTag - Mutation Function
+ *
+ * Throws a ConvexError with code "INVALID_TAG" for an empty or too long
+ * name, or "TAG_TAKEN" if a tag with that name (ignoring case) exists.
+ *
+ * @param name - The tag's name; stored trimmed
+ * @returns Promise<Id<"tags">>
+ */
+export const createTag = mutation({
+  args: {
+    name: v.string(),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "editor");
+    const name = requireTagName(args.name);
+    await requireUnusedName(ctx, name);
+    return await ctx.db.insert("tags", { name, normalizedName: normalize(name) });
+  },
+});
+
+/**
+ * renameTag - Mutation Function
+ *
+ * Renames a tag on every record carrying it. Changing only the case of the
+ * name is allowed. Fails like createTag for a bad or taken name.
+ *
+ * @param tagId - The tag
+ * @param name - Its new name
+ * @returns Promise<null>
+ */
+export const renameTag = mutation({
+  args: {
+    tagId: v.id("tags"),
+    name: v.string(),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "editor");
+    await getTag(ctx, args.tagId);
+    const name = requireTagName(args.name);
+    await requireUnusedName(ctx, name, args.tagId);
+    await ctx.db.patch(args.tagId, { name, normalizedName: normalize(name) });
+    return null;
+  },
+});
+
+/**
+ * mergeTags - Mutation Function
+ *
+ * Gives every record tagged `sourceId` the tag `targetId` instead, then
+ * deletes the source tag. Use it to fold duplicates like "Q3" and
+ * "q3-budget" into one.
+ *
+ * @param sourceId - The tag to merge away
+ * @param targetId - The tag to keep
+ * @returns Promise<number> - The number of records that gained the target tag
+ */
+export const mergeTags = mutation({
+  args: {
+    sourceId: v.id("tags"),
+    targetId: v.id("tags"),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "editor");
+    if (args.sourceId === args.targetId) {
+      throw new ConvexError({ code: "INVALID_TAG", message: "Pick two different tags to merge." });
+    }
+    await getTag(ctx, args.sourceId);
+    await getTag(ctx, args.targetId);
+
+    const alreadyTagged = new Set(
+      (await assignmentsOfTag(ctx, args.targetId)).map((assignment) => assignment.recordId)
+    );
+    let moved = 0;
+    for (const assignment of await assignmentsOfTag(ctx, args.sourceId)) {
+      if (alreadyTagged.has(assignment.recordId)) {
+        await ctx.db.delete(assignment._id);
+      } else {
+        await ctx.db.patch(assignment._id, { tagId: args.targetId });
+        moved++;
+      }
+    }
+    await ctx.db.delete(args.sourceId);
+    return moved;
+  },
+});
+
+/**
+ * deleteTag - Mutation Function
+ *
+ * Admins only. Deletes a tag and removes it from every record.
+ *
+ * @param tagId - The tag
+ * @returns Promise<null>
+ */
+export const deleteTag = mutation({
+  args: {
+    tagId: v.id("tags"),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "admin");
+    await getTag(ctx, args.tagId);
+    for (const assignment of await assignmentsOfTag(ctx, args.tagId)) {
+      await ctx.db.delete(assignment._id);
+    }
+    await ctx.db.delete(args.tagId);
+    return null;
+  },
+});
+
+/**
+ * addRecordTag - Mutation Function
+ *
+ * Tags a record with the tag of that name (ignoring case), creating the tag
+ * if there is none. Adding a tag the record already carries does nothing.
+ *
+ * Throws a ConvexError with code "NOT_FOUND" for a missing or trashed
+ * record, "LOCKED" if another user holds its edit lease, "INVALID_TAG" for
+ * a bad name, or "TOO_MANY_TAGS" past MAX_TAGS_PER_RECORD.
+ *
+ * @param recordId - The record
+ * @param name - The tag's name
+ * @returns Promise<Id<"tags">> - The tag's ID
+ */
+export const addRecordTag = mutation({
+  args: {
+    recordId: v.id("mockData"),
+    name: v.string(),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "editor");
+    await requireTaggableRecord(ctx, args.recordId, user._id);
+    const name = requireTagName(args.name);
+
+    const existing = await tagByName(ctx, name);
+    const tagId =
+      existing?._id ?? (await ctx.db.insert("tags", { name, normalizedName: normalize(name) }));
+
+    const assignments = await assignmentsOfRecord(ctx, args.recordId);
+    if (assignments.some((assignment) => assignment.tagId === tagId)) {
+      return tagId;
+    }
+    if (assignments.length >= MAX_TAGS_PER_RECORD) {
+      throw new ConvexError({
+        code: "TOO_MANY_TAGS",
+        message: `A record can have at most ${MAX_TAGS_PER_RECORD} tags.`,
+      });
+    }
+    await ctx.db.insert("recordTags", { recordId: args.recordId, tagId });
+    return tagId;
+  },
+});
+
+/**
+ * removeRecordTag - Mutation Function
+ *
+ * Takes a tag off a record. The tag itself stays, even if no record carries
+ * it any more. Fails like addRecordTag for a missing or locked record.
+ *
+ * @param recordId - The record
+ * @param tagId - The tag
+ * @returns Promise<null>
+ */
+export const removeRecordTag = mutation({
+  args: {
+    recordId: v.id("mockData"),
+    tagId: v.id("tags"),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "editor");
+    await requireTaggableRecord(ctx, args.recordId, user._id);
+    const assignment = await ctx.db
+      .query("recordTags")
+      .withIndex("by_record", (q) => q.eq("recordId", args.recordId).eq("tagId", args.tagId))
+      .unique();
+    if (assignment !== null) {
+      await ctx.db.delete(assignment._id);
+    }
+    return null;
+  },
+});
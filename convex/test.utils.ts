@@ -0,0 +1,314 @@
+/**
+ * Convex Test Utilities
+ *
+ * Shared helpers for the convex/*.test.ts files:
+ * - argsOf: A registered function's argument validators, as JSON
+ * - run: Calls a registered function's handler with a test context
+ * - errorOf: The data of the ConvexError a call rejects with
+ * - fakeCtx: A query/mutation context backed by an in-memory database,
+ *   signed in as a given user
+ *
+ * The in-memory database follows the parts of ctx.db the functions use:
+ * get/insert/patch/replace/delete, normalizeId, and queries with withIndex
+ * (ranges over the index fields from convex/schema.ts, then _creationTime),
+ * order, filter, collect, take, first, unique and paginate. Search indexes
+ * aren't supported.
+ *
+ * The file name has two dots, so Convex doesn't deploy it and Vitest
+ * doesn't run it as a test file.
+ */
+
+import { vi } from "vitest";
+import schema from "./schema";
+
+type Doc = Record<string, unknown> & { _id: string; _creationTime: number };
+type Value = unknown;
+type Expression = (doc: Doc) => Value;
+
+/**
+ * argsOf - Test helper
+ *
+ * Registered functions serialize their argument validators via
+ * exportArgs(), which isn't part of the public type; this returns the
+ * validator's fields.
+ */
+export const argsOf = (fn: unknown) =>
+  JSON.parse((fn as { exportArgs: () => string }).exportArgs()).value;
+
+/**
+ * run - Test helper
+ *
+ * Calls a registered function's handler, skipping argument validation
+ * (which the Convex runtime does). For an HTTP action, `args` is the Request.
+ */
+export const run = (fn: unknown, ctx: unknown, args: unknown = {}) =>
+  (fn as { _handler: (ctx: unknown, args: unknown) => Promise<any> })._handler(ctx, args);
+
+/**
+ * errorOf - Test helper
+ *
+ * The `data` ({ code, message, ... }) of the ConvexError the promise rejects
+ * with, or null if it resolves.
+ */
+export const errorOf = (promise: Promise<unknown>) =>
+  promise.then(
+    () => null,
+    (error) => error.data
+  );
+
+// Convex's ordering across types: undefined first, then null, numbers, strings
+const typeRank = (value: Value) =>
+  value === undefined ? 0 : value === null ? 1 : typeof value === "number" ? 2 : 3;
+
+const compare = (a: Value, b: Value) => {
+  const rank = typeRank(a) - typeRank(b);
+  if (rank !== 0) {
+    return rank;
+  }
+  return (a as number | string) < (b as number | string)
+    ? -1
+    : (a as number | string) > (b as number | string)
+      ? 1
+      : 0;
+};
+
+const indexFields = (table: string, index: string): string[] => {
+  if (index === "by_creation_time") {
+    return [];
+  }
+  const definition = (
+    schema.tables as unknown as Record<
+      string,
+      { indexes: { indexDescriptor: string; fields: string[] }[] }
+    >
+  )[table]?.indexes.find((i) => i.indexDescriptor === index);
+  if (!definition) {
+    throw new Error(`Unknown index ${table}.${index}`);
+  }
+  return definition.fields;
+};
+
+// Builder passed to withIndex ranges; collects the conditions as predicates
+const rangeBuilder = (conditions: Expression[]) => {
+  const add = (test: (c: number) => boolean) => (field: string, value: Value) => {
+    conditions.push((doc) => test(compare(doc[field], value)));
+    return builder;
+  };
+  const builder = {
+    eq: add((c) => c === 0),
+    gt: add((c) => c > 0),
+    gte: add((c) => c >= 0),
+    lt: add((c) => c < 0),
+    lte: add((c) => c <= 0),
+  };
+  return builder;
+};
+
+// Builder passed to filter; expressions evaluate against a document
+const toExpression = (value: Value): Expression =>
+  typeof value === "function" ? (value as Expression) : () => value;
+
+const filterBuilder = {
+  field: (name: string): Expression => (doc) => doc[name],
+  eq: (a: Value, b: Value): Expression => (doc) =>
+    compare(toExpression(a)(doc), toExpression(b)(doc)) === 0,
+  neq: (a: Value, b: Value): Expression => (doc) =>
+    compare(toExpression(a)(doc), toExpression(b)(doc)) !== 0,
+  gt: (a: Value, b: Value): Expression => (doc) =>
+    compare(toExpression(a)(doc), toExpression(b)(doc)) > 0,
+  gte: (a: Value, b: Value): Expression => (doc) =>
+    compare(toExpression(a)(doc), toExpression(b)(doc)) >= 0,
+  lt: (a: Value, b: Value): Expression => (doc) =>
+    compare(toExpression(a)(doc), toExpression(b)(doc)) < 0,
+  lte: (a: Value, b: Value): Expression => (doc) =>
+    compare(toExpression(a)(doc), toExpression(b)(doc)) <= 0,
+  and: (...terms: Value[]): Expression => (doc) =>
+    terms.every((term) => Boolean(toExpression(term)(doc))),
+  or: (...terms: Value[]): Expression => (doc) =>
+    terms.some((term) => Boolean(toExpression(term)(doc))),
+  not: (term: Value): Expression => (doc) => !toExpression(term)(doc),
+};
+
+class FakeQuery {
+  private fields: string[] = [];
+  private conditions: Expression[] = [];
+  private direction: "asc" | "desc" = "asc";
+
+  constructor(
+    private table: string,
+    private docs: () => Doc[]
+  ) {}
+
+  withIndex(index: string, range?: (q: ReturnType<typeof rangeBuilder>) => unknown) {
+    this.fields = indexFields(this.table, index);
+    range?.(rangeBuilder(this.conditions));
+    return this;
+  }
+
+  order(direction: "asc" | "desc") {
+    this.direction = direction;
+    return this;
+  }
+
+  filter(predicate: (q: typeof filterBuilder) => Value) {
+    const expression = toExpression(predicate(filterBuilder));
+    this.conditions.push((doc) => Boolean(expression(doc)));
+    return this;
+  }
+
+  private results() {
+    const keys = [...this.fields, "_creationTime"];
+    const sorted = this.docs()
+      .filter((doc) => this.conditions.every((condition) => condition(doc)))
+      .sort((a, b) => {
+        for (const key of keys) {
+          const c = compare(a[key], b[key]);
+          if (c !== 0) {
+            return c;
+          }
+        }
+        return 0;
+      });
+    return this.direction === "desc" ? sorted.reverse() : sorted;
+  }
+
+  async collect() {
+    return this.results();
+  }
+
+  async take(n: number) {
+    return this.results().slice(0, n);
+  }
+
+  async first() {
+    return this.results()[0] ?? null;
+  }
+
+  async unique() {
+    const results = this.results();
+    if (results.length > 1) {
+      throw new Error(`unique() found ${results.length} documents in ${this.table}`);
+    }
+    return results[0] ?? null;
+  }
+
+  // Cursors are offsets into the results; anything else is rejected, like a
+  // cursor from another query is by Convex
+  async paginate({ numItems, cursor }: { numItems: number; cursor: string | null }) {
+    if (cursor !== null && !/^\d+$/.test(cursor)) {
+      throw new Error(`Invalid cursor: ${cursor}`);
+    }
+    const start = cursor === null ? 0 : Number(cursor);
+    const results = this.results();
+    const end = start + numItems;
+    return {
+      page: results.slice(start, end),
+      isDone: end >= results.length,
+      continueCursor: String(Math.min(end, results.length)),
+    };
+  }
+}
+
+/**
+ * fakeDb - Test helper
+ *
+ * An in-memory ctx.db. IDs look like "users:1"; normalizeId accepts any ID
+ * of that shape for the table, whether or not the document exists, like
+ * Convex does.
+ *
+ * @param tables - Initial documents per table, without system fields
+ */
+export function fakeDb(tables: Record<string, Record<string, unknown>[]> = {}) {
+  const store = new Map<string, Doc>();
+  let counter = 0;
+
+  const insert = async (table: string, fields: Record<string, unknown>) => {
+    counter += 1;
+    const _id = `${table}:${counter}`;
+    const doc = { _creationTime: counter, ...fields, _id } as Doc;
+    for (const key of Object.keys(doc)) {
+      if (doc[key] === undefined) {
+        delete doc[key];
+      }
+    }
+    store.set(_id, doc);
+    return _id;
+  };
+
+  const requireDoc = (id: string) => {
+    const doc = store.get(id);
+    if (!doc) {
+      throw new Error(`Document ${id} does not exist`);
+    }
+    return doc;
+  };
+
+  const db = {
+    get: async (id: string) => store.get(id) ?? null,
+    insert,
+    patch: async (id: string, fields: Record<string, unknown>) => {
+      const doc = { ...requireDoc(id), ...fields } as Doc;
+      for (const key of Object.keys(fields)) {
+        if (fields[key] === undefined) {
+          delete doc[key];
+        }
+      }
+      store.set(id, doc);
+    },
+    replace: async (id: string, fields: Record<string, unknown>) => {
+      const { _creationTime } = requireDoc(id);
+      store.set(id, { ...fields, _id: id, _creationTime } as Doc);
+    },
+    delete: async (id: string) => {
+      requireDoc(id);
+      store.delete(id);
+    },
+    normalizeId: (table: string, id: string) =>
+      new RegExp(`^${table}:\\d+$`).test(id) ? id : null,
+    query: (table: string) =>
+      new FakeQuery(table, () => [...store.values()].filter((doc) => doc._id.startsWith(`${table}:`))),
+  };
+
+  // Seed synchronously so the initial IDs are known: "<table>:1", ... in order
+  for (const [table, docs] of Object.entries(tables)) {
+    for (const fields of docs) {
+      void insert(table, fields);
+    }
+  }
+
+  /** Every document of a table, in insertion order. */
+  const all = (table: string) =>
+    [...store.values()].filter((doc) => doc._id.startsWith(`${table}:`));
+
+  return { db, all };
+}
+
+/**
+ * fakeCtx - Test helper
+ *
+ * A query/mutation context with an in-memory database (see fakeDb) and a
+ * mocked scheduler, signed in as `userId` (or signed out without one).
+ * `as(otherUserId)` returns a context on the same database and scheduler
+ * signed in as another user.
+ *
+ * @param tables - Initial documents per table
+ * @param userId - The signed-in user's ID, e.g. "users:1"
+ */
+export function fakeCtx(tables: Record<string, Record<string, unknown>[]> = {}, userId?: string) {
+  const { db, all } = fakeDb(tables);
+  // Typed with parameters so tests can read mock.calls[i][n]
+  const scheduler = {
+    runAfter: vi.fn(async (..._args: unknown[]) => "_scheduled_functions:1"),
+    runAt: vi.fn(async (..._args: unknown[]) => "_scheduled_functions:1"),
+    cancel: vi.fn(async (..._args: unknown[]) => {}),
+  };
+  const as = (signedInId?: string) =>
+    ({
+      db,
+      scheduler,
+      auth: {
+        getUserIdentity: async () => (signedInId ? { subject: signedInId } : null),
+      },
+    }) as never;
+  return { ctx: as(userId), db, all, scheduler, as };
+}
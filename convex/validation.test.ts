@@ -0,0 +1,126 @@
+/**
+ * Convex Record Validation Tests
+ *
+ * Unit tests for the shared record rules in convex/validation.ts.
+ *
+ * References:
+ * - Convex Errors: https://docs.convex.dev/functions/error-handling/application-errors
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { ConvexError } from 'convex/values'
+import {
+  validateRecordFields,
+  recordFieldErrors,
+  requireValidRecord,
+  NAME_MAX_LENGTH,
+  DESCRIPTION_MAX_LENGTH,
+  MAX_ABS_VALUE,
+} from './validation'
+
+// A ctx whose by_name lookup finds `taken`
+const fakeCtx = (taken: unknown) =>
+  ({
+    db: {
+      query: () => ({
+        withIndex: () => ({ first: async () => taken }),
+      }),
+    },
+  }) as never
+
+describe('Convex Validation - validateRecordFields', () => {
+  it('should accept valid fields', () => {
+    expect(validateRecordFields({ name: 'Item', value: 42, description: 'Text' })).toEqual([])
+  })
+
+  it('should only check the fields given', () => {
+    expect(validateRecordFields({})).toEqual([])
+    expect(validateRecordFields({ value: 1 })).toEqual([])
+  })
+
+  it('should reject an empty or blank name', () => {
+    expect(validateRecordFields({ name: '   ' })).toEqual([
+      { code: 'NAME_REQUIRED', field: 'name', message: 'Name cannot be empty.' },
+    ])
+  })
+
+  it('should reject a name over the length limit', () => {
+    const [error] = validateRecordFields({ name: 'x'.repeat(NAME_MAX_LENGTH + 1) })
+    expect(error.code).toBe('NAME_TOO_LONG')
+    expect(error.field).toBe('name')
+    expect(validateRecordFields({ name: 'x'.repeat(NAME_MAX_LENGTH) })).toEqual([])
+  })
+
+  it('should reject values that are not finite numbers', () => {
+    for (const value of [NaN, Infinity, -Infinity]) {
+      expect(validateRecordFields({ value })).toEqual([
+        { code: 'VALUE_NOT_FINITE', field: 'value', message: 'Value must be a valid number.' },
+      ])
+    }
+  })
+
+  it('should reject values outside the allowed range', () => {
+    expect(validateRecordFields({ value: MAX_ABS_VALUE + 1 })[0].code).toBe('VALUE_OUT_OF_RANGE')
+    expect(validateRecordFields({ value: -MAX_ABS_VALUE - 1 })[0].code).toBe('VALUE_OUT_OF_RANGE')
+    expect(validateRecordFields({ value: -MAX_ABS_VALUE })).toEqual([])
+  })
+
+  it('should reject a description over the length limit and allow removing it', () => {
+    const [error] = validateRecordFields({ description: 'x'.repeat(DESCRIPTION_MAX_LENGTH + 1) })
+    expect(error.code).toBe('DESCRIPTION_TOO_LONG')
+    expect(error.field).toBe('description')
+    expect(validateRecordFields({ description: null })).toEqual([])
+  })
+
+  it('should report every broken rule', () => {
+    const errors = validateRecordFields({ name: '', value: NaN })
+    expect(errors.map((e) => e.field)).toEqual(['name', 'value'])
+  })
+})
+
+describe('Convex Validation - recordFieldErrors', () => {
+  const existing = { _id: 'record', name: 'Widget' } as never
+
+  it('should reject a name another record has', async () => {
+    const errors = await recordFieldErrors(fakeCtx({ _id: 'other' }), { name: ' Widget ' })
+    expect(errors).toEqual([
+      { code: 'NAME_TAKEN', field: 'name', message: 'A record named "Widget" already exists.' },
+    ])
+  })
+
+  it('should accept a name nobody has', async () => {
+    expect(await recordFieldErrors(fakeCtx(null), { name: 'Gadget' })).toEqual([])
+  })
+
+  it('should let a record keep its own name', async () => {
+    expect(
+      await recordFieldErrors(fakeCtx({ _id: 'other' }), { name: 'Widget' }, existing)
+    ).toEqual([])
+  })
+
+  it('should not report the record being renamed as a conflict with itself', async () => {
+    expect(
+      await recordFieldErrors(fakeCtx({ _id: 'record' }), { name: 'Widget2' }, existing)
+    ).toEqual([])
+  })
+})
+
+describe('Convex Validation - requireValidRecord', () => {
+  it('should throw VALIDATION_FAILED with the first error and the full list', async () => {
+    const error = await requireValidRecord(fakeCtx(null), { name: '', value: NaN }).catch(
+      (e) => e
+    )
+    expect(error).toBeInstanceOf(ConvexError)
+    expect(error.data).toMatchObject({
+      code: 'VALIDATION_FAILED',
+      field: 'name',
+      message: 'Name cannot be empty.',
+    })
+    expect(error.data.fields).toHaveLength(2)
+  })
+
+  it('should pass valid fields', async () => {
+    await expect(requireValidRecord(fakeCtx(null), { name: 'Ok', value: 1 })).resolves.toBeUndefined()
+  })
+})
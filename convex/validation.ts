@@ -0,0 +1,176 @@
+import { ConvexError } from "convex/values";
+import type { QueryCtx } from "./_generated/server";
+import type { Doc } from "./_generated/dataModel";
+
+/**
+ * Record Validation
+ *
+ * The rules every write of a mockData record must pass, in one place. Used
+ * by all mutations that set a record's fields (create, update, import,
+ * revert, restore, scheduled changes, the REST API) and, for instant
+ * feedback, by the Update page before it sends anything. The module has no
+ * server-only imports so the browser can load it too.
+ *
+ * Rules:
+ * - name: non-empty after trimming, at most NAME_MAX_LENGTH characters, and
+ *   not used by another live record (exact match on the trimmed name)
+ * - value: a finite number from -MAX_ABS_VALUE to MAX_ABS_VALUE
+ * - description: at most DESCRIPTION_MAX_LENGTH characters
+ *
+ * Errors:
+ * Each broken rule is a FieldError { code, field, message }. A rejected write
+ * throws `ConvexError({ code: "VALIDATION_FAILED", message, field, fields })`,
+ * where field/message describe the first problem and fields lists them all,
+ * so forms can show each one next to its input.
+ */
+
+export const NAME_MAX_LENGTH = 100;
+export const DESCRIPTION_MAX_LENGTH = 1000;
+export const MAX_ABS_VALUE = 1_000_000_000;
+
+export type FieldErrorCode =
+  | "NAME_REQUIRED"
+  | "NAME_TOO_LONG"
+  | "NAME_TAKEN"
+  | "VALUE_NOT_FINITE"
+  | "VALUE_OUT_OF_RANGE"
+  | "DESCRIPTION_TOO_LONG";
+
+export type FieldError = {
+  code: FieldErrorCode;
+  field: "name" | "value" | "description";
+  message: string;
+};
+
+/**
+ * Fields being written; only the ones present are checked, so partial
+ * updates can be validated too. A description of null removes it.
+ */
+export type RecordInput = {
+  name?: string;
+  value?: number;
+  description?: string | null;
+};
+
+/**
+ * validateRecordFields - Helper
+ *
+ * Checks the rules that need no database access (everything but name
+ * uniqueness).
+ *
+ * @param fields - The fields being written
+ * @returns FieldError[] - Empty if the fields are valid
+ */
+export function validateRecordFields(fields: RecordInput): FieldError[] {
+  const errors: FieldError[] = [];
+
+  if (fields.name !== undefined) {
+    const name = fields.name.trim();
+    if (name === "") {
+      errors.push({ code: "NAME_REQUIRED", field: "name", message: "Name cannot be empty." });
+    } else if (name.length > NAME_MAX_LENGTH) {
+      errors.push({
+        code: "NAME_TOO_LONG",
+        field: "name",
+        message: `Name must be at most ${NAME_MAX_LENGTH} characters.`,
+      });
+    }
+  }
+
+  if (fields.value !== undefined) {
+    if (!Number.isFinite(fields.value)) {
+      errors.push({
+        code: "VALUE_NOT_FINITE",
+        field: "value",
+        message: "Value must be a valid number.",
+      });
+    } else if (Math.abs(fields.value) > MAX_ABS_VALUE) {
+      errors.push({
+        code: "VALUE_OUT_OF_RANGE",
+        field: "value",
+        message: `Value must be between -${MAX_ABS_VALUE.toLocaleString("en-US")} and ${MAX_ABS_VALUE.toLocaleString("en-US")}.`,
+      });
+    }
+  }
+
+  if (
+    typeof fields.description === "string" &&
+    fields.description.length > DESCRIPTION_MAX_LENGTH
+  ) {
+    errors.push({
+      code: "DESCRIPTION_TOO_LONG",
+      field: "description",
+      message: `Description must be at most ${DESCRIPTION_MAX_LENGTH} characters.`,
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * recordFieldErrors - Helper (server only)
+ *
+ * validateRecordFields plus name uniqueness among live records. A record
+ * keeping its own name is never a conflict, so records that share a name
+ * from before this rule can still be edited.
+ *
+ * @param ctx - The calling function's context
+ * @param fields - The fields being written
+ * @param existing - The record being changed, if it already exists
+ * @returns Promise<FieldError[]> - Empty if the write is valid
+ */
+export async function recordFieldErrors(
+  ctx: QueryCtx,
+  fields: RecordInput,
+  existing?: Doc<"mockData">
+): Promise<FieldError[]> {
+  const errors = validateRecordFields(fields);
+
+  const name = fields.name?.trim();
+  if (name && !errors.some((e) => e.field === "name") && name !== existing?.name) {
+    const taken = await ctx.db
+      .query("mockData")
+      .withIndex("by_name", (q) => q.eq("deletedAt", undefined).eq("name", name))
+      .first();
+    if (taken !== null && taken._id !== existing?._id) {
+      errors.push({
+        code: "NAME_TAKEN",
+        field: "name",
+        message: `A record named "${name}" already exists.`,
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * The ConvexError thrown for a rejected write.
+ */
+export const validationError = (errors: FieldError[]) =>
+  new ConvexError({
+    code: "VALIDATION_FAILED",
+    message: errors[0].message,
+    field: errors[0].field,
+    fields: errors,
+  });
+
+/**
+ * requireValidRecord - Helper (server only)
+ *
+ * Throws a VALIDATION_FAILED ConvexError (see Errors above) unless the
+ * fields pass every rule.
+ *
+ * @param ctx - The calling function's context
+ * @param fields - The fields being written
+ * @param existing - The record being changed, if it already exists
+ */
+export async function requireValidRecord(
+  ctx: QueryCtx,
+  fields: RecordInput,
+  existing?: Doc<"mockData">
+) {
+  const errors = await recordFieldErrors(ctx, fields, existing);
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+}
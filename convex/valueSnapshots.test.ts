@@ -0,0 +1,202 @@
+/**
+ * Convex Value Snapshot Tests
+ *
+ * Unit tests for the value time series: the functions' types and
+ * arguments, when a new snapshot is due, and the handlers that read the
+ * series, take snapshots and prune them.
+ *
+ * References:
+ * - Convex Functions Docs: https://docs.convex.dev/functions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { argsOf, fakeCtx, run } from './test.utils'
+import {
+  isSnapshotDue,
+  getValueSeries,
+  takeValueSnapshots,
+  pruneValueSnapshots,
+} from './valueSnapshots'
+
+vi.mock('./_generated/api', () => ({
+  internal: {
+    valueSnapshots: {
+      takeValueSnapshots: 'valueSnapshots:takeValueSnapshots',
+      pruneValueSnapshots: 'valueSnapshots:pruneValueSnapshots',
+    },
+  },
+}))
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+describe('Convex Value Snapshots - function types', () => {
+  it('should expose getValueSeries as a public query with an optional range', () => {
+    expect(getValueSeries.isQuery).toBe(true)
+    expect(getValueSeries.isPublic).toBe(true)
+    const args = argsOf(getValueSeries)
+    expect(args.recordId.fieldType.type).toBe('string')
+    expect(args.from.optional).toBe(true)
+    expect(args.to.optional).toBe(true)
+  })
+
+  it('should keep the cron jobs internal', () => {
+    for (const fn of [takeValueSnapshots, pruneValueSnapshots]) {
+      expect(fn.isMutation).toBe(true)
+      expect(fn.isInternal).toBe(true)
+    }
+  })
+
+  it('should let a snapshot run continue from a cursor', () => {
+    const args = argsOf(takeValueSnapshots)
+    expect(args.takenAt.optional).toBe(true)
+    expect(args.cursor.optional).toBe(true)
+  })
+})
+
+describe('Convex Value Snapshots - isSnapshotDue', () => {
+  it('should be due when no snapshot was taken yet', () => {
+    expect(isSnapshotDue(undefined, Date.now(), DAY)).toBe(true)
+  })
+
+  it('should wait for the next interval to start', () => {
+    const midnight = Date.UTC(2026, 0, 10)
+    expect(isSnapshotDue(midnight + 5 * 60 * 1000, midnight + 23 * HOUR, DAY)).toBe(false)
+    expect(isSnapshotDue(midnight + 5 * 60 * 1000, midnight + DAY, DAY)).toBe(true)
+  })
+
+  it('should not drift with late runs', () => {
+    // Taken late in one interval, due again as soon as the next one starts
+    const midnight = Date.UTC(2026, 0, 10)
+    expect(isSnapshotDue(midnight + 23 * HOUR, midnight + DAY + 60 * 1000, DAY)).toBe(true)
+  })
+
+  it('should follow shorter intervals', () => {
+    const start = Date.UTC(2026, 0, 10, 12)
+    expect(isSnapshotDue(start + 60 * 1000, start + 30 * 60 * 1000, HOUR)).toBe(false)
+    expect(isSnapshotDue(start + 60 * 1000, start + HOUR, HOUR)).toBe(true)
+  })
+})
+
+// Ana (users:1) is a viewer; Alpha (mockData:3) and Beta (mockData:4) are
+// live, Old (mockData:5) is trashed
+const setup = (tables: Record<string, Record<string, unknown>[]> = {}) =>
+  fakeCtx(
+    {
+      users: [{ name: 'Ana', passwordHash: '', passwordSalt: '' }],
+      roles: [{ userId: 'users:1', role: 'viewer' }],
+      mockData: [
+        { name: 'Alpha', value: 1 },
+        { name: 'Beta', value: 2 },
+        { name: 'Old', value: 3, deletedAt: 1 },
+      ],
+      ...tables,
+    },
+    'users:1'
+  )
+
+describe('Convex Value Snapshots - getValueSeries', () => {
+  it("should return a record's points in the range, oldest first", async () => {
+    const { ctx } = setup({
+      valueSnapshots: [
+        { recordId: 'mockData:3', value: 30, takenAt: 3 * DAY },
+        { recordId: 'mockData:3', value: 10, takenAt: DAY },
+        { recordId: 'mockData:4', value: 99, takenAt: 2 * DAY },
+        { recordId: 'mockData:3', value: 20, takenAt: 2 * DAY },
+      ],
+    })
+
+    expect(await run(getValueSeries, ctx, { recordId: 'mockData:3' })).toEqual([
+      { takenAt: DAY, value: 10 },
+      { takenAt: 2 * DAY, value: 20 },
+      { takenAt: 3 * DAY, value: 30 },
+    ])
+    expect(
+      await run(getValueSeries, ctx, { recordId: 'mockData:3', from: 2 * DAY, to: 3 * DAY })
+    ).toEqual([
+      { takenAt: 2 * DAY, value: 20 },
+      { takenAt: 3 * DAY, value: 30 },
+    ])
+    expect(await run(getValueSeries, ctx, { recordId: 'not-an-id' })).toBeNull()
+  })
+
+  it('should require signing in', async () => {
+    const { ctx } = fakeCtx({ mockData: [{ name: 'Alpha', value: 1 }] })
+
+    await expect(run(getValueSeries, ctx, { recordId: 'mockData:1' })).rejects.toThrow()
+  })
+})
+
+describe('Convex Value Snapshots - taking snapshots', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should snapshot every live record at once when an interval starts', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(10 * DAY + HOUR)
+    const { ctx, all, scheduler } = setup({
+      valueSnapshots: [{ recordId: 'mockData:3', value: 1, takenAt: 9 * DAY }],
+    })
+
+    expect(await run(takeValueSnapshots, ctx)).toBe(2)
+
+    expect(all('valueSnapshots').slice(1)).toMatchObject([
+      { recordId: 'mockData:3', value: 1, takenAt: 10 * DAY + HOUR },
+      { recordId: 'mockData:4', value: 2, takenAt: 10 * DAY + HOUR },
+    ])
+    expect(scheduler.runAfter).not.toHaveBeenCalled()
+  })
+
+  it('should skip the run while the interval already has a snapshot', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(10 * DAY + HOUR)
+    const { ctx, all } = setup({
+      valueSnapshots: [{ recordId: 'mockData:3', value: 1, takenAt: 10 * DAY }],
+    })
+
+    expect(await run(takeValueSnapshots, ctx)).toBe(0)
+    expect(all('valueSnapshots')).toHaveLength(1)
+  })
+
+  it('should continue a large run in batches with the same timestamp', async () => {
+    const { ctx, all, scheduler } = fakeCtx({
+      mockData: Array.from({ length: 501 }, (_, i) => ({ name: `Record ${i}`, value: i })),
+    })
+
+    expect(await run(takeValueSnapshots, ctx)).toBe(500)
+    const next = scheduler.runAfter.mock.calls[0][2] as { takenAt: number; cursor: string }
+    expect(await run(takeValueSnapshots, ctx, next)).toBe(1)
+
+    const snapshots = all('valueSnapshots')
+    expect(snapshots).toHaveLength(501)
+    expect(new Set(snapshots.map((snapshot) => snapshot.takenAt))).toEqual(
+      new Set([next.takenAt])
+    )
+    expect(scheduler.runAfter).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('Convex Value Snapshots - pruning', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should delete only the snapshots older than 90 days', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(100 * DAY)
+    const { ctx, all, scheduler } = setup({
+      valueSnapshots: [
+        { recordId: 'mockData:3', value: 1, takenAt: 9 * DAY },
+        { recordId: 'mockData:3', value: 2, takenAt: 10 * DAY },
+        { recordId: 'mockData:3', value: 3, takenAt: 11 * DAY },
+      ],
+    })
+
+    expect(await run(pruneValueSnapshots, ctx)).toBe(1)
+
+    expect(all('valueSnapshots').map((snapshot) => snapshot.value)).toEqual([2, 3])
+    expect(scheduler.runAfter).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,231 @@
+import { query, internalMutation, MutationCtx } from "./_generated/server";
+import { v } from "convex/values";
+import { internal } from "./_generated/api";
+import { Id } from "./_generated/dataModel";
+import { requireRole } from "./roles";
+
+/**
+ * Convex Value Snapshot Functions
+ *
+ * A time series of every record's value, for the View page's sparklines and
+ * the value-over-time chart of a record.
+ *
+ * References:
+ * - Convex Cron Jobs: https://docs.convex.dev/scheduling/cron-jobs
+ * - Convex Pagination: https://docs.convex.dev/database/pagination
+ *
+ * Snapshots:
+ * - The "take value snapshots" cron job (convex/crons.ts) checks every few
+ *   minutes whether a new snapshot interval has started, and if so records
+ *   the value of every live record, all stamped with the same takenAt
+ * - Intervals are aligned to the epoch, so with the default of a day a
+ *   snapshot is taken shortly after midnight UTC
+ * - The "prune value snapshots" cron job deletes snapshots older than the
+ *   retention period; a purged record's snapshots are deleted with it
+ *
+ * Configuration (seconds, like TRASH_RETENTION_DELAY):
+ *   npx convex env set VALUE_SNAPSHOT_INTERVAL 3600
+ *   npx convex env set VALUE_SNAPSHOT_RETENTION 2592000
+ * Intervals shorter than the cron job's check (5 minutes) aren't honored.
+ *
+ * Client Usage:
+ * - Query: useQuery(api.valueSnapshots.getValueSeries, { recordId, from?, to? })
+ */
+
+/**
+ * Default time (in seconds) between snapshots: one a day.
+ * Override with `npx convex env set VALUE_SNAPSHOT_INTERVAL <seconds>`.
+ */
+const DEFAULT_SNAPSHOT_INTERVAL = 86400; // 1 day
+
+/**
+ * Default time (in seconds) snapshots are kept.
+ * Override with `npx convex env set VALUE_SNAPSHOT_RETENTION <seconds>`.
+ */
+const DEFAULT_SNAPSHOT_RETENTION = 7776000; // 90 days
+
+/**
+ * Records snapshotted, or snapshots pruned, per batch. Larger runs continue
+ * in follow-up batches scheduled right away.
+ */
+const SNAPSHOT_BATCH_SIZE = 500;
+const PRUNE_BATCH_SIZE = 500;
+
+/**
+ * Maximum number of points returned by getValueSeries; the most recent are
+ * kept.
+ */
+const MAX_SERIES_POINTS = 1000;
+
+/**
+ * isSnapshotDue - Helper (not a Convex function)
+ *
+ * Whether a snapshot should be taken now: true when no snapshot was taken
+ * yet, or the last one was taken in an earlier interval. Intervals are
+ * aligned to the epoch, so they don't drift with the cron job's timing.
+ *
+ * @param lastTakenAt - When the latest snapshot was taken, if any (ms)
+ * @param now - The current time (ms)
+ * @param intervalMs - The snapshot interval (ms)
+ * @returns boolean
+ */
+export function isSnapshotDue(
+  lastTakenAt: number | undefined,
+  now: number,
+  intervalMs: number
+) {
+  return (
+    lastTakenAt === undefined ||
+    Math.floor(now / intervalMs) > Math.floor(lastTakenAt / intervalMs)
+  );
+}
+
+/**
+ * removeRecordSnapshots - Helper (not a Convex function)
+ *
+ * Deletes all of a record's value snapshots. Called when a record is purged.
+ *
+ * @param ctx - The calling mutation's context
+ * @param recordId - The purged record
+ */
+export async function removeRecordSnapshots(ctx: MutationCtx, recordId: Id<"mockData">) {
+  const snapshots = await ctx.db
+    .query("valueSnapshots")
+    .withIndex("by_record", (q) => q.eq("recordId", recordId))
+    .collect();
+  for (const snapshot of snapshots) {
+    await ctx.db.delete(snapshot._id);
+  }
+}
+
+/**
+ * getValueSeries - Query Function
+ *
+ * A record's value snapshots in a time range, oldest first. Snapshots are
+ * taken on a schedule, so the record's current value is usually newer than
+ * the last point.
+ *
+ * @param args.recordId - The record (any string; malformed IDs return null)
+ * @param args.from - Optional start of the range (ms, inclusive)
+ * @param args.to - Optional end of the range (ms, inclusive)
+ * @returns Promise<Array<{ takenAt, value }> | null> - At most
+ *   MAX_SERIES_POINTS points (the most recent), or null for a malformed ID
+ */
+export const getValueSeries = query({
+  args: {
+    recordId: v.string(),
+    from: v.optional(v.number()),
+    to: v.optional(v.number()),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "viewer");
+
+    const recordId = ctx.db.normalizeId("mockData", args.recordId);
+    if (recordId === null) {
+      return null;
+    }
+
+    const snapshots = await ctx.db
+      .query("valueSnapshots")
+      .withIndex("by_record", (q) => {
+        const record = q.eq("recordId", recordId);
+        const from = args.from !== undefined ? record.gte("takenAt", args.from) : record;
+        return args.to !== undefined ? from.lte("takenAt", args.to) : from;
+      })
+      .order("desc")
+      .take(MAX_SERIES_POINTS);
+
+    return snapshots.reverse().map(({ takenAt, value }) => ({ takenAt, value }));
+  },
+});
+
+/**
+ * takeValueSnapshots - Internal Mutation Function
+ *
+ * Records the value of every live record if a new snapshot interval has
+ * started. Scheduled by the cron job in convex/crons.ts with no arguments;
+ * a run that needs more than one batch schedules the rest itself, passing
+ * the run's takenAt and the pagination cursor.
+ *
+ * The interval is read from the VALUE_SNAPSHOT_INTERVAL environment
+ * variable (seconds) and defaults to DEFAULT_SNAPSHOT_INTERVAL.
+ *
+ * @param args.takenAt - Timestamp of the run being continued
+ * @param args.cursor - Where the previous batch stopped
+ * @returns Promise<number> - The number of snapshots taken in this batch
+ */
+export const takeValueSnapshots = internalMutation({
+  args: {
+    takenAt: v.optional(v.number()),
+    cursor: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    let takenAt = args.takenAt;
+    if (takenAt === undefined) {
+      const intervalSeconds =
+        Number(process.env.VALUE_SNAPSHOT_INTERVAL) || DEFAULT_SNAPSHOT_INTERVAL;
+      const latest = await ctx.db
+        .query("valueSnapshots")
+        .withIndex("by_takenAt")
+        .order("desc")
+        .first();
+      const now = Date.now();
+      if (!isSnapshotDue(latest?.takenAt, now, intervalSeconds * 1000)) {
+        return 0;
+      }
+      takenAt = now;
+    }
+
+    const batch = await ctx.db
+      .query("mockData")
+      .withIndex("by_deletedAt", (q) => q.eq("deletedAt", undefined))
+      .paginate({ numItems: SNAPSHOT_BATCH_SIZE, cursor: args.cursor ?? null });
+    for (const record of batch.page) {
+      await ctx.db.insert("valueSnapshots", {
+        recordId: record._id,
+        value: record.value,
+        takenAt,
+      });
+    }
+    if (!batch.isDone) {
+      await ctx.scheduler.runAfter(0, internal.valueSnapshots.takeValueSnapshots, {
+        takenAt,
+        cursor: batch.continueCursor,
+      });
+    }
+    return batch.page.length;
+  },
+});
+
+/**
+ * pruneValueSnapshots - Internal Mutation Function
+ *
+ * Deletes snapshots older than the retention period, oldest first.
+ * Scheduled by the cron job in convex/crons.ts; a full batch schedules
+ * another right away until nothing old is left.
+ *
+ * The retention period is read from the VALUE_SNAPSHOT_RETENTION
+ * environment variable (seconds) and defaults to DEFAULT_SNAPSHOT_RETENTION.
+ *
+ * @returns Promise<number> - The number of snapshots deleted in this batch
+ */
+export const pruneValueSnapshots = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const retentionSeconds =
+      Number(process.env.VALUE_SNAPSHOT_RETENTION) || DEFAULT_SNAPSHOT_RETENTION;
+    const cutoff = Date.now() - retentionSeconds * 1000;
+
+    const old = await ctx.db
+      .query("valueSnapshots")
+      .withIndex("by_takenAt", (q) => q.lt("takenAt", cutoff))
+      .take(PRUNE_BATCH_SIZE);
+    for (const snapshot of old) {
+      await ctx.db.delete(snapshot._id);
+    }
+    if (old.length === PRUNE_BATCH_SIZE) {
+      await ctx.scheduler.runAfter(0, internal.valueSnapshots.pruneValueSnapshots, {});
+    }
+    return old.length;
+  },
+});
@@ -0,0 +1,313 @@
+/**
+ * Convex Webhook Tests
+ *
+ * Unit tests for webhook signing, retry backoff and function visibility,
+ * and handler tests for who may manage subscriptions, which subscriptions
+ * an event is queued for, how failed attempts are retried, and which
+ * deliveries are pruned from the log.
+ *
+ * References:
+ * - Convex Functions Docs: https://docs.convex.dev/functions
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { createHmac } from 'node:crypto'
+import { errorOf, fakeCtx, run } from './test.utils'
+import {
+  signPayload,
+  retryDelay,
+  dispatchWebhooks,
+  listWebhooks,
+  listDeliveries,
+  createWebhook,
+  deleteWebhook,
+  deliverWebhook,
+  recordDeliveryAttempt,
+  pruneWebhookDeliveries,
+} from './webhooks'
+
+vi.mock('./_generated/api', () => ({
+  internal: {
+    webhooks: {
+      deliverWebhook: 'webhooks:deliverWebhook',
+      pruneWebhookDeliveries: 'webhooks:pruneWebhookDeliveries',
+    },
+  },
+}))
+
+describe('Convex Webhooks - signPayload', () => {
+  it('should sign the timestamp and body with HMAC-SHA256', async () => {
+    const body = '{"type":"mockData.created"}'
+    const expected = createHmac('sha256', 'secret-key')
+      .update(`1700000000.${body}`)
+      .digest('hex')
+
+    expect(await signPayload('secret-key', 1700000000, body)).toBe(expected)
+  })
+})
+
+describe('Convex Webhooks - retryDelay', () => {
+  it('should double the delay after each failed attempt', () => {
+    expect([1, 2, 3, 4, 5].map(retryDelay)).toEqual([30000, 60000, 120000, 240000, 480000])
+  })
+})
+
+describe('Convex Webhooks - functions', () => {
+  it('should expose subscription management and the log to clients', () => {
+    for (const fn of [listWebhooks, listDeliveries]) {
+      expect(fn.isQuery).toBe(true)
+      expect(fn.isPublic).toBe(true)
+    }
+    for (const fn of [createWebhook, deleteWebhook]) {
+      expect(fn.isMutation).toBe(true)
+      expect(fn.isPublic).toBe(true)
+    }
+  })
+
+  it('should keep delivery internal', () => {
+    expect(deliverWebhook.isAction).toBe(true)
+    for (const fn of [deliverWebhook, recordDeliveryAttempt, pruneWebhookDeliveries]) {
+      expect(fn.isInternal).toBe(true)
+    }
+  })
+})
+
+// users:1 is Ana with the given role; `tables` adds further documents
+const signedInAs = (role: string, tables: Record<string, Record<string, unknown>[]> = {}) =>
+  fakeCtx(
+    {
+      users: [{ name: 'Ana', passwordHash: '', passwordSalt: '' }],
+      roles: [{ userId: 'users:1', role }],
+      ...tables,
+    },
+    'users:1'
+  )
+
+const webhook = (fields: Record<string, unknown> = {}) => ({
+  url: 'https://example.com/hook',
+  secret: 'a-long-enough-secret',
+  eventTypes: ['mockData.created'],
+  enabled: true,
+  createdBy: 'users:1',
+  ...fields,
+})
+
+describe('Convex Webhooks - managing subscriptions', () => {
+  const args = {
+    url: ' https://example.com/hook ',
+    secret: 'a-long-enough-secret',
+    eventTypes: ['mockData.created', 'mockData.created', 'mockData.deleted'],
+  }
+
+  it('should only let admins subscribe', async () => {
+    const { ctx, all } = signedInAs('editor')
+
+    expect(await errorOf(run(createWebhook, ctx, args))).toMatchObject({ code: 'FORBIDDEN' })
+    expect(all('webhooks')).toEqual([])
+  })
+
+  it('should store the subscription for an admin', async () => {
+    const { ctx, db } = signedInAs('admin')
+
+    const webhookId = await run(createWebhook, ctx, args)
+
+    expect(await db.get(webhookId)).toMatchObject({
+      url: 'https://example.com/hook',
+      eventTypes: ['mockData.created', 'mockData.deleted'],
+      enabled: true,
+      createdBy: 'users:1',
+    })
+  })
+
+  it('should keep secrets out of the list', async () => {
+    const { ctx } = signedInAs('admin', { webhooks: [webhook()] })
+
+    const [listed] = await run(listWebhooks, ctx)
+
+    expect(listed).toMatchObject({ url: 'https://example.com/hook', enabled: true })
+    expect(listed).not.toHaveProperty('secret')
+  })
+
+  it('should only let admins delete, and take the delivery log along', async () => {
+    const tables = {
+      webhooks: [webhook()], // webhooks:3
+      webhookDeliveries: [
+        {
+          webhookId: 'webhooks:3',
+          eventType: 'mockData.created',
+          recordId: 'mockData:9',
+          payload: '{}',
+          status: 'succeeded',
+          attempts: 1,
+        },
+      ],
+    }
+    const editor = signedInAs('editor', tables)
+    expect(
+      await errorOf(run(deleteWebhook, editor.ctx, { webhookId: 'webhooks:3' }))
+    ).toMatchObject({ code: 'FORBIDDEN' })
+
+    const admin = signedInAs('admin', tables)
+    await run(deleteWebhook, admin.ctx, { webhookId: 'webhooks:3' })
+    expect(admin.all('webhooks')).toEqual([])
+    expect(admin.all('webhookDeliveries')).toEqual([])
+  })
+})
+
+describe('Convex Webhooks - dispatchWebhooks', () => {
+  it('should queue a delivery for each enabled subscription to the event', async () => {
+    const { ctx, all, scheduler } = signedInAs('editor', {
+      webhooks: [
+        webhook(), // webhooks:3
+        webhook({ enabled: false }), // webhooks:4
+        webhook({ eventTypes: ['mockData.deleted'] }), // webhooks:5
+        webhook({ eventTypes: ['mockData.created', 'mockData.updated'] }), // webhooks:6
+      ],
+    })
+
+    await dispatchWebhooks(ctx, {
+      id: 'mockDataHistory:20' as never,
+      action: 'create',
+      recordId: 'mockData:10' as never,
+      revision: 0,
+      after: { name: 'Alpha', value: 1 },
+    })
+
+    const deliveries = all('webhookDeliveries')
+    expect(deliveries.map((delivery) => delivery.webhookId)).toEqual(['webhooks:3', 'webhooks:6'])
+    expect(deliveries[0]).toMatchObject({
+      eventType: 'mockData.created',
+      recordId: 'mockData:10',
+      status: 'pending',
+      attempts: 0,
+    })
+    expect(JSON.parse(deliveries[0].payload as string)).toMatchObject({
+      id: 'mockDataHistory:20',
+      type: 'mockData.created',
+      data: { recordId: 'mockData:10', revision: 0, after: { name: 'Alpha', value: 1 } },
+    })
+    expect(scheduler.runAfter).toHaveBeenCalledWith(0, 'webhooks:deliverWebhook', {
+      deliveryId: deliveries[0]._id,
+    })
+    expect(scheduler.runAfter).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('Convex Webhooks - recordDeliveryAttempt', () => {
+  // A pending delivery (webhookDeliveries:2) after `attempts` attempts
+  const withDelivery = (attempts: number) =>
+    fakeCtx({
+      webhooks: [webhook({ createdBy: 'users:9' })],
+      webhookDeliveries: [
+        {
+          webhookId: 'webhooks:1',
+          eventType: 'mockData.created',
+          recordId: 'mockData:9',
+          payload: '{}',
+          status: 'pending',
+          attempts,
+        },
+      ],
+    })
+
+  it('should mark a delivered attempt as succeeded', async () => {
+    const { ctx, db, scheduler } = withDelivery(0)
+
+    await run(recordDeliveryAttempt, ctx, {
+      deliveryId: 'webhookDeliveries:2',
+      ok: true,
+      statusCode: 200,
+    })
+
+    expect(await db.get('webhookDeliveries:2')).toMatchObject({
+      status: 'succeeded',
+      attempts: 1,
+      lastStatusCode: 200,
+    })
+    expect(scheduler.runAt).not.toHaveBeenCalled()
+  })
+
+  it('should schedule a retry with backoff after a failure', async () => {
+    const { ctx, db, scheduler } = withDelivery(1)
+
+    await run(recordDeliveryAttempt, ctx, {
+      deliveryId: 'webhookDeliveries:2',
+      ok: false,
+      statusCode: 500,
+      error: 'Receiver responded 500',
+    })
+
+    const delivery = await db.get('webhookDeliveries:2')
+    expect(delivery).toMatchObject({
+      status: 'pending',
+      attempts: 2,
+      lastError: 'Receiver responded 500',
+    })
+    expect(delivery?.nextAttemptAt).toBe((delivery?.lastAttemptAt as number) + retryDelay(2))
+    expect(scheduler.runAt).toHaveBeenCalledWith(
+      delivery?.nextAttemptAt,
+      'webhooks:deliverWebhook',
+      { deliveryId: 'webhookDeliveries:2' }
+    )
+  })
+
+  it('should give up after the last attempt', async () => {
+    const { ctx, db, scheduler } = withDelivery(5)
+
+    await run(recordDeliveryAttempt, ctx, { deliveryId: 'webhookDeliveries:2', ok: false })
+
+    expect(await db.get('webhookDeliveries:2')).toMatchObject({ status: 'failed', attempts: 6 })
+    expect(scheduler.runAt).not.toHaveBeenCalled()
+  })
+})
+
+describe('Convex Webhooks - pruneWebhookDeliveries', () => {
+  const WEEK = 7 * 24 * 60 * 60 * 1000
+  const delivery = (status: string, _creationTime: number) => ({
+    webhookId: 'webhooks:1',
+    eventType: 'mockData.created',
+    recordId: 'mockData:9',
+    payload: '{}',
+    status,
+    attempts: 1,
+    _creationTime,
+  })
+
+  it('should remove old finished deliveries past any number of pending ones', async () => {
+    const old = Date.now() - WEEK - 1000
+    const { ctx, all, scheduler } = fakeCtx({
+      webhooks: [webhook()],
+      webhookDeliveries: [
+        // A full batch of old deliveries still being retried
+        ...Array.from({ length: 500 }, (_, i) => delivery('pending', old - 1000 + i)),
+        delivery('succeeded', old),
+        delivery('failed', old),
+        delivery('failed', Date.now()),
+      ],
+    })
+
+    expect(await run(pruneWebhookDeliveries, ctx)).toBe(2)
+
+    const kept = all('webhookDeliveries')
+    expect(kept).toHaveLength(501)
+    expect(kept.filter((d) => d.status !== 'pending')).toMatchObject([{ status: 'failed' }])
+    expect(scheduler.runAfter).not.toHaveBeenCalled()
+  })
+
+  it('should schedule the next batch after a full one', async () => {
+    const old = Date.now() - WEEK - 1000
+    const { ctx, all, scheduler } = fakeCtx({
+      webhooks: [webhook()],
+      webhookDeliveries: [
+        ...Array.from({ length: 300 }, () => delivery('succeeded', old)),
+        ...Array.from({ length: 300 }, () => delivery('failed', old)),
+      ],
+    })
+
+    expect(await run(pruneWebhookDeliveries, ctx)).toBe(500)
+
+    expect(all('webhookDeliveries')).toHaveLength(100)
+    expect(scheduler.runAfter).toHaveBeenCalledWith(0, 'webhooks:pruneWebhookDeliveries', {})
+  })
+})
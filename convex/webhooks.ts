@@ -0,0 +1,530 @@
+import {
+  query,
+  mutation,
+  internalQuery,
+  internalMutation,
+  internalAction,
+  MutationCtx,
+} from "./_generated/server";
+import { v, ConvexError, Infer } from "convex/values";
+import { internal } from "./_generated/api";
+import { Id } from "./_generated/dataModel";
+import { requireRole } from "./roles";
+import type { HistoryAction, Snapshot } from "./history";
+
+/**
+ * Convex Webhook Functions
+ *
+ * Outbound webhooks: downstream systems subscribe a URL to record events
+ * and receive a signed JSON POST whenever a matching change happens.
+ *
+ * References:
+ * - Convex Scheduling: https://docs.convex.dev/scheduling/scheduled-functions
+ * - Convex Actions: https://docs.convex.dev/functions/actions
+ *
+ * How a change becomes a delivery:
+ * 1. recordHistory (convex/history.ts), called by every write, calls
+ *    dispatchWebhooks in the same transaction
+ * 2. dispatchWebhooks inserts a pending webhookDeliveries entry for each
+ *    enabled subscription to the event type and schedules deliverWebhook,
+ *    so a rolled-back write never notifies anyone
+ * 3. deliverWebhook (an action, since only actions may use fetch) POSTs
+ *    the payload and reports the outcome to recordDeliveryAttempt
+ * 4. A failed attempt (network error, timeout or non-2xx response) is
+ *    retried with exponential backoff: RETRY_BASE_DELAY, then twice as long
+ *    each time, up to MAX_ATTEMPTS attempts in total
+ *
+ * Payload (the request body):
+ * { id, type, createdAt, data: { recordId, revision?, before?, after? } }
+ * where id is the event's ID (the history entry's), shared by every
+ * subscription, and before/after hold the record's name, value and
+ * description.
+ *
+ * Signature:
+ * Every request carries `X-Webhook-Signature: t=<unix seconds>,v1=<hex>`,
+ * where v1 is the HMAC-SHA256, keyed with the subscription's secret, of
+ * `${t}.${body}`. Receivers should recompute it and reject stale timestamps.
+ *
+ * Client Usage (admins only):
+ * - Query: useQuery(api.webhooks.listWebhooks)
+ * - Query: useQuery(api.webhooks.listDeliveries, { webhookId })
+ * - Mutation: useMutation(api.webhooks.createWebhook)
+ * - Mutation: useMutation(api.webhooks.setWebhookEnabled)
+ * - Mutation: useMutation(api.webhooks.deleteWebhook)
+ */
+
+export const webhookEventTypeValidator = v.union(
+  v.literal("mockData.created"),
+  v.literal("mockData.updated"),
+  v.literal("mockData.deleted"),
+  v.literal("mockData.restored"),
+  v.literal("mockData.purged")
+);
+
+export type WebhookEventType = Infer<typeof webhookEventTypeValidator>;
+
+/**
+ * The event sent for each kind of history entry. A revert is an ordinary
+ * update as far as subscribers are concerned.
+ */
+const EVENT_TYPE_BY_ACTION: Record<HistoryAction, WebhookEventType> = {
+  create: "mockData.created",
+  update: "mockData.updated",
+  revert: "mockData.updated",
+  delete: "mockData.deleted",
+  restore: "mockData.restored",
+  purge: "mockData.purged",
+};
+
+export const deliveryStatusValidator = v.union(
+  v.literal("pending"),
+  v.literal("succeeded"),
+  v.literal("failed")
+);
+
+/**
+ * Attempts made per delivery before it is marked failed.
+ */
+const MAX_ATTEMPTS = 6;
+
+/**
+ * Delay (in milliseconds) before the first retry; each later retry waits
+ * twice as long as the one before (30s, 1m, 2m, 4m, 8m).
+ */
+const RETRY_BASE_DELAY = 30 * 1000;
+
+/**
+ * How long (in milliseconds) a receiver gets to respond to one attempt.
+ */
+const DELIVERY_TIMEOUT = 10 * 1000;
+
+/**
+ * How long (in milliseconds) finished deliveries stay in the log before
+ * pruneWebhookDeliveries removes them.
+ */
+const DELIVERY_LOG_RETENTION = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Maximum number of deliveries removed by a single prune run; a full batch
+ * schedules the next one right away.
+ */
+const PRUNE_BATCH_SIZE = 500;
+
+/**
+ * Number of deliveries returned by listDeliveries.
+ */
+const DELIVERY_LOG_LIMIT = 50;
+
+/**
+ * Delay before retrying after the given number of failed attempts.
+ */
+export const retryDelay = (attempts: number) =>
+  RETRY_BASE_DELAY * 2 ** (attempts - 1);
+
+/**
+ * HMAC-SHA256 signature (hex) of a payload, as sent in X-Webhook-Signature.
+ *
+ * @param secret - The subscription's secret
+ * @param timestamp - Unix time in seconds, also sent in the header
+ * @param body - The exact request body
+ */
+export async function signPayload(secret: string, timestamp: number, body: string) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(`${timestamp}.${body}`)
+  );
+  return Array.from(new Uint8Array(signature), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+/**
+ * dispatchWebhooks - Helper (not a Convex function)
+ *
+ * Queues a delivery of the event to every enabled subscription that wants
+ * it. Called by recordHistory for every change; call it from inside the
+ * mutation making the change.
+ *
+ * @param ctx - The calling mutation's context
+ * @param event.id - The event's ID (the history entry's ID)
+ * @param event.action - The history action, mapped to an event type
+ * @param event.recordId / revision / before / after - As in the history entry
+ */
+export async function dispatchWebhooks(
+  ctx: MutationCtx,
+  event: {
+    id: Id<"mockDataHistory">;
+    action: HistoryAction;
+    recordId: Id<"mockData">;
+    revision?: number;
+    before?: Snapshot;
+    after?: Snapshot;
+  }
+) {
+  const type = EVENT_TYPE_BY_ACTION[event.action];
+  const webhooks = await ctx.db
+    .query("webhooks")
+    .withIndex("by_enabled", (q) => q.eq("enabled", true))
+    .collect();
+  const subscribers = webhooks.filter((webhook) => webhook.eventTypes.includes(type));
+  if (subscribers.length === 0) {
+    return;
+  }
+
+  // Serialized once, so the signed bytes are exactly what every receiver gets
+  const { id, action: _action, ...data } = event;
+  const payload = JSON.stringify({
+    id,
+    type,
+    createdAt: new Date().toISOString(),
+    data,
+  });
+  for (const webhook of subscribers) {
+    const deliveryId = await ctx.db.insert("webhookDeliveries", {
+      webhookId: webhook._id,
+      eventType: type,
+      recordId: event.recordId,
+      payload,
+      status: "pending",
+      attempts: 0,
+    });
+    await ctx.scheduler.runAfter(0, internal.webhooks.deliverWebhook, { deliveryId });
+  }
+}
+
+// http(s) URLs only; anything else can't be delivered to
+const isWebhookUrl = (url: string) => {
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * listWebhooks - Query Function
+ *
+ * Lists every subscription, newest first, without its secret.
+ *
+ * @returns Promise<Array<{ _id, _creationTime, url, eventTypes, enabled }>>
+ */
+export const listWebhooks = query({
+  args: {},
+  handler: async (ctx) => {
+    await requireRole(ctx, "admin");
+    const webhooks = await ctx.db.query("webhooks").order("desc").collect();
+    return webhooks.map(({ secret: _secret, createdBy: _createdBy, ...webhook }) => webhook);
+  },
+});
+
+/**
+ * createWebhook - Mutation Function
+ *
+ * Subscribes a URL to the given event types. The Webhooks page generates
+ * the secret in the browser and shows it once, for the receiver's setup.
+ *
+ * @param url - Where to POST events (http or https)
+ * @param secret - Key for the payload signature (at least 16 characters)
+ * @param eventTypes - The events to send (at least one)
+ * @returns Promise<Id<"webhooks">> - The ID of the new subscription
+ */
+export const createWebhook = mutation({
+  args: {
+    url: v.string(),
+    secret: v.string(),
+    eventTypes: v.array(webhookEventTypeValidator),
+  },
+  handler: async (ctx, args) => {
+    const { user } = await requireRole(ctx, "admin");
+    const url = args.url.trim();
+    if (!isWebhookUrl(url)) {
+      throw new ConvexError({
+        code: "INVALID_URL",
+        message: "Enter an http:// or https:// URL.",
+      });
+    }
+    if (args.secret.length < 16) {
+      throw new ConvexError({
+        code: "WEAK_SECRET",
+        message: "The secret must be at least 16 characters.",
+      });
+    }
+    if (args.eventTypes.length === 0) {
+      throw new ConvexError({
+        code: "NO_EVENTS",
+        message: "Choose at least one event type.",
+      });
+    }
+    return await ctx.db.insert("webhooks", {
+      url,
+      secret: args.secret,
+      eventTypes: [...new Set(args.eventTypes)],
+      enabled: true,
+      createdBy: user._id,
+    });
+  },
+});
+
+/**
+ * setWebhookEnabled - Mutation Function
+ *
+ * Pauses or resumes a subscription. Events that happen while it is paused
+ * are not sent later; deliveries already queued still go out.
+ *
+ * @param webhookId - The subscription
+ * @param enabled - Whether new events should be delivered
+ * @returns Promise<Id<"webhooks">>
+ */
+export const setWebhookEnabled = mutation({
+  args: {
+    webhookId: v.id("webhooks"),
+    enabled: v.boolean(),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "admin");
+    if ((await ctx.db.get(args.webhookId)) === null) {
+      throw new Error("Webhook not found");
+    }
+    await ctx.db.patch(args.webhookId, { enabled: args.enabled });
+    return args.webhookId;
+  },
+});
+
+/**
+ * deleteWebhook - Mutation Function
+ *
+ * Removes a subscription and its delivery log. Pending retries find the
+ * subscription gone and stop.
+ *
+ * @param webhookId - The subscription
+ * @returns Promise<Id<"webhooks">>
+ */
+export const deleteWebhook = mutation({
+  args: {
+    webhookId: v.id("webhooks"),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "admin");
+    const deliveries = await ctx.db
+      .query("webhookDeliveries")
+      .withIndex("by_webhook", (q) => q.eq("webhookId", args.webhookId))
+      .collect();
+    for (const delivery of deliveries) {
+      await ctx.db.delete(delivery._id);
+    }
+    await ctx.db.delete(args.webhookId);
+    return args.webhookId;
+  },
+});
+
+/**
+ * listDeliveries - Query Function
+ *
+ * The most recent deliveries (newest first), for one subscription or all.
+ * Live, so retries and their outcomes show up as they happen.
+ *
+ * @param webhookId - Optional subscription to filter by
+ * @returns Promise<Array<Doc<"webhookDeliveries"> & { url }>>
+ */
+export const listDeliveries = query({
+  args: {
+    webhookId: v.optional(v.id("webhooks")),
+  },
+  handler: async (ctx, args) => {
+    await requireRole(ctx, "admin");
+    const { webhookId } = args;
+    const deliveries = await (webhookId
+      ? ctx.db
+          .query("webhookDeliveries")
+          .withIndex("by_webhook", (q) => q.eq("webhookId", webhookId))
+      : ctx.db.query("webhookDeliveries")
+    )
+      .order("desc")
+      .take(DELIVERY_LOG_LIMIT);
+    return await Promise.all(
+      deliveries.map(async (delivery) => ({
+        ...delivery,
+        url: (await ctx.db.get(delivery.webhookId))?.url ?? null,
+      }))
+    );
+  },
+});
+
+/**
+ * getDelivery - Internal Query Function
+ *
+ * What deliverWebhook needs to send a delivery, or null if it is no longer
+ * pending or its subscription was deleted.
+ */
+export const getDelivery = internalQuery({
+  args: {
+    deliveryId: v.id("webhookDeliveries"),
+  },
+  handler: async (ctx, args) => {
+    const delivery = await ctx.db.get(args.deliveryId);
+    if (delivery === null || delivery.status !== "pending") {
+      return null;
+    }
+    const webhook = await ctx.db.get(delivery.webhookId);
+    if (webhook === null) {
+      return null;
+    }
+    return {
+      url: webhook.url,
+      secret: webhook.secret,
+      eventType: delivery.eventType,
+      payload: delivery.payload,
+    };
+  },
+});
+
+/**
+ * deliverWebhook - Internal Action Function
+ *
+ * Makes one delivery attempt and records the outcome. Scheduled by
+ * dispatchWebhooks and, for retries, by recordDeliveryAttempt.
+ */
+export const deliverWebhook = internalAction({
+  args: {
+    deliveryId: v.id("webhookDeliveries"),
+  },
+  handler: async (ctx, args) => {
+    const delivery = await ctx.runQuery(internal.webhooks.getDelivery, args);
+    if (delivery === null) {
+      return;
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = await signPayload(delivery.secret, timestamp, delivery.payload);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT);
+
+    let outcome: { ok: boolean; statusCode?: number; error?: string };
+    try {
+      const response = await fetch(delivery.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Event": delivery.eventType,
+          "X-Webhook-Delivery": args.deliveryId,
+          "X-Webhook-Signature": `t=${timestamp},v1=${signature}`,
+        },
+        body: delivery.payload,
+        signal: controller.signal,
+      });
+      outcome = response.ok
+        ? { ok: true, statusCode: response.status }
+        : {
+            ok: false,
+            statusCode: response.status,
+            error: `Receiver responded ${response.status} ${response.statusText}`.trim(),
+          };
+    } catch (error) {
+      outcome = {
+        ok: false,
+        error: controller.signal.aborted
+          ? `No response within ${DELIVERY_TIMEOUT / 1000} seconds`
+          : String(error instanceof Error ? error.message : error),
+      };
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    await ctx.runMutation(internal.webhooks.recordDeliveryAttempt, {
+      deliveryId: args.deliveryId,
+      ...outcome,
+    });
+  },
+});
+
+/**
+ * recordDeliveryAttempt - Internal Mutation Function
+ *
+ * Stores the outcome of an attempt and, after a failure, either schedules
+ * the next retry or gives up once MAX_ATTEMPTS is reached.
+ */
+export const recordDeliveryAttempt = internalMutation({
+  args: {
+    deliveryId: v.id("webhookDeliveries"),
+    ok: v.boolean(),
+    statusCode: v.optional(v.number()),
+    error: v.optional(v.string()),
+  },
+  handler: async (ctx, args) => {
+    const delivery = await ctx.db.get(args.deliveryId);
+    if (delivery === null) {
+      return;
+    }
+    const attempts = delivery.attempts + 1;
+    const now = Date.now();
+
+    if (args.ok) {
+      await ctx.db.patch(args.deliveryId, {
+        status: "succeeded",
+        attempts,
+        lastAttemptAt: now,
+        lastStatusCode: args.statusCode,
+        lastError: undefined,
+        nextAttemptAt: undefined,
+      });
+      return;
+    }
+
+    const willRetry = attempts < MAX_ATTEMPTS;
+    const nextAttemptAt = willRetry ? now + retryDelay(attempts) : undefined;
+    await ctx.db.patch(args.deliveryId, {
+      status: willRetry ? "pending" : "failed",
+      attempts,
+      lastAttemptAt: now,
+      lastStatusCode: args.statusCode,
+      lastError: args.error,
+      nextAttemptAt,
+    });
+    if (nextAttemptAt !== undefined) {
+      await ctx.scheduler.runAt(nextAttemptAt, internal.webhooks.deliverWebhook, {
+        deliveryId: args.deliveryId,
+      });
+    }
+  },
+});
+
+/**
+ * pruneWebhookDeliveries - Internal Mutation Function
+ *
+ * Removes finished deliveries older than DELIVERY_LOG_RETENTION, in
+ * batches of PRUNE_BATCH_SIZE. Scheduled by the cron job in convex/crons.ts.
+ *
+ * @returns Promise<number> - The number of deliveries removed in this run
+ */
+export const pruneWebhookDeliveries = internalMutation({
+  args: {},
+  handler: async (ctx) => {
+    const cutoff = Date.now() - DELIVERY_LOG_RETENTION;
+    // Only finished deliveries are read, so pending ones still being retried
+    // can't fill the batch; the oldest of each status come first
+    let removed = 0;
+    for (const status of ["succeeded", "failed"] as const) {
+      const old = await ctx.db
+        .query("webhookDeliveries")
+        .withIndex("by_status", (q) => q.eq("status", status).lt("_creationTime", cutoff))
+        .take(PRUNE_BATCH_SIZE - removed);
+      for (const delivery of old) {
+        await ctx.db.delete(delivery._id);
+      }
+      removed += old.length;
+    }
+    if (removed === PRUNE_BATCH_SIZE) {
+      await ctx.scheduler.runAfter(0, internal.webhooks.pruneWebhookDeliveries, {});
+    }
+    return removed;
+  },
+});
@@ -0,0 +1,90 @@
+#!/bin/bash
+
+# Generate Auth Keys Script
+#
+# This script creates the RSA key pair used for self-issued sign-in tokens
+# and stores it in the Convex deployment's environment variables:
+#   JWT_PRIVATE_KEY - signs tokens (read by convex/auth.ts)
+#   JWKS            - verifies tokens (read by convex/auth.config.ts)
+#
+# Usage: bash scripts/generate_auth_keys.sh
+# Or via npm: npm run generate-auth-keys
+#
+# The script requires CONVEX_ADMIN_KEY to be set in the .env file.
+# Running it again rotates the keys, which signs everyone out.
+
+set -euo pipefail
+
+# ANSI color codes for output
+readonly RED='\033[0;31m'
+readonly GREEN='\033[0;32m'
+readonly YELLOW='\033[1;33m'
+readonly NC='\033[0m' # No Color
+
+# Check if .env file exists
+if [ ! -f .env ]; then
+    echo -e "${RED}Error: .env file not found${NC}"
+    echo ""
+    echo "Please create a .env file from .env.example:"
+    echo "  cp .env.example .env"
+    echo ""
+    echo "Make sure to set CONVEX_ADMIN_KEY (run 'npm run generate-admin-key' to get one)"
+    exit 1
+fi
+
+# Source the .env file to get environment variables
+set -a
+source .env
+set +a
+
+# Check if CONVEX_ADMIN_KEY is set
+if [ -z "${CONVEX_ADMIN_KEY:-}" ]; then
+    echo -e "${RED}Error: CONVEX_ADMIN_KEY not set in .env file${NC}"
+    echo ""
+    echo "Generate an admin key with:"
+    echo "  npm run generate-admin-key"
+    exit 1
+fi
+
+# Check if CONVEX_DEPLOYMENT_URL is set
+if [ -z "${CONVEX_DEPLOYMENT_URL:-}" ]; then
+    echo -e "${YELLOW}Warning: CONVEX_DEPLOYMENT_URL not set, using default http://localhost:3210${NC}"
+    CONVEX_DEPLOYMENT_URL="http://localhost:3210"
+fi
+
+echo "Generating RSA key pair for sign-in tokens..."
+
+# Node's crypto module generates the pair; the key id must match KEY_ID in convex/auth.ts.
+# The private key's line breaks are folded into spaces so it fits in one env var.
+KEYS=$(node --input-type=module -e '
+import { generateKeyPairSync } from "node:crypto";
+const { publicKey, privateKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+const jwk = publicKey.export({ format: "jwk" });
+const jwks = { keys: [{ ...jwk, kid: "convex-poc-auth", alg: "RS256", use: "sig" }] };
+console.log(privateKey.export({ format: "pem", type: "pkcs8" }).trim().replace(/\n/g, " "));
+console.log(JSON.stringify(jwks));
+')
+JWT_PRIVATE_KEY=$(echo "$KEYS" | sed -n 1p)
+JWKS=$(echo "$KEYS" | sed -n 2p)
+
+# "--" stops the PEM's leading dashes from being parsed as an option
+for NAME in JWT_PRIVATE_KEY JWKS; do
+    if ! npx convex env set --url "$CONVEX_DEPLOYMENT_URL" --admin-key "$CONVEX_ADMIN_KEY" -- "$NAME" "${!NAME}"; then
+        echo ""
+        echo -e "${RED}Error: Failed to set $NAME on the Convex deployment${NC}"
+        echo ""
+        echo "Make sure:"
+        echo "  1. The Convex container is running (python scripts/deploy.py status)"
+        echo "  2. The CONVEX_ADMIN_KEY is valid"
+        echo "  3. The CONVEX_DEPLOYMENT_URL is correct ($CONVEX_DEPLOYMENT_URL)"
+        exit 1
+    fi
+done
+
+echo ""
+echo -e "${GREEN}--------------------------------------------------${NC}"
+echo -e "${GREEN}Auth key generation complete!${NC}"
+echo ""
+echo "Redeploy the Convex functions so auth.config.ts picks up the new JWKS,"
+echo "then create an account from the Sign In page of the React app."
+echo ""
@@ -136,6 +136,17 @@ if ! npx convex import --url "$CONVEX_DEPLOYMENT_URL" --admin-key "$CONVEX_ADMIN
     exit 1
 fi
 
+# The import bypasses the mutations that keep the statistics aggregates
+# (convex/stats.ts) up to date, so recompute them from the seeded records
+if ! npx convex run --url "$CONVEX_DEPLOYMENT_URL" --admin-key "$CONVEX_ADMIN_KEY" stats:rebuildValueStats; then
+    echo ""
+    echo -e "${RED}Error: Failed to rebuild the value statistics${NC}"
+    echo ""
+    echo "The data was seeded; retry the rebuild with:"
+    echo "  npx convex run --url $CONVEX_DEPLOYMENT_URL --admin-key <admin-key> stats:rebuildValueStats"
+    exit 1
+fi
+
 echo ""
 echo -e "${GREEN}--------------------------------------------------${NC}"
 echo -e "${GREEN}Data seeding complete!${NC}"
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+// Local Webhook Receiver
+//
+// A minimal HTTP server for testing outbound webhooks (convex/webhooks.ts)
+// on your machine. It prints every delivery, checks its signature and can
+// simulate failures to exercise the retry backoff.
+//
+// Usage: node scripts/webhook_receiver.mjs
+// Or via npm: npm run webhook-receiver
+//
+// Environment variables:
+//   PORT            Port to listen on (default 4000)
+//   WEBHOOK_SECRET  The subscription's signing secret; when set, the
+//                   signature of every delivery is verified
+//   FAIL_FIRST      Answer the first N deliveries with 500 (default 0)
+//
+// The Convex backend runs in Docker, so subscribe the URL
+// http://host.docker.internal:4000/webhook on the Webhooks page.
+
+import { createServer } from "node:http";
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+const PORT = Number(process.env.PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || "";
+let failuresLeft = Number(process.env.FAIL_FIRST) || 0;
+
+// Signatures older than this are rejected, as a real receiver should
+const MAX_SIGNATURE_AGE = 5 * 60; // seconds
+
+// ANSI color codes for output
+const GREEN = "\x1b[0;32m";
+const RED = "\x1b[0;31m";
+const YELLOW = "\x1b[1;33m";
+const NC = "\x1b[0m";
+
+// Check "t=<seconds>,v1=<hex>" against HMAC-SHA256(secret, `${t}.${body}`)
+function verifySignature(header, body) {
+  const parts = Object.fromEntries(
+    (header ?? "").split(",").map((part) => part.split("=", 2))
+  );
+  const timestamp = Number(parts.t);
+  if (!parts.v1 || !Number.isInteger(timestamp)) {
+    return "missing or malformed signature header";
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > MAX_SIGNATURE_AGE) {
+    return "timestamp too old";
+  }
+  const expected = createHmac("sha256", SECRET).update(`${timestamp}.${body}`).digest();
+  const received = Buffer.from(parts.v1, "hex");
+  return received.length === expected.length && timingSafeEqual(received, expected)
+    ? null
+    : "signature mismatch";
+}
+
+const server = createServer((request, response) => {
+  let body = "";
+  request.setEncoding("utf8");
+  request.on("data", (chunk) => {
+    body += chunk;
+  });
+  request.on("end", () => {
+    const event = request.headers["x-webhook-event"];
+    const delivery = request.headers["x-webhook-delivery"];
+    console.log(`\n${YELLOW}${new Date().toISOString()}${NC} ${request.method} ${request.url}`);
+    console.log(`Event: ${event}  Delivery: ${delivery}`);
+
+    if (SECRET) {
+      const problem = verifySignature(request.headers["x-webhook-signature"], body);
+      if (problem) {
+        console.log(`${RED}Signature invalid: ${problem}${NC}`);
+        response.writeHead(401).end();
+        return;
+      }
+      console.log(`${GREEN}Signature valid${NC}`);
+    } else {
+      console.log("Signature not checked (WEBHOOK_SECRET not set)");
+    }
+
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`${RED}Simulating failure (500); ${failuresLeft} more to go${NC}`);
+      response.writeHead(500).end();
+      return;
+    }
+    response.writeHead(200, { "Content-Type": "application/json" });
+    response.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`${GREEN}Webhook receiver listening on http://localhost:${PORT}${NC}`);
+  console.log(`Subscribe http://host.docker.internal:${PORT}/webhook on the Webhooks page.`);
+});
@@ -1,24 +1,68 @@
 import { BrowserRouter, Routes, Route, Link } from 'react-router-dom'
 import ViewPage from './pages/ViewPage'
 import UpdatePage from './pages/UpdatePage'
+import CreatePage from './pages/CreatePage'
+import TrashPage from './pages/TrashPage'
+import HistoryPage from './pages/HistoryPage'
+import SignInPage from './pages/SignInPage'
+import AdminPage from './pages/AdminPage'
+import ImportPage from './pages/ImportPage'
+import WebhooksPage from './pages/WebhooksPage'
+import ScheduledPage from './pages/ScheduledPage'
+import StatsPage from './pages/StatsPage'
+import RecordPage from './pages/RecordPage'
+import NotFoundPage from './pages/NotFoundPage'
+import UserMenu from './components/UserMenu'
+import RequireRole from './components/RequireRole'
+import PresenceAvatars from './components/PresenceAvatars'
+import ConnectionBanner from './components/ConnectionBanner'
+import useCurrentUser from './hooks/useCurrentUser'
+import usePresence from './hooks/usePresence'
 import './App.css'
 
 function App() {
+  // Links are hidden for roles that can't use the page; the routes are guarded too
+  const { can } = useCurrentUser()
+  // Everyone with a View or Update page open
+  const { online } = usePresence()
+
   return (
     <BrowserRouter>
       <div className="app">
         <nav className="navbar">
           <h2>Convex POC - Real-time React App</h2>
           <div className="nav-links">
-            <Link to="/view">View Data</Link>
-            <Link to="/update">Update Data</Link>
+            {can('viewer') && <Link to="/view">View Data</Link>}
+            {can('viewer') && <Link to="/stats">Stats</Link>}
+            {can('editor') && <Link to="/update">Update Data</Link>}
+            {can('editor') && <Link to="/create">Create Data</Link>}
+            {can('editor') && <Link to="/import">Import</Link>}
+            {can('editor') && <Link to="/scheduled">Scheduled</Link>}
+            {can('editor') && <Link to="/trash">Trash</Link>}
+            {can('admin') && <Link to="/webhooks">Webhooks</Link>}
+            {can('admin') && <Link to="/admin">Admin</Link>}
           </div>
+          <PresenceAvatars users={online} label="Online" />
+          <UserMenu />
         </nav>
+        <ConnectionBanner />
         <main className="main-content">
           <Routes>
-            <Route path="/" element={<ViewPage />} />
-            <Route path="/view" element={<ViewPage />} />
-            <Route path="/update" element={<UpdatePage />} />
+            <Route path="/" element={<RequireRole role="viewer"><ViewPage /></RequireRole>} />
+            <Route path="/view" element={<RequireRole role="viewer"><ViewPage /></RequireRole>} />
+            <Route path="/stats" element={<RequireRole role="viewer"><StatsPage /></RequireRole>} />
+            <Route path="/update" element={<RequireRole role="editor"><UpdatePage /></RequireRole>} />
+            <Route path="/update/:id" element={<RequireRole role="editor"><UpdatePage /></RequireRole>} />
+            <Route path="/create" element={<RequireRole role="editor"><CreatePage /></RequireRole>} />
+            <Route path="/import" element={<RequireRole role="editor"><ImportPage /></RequireRole>} />
+            <Route path="/scheduled" element={<RequireRole role="editor"><ScheduledPage /></RequireRole>} />
+            <Route path="/trash" element={<RequireRole role="editor"><TrashPage /></RequireRole>} />
+            <Route path="/records/:id" element={<RequireRole role="viewer"><RecordPage /></RequireRole>} />
+            <Route path="/records/:id/history" element={<RequireRole role="viewer"><HistoryPage /></RequireRole>} />
+            <Route path="/webhooks" element={<RequireRole role="admin"><WebhooksPage /></RequireRole>} />
+            <Route path="/admin" element={<RequireRole role="admin"><AdminPage /></RequireRole>} />
+            <Route path="/signin" element={<SignInPage />} />
+            <Route path="*" element={<NotFoundPage />} />
           </Routes>
         </main>
       </div>
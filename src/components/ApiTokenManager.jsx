@@ -0,0 +1,193 @@
+import { useState } from "react";
+import { useQuery, useMutation, useAction } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+import "../App.css";
+
+/**
+ * ApiTokenManager Component
+ *
+ * Admin page section for the REST API's bearer tokens (see
+ * convex/apiTokens.ts and convex/http.ts): create a token with a name and
+ * role, and revoke tokens that are no longer needed.
+ *
+ * A new token is shown exactly once, right after it is created; the server
+ * only keeps its hash. Revoked tokens stay listed, marked as revoked.
+ *
+ * Props:
+ * - roles: [{ value, label }] - The roles a token can be given, lowest first
+ */
+export default function ApiTokenManager({ roles }) {
+  const tokens = useQuery(api.apiTokens.listApiTokens);
+  const createApiToken = useAction(api.apiTokens.createApiToken);
+  const revokeApiToken = useMutation(api.apiTokens.revokeApiToken);
+
+  const [name, setName] = useState("");
+  const [role, setRole] = useState("editor");
+  const [isCreating, setIsCreating] = useState(false);
+  // { name, token } of the token just created, until dismissed
+  const [created, setCreated] = useState(null);
+  // ID of the token currently being revoked
+  const [pendingId, setPendingId] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const describeError = (error, action) =>
+    error instanceof ConvexError
+      ? error.data.message
+      : `Failed to ${action} API token: ${error.message}`;
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    setErrorMessage("");
+    try {
+      const { token } = await createApiToken({ name, role });
+      setCreated({ name: name.trim(), token });
+      setName("");
+    } catch (error) {
+      setErrorMessage(describeError(error, "create"));
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (item) => {
+    // Anything still using the token stops working, so ask first
+    if (!window.confirm(`Revoke "${item.name}"? Requests using it will be rejected.`)) {
+      return;
+    }
+    setPendingId(item._id);
+    setErrorMessage("");
+    try {
+      await revokeApiToken({ tokenId: item._id });
+    } catch (error) {
+      setErrorMessage(describeError(error, "revoke"));
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  return (
+    <section className="api-tokens">
+      <h2>API Tokens</h2>
+      <p className="page-description">
+        Tokens let scripts and services use the REST API at{" "}
+        <code>/api/mockData</code> with an <code>Authorization: Bearer</code>{" "}
+        header. Changes made with a token are attributed to the admin who
+        created it.
+      </p>
+
+      <form className="api-token-form" onSubmit={handleCreate}>
+        <div className="form-group">
+          <label htmlFor="token-name">Token name:</label>
+          <input
+            id="token-name"
+            type="text"
+            className="form-control"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. nightly report job"
+            disabled={isCreating}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="token-role">Token role:</label>
+          <select
+            id="token-role"
+            className="form-control role-select"
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            disabled={isCreating}
+          >
+            {roles.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          className="table-button"
+          disabled={isCreating || !name.trim()}
+        >
+          {isCreating ? "Creating..." : "Create Token"}
+        </button>
+      </form>
+
+      {created && (
+        <div className="message success-message new-api-token" role="status">
+          <p>
+            Token for <strong>{created.name}</strong>. Copy it now; it
+            won&apos;t be shown again.
+          </p>
+          <code>{created.token}</code>
+          <button
+            type="button"
+            className="table-button secondary"
+            onClick={() => setCreated(null)}
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      {errorMessage && (
+        <div className="message error-message">{errorMessage}</div>
+      )}
+
+      {tokens === undefined ? (
+        <p className="loading-text">Loading API tokens...</p>
+      ) : tokens.length === 0 ? (
+        <p className="table-status">No API tokens yet.</p>
+      ) : (
+        <div className="data-container">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Token</th>
+                <th>Role</th>
+                <th>Created</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tokens.map((item) => (
+                <tr key={item._id}>
+                  <td className="name-cell">{item.name}</td>
+                  <td className="id-cell">
+                    <code>mdk_{item.prefix}...</code>
+                  </td>
+                  <td>{item.role}</td>
+                  <td className="created-cell">
+                    {new Date(item._creationTime).toLocaleString()} by{" "}
+                    {item.createdByName}
+                  </td>
+                  <td>
+                    {item.revokedAt === undefined
+                      ? "Active"
+                      : `Revoked ${new Date(item.revokedAt).toLocaleString()}`}
+                  </td>
+                  <td className="actions-cell">
+                    {item.revokedAt === undefined && (
+                      <button
+                        type="button"
+                        className="table-button danger"
+                        onClick={() => handleRevoke(item)}
+                        disabled={pendingId === item._id}
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,138 @@
+/**
+ * ApiTokenManager Component Tests
+ *
+ * Unit tests for creating, showing and revoking REST API tokens.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useQuery, useMutation, useAction } from 'convex/react'
+import { ConvexError } from 'convex/values'
+import ApiTokenManager from './ApiTokenManager'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+  useMutation: vi.fn(),
+  useAction: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    apiTokens: {
+      listApiTokens: vi.fn(),
+      createApiToken: vi.fn(),
+      revokeApiToken: vi.fn(),
+    },
+  },
+}))
+
+const roles = [
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'admin', label: 'Admin' },
+]
+
+const tokens = [
+  {
+    _id: 'token2',
+    _creationTime: Date.now(),
+    name: 'Nightly job',
+    prefix: 'AbCdEfGh',
+    role: 'editor',
+    createdByName: 'Alice',
+  },
+  {
+    _id: 'token1',
+    _creationTime: Date.now(),
+    name: 'Old script',
+    prefix: 'ZyXwVuTs',
+    role: 'viewer',
+    createdByName: 'Alice',
+    revokedAt: Date.now(),
+  },
+]
+
+describe('ApiTokenManager Component', () => {
+  beforeEach(() => {
+    // Clear mocks before each test
+    vi.clearAllMocks()
+    useMutation.mockReturnValue(vi.fn())
+    useAction.mockReturnValue(vi.fn())
+  })
+
+  it('should list tokens by prefix with their status', () => {
+    useQuery.mockReturnValue(tokens)
+
+    render(<ApiTokenManager roles={roles} />)
+
+    expect(screen.getByText('mdk_AbCdEfGh...')).toBeInTheDocument()
+    expect(screen.getByText('Active')).toBeInTheDocument()
+    expect(screen.getByText(/^Revoked/)).toBeInTheDocument()
+    // Only the active token can be revoked
+    expect(screen.getAllByRole('button', { name: 'Revoke' })).toHaveLength(1)
+  })
+
+  it('should create a token and show it once', async () => {
+    const user = userEvent.setup()
+    const mockCreate = vi.fn().mockResolvedValue({ tokenId: 'token3', token: 'mdk_secret' })
+    useQuery.mockReturnValue([])
+    useAction.mockReturnValue(mockCreate)
+
+    render(<ApiTokenManager roles={roles} />)
+
+    expect(screen.getByText('No API tokens yet.')).toBeInTheDocument()
+    await user.type(screen.getByLabelText('Token name:'), ' Report job ')
+    await user.selectOptions(screen.getByLabelText('Token role:'), 'viewer')
+    await user.click(screen.getByRole('button', { name: 'Create Token' }))
+
+    expect(mockCreate).toHaveBeenCalledWith({ name: ' Report job ', role: 'viewer' })
+    expect(await screen.findByText('mdk_secret')).toBeInTheDocument()
+    expect(screen.getByLabelText('Token name:')).toHaveValue('')
+
+    await user.click(screen.getByRole('button', { name: 'Done' }))
+    expect(screen.queryByText('mdk_secret')).not.toBeInTheDocument()
+  })
+
+  it('should show server errors when creating a token fails', async () => {
+    const user = userEvent.setup()
+    useQuery.mockReturnValue([])
+    useAction.mockReturnValue(
+      vi.fn().mockRejectedValue(
+        new ConvexError({ code: 'FORBIDDEN', message: 'This action requires the admin role; you are a editor.' })
+      )
+    )
+
+    render(<ApiTokenManager roles={roles} />)
+
+    await user.type(screen.getByLabelText('Token name:'), 'Job')
+    await user.click(screen.getByRole('button', { name: 'Create Token' }))
+
+    expect(
+      await screen.findByText('This action requires the admin role; you are a editor.')
+    ).toBeInTheDocument()
+  })
+
+  it('should revoke a token after confirmation', async () => {
+    const user = userEvent.setup()
+    const mockRevoke = vi.fn().mockResolvedValue('token2')
+    useQuery.mockReturnValue(tokens)
+    useMutation.mockReturnValue(mockRevoke)
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+
+    render(<ApiTokenManager roles={roles} />)
+
+    await user.click(screen.getByRole('button', { name: 'Revoke' }))
+
+    await waitFor(() => {
+      expect(mockRevoke).toHaveBeenCalledWith({ tokenId: 'token2' })
+    })
+    expect(window.confirm).toHaveBeenCalled()
+  })
+})
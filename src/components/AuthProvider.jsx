@@ -0,0 +1,91 @@
+import { useCallback, useMemo, useState } from "react";
+import { api } from "../../convex/_generated/api";
+import { AuthContext } from "../hooks/useAuth";
+
+// localStorage key the sign-in token is kept under, so it survives reloads
+const TOKEN_STORAGE_KEY = "convex-poc-auth-token";
+
+// Decode a JWT's payload without verifying it; the server does the verifying
+const decodeToken = (token) => {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload));
+  } catch {
+    return null;
+  }
+};
+
+// The stored token if it is still valid, otherwise null (and forget it)
+const loadToken = () => {
+  const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+  const claims = token && decodeToken(token);
+  if (!claims || claims.exp * 1000 <= Date.now()) {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    return null;
+  }
+  return token;
+};
+
+/**
+ * AuthProvider Component
+ *
+ * Keeps the self-issued JWT from api.auth.signIn / api.auth.signUp and
+ * exposes it through useAuth(). main.jsx passes useAuth to
+ * ConvexProviderWithAuth, which attaches the token to every Convex request.
+ *
+ * Tokens can't be refreshed: once one expires the user has to sign in again.
+ *
+ * Props:
+ * - client: The ConvexReactClient used to call the sign-in actions
+ * - children: The app
+ */
+export default function AuthProvider({ client, children }) {
+  const [token, setToken] = useState(loadToken);
+
+  const storeToken = useCallback((newToken) => {
+    if (newToken) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, newToken);
+    } else {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+    setToken(newToken);
+  }, []);
+
+  const signIn = useCallback(
+    async (name, password) => {
+      storeToken(await client.action(api.auth.signIn, { name, password }));
+    },
+    [client, storeToken]
+  );
+
+  const signUp = useCallback(
+    async (name, password) => {
+      storeToken(await client.action(api.auth.signUp, { name, password }));
+    },
+    [client, storeToken]
+  );
+
+  const signOut = useCallback(() => storeToken(null), [storeToken]);
+
+  // Must stay stable between renders, or Convex re-authenticates every time.
+  // Convex also asks for a "refreshed" token right after the first one is
+  // accepted; handing back the same token is fine, and an expired one comes
+  // back as null, which Convex treats as signed out.
+  const fetchAccessToken = useCallback(async () => loadToken(), []);
+
+  const value = useMemo(() => {
+    const claims = token && decodeToken(token);
+    return {
+      // The token is local, so there is nothing to wait for
+      isLoading: false,
+      isAuthenticated: token !== null,
+      fetchAccessToken,
+      user: claims ? { id: claims.sub, name: claims.name } : null,
+      signIn,
+      signUp,
+      signOut,
+    };
+  }, [token, fetchAccessToken, signIn, signUp, signOut]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
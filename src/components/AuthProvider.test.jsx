@@ -0,0 +1,102 @@
+/**
+ * AuthProvider Component Tests
+ *
+ * Unit tests for the AuthProvider component and useAuth hook.
+ * Verifies token storage, expiry and the ConvexProviderWithAuth interface.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, act } from '@testing-library/react'
+import AuthProvider from './AuthProvider'
+import useAuth from '../hooks/useAuth'
+
+// Build an unsigned JWT-shaped token; the client never verifies signatures
+const makeToken = (claims) => {
+  const encode = (part) => btoa(JSON.stringify(part)).replace(/=+$/, '')
+  return `${encode({ alg: 'RS256' })}.${encode(claims)}.signature`
+}
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600
+
+// Renders the auth state and exposes the context value for assertions
+let auth
+function Probe() {
+  auth = useAuth()
+  return <p>{auth.user ? `Signed in as ${auth.user.name}` : 'Signed out'}</p>
+}
+
+const renderWithAuth = (client = { action: vi.fn() }) =>
+  render(
+    <AuthProvider client={client}>
+      <Probe />
+    </AuthProvider>
+  )
+
+describe('AuthProvider Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    localStorage.clear()
+  })
+
+  it('should start signed out without a stored token', async () => {
+    renderWithAuth()
+
+    expect(screen.getByText('Signed out')).toBeInTheDocument()
+    expect(auth.isAuthenticated).toBe(false)
+    expect(await auth.fetchAccessToken({ forceRefreshToken: false })).toBeNull()
+  })
+
+  it('should sign in and keep the token for Convex', async () => {
+    const token = makeToken({ sub: 'user1', name: 'Alice', exp: inOneHour() })
+    const client = { action: vi.fn().mockResolvedValue(token) }
+    renderWithAuth(client)
+
+    await act(() => auth.signIn('Alice', 'password123'))
+
+    expect(client.action).toHaveBeenCalledWith(expect.anything(), {
+      name: 'Alice',
+      password: 'password123',
+    })
+    expect(screen.getByText('Signed in as Alice')).toBeInTheDocument()
+    expect(auth.isAuthenticated).toBe(true)
+    expect(await auth.fetchAccessToken({ forceRefreshToken: true })).toBe(token)
+  })
+
+  it('should restore a stored token after a reload', () => {
+    localStorage.setItem(
+      'convex-poc-auth-token',
+      makeToken({ sub: 'user1', name: 'Alice', exp: inOneHour() })
+    )
+    renderWithAuth()
+
+    expect(screen.getByText('Signed in as Alice')).toBeInTheDocument()
+  })
+
+  it('should drop an expired token', () => {
+    localStorage.setItem(
+      'convex-poc-auth-token',
+      makeToken({ sub: 'user1', name: 'Alice', exp: Math.floor(Date.now() / 1000) - 1 })
+    )
+    renderWithAuth()
+
+    expect(screen.getByText('Signed out')).toBeInTheDocument()
+    expect(localStorage.getItem('convex-poc-auth-token')).toBeNull()
+  })
+
+  it('should forget the token on sign out', async () => {
+    localStorage.setItem(
+      'convex-poc-auth-token',
+      makeToken({ sub: 'user1', name: 'Alice', exp: inOneHour() })
+    )
+    renderWithAuth()
+
+    act(() => auth.signOut())
+
+    expect(screen.getByText('Signed out')).toBeInTheDocument()
+    expect(localStorage.getItem('convex-poc-auth-token')).toBeNull()
+  })
+})
@@ -0,0 +1,187 @@
+import { useState } from "react";
+import { useMutation } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+import useCurrentUser from "../hooks/useCurrentUser";
+import "../App.css";
+
+// Actions offered in the bar, with the input each one needs
+const ACTIONS = [
+  { kind: "setValue", label: "Set value to", input: "number" },
+  { kind: "addValue", label: "Add to value", input: "number" },
+  { kind: "multiplyValue", label: "Multiply value by", input: "number" },
+  { kind: "setDescription", label: "Set description to", input: "text" },
+  { kind: "delete", label: "Move to trash", input: null, role: "admin" },
+];
+
+// The bulkEditMockData action for the form, or an error message
+const buildAction = (kind, amount, description) => {
+  switch (kind) {
+    case "setValue":
+    case "addValue":
+    case "multiplyValue": {
+      const number = amount === "" ? NaN : Number(amount);
+      if (!Number.isFinite(number)) {
+        return { error: "Enter a number." };
+      }
+      const key = { setValue: "value", addValue: "delta", multiplyValue: "factor" }[kind];
+      return { action: { kind, [key]: number } };
+    }
+    case "setDescription":
+      // A blank description removes it
+      return { action: { kind, description: description.trim() || null } };
+    default:
+      return { action: { kind } };
+  }
+};
+
+// "3 records updated, 1 skipped."
+const summarize = ({ changed, skipped }, kind) => {
+  const verb = kind === "delete" ? "moved to the trash" : "updated";
+  const records = `${changed} ${changed === 1 ? "record" : "records"} ${verb}`;
+  return skipped > 0 ? `${records}, ${skipped} skipped.` : `${records}.`;
+};
+
+/**
+ * BulkActionBar Component
+ *
+ * Applies one action to every selected record on the View page with a
+ * single api.functions.bulkEditMockData call: set the value, add to or
+ * multiply it, set the description, or (admins only) move the records to
+ * the trash. The server handles all records in one transaction and reports
+ * each one; records it had to skip are listed with the reason. The table
+ * itself updates through its live query.
+ *
+ * Props:
+ * - selectedIds: IDs of the selected records
+ * - onApplied(result): Called with the server's report after an action ran
+ * - onClear: Called to clear the selection
+ */
+export default function BulkActionBar({ selectedIds, onApplied, onClear }) {
+  const bulkEditMockData = useMutation(api.functions.bulkEditMockData);
+  const { can } = useCurrentUser();
+
+  const [kind, setKind] = useState("setValue");
+  const [amount, setAmount] = useState("");
+  const [description, setDescription] = useState("");
+  const [isApplying, setIsApplying] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+  // The last run's report: { kind, changed, skipped, results }
+  const [report, setReport] = useState(null);
+
+  const actions = ACTIONS.filter((action) => !action.role || can(action.role));
+  const input = ACTIONS.find((action) => action.kind === kind).input;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { action, error } = buildAction(kind, amount, description);
+    if (error) {
+      setErrorMessage(error);
+      return;
+    }
+
+    setIsApplying(true);
+    setErrorMessage("");
+    setReport(null);
+    try {
+      const result = await bulkEditMockData({ ids: selectedIds, action });
+      setReport({ kind, ...result });
+      onApplied(result);
+    } catch (error) {
+      setErrorMessage(
+        error instanceof ConvexError
+          ? error.data.message
+          : `Failed to apply bulk action: ${error.message}`
+      );
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  if (selectedIds.length === 0 && !report) {
+    return null;
+  }
+
+  const skipped = report?.results.filter((result) => result.status === "skipped") ?? [];
+
+  return (
+    <div className="bulk-action-bar">
+      {selectedIds.length > 0 && (
+        <form className="filter-bar" onSubmit={handleSubmit}>
+          <span className="bulk-count">{selectedIds.length} selected</span>
+          <label htmlFor="bulk-action">Action:</label>
+          <select
+            id="bulk-action"
+            className="form-control"
+            value={kind}
+            onChange={(e) => {
+              setKind(e.target.value);
+              setErrorMessage("");
+            }}
+          >
+            {actions.map((action) => (
+              <option key={action.kind} value={action.kind}>
+                {action.label}
+              </option>
+            ))}
+          </select>
+          {input === "number" && (
+            <input
+              type="number"
+              step="any"
+              className="form-control"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              aria-label="Amount"
+            />
+          )}
+          {input === "text" && (
+            <input
+              type="text"
+              className="form-control"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="Empty removes it"
+              aria-label="Description"
+            />
+          )}
+          <button
+            type="submit"
+            className={kind === "delete" ? "table-button danger" : "table-button"}
+            disabled={isApplying}
+          >
+            {isApplying ? "Applying..." : "Apply"}
+          </button>
+          <button type="button" className="table-button secondary" onClick={onClear}>
+            Clear Selection
+          </button>
+        </form>
+      )}
+
+      {errorMessage && <div className="message error-message">{errorMessage}</div>}
+
+      {report && (
+        <div className="bulk-report" role="status">
+          <span>{summarize(report, report.kind)}</span>
+          <button
+            type="button"
+            className="toast-close"
+            onClick={() => setReport(null)}
+            aria-label="Dismiss report"
+          >
+            ×
+          </button>
+          {skipped.length > 0 && (
+            <ul className="bulk-skipped">
+              {skipped.map((result) => (
+                <li key={result.id}>
+                  <strong>{result.name ?? "Deleted record"}</strong>: {result.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
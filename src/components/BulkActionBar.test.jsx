@@ -0,0 +1,165 @@
+/**
+ * BulkActionBar Component Tests
+ *
+ * Unit tests for applying one action to the selected records and reporting
+ * the records the server skipped.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useMutation } from 'convex/react'
+import { ConvexError } from 'convex/values'
+import useCurrentUser from '../hooks/useCurrentUser'
+import BulkActionBar from './BulkActionBar'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+  useMutation: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    functions: {
+      bulkEditMockData: vi.fn(),
+    },
+  },
+}))
+
+// Mock the signed-in user; tests run as an editor unless they say otherwise
+vi.mock('../hooks/useCurrentUser', () => ({
+  default: vi.fn(),
+}))
+
+const signInAs = (role) =>
+  useCurrentUser.mockReturnValue({
+    user: { _id: 'user1', name: 'Alice', role },
+    can: (minimum) =>
+      ['viewer', 'editor', 'admin'].indexOf(role) >=
+      ['viewer', 'editor', 'admin'].indexOf(minimum),
+  })
+
+describe('BulkActionBar Component', () => {
+  let bulkEditMockData
+  let onApplied
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    signInAs('editor')
+    bulkEditMockData = vi.fn()
+    useMutation.mockReturnValue(bulkEditMockData)
+    onApplied = vi.fn()
+  })
+
+  const renderBar = (selectedIds = ['a', 'b']) =>
+    render(<BulkActionBar selectedIds={selectedIds} onApplied={onApplied} onClear={vi.fn()} />)
+
+  it('should render nothing without a selection', () => {
+    const { container } = renderBar([])
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should offer moving to the trash to admins only', () => {
+    const { unmount } = renderBar()
+    expect(screen.queryByRole('option', { name: 'Move to trash' })).not.toBeInTheDocument()
+    unmount()
+
+    signInAs('admin')
+    renderBar()
+    expect(screen.getByRole('option', { name: 'Move to trash' })).toBeInTheDocument()
+  })
+
+  it('should apply the action to every selected record', async () => {
+    const user = userEvent.setup()
+    const result = {
+      changed: 2,
+      skipped: 0,
+      results: [
+        { id: 'a', name: 'Alpha', status: 'updated' },
+        { id: 'b', name: 'Beta', status: 'updated' },
+      ],
+    }
+    bulkEditMockData.mockResolvedValue(result)
+    renderBar()
+
+    await user.selectOptions(screen.getByLabelText('Action:'), 'addValue')
+    await user.type(screen.getByLabelText('Amount'), '5')
+    await user.click(screen.getByRole('button', { name: 'Apply' }))
+
+    expect(bulkEditMockData).toHaveBeenCalledWith({
+      ids: ['a', 'b'],
+      action: { kind: 'addValue', delta: 5 },
+    })
+    expect(await screen.findByRole('status')).toHaveTextContent('2 records updated.')
+    expect(onApplied).toHaveBeenCalledWith(result)
+  })
+
+  it('should send a blank description as removing it', async () => {
+    const user = userEvent.setup()
+    bulkEditMockData.mockResolvedValue({ changed: 2, skipped: 0, results: [] })
+    renderBar()
+
+    await user.selectOptions(screen.getByLabelText('Action:'), 'setDescription')
+    await user.click(screen.getByRole('button', { name: 'Apply' }))
+
+    expect(bulkEditMockData).toHaveBeenCalledWith({
+      ids: ['a', 'b'],
+      action: { kind: 'setDescription', description: null },
+    })
+  })
+
+  it('should require a number for value actions', async () => {
+    const user = userEvent.setup()
+    renderBar()
+
+    await user.click(screen.getByRole('button', { name: 'Apply' }))
+
+    expect(screen.getByText('Enter a number.')).toBeInTheDocument()
+    expect(bulkEditMockData).not.toHaveBeenCalled()
+  })
+
+  it('should list the records the server skipped', async () => {
+    const user = userEvent.setup()
+    bulkEditMockData.mockResolvedValue({
+      changed: 1,
+      skipped: 1,
+      results: [
+        { id: 'a', name: 'Alpha', status: 'updated' },
+        { id: 'b', name: 'Beta', status: 'skipped', message: 'Bob is editing this record.' },
+      ],
+    })
+    renderBar()
+
+    await user.type(screen.getByLabelText('Amount'), '10')
+    await user.click(screen.getByRole('button', { name: 'Apply' }))
+
+    const report = await screen.findByRole('status')
+    expect(report).toHaveTextContent('1 record updated, 1 skipped.')
+    expect(report).toHaveTextContent('Beta: Bob is editing this record.')
+
+    fireEvent.click(screen.getByRole('button', { name: 'Dismiss report' }))
+    expect(screen.queryByRole('status')).not.toBeInTheDocument()
+  })
+
+  it('should show the server error when the action is refused', async () => {
+    const user = userEvent.setup()
+    bulkEditMockData.mockRejectedValue(
+      new ConvexError({ code: 'FORBIDDEN', message: 'This action requires the admin role.' })
+    )
+    renderBar()
+
+    await user.type(screen.getByLabelText('Amount'), '1')
+    await user.click(screen.getByRole('button', { name: 'Apply' }))
+
+    await waitFor(() => {
+      expect(screen.getByText('This action requires the admin role.')).toBeInTheDocument()
+    })
+    expect(onApplied).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,275 @@
+import { useState } from "react";
+import { useQuery, useMutation } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+import { splitMentions } from "../../convex/mentions";
+import useCurrentUser from "../hooks/useCurrentUser";
+import "../App.css";
+
+/**
+ * CommentBody Component
+ *
+ * A comment's text with its @mentions highlighted.
+ */
+function CommentBody({ body }) {
+  return (
+    <p className="comment-body">
+      {splitMentions(body).map((part, index) =>
+        part.mention ? (
+          <span key={index} className="mention" title={`Mentions ${part.mention}`}>
+            {part.text}
+          </span>
+        ) : (
+          part.text
+        )
+      )}
+    </p>
+  );
+}
+
+/**
+ * CommentForm Component
+ *
+ * Text box with a submit button, used to post, reply and edit. Clears
+ * itself after a successful post.
+ */
+function CommentForm({ label, submitLabel, initialBody = "", onSubmit, onCancel, busy }) {
+  const [body, setBody] = useState(initialBody);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await onSubmit(body)) {
+      setBody("");
+    }
+  };
+
+  return (
+    <form className="comment-form" onSubmit={handleSubmit}>
+      <textarea
+        className="form-control"
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        aria-label={label}
+        placeholder={label}
+        rows={2}
+        disabled={busy}
+      />
+      <div className="comment-form-actions">
+        <button type="submit" className="table-button" disabled={busy || body.trim() === ""}>
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="table-button secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+/**
+ * CommentPanel Component
+ *
+ * A record's comment threads (api.comments.listComments), live: comments
+ * posted, edited or deleted by anyone appear without reloading. Every
+ * signed-in user can comment and reply; authors can edit and delete their
+ * own comments. Typing @name (or @"Full Name") mentions a user, who gets a
+ * notification.
+ *
+ * Replies are one level deep: replying to a reply adds to the same thread.
+ * A deleted comment shows as a placeholder while its thread has replies.
+ *
+ * Props:
+ * - recordId: The record whose comments to show
+ * - disabled: Hide the forms for new comments and replies (e.g. for a
+ *   trashed record); existing comments can still be edited and deleted
+ */
+export default function CommentPanel({ recordId, disabled = false }) {
+  const threads = useQuery(api.comments.listComments, { recordId });
+  const addComment = useMutation(api.comments.addComment);
+  const editComment = useMutation(api.comments.editComment);
+  const deleteComment = useMutation(api.comments.deleteComment);
+  const { user } = useCurrentUser();
+
+  // The comment being replied to or edited, if any
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const runAction = async (action, failure) => {
+    setBusy(true);
+    setErrorMessage("");
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      setErrorMessage(
+        error instanceof ConvexError
+          ? error.data.message
+          : `Failed to ${failure}: ${error.message}`
+      );
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = (body) => runAction(() => addComment({ recordId, body }), "post comment");
+
+  const handleReply = async (parentId, body) => {
+    const saved = await runAction(
+      () => addComment({ recordId, body, parentId }),
+      "post reply"
+    );
+    if (saved) {
+      setReplyingTo(null);
+    }
+    return saved;
+  };
+
+  const handleEdit = async (commentId, body) => {
+    const saved = await runAction(() => editComment({ commentId, body }), "edit comment");
+    if (saved) {
+      setEditingId(null);
+    }
+    return saved;
+  };
+
+  const handleDelete = (commentId) => {
+    if (!window.confirm("Delete this comment?")) {
+      return;
+    }
+    runAction(() => deleteComment({ commentId }), "delete comment");
+  };
+
+  if (threads === undefined) {
+    return <p className="loading-text">Loading comments...</p>;
+  }
+
+  // Malformed IDs, e.g. a record that hasn't been saved yet
+  if (threads === null) {
+    return <p className="empty-state">Comments are available once the record is saved.</p>;
+  }
+
+  const renderComment = (comment, thread) => {
+    const isOwn = user && comment.authorId === user._id && comment.deletedAt === undefined;
+    return (
+      <article
+        key={comment._id}
+        className="comment"
+        aria-label={`Comment by ${comment.authorName}`}
+      >
+        <header className="comment-header">
+          <strong>{comment.authorName}</strong>{" "}
+          <time dateTime={new Date(comment._creationTime).toISOString()}>
+            {new Date(comment._creationTime).toLocaleString()}
+          </time>
+          {comment.editedAt !== undefined && comment.deletedAt === undefined && (
+            <span className="comment-edited" title={new Date(comment.editedAt).toLocaleString()}>
+              {" "}
+              (edited)
+            </span>
+          )}
+        </header>
+        {comment.deletedAt !== undefined ? (
+          <p className="comment-body comment-deleted">
+            <em>This comment was deleted.</em>
+          </p>
+        ) : editingId === comment._id ? (
+          <CommentForm
+            label="Edit comment"
+            submitLabel="Save"
+            initialBody={comment.body}
+            onSubmit={(body) => handleEdit(comment._id, body)}
+            onCancel={() => setEditingId(null)}
+            busy={busy}
+          />
+        ) : (
+          <CommentBody body={comment.body} />
+        )}
+        {editingId !== comment._id && (
+          <div className="comment-actions">
+            {!disabled && comment.deletedAt === undefined && (
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => setReplyingTo(thread._id)}
+              >
+                Reply
+              </button>
+            )}
+            {isOwn && (
+              <>
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => setEditingId(comment._id)}
+                >
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  className="link-button danger"
+                  onClick={() => handleDelete(comment._id)}
+                  disabled={busy}
+                >
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </article>
+    );
+  };
+
+  return (
+    <div className="comment-panel">
+      {errorMessage && <div className="message error-message">{errorMessage}</div>}
+
+      {threads.length === 0 ? (
+        <p className="empty-state">No comments yet.</p>
+      ) : (
+        <ol className="comment-threads">
+          {threads.map((thread) => (
+            <li key={thread._id} className="comment-thread">
+              {renderComment(thread, thread)}
+              {thread.replies.length > 0 && (
+                <ol className="comment-replies">
+                  {thread.replies.map((reply) => (
+                    <li key={reply._id}>{renderComment(reply, thread)}</li>
+                  ))}
+                </ol>
+              )}
+              {replyingTo === thread._id && !disabled && (
+                <CommentForm
+                  label={`Reply to ${thread.authorName}`}
+                  submitLabel="Reply"
+                  onSubmit={(body) => handleReply(thread._id, body)}
+                  onCancel={() => setReplyingTo(null)}
+                  busy={busy}
+                />
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {!disabled && (
+        <>
+          <CommentForm
+            label="Add a comment"
+            submitLabel="Comment"
+            onSubmit={handleAdd}
+            busy={busy}
+          />
+          <p className="field-hint">
+            Mention someone with @name, or @&quot;Full Name&quot; for names with spaces.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
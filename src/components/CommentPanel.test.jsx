@@ -0,0 +1,226 @@
+/**
+ * CommentPanel Component Tests
+ *
+ * Unit tests for record comments: threads and replies, highlighted
+ * mentions, and posting, editing and deleting.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useQuery, useMutation } from 'convex/react'
+import { ConvexError } from 'convex/values'
+import { api } from '../../convex/_generated/api'
+import useCurrentUser from '../hooks/useCurrentUser'
+import CommentPanel from './CommentPanel'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+  useMutation: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    comments: {
+      listComments: vi.fn(),
+      addComment: vi.fn(),
+      editComment: vi.fn(),
+      deleteComment: vi.fn(),
+    },
+  },
+}))
+
+// Mock the signed-in user; tests run as Alice, a viewer
+vi.mock('../hooks/useCurrentUser', () => ({
+  default: vi.fn(),
+}))
+
+const createdAt = new Date(2026, 0, 10, 9, 30).getTime()
+
+const threads = [
+  {
+    _id: 'comment1',
+    _creationTime: createdAt,
+    authorId: 'user2',
+    authorName: 'Bob',
+    body: 'Why did this jump? @Alice',
+    mentions: ['Alice'],
+    replies: [
+      {
+        _id: 'comment2',
+        _creationTime: createdAt + 60000,
+        authorId: 'user1',
+        authorName: 'Alice',
+        body: 'Quarter-end correction.',
+        mentions: [],
+        editedAt: createdAt + 120000,
+      },
+    ],
+  },
+  {
+    _id: 'comment3',
+    _creationTime: createdAt + 180000,
+    authorId: 'user2',
+    authorName: 'Bob',
+    body: null,
+    mentions: [],
+    deletedAt: createdAt + 240000,
+    replies: [
+      {
+        _id: 'comment4',
+        _creationTime: createdAt + 200000,
+        authorId: 'user1',
+        authorName: 'Alice',
+        body: 'Agreed.',
+        mentions: [],
+      },
+    ],
+  },
+]
+
+// Mutation mocks by function reference
+const mockMutations = () => {
+  const add = vi.fn().mockResolvedValue('comment9')
+  const edit = vi.fn().mockResolvedValue('comment2')
+  const remove = vi.fn().mockResolvedValue('comment2')
+  useMutation.mockImplementation((fn) =>
+    fn === api.comments.addComment ? add : fn === api.comments.editComment ? edit : remove
+  )
+  return { add, edit, remove }
+}
+
+const commentBy = (name, index = 0) =>
+  screen.getAllByRole('article', { name: `Comment by ${name}` })[index]
+
+describe('CommentPanel Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    useCurrentUser.mockReturnValue({
+      user: { _id: 'user1', name: 'Alice', role: 'viewer' },
+      can: (minimum) => minimum === 'viewer',
+    })
+  })
+
+  it('should show loading state and then an empty state', () => {
+    mockMutations()
+    useQuery.mockReturnValue(undefined)
+
+    const { rerender } = render(<CommentPanel recordId="abc123" />)
+    expect(useQuery).toHaveBeenLastCalledWith(api.comments.listComments, {
+      recordId: 'abc123',
+    })
+    expect(screen.getByText('Loading comments...')).toBeInTheDocument()
+
+    useQuery.mockReturnValue([])
+    rerender(<CommentPanel recordId="abc123" />)
+    expect(screen.getByText('No comments yet.')).toBeInTheDocument()
+  })
+
+  it('should show threads with replies, highlighted mentions and deleted placeholders', () => {
+    mockMutations()
+    useQuery.mockReturnValue(threads)
+
+    const { container } = render(<CommentPanel recordId="abc123" />)
+
+    expect(screen.getByText('@Alice')).toHaveClass('mention')
+    expect(within(commentBy('Alice')).getByText('(edited)')).toBeInTheDocument()
+    expect(within(commentBy('Bob', 1)).getByText('This comment was deleted.')).toBeInTheDocument()
+    expect(container.querySelectorAll('.comment-replies .comment')).toHaveLength(2)
+  })
+
+  it('should offer edit and delete only on your own comments', () => {
+    mockMutations()
+    useQuery.mockReturnValue(threads)
+
+    render(<CommentPanel recordId="abc123" />)
+
+    expect(within(commentBy('Bob')).queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument()
+    expect(within(commentBy('Alice')).getByRole('button', { name: 'Edit' })).toBeInTheDocument()
+    expect(within(commentBy('Alice')).getByRole('button', { name: 'Delete' })).toBeInTheDocument()
+    // A deleted comment can't be replied to
+    expect(
+      within(commentBy('Bob', 1)).queryByRole('button', { name: 'Reply' })
+    ).not.toBeInTheDocument()
+  })
+
+  it('should post a new comment and clear the box', async () => {
+    const user = userEvent.setup()
+    const { add } = mockMutations()
+    useQuery.mockReturnValue([])
+
+    render(<CommentPanel recordId="abc123" />)
+    const box = screen.getByLabelText('Add a comment')
+    await user.type(box, 'Looks right @Bob')
+    await user.click(screen.getByRole('button', { name: 'Comment' }))
+
+    expect(add).toHaveBeenCalledWith({ recordId: 'abc123', body: 'Looks right @Bob' })
+    expect(box).toHaveValue('')
+  })
+
+  it('should reply to the thread of the comment replied to', async () => {
+    const user = userEvent.setup()
+    const { add } = mockMutations()
+    useQuery.mockReturnValue(threads)
+
+    render(<CommentPanel recordId="abc123" />)
+    await user.click(within(commentBy('Alice')).getByRole('button', { name: 'Reply' }))
+    const box = screen.getByLabelText('Reply to Bob')
+    await user.type(box, 'Thanks')
+    await user.click(within(box.closest('form')).getByRole('button', { name: 'Reply' }))
+
+    expect(add).toHaveBeenCalledWith({ recordId: 'abc123', body: 'Thanks', parentId: 'comment1' })
+    expect(screen.queryByLabelText('Reply to Bob')).not.toBeInTheDocument()
+  })
+
+  it('should edit your own comment', async () => {
+    const user = userEvent.setup()
+    const { edit } = mockMutations()
+    useQuery.mockReturnValue(threads)
+
+    render(<CommentPanel recordId="abc123" />)
+    await user.click(within(commentBy('Alice')).getByRole('button', { name: 'Edit' }))
+    const box = screen.getByLabelText('Edit comment')
+    expect(box).toHaveValue('Quarter-end correction.')
+    await user.clear(box)
+    await user.type(box, 'Year-end correction.')
+    await user.click(screen.getByRole('button', { name: 'Save' }))
+
+    expect(edit).toHaveBeenCalledWith({ commentId: 'comment2', body: 'Year-end correction.' })
+    expect(screen.queryByLabelText('Edit comment')).not.toBeInTheDocument()
+  })
+
+  it('should delete after confirmation and show server errors', async () => {
+    const user = userEvent.setup()
+    const { remove } = mockMutations()
+    remove.mockRejectedValue(
+      new ConvexError({ code: 'FORBIDDEN', message: 'Only the author can delete this comment.' })
+    )
+    useQuery.mockReturnValue(threads)
+    vi.spyOn(window, 'confirm').mockReturnValueOnce(true)
+
+    render(<CommentPanel recordId="abc123" />)
+    await user.click(within(commentBy('Alice')).getByRole('button', { name: 'Delete' }))
+
+    expect(remove).toHaveBeenCalledWith({ commentId: 'comment2' })
+    expect(
+      await screen.findByText('Only the author can delete this comment.')
+    ).toBeInTheDocument()
+  })
+
+  it('should hide posting and replying when disabled', () => {
+    mockMutations()
+    useQuery.mockReturnValue(threads)
+
+    render(<CommentPanel recordId="abc123" disabled />)
+
+    expect(screen.queryByLabelText('Add a comment')).not.toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Reply' })).not.toBeInTheDocument()
+    expect(within(commentBy('Alice')).getByRole('button', { name: 'Edit' })).toBeInTheDocument()
+  })
+})
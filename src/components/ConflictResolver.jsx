@@ -0,0 +1,122 @@
+import { useState } from "react";
+import "../App.css";
+
+// Fields the Update form edits, and therefore the ones that can conflict
+const FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "value", label: "Value" },
+];
+
+/**
+ * ConflictResolver Component
+ *
+ * Three-way merge view shown when updateMockData rejects an edit because
+ * someone else saved the record first. For each field it shows the
+ * original value the edit started from, their current value, and your edit,
+ * and lets the user pick which one to keep.
+ *
+ * The initial picks follow the usual three-way rule: if you left a field
+ * unchanged their value is kept, otherwise yours is.
+ *
+ * Props:
+ * - original: { name, value } the edit was based on
+ * - theirs: { name, value, revision } currently stored on the server
+ * - mine: { name, value } from the form
+ * - onResolve(values): Save `values` over their revision
+ * - onDiscard(): Drop your edit and continue from their version
+ * - disabled: Disables the actions while a save is in flight
+ */
+export default function ConflictResolver({ original, theirs, mine, onResolve, onDiscard, disabled }) {
+  const [picks, setPicks] = useState(() =>
+    Object.fromEntries(
+      FIELDS.map(({ key }) => [key, mine[key] === original[key] ? "theirs" : "mine"])
+    )
+  );
+
+  const merged = Object.fromEntries(
+    FIELDS.map(({ key }) => [key, picks[key] === "mine" ? mine[key] : theirs[key]])
+  );
+
+  const cellClass = (key, side) =>
+    `conflict-cell${picks[key] === side ? " picked" : ""}`;
+
+  return (
+    <div className="conflict-resolver" role="alertdialog" aria-label="Resolve edit conflict">
+      <h3>Edit Conflict</h3>
+      <p>
+        Someone else saved this record while you were editing it. Choose which
+        version of each field to keep.
+      </p>
+
+      <table className="conflict-table">
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Original</th>
+            <th>Their change</th>
+            <th>Your edit</th>
+          </tr>
+        </thead>
+        <tbody>
+          {FIELDS.map(({ key, label }) => (
+            <tr key={key}>
+              <th scope="row">{label}</th>
+              <td className="conflict-cell original">{String(original[key])}</td>
+              <td className={cellClass(key, "theirs")}>
+                <label>
+                  <input
+                    type="radio"
+                    name={`conflict-${key}`}
+                    checked={picks[key] === "theirs"}
+                    onChange={() => setPicks({ ...picks, [key]: "theirs" })}
+                    aria-label={`Keep their ${label.toLowerCase()}`}
+                  />{" "}
+                  {String(theirs[key])}
+                </label>
+              </td>
+              <td className={cellClass(key, "mine")}>
+                <label>
+                  <input
+                    type="radio"
+                    name={`conflict-${key}`}
+                    checked={picks[key] === "mine"}
+                    onChange={() => setPicks({ ...picks, [key]: "mine" })}
+                    aria-label={`Keep my ${label.toLowerCase()}`}
+                  />{" "}
+                  {String(mine[key])}
+                </label>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="conflict-actions">
+        <button
+          type="button"
+          className="table-button"
+          onClick={() => onResolve(merged)}
+          disabled={disabled}
+        >
+          Save Merged Version
+        </button>
+        <button
+          type="button"
+          className="table-button danger"
+          onClick={() => onResolve(mine)}
+          disabled={disabled}
+        >
+          Overwrite With Mine
+        </button>
+        <button
+          type="button"
+          className="table-button secondary"
+          onClick={onDiscard}
+          disabled={disabled}
+        >
+          Discard My Changes
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import { useEffect, useRef, useState } from "react";
+import useConnectionStatus from "../hooks/useConnectionStatus";
+import "../App.css";
+
+// How long "Connected" stays up after the connection comes back
+export const RECONNECTED_NOTICE_DURATION = 3000;
+
+const pendingText = (count) =>
+  `${count} ${count === 1 ? "change" : "changes"} waiting to be confirmed`;
+
+/**
+ * ConnectionBanner Component
+ *
+ * App-wide bar under the navbar showing the connection to the Convex
+ * backend (useConnectionStatus):
+ * - reconnecting: while the client is (re)connecting
+ * - offline: the browser has no network or the backend can't be reached
+ * - connected: briefly, once the connection is back
+ *
+ * Mutations made while disconnected are kept by the Convex client and sent
+ * on reconnect; the bar counts those not yet confirmed by the server, and
+ * also shows the count while connected if confirmations are slow. When
+ * connected with nothing pending, nothing is rendered.
+ */
+export default function ConnectionBanner() {
+  const { status, pendingMutations, hasEverConnected } = useConnectionStatus();
+
+  // Show "Connected" for a moment after a reconnect, but not on first load
+  const [showReconnected, setShowReconnected] = useState(false);
+  const wasDisconnected = useRef(false);
+  useEffect(() => {
+    if (status !== "connected") {
+      wasDisconnected.current = hasEverConnected;
+      setShowReconnected(false);
+      return undefined;
+    }
+    if (!wasDisconnected.current) {
+      return undefined;
+    }
+    wasDisconnected.current = false;
+    setShowReconnected(true);
+    const timer = setTimeout(() => setShowReconnected(false), RECONNECTED_NOTICE_DURATION);
+    return () => clearTimeout(timer);
+  }, [status, hasEverConnected]);
+
+  let message;
+  if (status === "offline") {
+    message = "Offline: can't reach the Convex backend. Changes you make will be sent once the connection is back.";
+  } else if (status === "reconnecting") {
+    message = hasEverConnected ? "Reconnecting to Convex..." : "Connecting to Convex...";
+  } else if (showReconnected) {
+    message = "Connected.";
+  } else if (pendingMutations > 0) {
+    message = "Saving...";
+  } else {
+    return null;
+  }
+
+  return (
+    <div className={`connection-banner connection-${status}`} role="status">
+      <span>{message}</span>
+      {pendingMutations > 0 && (
+        <span className="pending-mutations">{pendingText(pendingMutations)}</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+/**
+ * ConnectionBanner Component Tests
+ *
+ * Unit tests for the connection banner, the ConnectionProvider feeding it
+ * and connectionStatusOf.
+ *
+ * References:
+ * - Convex ConnectionState: https://docs.convex.dev/api/modules/browser#connectionstate
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, act } from '@testing-library/react'
+import ConnectionBanner, { RECONNECTED_NOTICE_DURATION } from './ConnectionBanner'
+import ConnectionProvider from './ConnectionProvider'
+import { connectionStatusOf, OFFLINE_AFTER_RETRIES } from '../hooks/useConnectionStatus'
+
+const connectionState = (overrides = {}) => ({
+  hasInflightRequests: false,
+  isWebSocketConnected: true,
+  timeOfOldestInflightRequest: null,
+  hasEverConnected: true,
+  connectionCount: 1,
+  connectionRetries: 0,
+  inflightMutations: 0,
+  inflightActions: 0,
+  ...overrides,
+})
+
+// A ConvexReactClient stand-in whose connection state the test controls
+const fakeClient = (initial) => {
+  let state = initial
+  let listener = null
+  return {
+    connectionState: () => state,
+    subscribeToConnectionState: (callback) => {
+      listener = callback
+      return () => {
+        listener = null
+      }
+    },
+    update: (overrides) => {
+      state = connectionState(overrides)
+      act(() => listener?.(state))
+    },
+  }
+}
+
+const renderBanner = (client) =>
+  render(
+    <ConnectionProvider client={client}>
+      <ConnectionBanner />
+    </ConnectionProvider>
+  )
+
+describe('connectionStatusOf', () => {
+  it('should report an open WebSocket as connected', () => {
+    expect(connectionStatusOf(connectionState(), true)).toBe('connected')
+  })
+
+  it('should report a dropped connection as reconnecting', () => {
+    expect(connectionStatusOf(connectionState({ isWebSocketConnected: false }), true)).toBe(
+      'reconnecting'
+    )
+  })
+
+  it('should report offline when the browser has no network or retries keep failing', () => {
+    expect(connectionStatusOf(connectionState({ isWebSocketConnected: false }), false)).toBe(
+      'offline'
+    )
+    expect(
+      connectionStatusOf(
+        connectionState({ isWebSocketConnected: false, connectionRetries: OFFLINE_AFTER_RETRIES }),
+        true
+      )
+    ).toBe('offline')
+  })
+})
+
+describe('ConnectionBanner Component', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should render nothing when connected with nothing pending', () => {
+    const { container } = renderBanner(fakeClient(connectionState()))
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should render nothing without a provider', () => {
+    const { container } = render(<ConnectionBanner />)
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should say it is connecting before the first connection', () => {
+    renderBanner(fakeClient(connectionState({ isWebSocketConnected: false, hasEverConnected: false })))
+    expect(screen.getByRole('status')).toHaveTextContent('Connecting to Convex...')
+  })
+
+  it('should show reconnecting, then connected for a moment, then nothing', () => {
+    const client = fakeClient(connectionState())
+    const { container } = renderBanner(client)
+
+    client.update({ isWebSocketConnected: false })
+    expect(screen.getByRole('status')).toHaveTextContent('Reconnecting to Convex...')
+    expect(screen.getByRole('status')).toHaveClass('connection-reconnecting')
+
+    client.update({})
+    expect(screen.getByRole('status')).toHaveTextContent('Connected.')
+
+    act(() => {
+      vi.advanceTimersByTime(RECONNECTED_NOTICE_DURATION)
+    })
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should explain when the backend cannot be reached', () => {
+    const client = fakeClient(connectionState())
+    renderBanner(client)
+
+    client.update({ isWebSocketConnected: false, connectionRetries: OFFLINE_AFTER_RETRIES })
+    expect(screen.getByRole('status')).toHaveClass('connection-offline')
+    expect(screen.getByRole('status')).toHaveTextContent("Offline: can't reach the Convex backend.")
+  })
+
+  it('should follow the browser going offline', () => {
+    renderBanner(fakeClient(connectionState({ isWebSocketConnected: false })))
+
+    act(() => {
+      window.dispatchEvent(new Event('offline'))
+    })
+    expect(screen.getByRole('status')).toHaveClass('connection-offline')
+
+    act(() => {
+      window.dispatchEvent(new Event('online'))
+    })
+    expect(screen.getByRole('status')).toHaveClass('connection-reconnecting')
+  })
+
+  it('should count mutations not yet confirmed', () => {
+    const client = fakeClient(connectionState())
+    renderBanner(client)
+
+    client.update({ inflightMutations: 1 })
+    expect(screen.getByRole('status')).toHaveTextContent('Saving...')
+    expect(screen.getByText('1 change waiting to be confirmed')).toBeInTheDocument()
+
+    client.update({ isWebSocketConnected: false, inflightMutations: 3 })
+    expect(screen.getByText('3 changes waiting to be confirmed')).toBeInTheDocument()
+  })
+})
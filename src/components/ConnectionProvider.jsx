@@ -0,0 +1,43 @@
+import { useEffect, useMemo, useState } from "react";
+import { ConnectionContext, connectionStatusOf } from "../hooks/useConnectionStatus";
+
+/**
+ * ConnectionProvider Component
+ *
+ * Follows the ConvexReactClient's connection (subscribeToConnectionState)
+ * and the browser's online/offline events, and exposes the result through
+ * useConnectionStatus(). main.jsx wraps the app in it with the same client
+ * it gives ConvexProviderWithAuth.
+ *
+ * Props:
+ * - client: The ConvexReactClient
+ * - children: The app
+ */
+export default function ConnectionProvider({ client, children }) {
+  const [state, setState] = useState(() => client.connectionState());
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => client.subscribeToConnectionState(setState), [client]);
+
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true);
+    const goOffline = () => setIsOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      status: connectionStatusOf(state, isOnline),
+      pendingMutations: state.inflightMutations,
+      hasEverConnected: state.hasEverConnected,
+    }),
+    [state, isOnline]
+  );
+
+  return <ConnectionContext.Provider value={value}>{children}</ConnectionContext.Provider>;
+}
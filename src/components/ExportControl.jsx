@@ -0,0 +1,116 @@
+import { useState } from "react";
+import { useConvex } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+import {
+  EXPORT_FORMATS,
+  toExportRecord,
+  formatRecords,
+  exportFileName,
+  downloadFile,
+} from "../utils/exportRecords";
+import "../App.css";
+
+// Records fetched per listMockData call while exporting
+const EXPORT_PAGE_SIZE = 500;
+
+/**
+ * ExportControl Component
+ *
+ * Format picker and button that download the View page's current rows as
+ * CSV, JSON or NDJSON (see utils/exportRecords.js).
+ *
+ * The export doesn't reuse the rows already on screen, which are only the
+ * pages scrolled to so far. Instead it pages through listMockData on the
+ * server with the same sort and filter arguments, one EXPORT_PAGE_SIZE
+ * page per request, so the whole matching table is exported in order
+ * without any single query having to read all of it. While a search is
+ * active, the (already complete) search results are exported instead.
+ *
+ * Props:
+ * - queryArgs: listMockData arguments for the current sort and filter
+ * - searchResults: The current search results, or undefined when not searching
+ * - disabled: Disables the button (e.g. while search results are loading)
+ */
+export default function ExportControl({ queryArgs, searchResults, disabled = false }) {
+  const convex = useConvex();
+
+  const [format, setFormat] = useState("csv");
+  const [isExporting, setIsExporting] = useState(false);
+  // Number of records fetched so far by the running export
+  const [fetchedCount, setFetchedCount] = useState(0);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const fetchAllPages = async () => {
+    const records = [];
+    let cursor = null;
+    let isDone = false;
+    while (!isDone) {
+      const result = await convex.query(api.functions.listMockData, {
+        ...queryArgs,
+        paginationOpts: { numItems: EXPORT_PAGE_SIZE, cursor },
+      });
+      records.push(...result.page.map(toExportRecord));
+      setFetchedCount(records.length);
+      cursor = result.continueCursor;
+      isDone = result.isDone;
+    }
+    return records;
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setFetchedCount(0);
+    setErrorMessage("");
+    try {
+      const records = searchResults
+        ? searchResults.map(toExportRecord)
+        : await fetchAllPages();
+      downloadFile(
+        formatRecords(records, format),
+        exportFileName(format),
+        EXPORT_FORMATS[format].mimeType
+      );
+    } catch (error) {
+      setErrorMessage(
+        error instanceof ConvexError
+          ? error.data.message
+          : `Failed to export records: ${error.message}`
+      );
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="export-control">
+      <label htmlFor="export-format">Export as:</label>
+      <select
+        id="export-format"
+        className="form-control"
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        disabled={isExporting}
+      >
+        {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="table-button"
+        onClick={handleExport}
+        disabled={disabled || isExporting}
+      >
+        {isExporting ? `Exporting... (${fetchedCount} records)` : "Download"}
+      </button>
+      {errorMessage && (
+        <span className="export-error" role="alert">
+          {errorMessage}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+/**
+ * Highlight Component
+ *
+ * Renders `text` with every case-insensitive occurrence of the words in
+ * `query` wrapped in <mark>, to show why a record matched a search.
+ *
+ * Props:
+ * - text: The string to render
+ * - query: The search text; blank renders `text` unchanged
+ */
+
+// Escape regex metacharacters so user input is matched literally
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export default function Highlight({ text, query }) {
+  const terms = (query ?? "").trim().split(/\s+/).filter(Boolean);
+  if (!text || terms.length === 0) {
+    return text ?? null;
+  }
+
+  // A capturing split keeps the matches at the odd indexes
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  const parts = text.split(pattern);
+
+  return (
+    <>
+      {parts.map((part, index) =>
+        index % 2 === 1 ? <mark key={index}>{part}</mark> : part
+      )}
+    </>
+  );
+}
@@ -0,0 +1,38 @@
+/**
+ * Highlight Component Tests
+ *
+ * Unit tests for search match highlighting.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { render } from '@testing-library/react'
+import Highlight from './Highlight'
+
+describe('Highlight Component', () => {
+  it('should render plain text when the query is blank', () => {
+    const { container } = render(<Highlight text="Alpha Sample" query="  " />)
+
+    expect(container.textContent).toBe('Alpha Sample')
+    expect(container.querySelector('mark')).toBeNull()
+  })
+
+  it('should mark every case-insensitive match of each term', () => {
+    const { container } = render(
+      <Highlight text="Alpha sample, another SAMPLE" query="sample alp" />
+    )
+
+    const marks = Array.from(container.querySelectorAll('mark')).map((m) => m.textContent)
+    expect(marks).toEqual(['Alp', 'sample', 'SAMPLE'])
+    expect(container.textContent).toBe('Alpha sample, another SAMPLE')
+  })
+
+  it('should treat regex characters in the query literally', () => {
+    const { container } = render(<Highlight text="Value (x+1)" query="(x+1)" />)
+
+    expect(container.querySelector('mark').textContent).toBe('(x+1)')
+  })
+})
@@ -0,0 +1,75 @@
+import { useEffect, useState } from "react";
+import useConnectionStatus from "../hooks/useConnectionStatus";
+import "../App.css";
+
+// How long to wait for data before explaining what might be wrong
+export const LOADING_TIMEOUT = 15 * 1000;
+
+/**
+ * LoadingState Component
+ *
+ * The "Loading data from Convex..." placeholder shown while a page waits
+ * for its first query result. A query that never answers would otherwise
+ * leave it spinning forever, as in rca/app-data-view-issue.md, so after
+ * LOADING_TIMEOUT it turns into an error saying what to check, depending on
+ * whether the backend could be reached at all, with a button to try again.
+ */
+export default function LoadingState() {
+  const { status, hasEverConnected } = useConnectionStatus();
+  const [timedOut, setTimedOut] = useState(false);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setTimedOut(true), LOADING_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, []);
+
+  if (!timedOut) {
+    return (
+      <div className="loading-container">
+        <p className="loading-text">Loading data from Convex...</p>
+        <p className="loading-subtext">Connecting to real-time database</p>
+      </div>
+    );
+  }
+
+  const url = import.meta.env.VITE_CONVEX_DEPLOYMENT_URL;
+  const unreachable = status !== "connected";
+
+  return (
+    <div className="loading-container loading-timeout" role="alert">
+      <p className="loading-text">
+        {unreachable
+          ? "Can't reach the Convex backend."
+          : "The data is taking longer than expected to load."}
+      </p>
+      {unreachable ? (
+        <ul className="loading-help">
+          <li>
+            Check that the backend is running: <code>python scripts/deploy.py status</code>
+          </li>
+          <li>
+            {url ? (
+              <>
+                Check that <code>VITE_CONVEX_DEPLOYMENT_URL</code> ({url}) points at it
+              </>
+            ) : (
+              <>
+                Set <code>VITE_CONVEX_DEPLOYMENT_URL</code> in <code>.env.local</code> and
+                restart the dev server
+              </>
+            )}
+          </li>
+          {!hasEverConnected && <li>No connection has succeeded since the page loaded.</li>}
+        </ul>
+      ) : (
+        <p className="loading-subtext">
+          The backend is reachable but hasn't answered yet. Its logs may say why:{" "}
+          <code>python scripts/deploy.py logs</code>
+        </p>
+      )}
+      <button type="button" className="table-button" onClick={() => window.location.reload()}>
+        Try Again
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+/**
+ * LoadingState Component Tests
+ *
+ * Unit tests for the loading placeholder and the error it turns into when
+ * the data doesn't arrive.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { render, screen, act } from '@testing-library/react'
+import LoadingState, { LOADING_TIMEOUT } from './LoadingState'
+import { ConnectionContext } from '../hooks/useConnectionStatus'
+
+const renderWithStatus = (status, hasEverConnected = true) =>
+  render(
+    <ConnectionContext.Provider value={{ status, pendingMutations: 0, hasEverConnected }}>
+      <LoadingState />
+    </ConnectionContext.Provider>
+  )
+
+const waitOut = () =>
+  act(() => {
+    vi.advanceTimersByTime(LOADING_TIMEOUT)
+  })
+
+describe('LoadingState Component', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should show the loading message at first', () => {
+    renderWithStatus('connected')
+
+    expect(screen.getByText('Loading data from Convex...')).toBeInTheDocument()
+    expect(screen.getByText('Connecting to real-time database')).toBeInTheDocument()
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+  })
+
+  it('should explain how to reach the backend after the timeout when offline', () => {
+    renderWithStatus('offline', false)
+    waitOut()
+
+    expect(screen.getByRole('alert')).toHaveTextContent("Can't reach the Convex backend.")
+    expect(screen.getByText(/python scripts\/deploy.py status/)).toBeInTheDocument()
+    expect(screen.getByText('No connection has succeeded since the page loaded.')).toBeInTheDocument()
+    expect(screen.queryByText('Loading data from Convex...')).not.toBeInTheDocument()
+  })
+
+  it('should point at the backend logs when connected but still waiting', () => {
+    renderWithStatus('connected')
+    waitOut()
+
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'The data is taking longer than expected to load.'
+    )
+    expect(screen.getByText(/python scripts\/deploy.py logs/)).toBeInTheDocument()
+  })
+
+  it('should reload the page when Try Again is clicked', () => {
+    const reload = vi.fn()
+    vi.stubGlobal('location', { ...window.location, reload })
+    renderWithStatus('reconnecting')
+    waitOut()
+
+    act(() => {
+      screen.getByRole('button', { name: 'Try Again' }).click()
+    })
+    expect(reload).toHaveBeenCalled()
+    vi.unstubAllGlobals()
+  })
+})
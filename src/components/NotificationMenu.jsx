@@ -0,0 +1,83 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { useQuery, useMutation } from "convex/react";
+import { api } from "../../convex/_generated/api";
+import "../App.css";
+
+/**
+ * NotificationMenu Component
+ *
+ * Navbar button with the signed-in user's unread notification count
+ * (api.comments.listNotifications), opening a list of their latest
+ * notifications: who mentioned them in a comment, on which record, and
+ * what they wrote. Each links to the record's detail page, where the
+ * comment is. "Mark all read" clears the count.
+ *
+ * Rendered by UserMenu once the user is signed in.
+ */
+export default function NotificationMenu() {
+  const data = useQuery(api.comments.listNotifications);
+  const markNotificationsRead = useMutation(api.comments.markNotificationsRead);
+  const [open, setOpen] = useState(false);
+
+  if (data === undefined) {
+    return null;
+  }
+
+  const { unreadCount, notifications } = data;
+
+  const handleMarkRead = () => {
+    // The count clears when the subscription updates; nothing to undo on failure
+    markNotificationsRead().catch(() => {});
+  };
+
+  return (
+    <div className="notification-menu">
+      <button
+        type="button"
+        className="notification-button"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-label={`Notifications, ${unreadCount} unread`}
+      >
+        Notifications
+        {unreadCount > 0 && <span className="notification-count">{unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div className="notification-panel">
+          {notifications.length === 0 ? (
+            <p className="notification-empty">No notifications yet.</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map((notification) => (
+                <li
+                  key={notification._id}
+                  className={notification.read ? "notification" : "notification unread"}
+                >
+                  <Link to={`/records/${notification.recordId}`} onClick={() => setOpen(false)}>
+                    <strong>{notification.actorName}</strong> mentioned you on{" "}
+                    <strong>{notification.recordName ?? "a deleted record"}</strong>
+                  </Link>
+                  {notification.excerpt ? (
+                    <span className="notification-excerpt">{notification.excerpt}</span>
+                  ) : (
+                    <em className="notification-excerpt">The comment was deleted.</em>
+                  )}
+                  <time dateTime={new Date(notification._creationTime).toISOString()}>
+                    {new Date(notification._creationTime).toLocaleString()}
+                  </time>
+                </li>
+              ))}
+            </ul>
+          )}
+          {unreadCount > 0 && (
+            <button type="button" className="link-button" onClick={handleMarkRead}>
+              Mark all read
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
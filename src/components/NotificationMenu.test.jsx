@@ -0,0 +1,123 @@
+/**
+ * NotificationMenu Component Tests
+ *
+ * Unit tests for the navbar notifications: the unread count, the list of
+ * mentions and marking them read.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { MemoryRouter } from 'react-router-dom'
+import { useQuery, useMutation } from 'convex/react'
+import NotificationMenu from './NotificationMenu'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+  useMutation: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    comments: {
+      listNotifications: vi.fn(),
+      markNotificationsRead: vi.fn(),
+    },
+  },
+}))
+
+const notifications = [
+  {
+    _id: 'notification1',
+    _creationTime: new Date(2026, 0, 10, 9, 30).getTime(),
+    kind: 'mention',
+    recordId: 'abc123',
+    recordName: 'Alpha',
+    commentId: 'comment1',
+    actorName: 'Bob',
+    excerpt: 'Why did this jump? @Alice',
+    read: false,
+  },
+  {
+    _id: 'notification2',
+    _creationTime: new Date(2026, 0, 9, 9, 30).getTime(),
+    kind: 'mention',
+    recordId: 'def456',
+    recordName: 'Beta',
+    commentId: 'comment2',
+    actorName: 'Carol',
+    excerpt: '@Alice fyi',
+    read: true,
+  },
+]
+
+const renderMenu = () =>
+  render(
+    <MemoryRouter>
+      <NotificationMenu />
+    </MemoryRouter>
+  )
+
+describe('NotificationMenu Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should render nothing while loading', () => {
+    useQuery.mockReturnValue(undefined)
+    useMutation.mockReturnValue(vi.fn())
+
+    const { container } = renderMenu()
+
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should show the unread count and list mentions linking to their record', async () => {
+    const user = userEvent.setup()
+    useQuery.mockReturnValue({ unreadCount: 1, notifications })
+    useMutation.mockReturnValue(vi.fn())
+
+    renderMenu()
+    const button = screen.getByRole('button', { name: 'Notifications, 1 unread' })
+    expect(button).toHaveTextContent('1')
+    await user.click(button)
+
+    const link = screen.getByRole('link', { name: 'Bob mentioned you on Alpha' })
+    expect(link).toHaveAttribute('href', '/records/abc123')
+    expect(link.closest('li')).toHaveClass('unread')
+    expect(screen.getByText('Why did this jump? @Alice')).toBeInTheDocument()
+    const readLink = screen.getByRole('link', { name: 'Carol mentioned you on Beta' })
+    expect(readLink.closest('li')).not.toHaveClass('unread')
+  })
+
+  it('should mark all notifications read', async () => {
+    const user = userEvent.setup()
+    const markRead = vi.fn().mockResolvedValue(1)
+    useQuery.mockReturnValue({ unreadCount: 1, notifications })
+    useMutation.mockReturnValue(markRead)
+
+    renderMenu()
+    await user.click(screen.getByRole('button', { name: 'Notifications, 1 unread' }))
+    await user.click(screen.getByRole('button', { name: 'Mark all read' }))
+
+    expect(markRead).toHaveBeenCalled()
+  })
+
+  it('should say when there are no notifications', async () => {
+    const user = userEvent.setup()
+    useQuery.mockReturnValue({ unreadCount: 0, notifications: [] })
+    useMutation.mockReturnValue(vi.fn())
+
+    renderMenu()
+    await user.click(screen.getByRole('button', { name: 'Notifications, 0 unread' }))
+
+    expect(screen.getByText('No notifications yet.')).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Mark all read' })).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,70 @@
+import "../App.css";
+
+// Background colours for avatars; each user always gets the same one
+const AVATAR_COLORS = ["#646cff", "#e67e22", "#16a085", "#c0392b", "#8e44ad", "#2c3e50"];
+
+/**
+ * Up to two initials from a name: "Ada Lovelace" -> "AL", "ada" -> "A".
+ */
+export const initialsOf = (name) =>
+  name
+    .trim()
+    .split(/\s+/)
+    .slice(0, 2)
+    .map((word) => word.charAt(0).toUpperCase())
+    .join("") || "?";
+
+// Stable colour derived from the user ID
+const colorOf = (userId) => {
+  let hash = 0;
+  for (const char of userId) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return AVATAR_COLORS[Math.abs(hash) % AVATAR_COLORS.length];
+};
+
+/**
+ * PresenceAvatars Component
+ *
+ * A row of initials avatars for the users in `users` (see usePresence),
+ * each with the full name as a tooltip. Renders nothing for an empty list.
+ *
+ * Props:
+ * - users: [{ userId, name }]
+ * - label: Describes the group for assistive tech, e.g. "Online"
+ * - max: Avatars shown before the rest collapse into "+N" (default 4)
+ */
+export default function PresenceAvatars({ users, label, max = 4 }) {
+  if (!users || users.length === 0) {
+    return null;
+  }
+
+  const shown = users.slice(0, max);
+  const hidden = users.slice(max);
+  const names = users.map((user) => user.name).join(", ");
+
+  return (
+    <span className="presence-avatars" role="group" aria-label={`${label}: ${names}`}>
+      {shown.map((user) => (
+        <span
+          key={user.userId}
+          className="presence-avatar"
+          style={{ backgroundColor: colorOf(user.userId) }}
+          title={user.name}
+          aria-hidden="true"
+        >
+          {initialsOf(user.name)}
+        </span>
+      ))}
+      {hidden.length > 0 && (
+        <span
+          className="presence-avatar presence-more"
+          title={hidden.map((user) => user.name).join(", ")}
+          aria-hidden="true"
+        >
+          +{hidden.length}
+        </span>
+      )}
+    </span>
+  );
+}
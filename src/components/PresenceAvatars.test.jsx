@@ -0,0 +1,52 @@
+/**
+ * PresenceAvatars Component Tests
+ *
+ * Unit tests for the initials avatars shown for online and editing users.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import PresenceAvatars, { initialsOf } from './PresenceAvatars'
+
+const users = [
+  { userId: 'u1', name: 'Ada Lovelace' },
+  { userId: 'u2', name: 'grace' },
+  { userId: 'u3', name: 'Alan Mathison Turing' },
+]
+
+describe('PresenceAvatars Component', () => {
+  it('should derive up to two initials from a name', () => {
+    expect(initialsOf('Ada Lovelace')).toBe('AL')
+    expect(initialsOf('grace')).toBe('G')
+    expect(initialsOf('Alan Mathison Turing')).toBe('AM')
+    expect(initialsOf('  ')).toBe('?')
+  })
+
+  it('should render nothing without users', () => {
+    const { container } = render(<PresenceAvatars users={[]} label="Online" />)
+
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should show initials with the full names as tooltips and label', () => {
+    render(<PresenceAvatars users={users} label="Online" />)
+
+    const group = screen.getByRole('group', {
+      name: 'Online: Ada Lovelace, grace, Alan Mathison Turing',
+    })
+    expect(group).toHaveTextContent('ALGAM')
+    expect(screen.getByTitle('Ada Lovelace')).toHaveTextContent('AL')
+  })
+
+  it('should collapse users beyond the maximum into a count', () => {
+    render(<PresenceAvatars users={users} label="Editing" max={1} />)
+
+    expect(screen.getByTitle('Ada Lovelace')).toBeInTheDocument()
+    expect(screen.queryByTitle('grace')).not.toBeInTheDocument()
+    expect(screen.getByTitle('grace, Alan Mathison Turing')).toHaveTextContent('+2')
+  })
+})
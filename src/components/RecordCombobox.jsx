@@ -0,0 +1,178 @@
+import { useId, useState } from "react";
+import { useQuery } from "convex/react";
+import { api } from "../../convex/_generated/api";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import Highlight from "./Highlight";
+import "../App.css";
+
+// Records listed when the search box is empty (browse mode)
+export const MAX_BROWSE_OPTIONS = 20;
+
+/**
+ * RecordCombobox Component
+ *
+ * Searchable replacement for a plain <select> of records. Typing runs a
+ * debounced full-text search (api.functions.searchMockData) over name and
+ * description; with an empty box the first records are listed instead.
+ * Matches are highlighted in the option list.
+ *
+ * Follows the WAI-ARIA combobox pattern: Arrow keys move through the options,
+ * Enter picks the active one and Escape closes the list.
+ *
+ * Props:
+ * - id: id of the text input, for an external <label htmlFor>
+ * - records: Records listed while the search box is empty (browse mode), e.g.
+ *   the first page of api.functions.listMockData; at most
+ *   MAX_BROWSE_OPTIONS are shown
+ * - selectedId: The currently selected record id, or ""
+ * - selectedRecord: The selected record, for the input's label while closed
+ *   (it need not be among `records`)
+ * - onSelect(id): Called when the user picks a record
+ * - disabled: Disables the input
+ * - locks: Optional Map of record id to the name of the user holding its
+ *   edit lease; those options show a lock (they can still be picked)
+ */
+export default function RecordCombobox({
+  id,
+  records,
+  selectedId,
+  selectedRecord,
+  onSelect,
+  disabled,
+  locks,
+}) {
+  const listId = useId();
+  const [query, setQuery] = useState("");
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const trimmedQuery = query.trim();
+  const debouncedQuery = useDebouncedValue(trimmedQuery);
+
+  // Only subscribe to search results while there is something to search for
+  const searchResults = useQuery(
+    api.functions.searchMockData,
+    debouncedQuery ? { query: debouncedQuery } : "skip"
+  );
+
+  const isSearching =
+    trimmedQuery !== "" &&
+    (trimmedQuery !== debouncedQuery || searchResults === undefined);
+  const options = trimmedQuery
+    ? searchResults ?? []
+    : records.slice(0, MAX_BROWSE_OPTIONS);
+
+  const open = () => {
+    setIsOpen(true);
+    setActiveIndex(-1);
+  };
+
+  const close = () => {
+    setIsOpen(false);
+    setQuery("");
+    setActiveIndex(-1);
+  };
+
+  const choose = (item) => {
+    onSelect(item._id);
+    close();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      if (!isOpen) {
+        open();
+        return;
+      }
+      setActiveIndex((index) => Math.min(index + 1, options.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((index) => Math.max(index - 1, 0));
+    } else if (e.key === "Enter" && isOpen) {
+      // Don't submit the surrounding form while picking a record
+      e.preventDefault();
+      if (options[activeIndex]) {
+        choose(options[activeIndex]);
+      }
+    } else if (e.key === "Escape") {
+      close();
+    }
+  };
+
+  return (
+    <div className="combobox">
+      <input
+        id={id}
+        type="text"
+        role="combobox"
+        className="form-control"
+        autoComplete="off"
+        aria-expanded={isOpen}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={
+          isOpen && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined
+        }
+        placeholder="Search records by name or description"
+        // While closed, show the selected record; while open, the search text
+        value={
+          isOpen
+            ? query
+            : selectedRecord
+              ? `${selectedRecord.name} (Value: ${selectedRecord.value})`
+              : ""
+        }
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+          setActiveIndex(-1);
+        }}
+        onFocus={open}
+        onBlur={close}
+        onKeyDown={handleKeyDown}
+        disabled={disabled}
+      />
+
+      {isOpen && (
+        <ul id={listId} role="listbox" className="combobox-options">
+          {isSearching && options.length === 0 && (
+            <li className="combobox-status">Searching...</li>
+          )}
+          {!isSearching && options.length === 0 && (
+            <li className="combobox-status">No matching records</li>
+          )}
+          {options.map((item, index) => (
+            <li
+              key={item._id}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={item._id === selectedId}
+              className={`combobox-option${index === activeIndex ? " active" : ""}`}
+              // mousedown (not click) so the input doesn't blur and close first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(item);
+              }}
+            >
+              <span className="combobox-option-name">
+                <Highlight text={item.name} query={trimmedQuery} />
+              </span>{" "}
+              (Value: {item.value})
+              {locks?.has(item._id) && (
+                <span className="lock-indicator">
+                  <span aria-hidden="true">🔒 </span>Locked by {locks.get(item._id)}
+                </span>
+              )}
+              {trimmedQuery && item.description && (
+                <span className="combobox-option-description">
+                  <Highlight text={item.description} query={trimmedQuery} />
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { Navigate } from "react-router-dom";
+import LoadingState from "./LoadingState";
+import useCurrentUser from "../hooks/useCurrentUser";
+import "../App.css";
+
+/**
+ * RequireRole Component
+ *
+ * Route guard: renders its children only for users with at least `role`.
+ * Signed-out visitors are sent to the Sign In page; signed-in users with a
+ * lower role see an explanation instead of the page.
+ *
+ * Props:
+ * - role: The lowest role allowed ("viewer", "editor" or "admin")
+ * - children: The protected page
+ */
+export default function RequireRole({ role, children }) {
+  const { user, can } = useCurrentUser();
+
+  if (user === undefined) {
+    return (
+      <div className="page">
+        <LoadingState />
+      </div>
+    );
+  }
+
+  if (user === null) {
+    return <Navigate to="/signin" replace />;
+  }
+
+  if (!can(role)) {
+    return (
+      <div className="page">
+        <h1>Access Denied</h1>
+        <div className="empty-state">
+          <p>This page requires the {role} role; you are a {user.role}.</p>
+          <p>Ask an admin to change your role.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return children;
+}
@@ -0,0 +1,80 @@
+/**
+ * RequireRole Component Tests
+ *
+ * Unit tests for the RequireRole route guard.
+ * Verifies redirects for signed-out users and the role check.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import { MemoryRouter, Routes, Route } from 'react-router-dom'
+import useCurrentUser, { hasRole } from '../hooks/useCurrentUser'
+import RequireRole from './RequireRole'
+
+// Mock the signed-in user, keeping the real role comparison
+vi.mock('../hooks/useCurrentUser', async (importOriginal) => ({
+  ...(await importOriginal()),
+  default: vi.fn(),
+}))
+
+const mockUser = (user) =>
+  useCurrentUser.mockReturnValue({
+    user,
+    can: (minimum) => Boolean(user) && hasRole(user.role, minimum),
+  })
+
+const renderGuarded = () =>
+  render(
+    <MemoryRouter initialEntries={['/update']}>
+      <Routes>
+        <Route
+          path="/update"
+          element={
+            <RequireRole role="editor">
+              <p>Update page</p>
+            </RequireRole>
+          }
+        />
+        <Route path="/signin" element={<p>Sign in page</p>} />
+      </Routes>
+    </MemoryRouter>
+  )
+
+describe('RequireRole Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should show a loading state until the user is known', () => {
+    mockUser(undefined)
+    renderGuarded()
+
+    expect(screen.getByText('Loading data from Convex...')).toBeInTheDocument()
+  })
+
+  it('should send signed-out visitors to the sign-in page', () => {
+    mockUser(null)
+    renderGuarded()
+
+    expect(screen.getByText('Sign in page')).toBeInTheDocument()
+  })
+
+  it('should deny users whose role is too low', () => {
+    mockUser({ _id: 'user1', name: 'Alice', role: 'viewer' })
+    renderGuarded()
+
+    expect(screen.getByText('Access Denied')).toBeInTheDocument()
+    expect(screen.queryByText('Update page')).not.toBeInTheDocument()
+  })
+
+  it('should render the page for users with a higher role', () => {
+    mockUser({ _id: 'user1', name: 'Alice', role: 'admin' })
+    renderGuarded()
+
+    expect(screen.getByText('Update page')).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useState } from "react";
+import { RollbackContext } from "../hooks/useRecordMutations";
+import "../App.css";
+
+// How long a rollback notice stays up unless dismissed
+export const ROLLBACK_NOTICE_DURATION = 10 * 1000;
+
+// One notice; dismisses itself after ROLLBACK_NOTICE_DURATION
+function RollbackNotice({ id, message, onDismiss }) {
+  const dismiss = useCallback(() => onDismiss(id), [onDismiss, id]);
+  useEffect(() => {
+    const timer = setTimeout(dismiss, ROLLBACK_NOTICE_DURATION);
+    return () => clearTimeout(timer);
+  }, [dismiss]);
+
+  return (
+    <div className="toast rollback-toast" role="alert">
+      <span className="toast-message">
+        <strong>Rolled back.</strong> {message}
+      </span>
+      <button type="button" className="toast-close" onClick={dismiss} aria-label="Dismiss">
+        ×
+      </button>
+    </div>
+  );
+}
+
+/**
+ * RollbackProvider Component
+ *
+ * Shows a notice for every optimistic write the server rejected (reported
+ * by the hooks in src/hooks/useRecordMutations.js), so a change that
+ * appeared and then vanished is explained. Notices outlive the page that
+ * made the write, since the rejection can arrive after navigating away.
+ *
+ * Props:
+ * - children: The app
+ */
+export default function RollbackProvider({ children }) {
+  const [notices, setNotices] = useState([]);
+
+  const reportRollback = useCallback((message) => {
+    setNotices((current) => [...current, { id: crypto.randomUUID(), message }]);
+  }, []);
+
+  const dismiss = useCallback((id) => {
+    setNotices((current) => current.filter((notice) => notice.id !== id));
+  }, []);
+
+  return (
+    <RollbackContext.Provider value={reportRollback}>
+      {children}
+      {notices.length > 0 && (
+        <div className="rollback-notices">
+          {notices.map((notice) => (
+            <RollbackNotice
+              key={notice.id}
+              id={notice.id}
+              message={notice.message}
+              onDismiss={dismiss}
+            />
+          ))}
+        </div>
+      )}
+    </RollbackContext.Provider>
+  );
+}
+
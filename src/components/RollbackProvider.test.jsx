@@ -0,0 +1,77 @@
+/**
+ * RollbackProvider Component Tests
+ *
+ * Unit tests for the notices shown when an optimistic write is rejected.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { useContext } from 'react'
+import { render, screen, act, fireEvent } from '@testing-library/react'
+import RollbackProvider, { ROLLBACK_NOTICE_DURATION } from './RollbackProvider'
+import { RollbackContext } from '../hooks/useRecordMutations'
+
+// Exposes the reporter so tests can report rollbacks
+let reportRollback
+function Probe() {
+  reportRollback = useContext(RollbackContext)
+  return null
+}
+
+const renderProvider = () =>
+  render(
+    <RollbackProvider>
+      <Probe />
+    </RollbackProvider>
+  )
+
+describe('RollbackProvider Component', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should show nothing until a rollback is reported', () => {
+    renderProvider()
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+  })
+
+  it('should show a notice for each rollback', () => {
+    renderProvider()
+
+    act(() => {
+      reportRollback('Your update to "Alpha" was not saved and has been undone.')
+      reportRollback('The record was not deleted and has been put back.')
+    })
+
+    const notices = screen.getAllByRole('alert')
+    expect(notices).toHaveLength(2)
+    expect(notices[0]).toHaveTextContent(
+      'Rolled back. Your update to "Alpha" was not saved and has been undone.'
+    )
+  })
+
+  it('should dismiss a notice on click or after a while', () => {
+    renderProvider()
+
+    act(() => {
+      reportRollback('First')
+    })
+    fireEvent.click(screen.getByRole('button', { name: 'Dismiss' }))
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+
+    act(() => {
+      reportRollback('Second')
+    })
+    act(() => {
+      vi.advanceTimersByTime(ROLLBACK_NOTICE_DURATION)
+    })
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument()
+  })
+})
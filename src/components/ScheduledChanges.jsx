@@ -0,0 +1,188 @@
+import { useState } from "react";
+import { useQuery, useMutation } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+import useCurrentUser from "../hooks/useCurrentUser";
+import { toDateTimeLocal, fromDateTimeLocal } from "../utils/dateTimeLocal";
+import "../App.css";
+
+/**
+ * ScheduledChanges Component
+ *
+ * Live list of pending and failed scheduled changes
+ * (api.scheduledChanges.listScheduledChanges), soonest first. Editors can
+ * move a change to another time or cancel it; a failed change shows why it
+ * couldn't be applied and can be rescheduled to try again.
+ *
+ * Props:
+ * - recordId: Only list this record's changes; without it every record's
+ *   changes are listed, with a Record column
+ */
+export default function ScheduledChanges({ recordId }) {
+  const changes = useQuery(
+    api.scheduledChanges.listScheduledChanges,
+    recordId ? { recordId } : {}
+  );
+  const rescheduleChange = useMutation(api.scheduledChanges.rescheduleChange);
+  const cancelScheduledChange = useMutation(api.scheduledChanges.cancelScheduledChange);
+  const { can } = useCurrentUser();
+
+  // The change being rescheduled and the new time typed for it
+  const [editingId, setEditingId] = useState(null);
+  const [newTime, setNewTime] = useState("");
+  // ID of the change an action is currently running for
+  const [pendingId, setPendingId] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const runAction = async (changeId, action, failure) => {
+    setPendingId(changeId);
+    setErrorMessage("");
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      setErrorMessage(
+        error instanceof ConvexError
+          ? error.data.message
+          : `Failed to ${failure}: ${error.message}`
+      );
+      return false;
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const startReschedule = (change) => {
+    setEditingId(change._id);
+    setNewTime(toDateTimeLocal(Math.max(change.runAt, Date.now())));
+    setErrorMessage("");
+  };
+
+  const handleReschedule = async (changeId) => {
+    const runAt = fromDateTimeLocal(newTime);
+    if (Number.isNaN(runAt)) {
+      setErrorMessage("Enter a date and time.");
+      return;
+    }
+    const saved = await runAction(
+      changeId,
+      () => rescheduleChange({ changeId, runAt }),
+      "reschedule change"
+    );
+    if (saved) {
+      setEditingId(null);
+    }
+  };
+
+  const handleCancel = (changeId) =>
+    runAction(changeId, () => cancelScheduledChange({ changeId }), "cancel change");
+
+  if (changes === undefined) {
+    return <p className="loading-text">Loading scheduled changes...</p>;
+  }
+
+  if (changes.length === 0) {
+    return (
+      <p className="empty-state">
+        {recordId ? "No changes scheduled for this record." : "No changes are scheduled."}
+      </p>
+    );
+  }
+
+  return (
+    <div className="scheduled-changes">
+      {errorMessage && (
+        <div className="message error-message">{errorMessage}</div>
+      )}
+
+      <div className="data-container">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>When</th>
+              {!recordId && <th>Record</th>}
+              <th>New Name</th>
+              <th>New Value</th>
+              <th>Scheduled By</th>
+              <th>Status</th>
+              {can("editor") && <th>Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map((change) => (
+              <tr key={change._id}>
+                <td className="created-cell">
+                  {editingId === change._id ? (
+                    <input
+                      type="datetime-local"
+                      className="form-control"
+                      value={newTime}
+                      onChange={(e) => setNewTime(e.target.value)}
+                      aria-label="New time"
+                    />
+                  ) : (
+                    new Date(change.runAt).toLocaleString()
+                  )}
+                </td>
+                {!recordId && (
+                  <td className="name-cell">{change.recordName ?? <em>Deleted record</em>}</td>
+                )}
+                <td className="name-cell">{change.name}</td>
+                <td className="value-cell">{change.value}</td>
+                <td>{change.createdByName}</td>
+                <td>
+                  <span className={`delivery-status delivery-${change.status}`}>
+                    {change.status}
+                  </span>
+                  {change.error && <div className="field-hint">{change.error}</div>}
+                </td>
+                {can("editor") && (
+                  <td className="actions-cell">
+                    {editingId === change._id ? (
+                      <>
+                        <button
+                          type="button"
+                          className="table-button"
+                          onClick={() => handleReschedule(change._id)}
+                          disabled={pendingId === change._id}
+                        >
+                          Save
+                        </button>
+                        <button
+                          type="button"
+                          className="table-button secondary"
+                          onClick={() => setEditingId(null)}
+                        >
+                          Back
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button
+                          type="button"
+                          className="table-button secondary"
+                          onClick={() => startReschedule(change)}
+                          disabled={pendingId === change._id}
+                        >
+                          Reschedule
+                        </button>
+                        <button
+                          type="button"
+                          className="table-button danger"
+                          onClick={() => handleCancel(change._id)}
+                          disabled={pendingId === change._id}
+                        >
+                          {change.status === "failed" ? "Dismiss" : "Cancel"}
+                        </button>
+                      </>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
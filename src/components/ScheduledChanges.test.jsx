@@ -0,0 +1,183 @@
+/**
+ * ScheduledChanges Component Tests
+ *
+ * Unit tests for listing, rescheduling and cancelling scheduled changes.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useQuery, useMutation } from 'convex/react'
+import { ConvexError } from 'convex/values'
+import { api } from '../../convex/_generated/api'
+import useCurrentUser from '../hooks/useCurrentUser'
+import ScheduledChanges from './ScheduledChanges'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+  useMutation: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    scheduledChanges: {
+      listScheduledChanges: vi.fn(),
+      rescheduleChange: vi.fn(),
+      cancelScheduledChange: vi.fn(),
+    },
+  },
+}))
+
+// Mock the signed-in user; tests run as an editor unless they say otherwise
+vi.mock('../hooks/useCurrentUser', () => ({
+  default: vi.fn(),
+}))
+
+const signInAs = (role) =>
+  useCurrentUser.mockReturnValue({
+    user: { _id: 'user1', name: 'Alice', role },
+    can: (minimum) =>
+      ['viewer', 'editor', 'admin'].indexOf(role) >=
+      ['viewer', 'editor', 'admin'].indexOf(minimum),
+  })
+
+const runAt = new Date(2099, 0, 1, 0, 0).getTime()
+
+const changes = [
+  {
+    _id: 'change1',
+    recordId: 'abc123',
+    recordName: 'Alpha',
+    name: 'Alpha',
+    value: 150,
+    runAt,
+    status: 'pending',
+    createdByName: 'Alice',
+  },
+  {
+    _id: 'change2',
+    recordId: 'def456',
+    recordName: null,
+    name: 'Beta',
+    value: 250,
+    runAt: runAt + 60000,
+    status: 'failed',
+    error: 'Record not found or has been deleted',
+    createdByName: 'Bob',
+  },
+]
+
+// Mutation mocks by function reference
+const mockMutations = () => {
+  const reschedule = vi.fn().mockResolvedValue(null)
+  const cancel = vi.fn().mockResolvedValue(null)
+  useMutation.mockImplementation((fn) =>
+    fn === api.scheduledChanges.rescheduleChange ? reschedule : cancel
+  )
+  return { reschedule, cancel }
+}
+
+describe('ScheduledChanges Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    signInAs('editor')
+  })
+
+  it("should list every record's changes with their status", () => {
+    useQuery.mockReturnValue(changes)
+    mockMutations()
+
+    render(<ScheduledChanges />)
+
+    expect(useQuery).toHaveBeenCalledWith(api.scheduledChanges.listScheduledChanges, {})
+    expect(screen.getByRole('columnheader', { name: 'Record' })).toBeInTheDocument()
+    expect(screen.getByText(new Date(runAt).toLocaleString())).toBeInTheDocument()
+    expect(screen.getByText('Deleted record')).toBeInTheDocument()
+    expect(screen.getByText('Record not found or has been deleted')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Dismiss' })).toBeInTheDocument()
+  })
+
+  it("should list only one record's changes when given a record", () => {
+    useQuery.mockReturnValue([changes[0]])
+    mockMutations()
+
+    render(<ScheduledChanges recordId="abc123" />)
+
+    expect(useQuery).toHaveBeenCalledWith(api.scheduledChanges.listScheduledChanges, {
+      recordId: 'abc123',
+    })
+    expect(screen.queryByRole('columnheader', { name: 'Record' })).not.toBeInTheDocument()
+  })
+
+  it('should show an empty state', () => {
+    useQuery.mockReturnValue([])
+    mockMutations()
+
+    render(<ScheduledChanges recordId="abc123" />)
+
+    expect(screen.getByText('No changes scheduled for this record.')).toBeInTheDocument()
+  })
+
+  it('should reschedule a change to the chosen time', async () => {
+    const user = userEvent.setup()
+    useQuery.mockReturnValue([changes[0]])
+    const { reschedule } = mockMutations()
+
+    render(<ScheduledChanges />)
+    await user.click(screen.getByRole('button', { name: 'Reschedule' }))
+    fireEvent.change(screen.getByLabelText('New time'), {
+      target: { value: '2099-06-30T12:15' },
+    })
+    await user.click(screen.getByRole('button', { name: 'Save' }))
+
+    expect(reschedule).toHaveBeenCalledWith({
+      changeId: 'change1',
+      runAt: new Date(2099, 5, 30, 12, 15).getTime(),
+    })
+    expect(screen.queryByLabelText('New time')).not.toBeInTheDocument()
+  })
+
+  it('should keep the editor open and show why a reschedule failed', async () => {
+    const user = userEvent.setup()
+    useQuery.mockReturnValue([changes[0]])
+    const { reschedule } = mockMutations()
+    reschedule.mockRejectedValue(
+      new ConvexError({ code: 'INVALID_TIME', message: 'Pick a time in the future.' })
+    )
+
+    render(<ScheduledChanges />)
+    await user.click(screen.getByRole('button', { name: 'Reschedule' }))
+    await user.click(screen.getByRole('button', { name: 'Save' }))
+
+    expect(await screen.findByText('Pick a time in the future.')).toBeInTheDocument()
+    expect(screen.getByLabelText('New time')).toBeInTheDocument()
+  })
+
+  it('should cancel a change', async () => {
+    const user = userEvent.setup()
+    useQuery.mockReturnValue(changes)
+    const { cancel } = mockMutations()
+
+    render(<ScheduledChanges />)
+    const row = screen.getAllByRole('row')[1]
+    await user.click(within(row).getByRole('button', { name: 'Cancel' }))
+
+    expect(cancel).toHaveBeenCalledWith({ changeId: 'change1' })
+  })
+
+  it('should hide the actions from viewers', () => {
+    signInAs('viewer')
+    useQuery.mockReturnValue(changes)
+    mockMutations()
+
+    render(<ScheduledChanges />)
+
+    expect(screen.queryByRole('button', { name: 'Reschedule' })).not.toBeInTheDocument()
+  })
+})
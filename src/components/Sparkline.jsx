@@ -0,0 +1,52 @@
+import { useQuery } from "convex/react";
+import { api } from "../../convex/_generated/api";
+import { startOfDaysAgo, chartCoordinates, toPolylinePoints } from "../utils/valueSeries";
+import "../App.css";
+
+// Days of snapshots drawn, and the drawing's size in px
+const SPARKLINE_DAYS = 30;
+const WIDTH = 64;
+const HEIGHT = 18;
+
+/**
+ * Sparkline Component
+ *
+ * Tiny line chart of a record's value over the last SPARKLINE_DAYS days,
+ * for a View page row: the value snapshots
+ * (api.valueSnapshots.getValueSeries) followed by the current value, so
+ * the line always ends where the row's value is. Nothing is drawn until
+ * the record has at least one snapshot.
+ *
+ * Props:
+ * - recordId: The record
+ * - value: Its current value
+ */
+export default function Sparkline({ recordId, value }) {
+  const series = useQuery(api.valueSnapshots.getValueSeries, {
+    recordId,
+    from: startOfDaysAgo(SPARKLINE_DAYS),
+  });
+
+  if (!series || series.length === 0) {
+    return null;
+  }
+
+  const points = [...series, { takenAt: Date.now(), value }];
+  const coordinates = chartCoordinates(points, WIDTH, HEIGHT);
+  const first = series[0];
+
+  return (
+    <svg
+      className="sparkline"
+      width={WIDTH}
+      height={HEIGHT}
+      viewBox={`-1 -1 ${WIDTH + 2} ${HEIGHT + 2}`}
+      role="img"
+      aria-label={`Value trend: ${first.value} on ${new Date(
+        first.takenAt
+      ).toLocaleDateString()}, ${value} now`}
+    >
+      <polyline points={toPolylinePoints(coordinates)} />
+    </svg>
+  );
+}
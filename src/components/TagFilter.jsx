@@ -0,0 +1,101 @@
+import { useEffect } from "react";
+import { useQuery } from "convex/react";
+import { api } from "../../convex/_generated/api";
+import "../App.css";
+
+/**
+ * TagFilter Component
+ *
+ * Filter bar for narrowing a record list to tagged records. Tags are picked
+ * from a list of all tags and shown as removable chips; "Match" chooses
+ * whether a record needs every picked tag (AND) or at least one (OR).
+ * Changes apply immediately.
+ *
+ * Tags deleted or merged away while picked (or in a stale shared link) are
+ * dropped from the filter once the tag list has loaded.
+ *
+ * Props:
+ * - tagIds: IDs of the picked tags
+ * - tagMatch: "all" or "any"
+ * - onChange(tagIds, tagMatch): Called with the new filter
+ */
+export default function TagFilter({ tagIds, tagMatch, onChange }) {
+  const tags = useQuery(api.tags.listTags);
+
+  const tagsById = new Map((tags ?? []).map((tag) => [tag._id, tag]));
+  const unknownCount = tags === undefined ? 0 : tagIds.filter((id) => !tagsById.has(id)).length;
+
+  useEffect(() => {
+    if (unknownCount > 0) {
+      onChange(
+        tagIds.filter((id) => tags.some((tag) => tag._id === id)),
+        tagMatch
+      );
+    }
+  }, [unknownCount, tagIds, tagMatch, tags, onChange]);
+
+  // Nothing to filter by until some record has been tagged
+  if (tags === undefined || (tags.length === 0 && tagIds.length === 0)) {
+    return null;
+  }
+
+  const available = tags.filter((tag) => !tagIds.includes(tag._id));
+
+  return (
+    <div className="filter-bar tag-filter">
+      <label htmlFor="tag-filter">Tags:</label>
+      <select
+        id="tag-filter"
+        className="form-control"
+        value=""
+        onChange={(e) => onChange([...tagIds, e.target.value], tagMatch)}
+        disabled={available.length === 0}
+      >
+        <option value="">Add a tag...</option>
+        {available.map((tag) => (
+          <option key={tag._id} value={tag._id}>
+            {tag.name} ({tag.recordCount})
+          </option>
+        ))}
+      </select>
+      {tagIds
+        .filter((id) => tagsById.has(id))
+        .map((id) => (
+          <span key={id} className="tag-chip">
+            {tagsById.get(id).name}
+            <button
+              type="button"
+              className="tag-chip-remove"
+              onClick={() =>
+                onChange(
+                  tagIds.filter((other) => other !== id),
+                  tagMatch
+                )
+              }
+              aria-label={`Remove ${tagsById.get(id).name} filter`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      <label htmlFor="tag-match">Match:</label>
+      <select
+        id="tag-match"
+        className="form-control"
+        value={tagMatch}
+        onChange={(e) => onChange(tagIds, e.target.value)}
+      >
+        <option value="all">All tags (AND)</option>
+        <option value="any">Any tag (OR)</option>
+      </select>
+      <button
+        type="button"
+        className="table-button secondary"
+        onClick={() => onChange([], tagMatch)}
+        disabled={tagIds.length === 0}
+      >
+        Clear
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+/**
+ * TagFilter Component Tests
+ *
+ * Unit tests for picking tags and the AND/OR match of the View page's tag
+ * filter.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useQuery } from 'convex/react'
+import TagFilter from './TagFilter'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    tags: {
+      listTags: vi.fn(),
+    },
+  },
+}))
+
+const tags = [
+  { _id: 't1', name: 'budget', recordCount: 3 },
+  { _id: 't2', name: 'q3', recordCount: 1 },
+]
+
+describe('TagFilter Component', () => {
+  let onChange
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    useQuery.mockReturnValue(tags)
+    onChange = vi.fn()
+  })
+
+  it('should render nothing while there are no tags', () => {
+    useQuery.mockReturnValue([])
+    const { container } = render(<TagFilter tagIds={[]} tagMatch="all" onChange={onChange} />)
+    expect(container).toBeEmptyDOMElement()
+  })
+
+  it('should add a picked tag to the filter', async () => {
+    const user = userEvent.setup()
+    render(<TagFilter tagIds={['t1']} tagMatch="all" onChange={onChange} />)
+
+    // Already picked tags aren't offered again
+    expect(screen.queryByRole('option', { name: 'budget (3)' })).not.toBeInTheDocument()
+    await user.selectOptions(screen.getByLabelText('Tags:'), 'q3 (1)')
+
+    expect(onChange).toHaveBeenCalledWith(['t1', 't2'], 'all')
+  })
+
+  it('should remove a tag, switch the match and clear the filter', async () => {
+    const user = userEvent.setup()
+    render(<TagFilter tagIds={['t1', 't2']} tagMatch="all" onChange={onChange} />)
+
+    await user.click(screen.getByRole('button', { name: 'Remove budget filter' }))
+    expect(onChange).toHaveBeenLastCalledWith(['t2'], 'all')
+
+    await user.selectOptions(screen.getByLabelText('Match:'), 'Any tag (OR)')
+    expect(onChange).toHaveBeenLastCalledWith(['t1', 't2'], 'any')
+
+    await user.click(screen.getByRole('button', { name: 'Clear' }))
+    expect(onChange).toHaveBeenLastCalledWith([], 'all')
+  })
+
+  it('should drop tags that no longer exist', () => {
+    render(<TagFilter tagIds={['t1', 'gone']} tagMatch="any" onChange={onChange} />)
+
+    expect(onChange).toHaveBeenCalledWith(['t1'], 'any')
+  })
+})
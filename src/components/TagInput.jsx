@@ -0,0 +1,116 @@
+import { useId, useState } from "react";
+import { useQuery, useMutation } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+import "../App.css";
+
+/**
+ * TagInput Component
+ *
+ * Token input for a record's tags on the Update page. The tags are shown as
+ * chips; typing a name and pressing Enter (or a comma) adds it, creating the
+ * tag if it is new, and a chip's × or Backspace in the empty box removes
+ * one. Existing tag names are suggested as you type.
+ *
+ * Unlike the name and value, tags are saved right away
+ * (api.tags.addRecordTag / removeRecordTag), so the chips always show what
+ * everyone else sees.
+ *
+ * Props:
+ * - id: id of the text input, for an external <label htmlFor>
+ * - recordId: The record whose tags are edited
+ * - disabled: Makes the input read-only (e.g. while the record is locked)
+ */
+export default function TagInput({ id, recordId, disabled }) {
+  const suggestionsId = useId();
+  const recordTags = useQuery(api.tags.getRecordTags, { recordId });
+  const allTags = useQuery(api.tags.listTags);
+  const addRecordTag = useMutation(api.tags.addRecordTag);
+  const removeRecordTag = useMutation(api.tags.removeRecordTag);
+
+  const [input, setInput] = useState("");
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const run = async (write, failure) => {
+    setErrorMessage("");
+    try {
+      await write();
+      return true;
+    } catch (error) {
+      setErrorMessage(
+        error instanceof ConvexError ? error.data.message : `${failure}: ${error.message}`
+      );
+      return false;
+    }
+  };
+
+  const addTag = async () => {
+    const name = input.trim();
+    if (!name) {
+      return;
+    }
+    if (await run(() => addRecordTag({ recordId, name }), "Failed to add tag")) {
+      setInput("");
+    }
+  };
+
+  const removeTag = (tagId) =>
+    run(() => removeRecordTag({ recordId, tagId }), "Failed to remove tag");
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      // Enter would otherwise submit the surrounding form
+      e.preventDefault();
+      addTag();
+    } else if (e.key === "Backspace" && input === "" && recordTags?.length > 0) {
+      removeTag(recordTags[recordTags.length - 1]._id);
+    }
+  };
+
+  // Suggest the tags the record doesn't have yet
+  const carried = new Set((recordTags ?? []).map((tag) => tag._id));
+  const suggestions = (allTags ?? []).filter((tag) => !carried.has(tag._id));
+
+  return (
+    <div className="tag-input-group">
+      <div className="tag-input">
+        {(recordTags ?? []).map((tag) => (
+          <span key={tag._id} className="tag-chip">
+            {tag.name}
+            {!disabled && (
+              <button
+                type="button"
+                className="tag-chip-remove"
+                onClick={() => removeTag(tag._id)}
+                aria-label={`Remove tag ${tag.name}`}
+              >
+                ×
+              </button>
+            )}
+          </span>
+        ))}
+        <input
+          id={id}
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={addTag}
+          list={suggestionsId}
+          placeholder={recordTags === undefined ? "Loading tags..." : "Add a tag"}
+          disabled={disabled || recordTags === undefined}
+        />
+        <datalist id={suggestionsId}>
+          {suggestions.map((tag) => (
+            <option key={tag._id} value={tag.name} />
+          ))}
+        </datalist>
+      </div>
+      {errorMessage && (
+        <div className="field-error" role="alert">
+          {errorMessage}
+        </div>
+      )}
+    </div>
+  );
+}
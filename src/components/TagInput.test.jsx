@@ -0,0 +1,122 @@
+/**
+ * TagInput Component Tests
+ *
+ * Unit tests for adding and removing a record's tags with the token input.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useQuery, useMutation } from 'convex/react'
+import { ConvexError } from 'convex/values'
+import { api } from '../../convex/_generated/api'
+import TagInput from './TagInput'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+  useMutation: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    tags: {
+      getRecordTags: vi.fn(),
+      listTags: vi.fn(),
+      addRecordTag: vi.fn(),
+      removeRecordTag: vi.fn(),
+    },
+  },
+}))
+
+const recordTags = [
+  { _id: 't1', name: 'budget' },
+  { _id: 't2', name: 'q3' },
+]
+
+const allTags = [
+  ...recordTags.map((tag) => ({ ...tag, recordCount: 1 })),
+  { _id: 't3', name: 'urgent', recordCount: 4 },
+]
+
+describe('TagInput Component', () => {
+  let addRecordTag
+  let removeRecordTag
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    useQuery.mockImplementation((fn) => (fn === api.tags.getRecordTags ? recordTags : allTags))
+    addRecordTag = vi.fn().mockResolvedValue('t3')
+    removeRecordTag = vi.fn().mockResolvedValue(null)
+    useMutation.mockImplementation((fn) =>
+      fn === api.tags.addRecordTag ? addRecordTag : removeRecordTag
+    )
+  })
+
+  const renderInput = (props = {}) =>
+    render(
+      <form onSubmit={props.onSubmit ?? ((e) => e.preventDefault())}>
+        <label htmlFor="tags">Tags:</label>
+        <TagInput id="tags" recordId="abc123" {...props} />
+      </form>
+    )
+
+  it("should show the record's tags and suggest the others", () => {
+    const { container } = renderInput()
+
+    expect(useQuery).toHaveBeenCalledWith(api.tags.getRecordTags, { recordId: 'abc123' })
+    expect(screen.getByText('budget')).toBeInTheDocument()
+    expect(screen.getByText('q3')).toBeInTheDocument()
+    const suggestions = [...container.querySelectorAll('datalist option')].map((o) => o.value)
+    expect(suggestions).toEqual(['urgent'])
+  })
+
+  it('should add the typed tag on Enter without submitting the form', async () => {
+    const user = userEvent.setup()
+    const onSubmit = vi.fn((e) => e.preventDefault())
+    renderInput({ onSubmit })
+
+    await user.type(screen.getByLabelText('Tags:'), ' urgent {Enter}')
+
+    expect(addRecordTag).toHaveBeenCalledWith({ recordId: 'abc123', name: 'urgent' })
+    expect(onSubmit).not.toHaveBeenCalled()
+    expect(screen.getByLabelText('Tags:')).toHaveValue('')
+  })
+
+  it('should remove a tag with its button or Backspace in the empty box', async () => {
+    const user = userEvent.setup()
+    renderInput()
+
+    await user.click(screen.getByRole('button', { name: 'Remove tag budget' }))
+    expect(removeRecordTag).toHaveBeenCalledWith({ recordId: 'abc123', tagId: 't1' })
+
+    await user.click(screen.getByLabelText('Tags:'))
+    await user.keyboard('{Backspace}')
+    expect(removeRecordTag).toHaveBeenLastCalledWith({ recordId: 'abc123', tagId: 't2' })
+  })
+
+  it('should keep the text and show why a tag was refused', async () => {
+    const user = userEvent.setup()
+    addRecordTag.mockRejectedValue(
+      new ConvexError({ code: 'LOCKED', message: 'Bob is editing this record.' })
+    )
+    renderInput()
+
+    await user.type(screen.getByLabelText('Tags:'), 'urgent,')
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Bob is editing this record.')
+    expect(screen.getByLabelText('Tags:')).toHaveValue('urgent')
+  })
+
+  it('should be read-only when disabled', () => {
+    renderInput({ disabled: true })
+
+    expect(screen.getByLabelText('Tags:')).toBeDisabled()
+    expect(screen.queryByRole('button', { name: /Remove tag/ })).not.toBeInTheDocument()
+  })
+})
@@ -0,0 +1,45 @@
+import { useEffect } from "react";
+import "../App.css";
+
+/**
+ * UndoToast Component
+ *
+ * A small notification shown after a reversible action (such as moving a
+ * record to the trash). It offers an "Undo" button and dismisses itself
+ * after `duration` milliseconds.
+ *
+ * Props:
+ * - message: Text describing the action that just happened
+ * - onUndo: Called when the user clicks "Undo"
+ * - onDismiss: Called when the toast closes (timeout, close button or undo)
+ * - duration: Auto-dismiss delay in milliseconds (default 5000)
+ */
+export default function UndoToast({ message, onUndo, onDismiss, duration = 5000 }) {
+  // Auto-dismiss after the configured duration
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [onDismiss, duration]);
+
+  const handleUndo = () => {
+    onUndo();
+    onDismiss();
+  };
+
+  return (
+    <div className="toast" role="status">
+      <span className="toast-message">{message}</span>
+      <button type="button" className="toast-action" onClick={handleUndo}>
+        Undo
+      </button>
+      <button
+        type="button"
+        className="toast-close"
+        onClick={onDismiss}
+        aria-label="Dismiss"
+      >
+        ×
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { Link, useNavigate } from "react-router-dom";
+import useAuth from "../hooks/useAuth";
+import useCurrentUser from "../hooks/useCurrentUser";
+import NotificationMenu from "./NotificationMenu";
+import "../App.css";
+
+/**
+ * UserMenu Component
+ *
+ * Navbar area showing who is signed in and their role, their notifications
+ * (NotificationMenu) and a Sign Out button, or a Sign In link when nobody is.
+ */
+export default function UserMenu() {
+  const { signOut } = useAuth();
+  const { user } = useCurrentUser();
+  const navigate = useNavigate();
+
+  // Nothing to show until the server has confirmed who we are
+  if (user === undefined) {
+    return null;
+  }
+
+  if (user === null) {
+    return (
+      <div className="user-menu">
+        <Link to="/signin">Sign In</Link>
+      </div>
+    );
+  }
+
+  const handleSignOut = () => {
+    signOut();
+    navigate("/signin");
+  };
+
+  return (
+    <div className="user-menu">
+      <NotificationMenu />
+      <span className="user-name">
+        Signed in as <strong>{user.name}</strong>
+        <span className="role-badge">{user.role}</span>
+      </span>
+      <button type="button" className="sign-out-button" onClick={handleSignOut}>
+        Sign Out
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import { useState } from "react";
+import { useQuery } from "convex/react";
+import { api } from "../../convex/_generated/api";
+import {
+  startOfDaysAgo,
+  toDateInput,
+  fromDateInput,
+  chartCoordinates,
+  toPolylinePoints,
+} from "../utils/valueSeries";
+import "../App.css";
+
+// Range shown until the user picks another
+const DEFAULT_DAYS = 30;
+// Plot area size in SVG units, and the margin left for the axis labels
+const WIDTH = 600;
+const HEIGHT = 200;
+const MARGIN = { top: 10, right: 10, bottom: 24, left: 56 };
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+
+/**
+ * ValueChart Component
+ *
+ * Line chart of a record's value over a date range, from its value
+ * snapshots (api.valueSnapshots.getValueSeries). The From/To inputs pick
+ * the range; with no end date the line continues to the record's current
+ * value. Snapshots are live, so a new one shows up as soon as the cron job
+ * takes it.
+ *
+ * Props:
+ * - recordId: The record
+ * - value: Its current value, or undefined if there is no live record
+ */
+export default function ValueChart({ recordId, value }) {
+  const [fromInput, setFromInput] = useState(() => toDateInput(startOfDaysAgo(DEFAULT_DAYS)));
+  const [toInput, setToInput] = useState("");
+
+  const from = fromDateInput(fromInput);
+  const to = fromDateInput(toInput, true);
+  const series = useQuery(api.valueSnapshots.getValueSeries, {
+    recordId,
+    ...(from !== undefined ? { from } : {}),
+    ...(to !== undefined ? { to } : {}),
+  });
+
+  const renderChart = () => {
+    if (series === undefined) {
+      return <p className="loading-text">Loading chart...</p>;
+    }
+    if (series === null || series.length === 0) {
+      return (
+        <div className="empty-state">
+          <p>No value snapshots in this range yet. Values are recorded on a schedule.</p>
+        </div>
+      );
+    }
+
+    const points =
+      to === undefined && value !== undefined
+        ? [...series, { takenAt: Date.now(), value }]
+        : series;
+    const coordinates = chartCoordinates(points, WIDTH, HEIGHT);
+    const values = points.map((point) => point.value);
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    return (
+      <svg
+        className="value-chart"
+        viewBox={`${-MARGIN.left} ${-MARGIN.top} ${WIDTH + MARGIN.left + MARGIN.right} ${
+          HEIGHT + MARGIN.top + MARGIN.bottom
+        }`}
+        role="img"
+        aria-label={
+          `Value from ${formatDate(first.takenAt)} to ${formatDate(last.takenAt)}: ` +
+          `${series.length} ${series.length === 1 ? "snapshot" : "snapshots"}, ` +
+          `low ${low}, high ${high}`
+        }
+      >
+        <line className="value-chart-axis" x1={0} y1={HEIGHT} x2={WIDTH} y2={HEIGHT} />
+        <line className="value-chart-axis" x1={0} y1={0} x2={0} y2={HEIGHT} />
+        <text className="value-chart-label" x={-6} y={4} textAnchor="end">
+          {high}
+        </text>
+        <text className="value-chart-label" x={-6} y={HEIGHT} textAnchor="end">
+          {low}
+        </text>
+        <text className="value-chart-label" x={0} y={HEIGHT + 18}>
+          {formatDate(first.takenAt)}
+        </text>
+        <text className="value-chart-label" x={WIDTH} y={HEIGHT + 18} textAnchor="end">
+          {formatDate(last.takenAt)}
+        </text>
+        <polyline className="value-chart-line" points={toPolylinePoints(coordinates)} />
+        {coordinates.map(({ x, y, takenAt, value: pointValue }) => (
+          <circle key={takenAt} className="value-chart-point" cx={x} cy={y} r={3}>
+            <title>{`${pointValue} on ${new Date(takenAt).toLocaleString()}`}</title>
+          </circle>
+        ))}
+      </svg>
+    );
+  };
+
+  return (
+    <section className="value-chart-section">
+      <div className="filter-bar">
+        <h2>Value Over Time</h2>
+        <label htmlFor="chart-from">From:</label>
+        <input
+          id="chart-from"
+          type="date"
+          className="form-control"
+          value={fromInput}
+          onChange={(e) => setFromInput(e.target.value)}
+        />
+        <label htmlFor="chart-to">To:</label>
+        <input
+          id="chart-to"
+          type="date"
+          className="form-control"
+          value={toInput}
+          onChange={(e) => setToInput(e.target.value)}
+        />
+      </div>
+      {renderChart()}
+    </section>
+  );
+}
@@ -0,0 +1,128 @@
+/**
+ * ValueChart and Sparkline Component Tests
+ *
+ * Unit tests for charting a record's value snapshots: the date range
+ * queried, the points drawn and the line continuing to the current value.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, fireEvent } from '@testing-library/react'
+import { useQuery } from 'convex/react'
+import { api } from '../../convex/_generated/api'
+import { startOfDaysAgo, fromDateInput } from '../utils/valueSeries'
+import ValueChart from './ValueChart'
+import Sparkline from './Sparkline'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    valueSnapshots: {
+      getValueSeries: vi.fn(),
+    },
+  },
+}))
+
+const series = [
+  { takenAt: new Date(2026, 0, 10).getTime(), value: 100 },
+  { takenAt: new Date(2026, 0, 11).getTime(), value: 140 },
+  { takenAt: new Date(2026, 0, 12).getTime(), value: 120 },
+]
+
+describe('ValueChart Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should query the last 30 days by default', () => {
+    useQuery.mockReturnValue(undefined)
+
+    render(<ValueChart recordId="abc123" value={150} />)
+
+    expect(useQuery).toHaveBeenLastCalledWith(api.valueSnapshots.getValueSeries, {
+      recordId: 'abc123',
+      from: startOfDaysAgo(30),
+    })
+    expect(screen.getByText('Loading chart...')).toBeInTheDocument()
+  })
+
+  it('should query the picked date range', () => {
+    useQuery.mockReturnValue(series)
+
+    render(<ValueChart recordId="abc123" value={150} />)
+    fireEvent.change(screen.getByLabelText('From:'), { target: { value: '2026-01-01' } })
+    fireEvent.change(screen.getByLabelText('To:'), { target: { value: '2026-01-31' } })
+
+    expect(useQuery).toHaveBeenLastCalledWith(api.valueSnapshots.getValueSeries, {
+      recordId: 'abc123',
+      from: fromDateInput('2026-01-01'),
+      to: fromDateInput('2026-01-31', true),
+    })
+  })
+
+  it('should plot every snapshot and continue to the current value', () => {
+    useQuery.mockReturnValue(series)
+
+    const { container } = render(<ValueChart recordId="abc123" value={150} />)
+
+    const chart = screen.getByRole('img')
+    expect(chart).toHaveAccessibleName(/3 snapshots, low 100, high 150$/)
+    expect(container.querySelectorAll('circle')).toHaveLength(4)
+  })
+
+  it('should end at the last snapshot when the range has an end date', () => {
+    useQuery.mockReturnValue(series)
+
+    const { container } = render(<ValueChart recordId="abc123" value={150} />)
+    fireEvent.change(screen.getByLabelText('To:'), { target: { value: '2026-01-31' } })
+
+    expect(screen.getByRole('img')).toHaveAccessibleName(/3 snapshots, low 100, high 140$/)
+    expect(container.querySelectorAll('circle')).toHaveLength(3)
+  })
+
+  it('should explain an empty range', () => {
+    useQuery.mockReturnValue([])
+
+    render(<ValueChart recordId="abc123" value={150} />)
+
+    expect(screen.getByText(/No value snapshots in this range yet/)).toBeInTheDocument()
+    expect(screen.queryByRole('img')).not.toBeInTheDocument()
+  })
+})
+
+describe('Sparkline Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should draw the snapshots followed by the current value', () => {
+    useQuery.mockReturnValue(series)
+
+    const { container } = render(<Sparkline recordId="abc123" value={150} />)
+
+    expect(useQuery).toHaveBeenLastCalledWith(api.valueSnapshots.getValueSeries, {
+      recordId: 'abc123',
+      from: startOfDaysAgo(30),
+    })
+    expect(screen.getByRole('img')).toHaveAccessibleName(
+      `Value trend: 100 on ${new Date(2026, 0, 10).toLocaleDateString()}, 150 now`
+    )
+    expect(container.querySelector('polyline').getAttribute('points').split(' ')).toHaveLength(4)
+  })
+
+  it('should draw nothing without snapshots', () => {
+    useQuery.mockReturnValue([])
+
+    const { container } = render(<Sparkline recordId="abc123" value={150} />)
+
+    expect(container).toBeEmptyDOMElement()
+  })
+})
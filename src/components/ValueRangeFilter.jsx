@@ -0,0 +1,76 @@
+import { useEffect, useState } from "react";
+import "../App.css";
+
+/**
+ * ValueRangeFilter Component
+ *
+ * Filter bar for narrowing a record list to a value range. The inputs are
+ * edited locally and only applied on submit, so the (server-side) query
+ * isn't restarted on every keystroke.
+ *
+ * Props:
+ * - valueMin / valueMax: The currently applied bounds (undefined = unbounded)
+ * - onApply(min, max): Called with the new bounds; either may be undefined
+ */
+export default function ValueRangeFilter({ valueMin, valueMax, onApply }) {
+  const [minInput, setMinInput] = useState(valueMin ?? "");
+  const [maxInput, setMaxInput] = useState(valueMax ?? "");
+
+  // Keep the inputs in sync when the applied range changes from outside
+  // (e.g. browser back/forward through URL history)
+  useEffect(() => {
+    setMinInput(valueMin ?? "");
+    setMaxInput(valueMax ?? "");
+  }, [valueMin, valueMax]);
+
+  const toBound = (input) => (input === "" ? undefined : Number(input));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(toBound(minInput), toBound(maxInput));
+  };
+
+  const handleClear = () => {
+    setMinInput("");
+    setMaxInput("");
+    onApply(undefined, undefined);
+  };
+
+  const isFiltered = valueMin !== undefined || valueMax !== undefined;
+
+  return (
+    <form className="filter-bar" onSubmit={handleSubmit}>
+      <label htmlFor="value-min">Min value:</label>
+      <input
+        id="value-min"
+        type="number"
+        step="any"
+        className="form-control"
+        value={minInput}
+        onChange={(e) => setMinInput(e.target.value)}
+        placeholder="No minimum"
+      />
+      <label htmlFor="value-max">Max value:</label>
+      <input
+        id="value-max"
+        type="number"
+        step="any"
+        className="form-control"
+        value={maxInput}
+        onChange={(e) => setMaxInput(e.target.value)}
+        placeholder="No maximum"
+      />
+      <button type="submit" className="table-button">
+        Apply
+      </button>
+      <button
+        type="button"
+        className="table-button secondary"
+        onClick={handleClear}
+        disabled={!isFiltered && minInput === "" && maxInput === ""}
+      >
+        Clear
+      </button>
+    </form>
+  );
+}
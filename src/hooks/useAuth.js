@@ -0,0 +1,25 @@
+import { createContext, useContext } from "react";
+
+/**
+ * Context holding the sign-in state; provided by <AuthProvider>.
+ */
+export const AuthContext = createContext(null);
+
+/**
+ * useAuth Hook
+ *
+ * Returns the sign-in state and actions from the nearest <AuthProvider>:
+ * - isLoading, isAuthenticated, fetchAccessToken: the shape
+ *   ConvexProviderWithAuth expects from its useAuth prop
+ * - user: { id, name } of the signed-in user, or null
+ * - signIn(name, password), signUp(name, password), signOut()
+ *
+ * @returns The auth context value
+ */
+export default function useAuth() {
+  const auth = useContext(AuthContext);
+  if (auth === null) {
+    throw new Error("useAuth must be used inside <AuthProvider>");
+  }
+  return auth;
+}
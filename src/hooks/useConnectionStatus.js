@@ -0,0 +1,47 @@
+import { createContext, useContext } from "react";
+
+// Failed connection attempts after which the backend counts as unreachable
+export const OFFLINE_AFTER_RETRIES = 3;
+
+/**
+ * Context holding the connection status; provided by <ConnectionProvider>.
+ */
+export const ConnectionContext = createContext(null);
+
+// Reported when there is no provider (e.g. a component rendered on its own in a test)
+const CONNECTED = { status: "connected", pendingMutations: 0, hasEverConnected: true };
+
+/**
+ * Sum up a ConvexReactClient ConnectionState as one of:
+ * - "connected": the WebSocket is open
+ * - "offline": the browser has no network, or the backend refused every
+ *   attempt so far (not running, or the deployment URL is wrong)
+ * - "reconnecting": anything in between, including the first connection
+ *
+ * @param state - client.connectionState()
+ * @param isOnline - navigator.onLine
+ * @returns "connected" | "reconnecting" | "offline"
+ */
+export function connectionStatusOf(state, isOnline) {
+  if (state.isWebSocketConnected) {
+    return "connected";
+  }
+  if (!isOnline || state.connectionRetries >= OFFLINE_AFTER_RETRIES) {
+    return "offline";
+  }
+  return "reconnecting";
+}
+
+/**
+ * useConnectionStatus Hook
+ *
+ * Returns the connection state from the nearest <ConnectionProvider>:
+ * - status: "connected", "reconnecting" or "offline" (see connectionStatusOf)
+ * - pendingMutations: Mutations sent but not yet confirmed by the server
+ * - hasEverConnected: False until the first connection succeeds
+ *
+ * @returns The connection context value
+ */
+export default function useConnectionStatus() {
+  return useContext(ConnectionContext) ?? CONNECTED;
+}
@@ -0,0 +1,27 @@
+import { useQuery } from "convex/react";
+import { api } from "../../convex/_generated/api";
+
+// Position of each role in the hierarchy; mirrors ROLE_RANK in convex/roles.ts
+const ROLE_RANK = { viewer: 0, editor: 1, admin: 2 };
+
+/**
+ * Whether `role` grants at least the permissions of `minimum`.
+ */
+export const hasRole = (role, minimum) => ROLE_RANK[role] >= ROLE_RANK[minimum];
+
+/**
+ * useCurrentUser Hook
+ *
+ * The signed-in user as the server sees them (api.auth.currentUser), with a
+ * helper for role checks. The server enforces every permission itself; the
+ * UI uses this only to hide or disable actions the user can't take.
+ *
+ * @returns {{ user, can }}
+ * - user: undefined while loading, null when signed out, else { _id, name, role }
+ * - can(minimum): true if the user's role is at least `minimum`
+ */
+export default function useCurrentUser() {
+  const user = useQuery(api.auth.currentUser);
+  const can = (minimum) => Boolean(user) && hasRole(user.role, minimum);
+  return { user, can };
+}
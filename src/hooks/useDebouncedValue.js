@@ -0,0 +1,23 @@
+import { useEffect, useState } from "react";
+
+/**
+ * useDebouncedValue Hook
+ *
+ * Returns `value` once it has stopped changing for `delay` milliseconds.
+ * Used to keep search boxes from starting a new Convex query subscription
+ * on every keystroke.
+ *
+ * @param value - The rapidly changing input value
+ * @param delay - Quiet period in milliseconds (default 300)
+ * @returns The last value that stayed unchanged for `delay` ms
+ */
+export default function useDebouncedValue(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+}
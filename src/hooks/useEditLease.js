@@ -0,0 +1,111 @@
+import { useEffect, useMemo, useState } from "react";
+import { useMutation, useQuery } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+import useCurrentUser from "./useCurrentUser";
+
+// How often a held lease is renewed; well within LEASE_DURATION in convex/leases.ts
+export const LEASE_RENEW_INTERVAL = 20 * 1000;
+
+/**
+ * useEditLease Hook
+ *
+ * Holds the edit lease (api.leases.acquireLease) on `recordId` while it is
+ * set: acquires it right away, renews it every LEASE_RENEW_INTERVAL and
+ * releases it when recordId changes, the component unmounts or the tab is
+ * closed (pagehide). While another user holds the lease, each renewal
+ * retries, so the lock is picked up as soon as they let go.
+ *
+ * @param recordId - The record to lock, or a falsy value for none
+ * @returns {{ status, holder, takeOver }}
+ * - status: "idle" (no record), "acquiring", "held" or "locked"
+ * - holder: Name of the user holding the lock when status is "locked"
+ * - takeOver(): Admins only; breaks the other user's lease and takes it
+ */
+export default function useEditLease(recordId) {
+  const acquireLease = useMutation(api.leases.acquireLease);
+  const releaseLease = useMutation(api.leases.releaseLease);
+  const breakLease = useMutation(api.leases.breakLease);
+
+  // Outcome of the latest acquire attempt, for the record it was made for
+  const [lease, setLease] = useState({ recordId: null, status: "idle", holder: null });
+
+  useEffect(() => {
+    if (!recordId) {
+      return undefined;
+    }
+    let isCurrent = true;
+
+    const renew = async () => {
+      try {
+        await acquireLease({ recordId });
+        if (isCurrent) {
+          setLease({ recordId, status: "held", holder: null });
+        }
+      } catch (error) {
+        if (isCurrent && error instanceof ConvexError && error.data?.code === "LOCKED") {
+          setLease({ recordId, status: "locked", holder: error.data.holder });
+        }
+        // Other failures (e.g. a dropped connection) are retried on the next renewal
+      }
+    };
+    renew();
+    const timer = setInterval(renew, LEASE_RENEW_INTERVAL);
+
+    // Releasing a lease someone else holds is a no-op on the server
+    const release = () => {
+      releaseLease({ recordId }).catch(() => {});
+    };
+    window.addEventListener("pagehide", release);
+    return () => {
+      isCurrent = false;
+      clearInterval(timer);
+      window.removeEventListener("pagehide", release);
+      release();
+    };
+  }, [recordId, acquireLease, releaseLease]);
+
+  const takeOver = async () => {
+    await breakLease({ recordId });
+    setLease({ recordId, status: "held", holder: null });
+  };
+
+  if (!recordId) {
+    return { status: "idle", holder: null, takeOver };
+  }
+  if (lease.recordId !== recordId) {
+    return { status: "acquiring", holder: null, takeOver };
+  }
+  return { status: lease.status, holder: lease.holder, takeOver };
+}
+
+/**
+ * useRecordLocks Hook
+ *
+ * Records other users currently hold a lease on (api.leases.listLeases),
+ * for lock icons in the record selector. Leases past their expiresAt are
+ * dropped; the clock is re-read every LEASE_RENEW_INTERVAL, since a query
+ * result doesn't change just because time passes.
+ *
+ * @returns Map of record ID to the name of the user holding its lease
+ */
+export function useRecordLocks() {
+  const { user } = useCurrentUser();
+  const leases = useQuery(api.leases.listLeases, user ? {} : "skip");
+
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), LEASE_RENEW_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  return useMemo(
+    () =>
+      new Map(
+        (leases ?? [])
+          .filter((lease) => lease.expiresAt > now && lease.userId !== user?._id)
+          .map((lease) => [lease.recordId, lease.holder])
+      ),
+    [leases, now, user?._id]
+  );
+}
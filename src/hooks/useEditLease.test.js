@@ -0,0 +1,156 @@
+/**
+ * useEditLease Hook Tests
+ *
+ * Unit tests for acquiring, renewing and releasing edit leases, and for the
+ * lock list shown in the record selector.
+ *
+ * References:
+ * - Testing Library renderHook: https://testing-library.com/docs/react-testing-library/api#renderhook
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { renderHook, act } from '@testing-library/react'
+import { useQuery, useMutation } from 'convex/react'
+import { ConvexError } from 'convex/values'
+import { api } from '../../convex/_generated/api'
+import useCurrentUser from './useCurrentUser'
+import useEditLease, { useRecordLocks, LEASE_RENEW_INTERVAL } from './useEditLease'
+
+vi.mock('./useCurrentUser', () => ({
+  default: vi.fn(),
+}))
+
+const lockedError = (holder) =>
+  new ConvexError({ code: 'LOCKED', message: `${holder} is editing this record.`, holder })
+
+describe('useEditLease Hook', () => {
+  let acquireLease
+  let releaseLease
+  let breakLease
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+    acquireLease = vi.fn().mockResolvedValue({ expiresAt: 0 })
+    releaseLease = vi.fn().mockResolvedValue(null)
+    breakLease = vi.fn().mockResolvedValue({ expiresAt: 0 })
+    useMutation.mockImplementation((ref) =>
+      ref === api.leases.acquireLease
+        ? acquireLease
+        : ref === api.leases.releaseLease
+          ? releaseLease
+          : breakLease
+    )
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should stay idle without a record', () => {
+    const { result } = renderHook(() => useEditLease(''))
+
+    expect(result.current.status).toBe('idle')
+    expect(acquireLease).not.toHaveBeenCalled()
+  })
+
+  it('should acquire the lease and renew it while the record is open', async () => {
+    const { result } = renderHook(() => useEditLease('abc123'))
+
+    expect(result.current.status).toBe('acquiring')
+    await act(async () => {})
+    expect(result.current.status).toBe('held')
+    expect(acquireLease).toHaveBeenCalledWith({ recordId: 'abc123' })
+
+    await act(async () => {
+      vi.advanceTimersByTime(LEASE_RENEW_INTERVAL)
+    })
+    expect(acquireLease).toHaveBeenCalledTimes(2)
+  })
+
+  it('should release the lease on record change, unmount and tab close', async () => {
+    const { rerender, unmount } = renderHook(({ id }) => useEditLease(id), {
+      initialProps: { id: 'abc123' },
+    })
+    await act(async () => {})
+
+    window.dispatchEvent(new Event('pagehide'))
+    expect(releaseLease).toHaveBeenLastCalledWith({ recordId: 'abc123' })
+
+    rerender({ id: 'def456' })
+    expect(releaseLease).toHaveBeenCalledTimes(2)
+    expect(acquireLease).toHaveBeenLastCalledWith({ recordId: 'def456' })
+
+    unmount()
+    expect(releaseLease).toHaveBeenLastCalledWith({ recordId: 'def456' })
+  })
+
+  it('should report who holds a locked record and take it over on request', async () => {
+    acquireLease.mockRejectedValue(lockedError('Ana'))
+    const { result } = renderHook(() => useEditLease('abc123'))
+    await act(async () => {})
+
+    expect(result.current).toMatchObject({ status: 'locked', holder: 'Ana' })
+
+    await act(async () => {
+      await result.current.takeOver()
+    })
+    expect(breakLease).toHaveBeenCalledWith({ recordId: 'abc123' })
+    expect(result.current.status).toBe('held')
+  })
+
+  it('should keep retrying a locked record until it is free', async () => {
+    acquireLease.mockRejectedValueOnce(lockedError('Ana'))
+    const { result } = renderHook(() => useEditLease('abc123'))
+    await act(async () => {})
+    expect(result.current.status).toBe('locked')
+
+    await act(async () => {
+      vi.advanceTimersByTime(LEASE_RENEW_INTERVAL)
+    })
+    expect(result.current.status).toBe('held')
+  })
+})
+
+describe('useRecordLocks Hook', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+    vi.setSystemTime(1_000_000)
+    useCurrentUser.mockReturnValue({ user: { _id: 'me', name: 'Me', role: 'editor' } })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it("should map records to other users' active leases", () => {
+    useQuery.mockReturnValue([
+      { recordId: 'r1', userId: 'u1', holder: 'Ana', expiresAt: 1_000_000 + LEASE_RENEW_INTERVAL },
+      { recordId: 'r2', userId: 'me', holder: 'Me', expiresAt: 1_000_000 + LEASE_RENEW_INTERVAL },
+      { recordId: 'r3', userId: 'u2', holder: 'Ben', expiresAt: 999_999 },
+    ])
+
+    const { result } = renderHook(() => useRecordLocks())
+
+    expect(useQuery).toHaveBeenCalledWith(api.leases.listLeases, {})
+    expect([...result.current]).toEqual([['r1', 'Ana']])
+
+    // The remaining lease runs out
+    act(() => {
+      vi.advanceTimersByTime(LEASE_RENEW_INTERVAL)
+    })
+    expect(result.current.size).toBe(0)
+  })
+
+  it('should skip the query while signed out', () => {
+    useCurrentUser.mockReturnValue({ user: null })
+    useQuery.mockReturnValue(undefined)
+
+    const { result } = renderHook(() => useRecordLocks())
+
+    expect(useQuery).toHaveBeenCalledWith(api.leases.listLeases, 'skip')
+    expect(result.current.size).toBe(0)
+  })
+})
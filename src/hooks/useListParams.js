@@ -0,0 +1,115 @@
+import { useSearchParams } from "react-router-dom";
+
+// URL value -> listMockData sortField. "created" keeps URLs readable.
+const SORT_FIELDS = {
+  created: "_creationTime",
+  name: "name",
+  value: "value",
+};
+
+const DEFAULT_SORT = "created";
+const DEFAULT_DIRECTION = "asc";
+const DEFAULT_TAG_MATCH = "all";
+
+// Parse an optional numeric bound from the URL, ignoring anything non-numeric
+const parseBound = (raw) => {
+  if (raw === null || raw.trim() === "") {
+    return undefined;
+  }
+  const parsed = Number(raw);
+  return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+/**
+ * useListParams Hook
+ *
+ * Keeps the View page's sort, value-range filter and tag filter in the URL
+ * query string (`?sort=value&dir=desc&min=10&max=200&tags=id1,id2&match=any`)
+ * so a filtered, sorted view can be bookmarked or shared, and the browser
+ * back button restores it.
+ *
+ * Default values (sort by creation time, ascending, no range, no tags,
+ * matching all tags) are left out of the URL entirely.
+ *
+ * @returns {{
+ *   sort: "created" | "name" | "value",
+ *   direction: "asc" | "desc",
+ *   valueMin: number | undefined,
+ *   valueMax: number | undefined,
+ *   tagIds: string[],
+ *   tagMatch: "all" | "any",
+ *   queryArgs: object,
+ *   toggleSort: (sort: string) => void,
+ *   setValueRange: (min: number | undefined, max: number | undefined) => void,
+ *   setTagFilter: (tagIds: string[], tagMatch: "all" | "any") => void,
+ * }}
+ * queryArgs is ready to pass to api.functions.listMockData.
+ */
+export default function useListParams() {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const rawSort = searchParams.get("sort");
+  const sort = Object.hasOwn(SORT_FIELDS, rawSort) ? rawSort : DEFAULT_SORT;
+  const direction = searchParams.get("dir") === "desc" ? "desc" : DEFAULT_DIRECTION;
+  const valueMin = parseBound(searchParams.get("min"));
+  const valueMax = parseBound(searchParams.get("max"));
+  const tagIds = (searchParams.get("tags") ?? "").split(",").filter(Boolean);
+  const tagMatch = searchParams.get("match") === "any" ? "any" : DEFAULT_TAG_MATCH;
+
+  const queryArgs = {
+    sortField: SORT_FIELDS[sort],
+    sortDirection: direction,
+    ...(valueMin !== undefined ? { valueMin } : {}),
+    ...(valueMax !== undefined ? { valueMax } : {}),
+    ...(tagIds.length > 0 ? { tagIds, tagMatch } : {}),
+  };
+
+  // Write the given keys to the URL, dropping empty and default values
+  const updateParams = (updates) => {
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        for (const [key, value] of Object.entries(updates)) {
+          if (value === undefined || value === "") {
+            next.delete(key);
+          } else {
+            next.set(key, String(value));
+          }
+        }
+        if (next.get("sort") === DEFAULT_SORT) next.delete("sort");
+        if (next.get("dir") === DEFAULT_DIRECTION) next.delete("dir");
+        if (next.get("match") === DEFAULT_TAG_MATCH) next.delete("match");
+        return next;
+      },
+      { replace: true }
+    );
+  };
+
+  // Clicking the active column flips its direction; a new column starts ascending
+  const toggleSort = (nextSort) => {
+    const nextDirection =
+      nextSort === sort && direction === "asc" ? "desc" : "asc";
+    updateParams({ sort: nextSort, dir: nextDirection });
+  };
+
+  const setValueRange = (min, max) => {
+    updateParams({ min, max });
+  };
+
+  const setTagFilter = (nextTagIds, nextTagMatch) => {
+    updateParams({ tags: nextTagIds.join(","), match: nextTagMatch });
+  };
+
+  return {
+    sort,
+    direction,
+    valueMin,
+    valueMax,
+    tagIds,
+    tagMatch,
+    queryArgs,
+    toggleSort,
+    setValueRange,
+    setTagFilter,
+  };
+}
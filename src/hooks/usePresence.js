@@ -0,0 +1,113 @@
+import { useEffect, useMemo, useState } from "react";
+import { useMutation, useQuery } from "convex/react";
+import { api } from "../../convex/_generated/api";
+import useCurrentUser from "./useCurrentUser";
+
+// How often an open View or Update page tells the server it is still there
+export const HEARTBEAT_INTERVAL = 10 * 1000;
+// Entries not refreshed for this long count as gone; allows for two missed heartbeats
+export const PRESENCE_TIMEOUT = 3 * HEARTBEAT_INTERVAL;
+
+// Random ID for this browser tab, so several tabs of one user are told apart
+const createSessionId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+export const sessionId = createSessionId();
+
+/**
+ * usePresenceHeartbeat Hook
+ *
+ * Announces that this tab is on `page` (and editing `recordId`) via
+ * api.presence.heartbeat: once right away, again whenever page or record
+ * change, and every HEARTBEAT_INTERVAL while mounted. The entry is removed
+ * when the page unmounts or the tab is closed (pagehide); tabs that vanish
+ * without that are cleaned up by the server's stale-presence cron.
+ *
+ * Presence is best-effort, so failed heartbeats are ignored.
+ *
+ * @param page - "view" or "update"
+ * @param recordId - ID of the record being edited, if any
+ */
+export function usePresenceHeartbeat(page, recordId) {
+  const heartbeat = useMutation(api.presence.heartbeat);
+  const leavePresence = useMutation(api.presence.leavePresence);
+
+  useEffect(() => {
+    const beat = () =>
+      heartbeat({ sessionId, page, ...(recordId ? { recordId } : {}) }).catch(
+        () => {}
+      );
+    beat();
+    const timer = setInterval(beat, HEARTBEAT_INTERVAL);
+    return () => clearInterval(timer);
+  }, [heartbeat, page, recordId]);
+
+  useEffect(() => {
+    const leave = () => {
+      leavePresence({ sessionId }).catch(() => {});
+    };
+    window.addEventListener("pagehide", leave);
+    return () => {
+      window.removeEventListener("pagehide", leave);
+      leave();
+    };
+  }, [leavePresence]);
+}
+
+// One entry per user (a user may have several tabs open), in list order
+const distinctUsers = (entries) => {
+  const users = new Map();
+  for (const entry of entries) {
+    if (!users.has(entry.userId)) {
+      users.set(entry.userId, { userId: entry.userId, name: entry.name });
+    }
+  }
+  return [...users.values()];
+};
+
+/**
+ * usePresence Hook
+ *
+ * Who is online right now, from api.presence.listPresence. Entries whose
+ * last heartbeat is older than PRESENCE_TIMEOUT are dropped; the clock is
+ * re-read every HEARTBEAT_INTERVAL, since a query result doesn't change
+ * just because time passes. Nothing is fetched while signed out.
+ *
+ * @returns {{ online, editing }}
+ * - online: Distinct users with an open View or Update page, [{ userId, name }]
+ * - editing: Map of record ID to the users editing it on the Update page,
+ *   not counting this tab
+ */
+export default function usePresence() {
+  const { can } = useCurrentUser();
+  const entries = useQuery(api.presence.listPresence, can("viewer") ? {} : "skip");
+
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), HEARTBEAT_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  return useMemo(() => {
+    const fresh = (entries ?? []).filter(
+      (entry) => entry.lastSeen > now - PRESENCE_TIMEOUT
+    );
+
+    const editingEntries = new Map();
+    for (const entry of fresh) {
+      if (entry.page === "update" && entry.recordId && entry.sessionId !== sessionId) {
+        editingEntries.set(entry.recordId, [
+          ...(editingEntries.get(entry.recordId) ?? []),
+          entry,
+        ]);
+      }
+    }
+    const editing = new Map(
+      [...editingEntries].map(([recordId, list]) => [recordId, distinctUsers(list)])
+    );
+
+    return { online: distinctUsers(fresh), editing };
+  }, [entries, now]);
+}
@@ -0,0 +1,155 @@
+/**
+ * usePresence Hook Tests
+ *
+ * Unit tests for the presence heartbeat and the online/editing lists.
+ *
+ * References:
+ * - Testing Library renderHook: https://testing-library.com/docs/react-testing-library/api#renderhook
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { renderHook, act } from '@testing-library/react'
+import { useQuery, useMutation } from 'convex/react'
+import { api } from '../../convex/_generated/api'
+import useCurrentUser from './useCurrentUser'
+import usePresence, {
+  usePresenceHeartbeat,
+  sessionId,
+  HEARTBEAT_INTERVAL,
+  PRESENCE_TIMEOUT,
+} from './usePresence'
+
+vi.mock('./useCurrentUser', () => ({
+  default: vi.fn(),
+}))
+
+const signedIn = (isSignedIn) =>
+  useCurrentUser.mockReturnValue({ user: null, can: () => isSignedIn })
+
+describe('usePresenceHeartbeat Hook', () => {
+  let heartbeat
+  let leavePresence
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+    heartbeat = vi.fn().mockResolvedValue(null)
+    leavePresence = vi.fn().mockResolvedValue(null)
+    useMutation.mockImplementation((ref) =>
+      ref === api.presence.heartbeat ? heartbeat : leavePresence
+    )
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should send a heartbeat right away and then on every interval', () => {
+    renderHook(() => usePresenceHeartbeat('view'))
+
+    expect(heartbeat).toHaveBeenCalledTimes(1)
+    expect(heartbeat).toHaveBeenCalledWith({ sessionId, page: 'view' })
+
+    act(() => {
+      vi.advanceTimersByTime(2 * HEARTBEAT_INTERVAL)
+    })
+    expect(heartbeat).toHaveBeenCalledTimes(3)
+  })
+
+  it('should send a heartbeat as soon as the edited record changes', () => {
+    const { rerender } = renderHook(
+      ({ recordId }) => usePresenceHeartbeat('update', recordId),
+      { initialProps: { recordId: undefined } }
+    )
+
+    rerender({ recordId: 'abc123' })
+
+    expect(heartbeat).toHaveBeenCalledTimes(2)
+    expect(heartbeat).toHaveBeenLastCalledWith({
+      sessionId,
+      page: 'update',
+      recordId: 'abc123',
+    })
+    expect(leavePresence).not.toHaveBeenCalled()
+  })
+
+  it('should leave on unmount and when the tab is closed', () => {
+    const { unmount } = renderHook(() => usePresenceHeartbeat('view'))
+
+    window.dispatchEvent(new Event('pagehide'))
+    expect(leavePresence).toHaveBeenCalledWith({ sessionId })
+
+    unmount()
+    expect(leavePresence).toHaveBeenCalledTimes(2)
+
+    // No more heartbeats once unmounted
+    act(() => {
+      vi.advanceTimersByTime(HEARTBEAT_INTERVAL)
+    })
+    expect(heartbeat).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('usePresence Hook', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers()
+    vi.setSystemTime(1_000_000)
+    signedIn(true)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const entry = (fields) => ({ page: 'view', lastSeen: 1_000_000, ...fields })
+
+  it('should skip the query while signed out', () => {
+    signedIn(false)
+    useQuery.mockReturnValue(undefined)
+
+    const { result } = renderHook(() => usePresence())
+
+    expect(useQuery).toHaveBeenCalledWith(api.presence.listPresence, 'skip')
+    expect(result.current.online).toEqual([])
+    expect(result.current.editing.size).toBe(0)
+  })
+
+  it('should list each online user once and group editors by record', () => {
+    useQuery.mockReturnValue([
+      entry({ sessionId: 's1', userId: 'u1', name: 'Ana', page: 'update', recordId: 'r1' }),
+      entry({ sessionId: 's2', userId: 'u1', name: 'Ana', page: 'update', recordId: 'r1' }),
+      entry({ sessionId: 's3', userId: 'u2', name: 'Ben', page: 'update', recordId: 'r1' }),
+      entry({ sessionId: 's4', userId: 'u3', name: 'Cy' }),
+      // This tab doesn't count as someone else editing
+      entry({ sessionId, userId: 'u4', name: 'Me', page: 'update', recordId: 'r2' }),
+    ])
+
+    const { result } = renderHook(() => usePresence())
+
+    expect(useQuery).toHaveBeenCalledWith(api.presence.listPresence, {})
+    expect(result.current.online.map((user) => user.name)).toEqual(['Ana', 'Ben', 'Cy', 'Me'])
+    expect(result.current.editing.get('r1')).toEqual([
+      { userId: 'u1', name: 'Ana' },
+      { userId: 'u2', name: 'Ben' },
+    ])
+    expect(result.current.editing.has('r2')).toBe(false)
+  })
+
+  it('should drop entries once their heartbeats stop', () => {
+    useQuery.mockReturnValue([
+      entry({ sessionId: 's1', userId: 'u1', name: 'Ana' }),
+      entry({ sessionId: 's2', userId: 'u2', name: 'Ben', lastSeen: 1_000_000 - PRESENCE_TIMEOUT }),
+    ])
+
+    const { result } = renderHook(() => usePresence())
+    expect(result.current.online.map((user) => user.name)).toEqual(['Ana'])
+
+    // Time passes without new heartbeats
+    act(() => {
+      vi.advanceTimersByTime(PRESENCE_TIMEOUT)
+    })
+    expect(result.current.online).toEqual([])
+  })
+})
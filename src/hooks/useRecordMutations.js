@@ -0,0 +1,186 @@
+import { createContext, useCallback, useContext, useMemo } from "react";
+import { useMutation } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+
+/**
+ * Record Mutations with Optimistic Updates
+ *
+ * Convex only changes query results optimistically when a mutation is given
+ * an optimistic update (useMutation(...).withOptimisticUpdate). These hooks
+ * wrap updateMockData, createMockData and deleteMockData with one each, so
+ * the change shows in every loaded record list the moment it is made rather
+ * than after the round trip:
+ * - update: the record is changed in getMockData, listMockData and
+ *   searchMockData results, and in getMockDataById (the Update page's
+ *   selected record)
+ * - create: the record is appended to getMockData, and to listMockData
+ *   results that list every record by creation time (the View page's
+ *   default order): at the end of the final page oldest first, at the start
+ *   of the first page newest first. Lists that are filtered or sorted by
+ *   another field, and search results, wait for the server, since where the
+ *   record belongs there depends on its values or ranking
+ * - delete: the record is removed from all three
+ *
+ * Changed and created records carry `_pending: true` until the server's
+ * result replaces them, so lists can style unconfirmed rows.
+ *
+ * If the server rejects the write, Convex drops the optimistic change and
+ * the lists snap back. So that doesn't go unnoticed, the failure is reported
+ * to the nearest <RollbackProvider> (which shows a notice) before the
+ * returned promise rejects as usual.
+ *
+ * References:
+ * - Convex Optimistic Updates: https://docs.convex.dev/client/react/optimistic-updates
+ */
+
+/**
+ * Context holding the rollback reporter; provided by <RollbackProvider>.
+ */
+export const RollbackContext = createContext(null);
+
+// Apply `change` to the records of every loaded result of `query`;
+// listMockData results are pages, the others plain arrays
+const changeRecords = (localStore, query, change) => {
+  for (const { args, value } of localStore.getAllQueries(query)) {
+    if (value !== undefined) {
+      localStore.setQuery(
+        query,
+        args,
+        query === api.functions.listMockData ? { ...value, page: change(value.page) } : change(value)
+      );
+    }
+  }
+};
+
+const changeAllRecordLists = (localStore, change) => {
+  changeRecords(localStore, api.functions.getMockData, change);
+  changeRecords(localStore, api.functions.listMockData, change);
+  changeRecords(localStore, api.functions.searchMockData, change);
+};
+
+/**
+ * Optimistic update for updateMockData: the record takes its new name and
+ * value, and the revision the server is about to give it.
+ */
+export function optimisticUpdate(localStore, { id, name, value }) {
+  const change = (record) =>
+    record._id === id
+      ? { ...record, name, value, revision: (record.revision ?? 0) + 1, _pending: true }
+      : record;
+  changeAllRecordLists(localStore, (records) => records.map(change));
+  for (const { args, value: record } of localStore.getAllQueries(api.functions.getMockDataById)) {
+    if (record) {
+      localStore.setQuery(api.functions.getMockDataById, args, change(record));
+    }
+  }
+}
+
+// A listMockData result that lists every live record by creation time, so a
+// new record (the newest) has a known place in it
+const listsByCreation = (args) =>
+  (args.sortField ?? "_creationTime") === "_creationTime" &&
+  args.valueMin === undefined &&
+  args.valueMax === undefined &&
+  !(args.tagIds?.length > 0);
+
+/**
+ * Optimistic update for createMockData: a placeholder record under a
+ * temporary ID at the end of getMockData (which lists records oldest
+ * first), and where it belongs in unfiltered listMockData pages in creation
+ * order. Only the page it belongs on is changed: the final page when oldest
+ * first (once it is loaded), the first page when newest first.
+ */
+export function optimisticCreate(localStore, args) {
+  const record = {
+    _id: `pending-${crypto.randomUUID()}`,
+    _creationTime: Date.now(),
+    ...args,
+    revision: 0,
+    _pending: true,
+  };
+  changeRecords(localStore, api.functions.getMockData, (records) => [...records, record]);
+
+  const listed = { ...record, tags: [] };
+  for (const { args: listArgs, value } of localStore.getAllQueries(api.functions.listMockData)) {
+    if (value === undefined || !listsByCreation(listArgs)) {
+      continue;
+    }
+    if (listArgs.sortDirection === "desc") {
+      if (listArgs.paginationOpts.cursor === null) {
+        localStore.setQuery(api.functions.listMockData, listArgs, {
+          ...value,
+          page: [listed, ...value.page],
+        });
+      }
+    } else if (value.isDone) {
+      localStore.setQuery(api.functions.listMockData, listArgs, {
+        ...value,
+        page: [...value.page, listed],
+      });
+    }
+  }
+}
+
+/**
+ * Optimistic update for deleteMockData: the record leaves every list.
+ */
+export function optimisticDelete(localStore, { id }) {
+  changeAllRecordLists(localStore, (records) => records.filter((record) => record._id !== id));
+}
+
+// Why the server refused, for the rollback notice
+const reasonOf = (error) =>
+  error instanceof ConvexError ? error.data.message : error.message;
+
+// `mutation` with `optimistic` applied, reporting a rejection as a rollback
+function useOptimisticMutation(reference, optimistic, describe) {
+  const mutation = useMutation(reference);
+  const reportRollback = useContext(RollbackContext);
+  const withUpdate = useMemo(() => mutation.withOptimisticUpdate(optimistic), [mutation, optimistic]);
+
+  return useCallback(
+    async (args) => {
+      try {
+        return await withUpdate(args);
+      } catch (error) {
+        reportRollback?.(`${describe(args)} ${reasonOf(error)}`);
+        throw error;
+      }
+    },
+    [withUpdate, reportRollback, describe]
+  );
+}
+
+const describeUpdate = (args) => `Your update to "${args.name}" was not saved and has been undone.`;
+const describeCreate = (args) => `"${args.name}" was not created and has been removed.`;
+const describeDelete = () => "The record was not deleted and has been put back.";
+
+/**
+ * useUpdateMockData Hook
+ *
+ * @returns updateMockData({ id, name, value, expectedRevision }) with an
+ *   optimistic update (see above)
+ */
+export function useUpdateMockData() {
+  return useOptimisticMutation(api.functions.updateMockData, optimisticUpdate, describeUpdate);
+}
+
+/**
+ * useCreateMockData Hook
+ *
+ * @returns createMockData({ name, value, description? }) with an optimistic
+ *   update (see above)
+ */
+export function useCreateMockData() {
+  return useOptimisticMutation(api.functions.createMockData, optimisticCreate, describeCreate);
+}
+
+/**
+ * useDeleteMockData Hook
+ *
+ * @returns deleteMockData({ id }) with an optimistic update (see above)
+ */
+export function useDeleteMockData() {
+  return useOptimisticMutation(api.functions.deleteMockData, optimisticDelete, describeDelete);
+}
@@ -0,0 +1,222 @@
+/**
+ * useRecordMutations Hook Tests
+ *
+ * Unit tests for the optimistic updates of updateMockData, createMockData
+ * and deleteMockData, and the rollback reporting of their hooks.
+ *
+ * References:
+ * - Convex Optimistic Updates: https://docs.convex.dev/client/react/optimistic-updates
+ * - Testing Library renderHook: https://testing-library.com/docs/react-testing-library/api#renderhook
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { createElement } from 'react'
+import { renderHook } from '@testing-library/react'
+import { useMutation } from 'convex/react'
+import { ConvexError } from 'convex/values'
+import { api } from '../../convex/_generated/api'
+import {
+  optimisticUpdate,
+  optimisticCreate,
+  optimisticDelete,
+  useUpdateMockData,
+  useDeleteMockData,
+  RollbackContext,
+} from './useRecordMutations'
+
+const alpha = { _id: 'a', name: 'Alpha', value: 1, revision: 2 }
+const beta = { _id: 'b', name: 'Beta', value: 2 }
+
+// An OptimisticLocalStore holding loaded results keyed by query; `queryArgs`
+// optionally gives the arguments of each result, by query and position
+const fakeLocalStore = (results, queryArgs = new Map()) => {
+  const store = new Map(results)
+  return {
+    getAllQueries: (query) =>
+      (store.get(query) ?? []).map((value, index) => ({
+        args: { index, ...queryArgs.get(query)?.[index] },
+        value,
+      })),
+    setQuery: (query, args, value) => {
+      const values = [...store.get(query)]
+      values[args.index] = value
+      store.set(query, values)
+    },
+    get: (query) => store.get(query),
+  }
+}
+
+describe('Optimistic record updates', () => {
+  let localStore
+
+  beforeEach(() => {
+    localStore = fakeLocalStore([
+      [api.functions.getMockData, [[alpha, beta]]],
+      [api.functions.listMockData, [{ page: [alpha], isDone: false }, { page: [beta], isDone: true }]],
+      [api.functions.searchMockData, [[beta], undefined]],
+      [api.functions.getMockDataById, [alpha, beta, null]],
+    ])
+  })
+
+  it('should change the record in every loaded list and mark it pending', () => {
+    optimisticUpdate(localStore, { id: 'a', name: 'Alpha 2', value: 10, expectedRevision: 2 })
+
+    const changed = { ...alpha, name: 'Alpha 2', value: 10, revision: 3, _pending: true }
+    expect(localStore.get(api.functions.getMockData)).toEqual([[changed, beta]])
+    expect(localStore.get(api.functions.listMockData)).toEqual([
+      { page: [changed], isDone: false },
+      { page: [beta], isDone: true },
+    ])
+    // Untouched and still-loading results are left alone
+    expect(localStore.get(api.functions.searchMockData)).toEqual([[beta], undefined])
+  })
+
+  it('should change the record loaded on its own by ID', () => {
+    optimisticUpdate(localStore, { id: 'a', name: 'Alpha 2', value: 10, expectedRevision: 2 })
+
+    expect(localStore.get(api.functions.getMockDataById)).toEqual([
+      { ...alpha, name: 'Alpha 2', value: 10, revision: 3, _pending: true },
+      beta,
+      null,
+    ])
+  })
+
+  it('should append a pending placeholder for a new record to getMockData', () => {
+    optimisticCreate(localStore, { name: 'Gamma', value: 3 })
+
+    const [records] = localStore.get(api.functions.getMockData)
+    expect(records).toHaveLength(3)
+    expect(records[2]).toMatchObject({ name: 'Gamma', value: 3, revision: 0, _pending: true })
+    expect(records[2]._id).toMatch(/^pending-/)
+    expect(localStore.get(api.functions.searchMockData)).toEqual([[beta], undefined])
+  })
+
+  it('should add a new record to unfiltered lists in creation order, where it belongs', () => {
+    const firstPage = { numItems: 50, cursor: null }
+    const nextPage = { numItems: 50, cursor: 'c1' }
+    const pages = [
+      // Oldest first: only the final page gets it
+      { page: [alpha], isDone: false },
+      { page: [beta], isDone: true },
+      // Newest first: only the first page gets it
+      { page: [beta], isDone: false },
+      { page: [alpha], isDone: true },
+    ]
+    localStore = fakeLocalStore(
+      [[api.functions.listMockData, pages]],
+      new Map([
+        [
+          api.functions.listMockData,
+          [
+            { paginationOpts: firstPage, sortField: '_creationTime', sortDirection: 'asc' },
+            { paginationOpts: nextPage, sortField: '_creationTime', sortDirection: 'asc' },
+            { paginationOpts: firstPage, sortField: '_creationTime', sortDirection: 'desc' },
+            { paginationOpts: nextPage, sortField: '_creationTime', sortDirection: 'desc' },
+          ],
+        ],
+      ])
+    )
+
+    optimisticCreate(localStore, { name: 'Gamma', value: 3 })
+
+    const [oldestFirst, finalPage, newestFirst, lastPage] = localStore.get(
+      api.functions.listMockData
+    )
+    expect(oldestFirst.page).toEqual([alpha])
+    expect(finalPage.page).toEqual([
+      beta,
+      expect.objectContaining({ name: 'Gamma', tags: [], _pending: true }),
+    ])
+    expect(newestFirst.page).toEqual([
+      expect.objectContaining({ name: 'Gamma', tags: [], _pending: true }),
+      beta,
+    ])
+    expect(lastPage.page).toEqual([alpha])
+  })
+
+  it('should leave filtered lists and other sort orders to the server', () => {
+    const paginationOpts = { numItems: 50, cursor: null }
+    localStore = fakeLocalStore(
+      [[api.functions.listMockData, [
+        { page: [alpha], isDone: true },
+        { page: [alpha], isDone: true },
+        { page: [alpha], isDone: true },
+      ]]],
+      new Map([
+        [
+          api.functions.listMockData,
+          [
+            { paginationOpts, sortField: 'value', sortDirection: 'asc' },
+            { paginationOpts, sortField: '_creationTime', sortDirection: 'asc', valueMin: 10 },
+            { paginationOpts, sortField: '_creationTime', sortDirection: 'asc', tagIds: ['t1'] },
+          ],
+        ],
+      ])
+    )
+
+    optimisticCreate(localStore, { name: 'Gamma', value: 3 })
+
+    for (const result of localStore.get(api.functions.listMockData)) {
+      expect(result.page).toEqual([alpha])
+    }
+  })
+
+  it('should remove a deleted record from every loaded list', () => {
+    optimisticDelete(localStore, { id: 'b' })
+
+    expect(localStore.get(api.functions.getMockData)).toEqual([[alpha]])
+    expect(localStore.get(api.functions.listMockData)[1].page).toEqual([])
+    expect(localStore.get(api.functions.searchMockData)[0]).toEqual([])
+  })
+})
+
+describe('useRecordMutations Hooks', () => {
+  let mutate
+  let withOptimisticUpdate
+  let reportRollback
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mutate = vi.fn()
+    withOptimisticUpdate = vi.fn(() => mutate)
+    useMutation.mockReturnValue({ withOptimisticUpdate })
+    reportRollback = vi.fn()
+  })
+
+  const wrapper = ({ children }) =>
+    createElement(RollbackContext.Provider, { value: reportRollback }, children)
+
+  it('should attach the matching optimistic update', () => {
+    renderHook(() => useDeleteMockData(), { wrapper })
+
+    expect(useMutation).toHaveBeenCalledWith(api.functions.deleteMockData)
+    expect(withOptimisticUpdate).toHaveBeenCalledWith(optimisticDelete)
+  })
+
+  it('should pass confirmed writes through without a rollback notice', async () => {
+    mutate.mockResolvedValue('a')
+    const { result } = renderHook(() => useUpdateMockData(), { wrapper })
+
+    await expect(result.current({ id: 'a', name: 'Alpha', value: 1 })).resolves.toBe('a')
+    expect(reportRollback).not.toHaveBeenCalled()
+  })
+
+  it('should report a rejected write as rolled back and still reject', async () => {
+    const error = new ConvexError({ code: 'LOCKED', message: 'Ana is editing this record.' })
+    mutate.mockRejectedValue(error)
+    const { result } = renderHook(() => useUpdateMockData(), { wrapper })
+
+    await expect(result.current({ id: 'a', name: 'Alpha', value: 1 })).rejects.toBe(error)
+    expect(reportRollback).toHaveBeenCalledWith(
+      'Your update to "Alpha" was not saved and has been undone. Ana is editing this record.'
+    )
+  })
+
+  it('should still reject without a RollbackProvider', async () => {
+    mutate.mockRejectedValue(new Error('Network error'))
+    const { result } = renderHook(() => useDeleteMockData())
+
+    await expect(result.current({ id: 'a' })).rejects.toThrow('Network error')
+  })
+})
@@ -0,0 +1,79 @@
+import { useEffect, useState } from "react";
+
+/**
+ * useVirtualRows Hook
+ *
+ * Windowing for fixed-height table rows. Given the scroll container and the
+ * total number of rows, it returns the slice of rows that is actually visible
+ * (plus an overscan margin) and the spacer heights that stand in for the rows
+ * above and below it, so only a few dozen <tr> elements exist at any time.
+ *
+ * Usage:
+ * ```jsx
+ * const [container, setContainer] = useState(null);
+ * const { start, end, paddingTop, paddingBottom } = useVirtualRows({
+ *   container,
+ *   rowCount: rows.length,
+ *   rowHeight: 56,
+ * });
+ * // <div ref={setContainer}> ... rows.slice(start, end) ... </div>
+ * ```
+ *
+ * The container is passed as an element (from a callback ref) rather than a
+ * ref object so the listeners attach once it actually mounts.
+ *
+ * @param container - The scrollable element, or null before it mounts
+ * @param rowCount - Total number of rows currently loaded
+ * @param rowHeight - Height of every row in pixels
+ * @param overscan - Extra rows rendered above and below the viewport
+ * @param fallbackHeight - Viewport height to assume when the container has no
+ *   layout (e.g. before first paint or in jsdom)
+ * @returns {{ start: number, end: number, paddingTop: number, paddingBottom: number }}
+ */
+export default function useVirtualRows({
+  container,
+  rowCount,
+  rowHeight,
+  overscan = 10,
+  fallbackHeight = 600,
+}) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(fallbackHeight);
+
+  useEffect(() => {
+    if (!container) {
+      return undefined;
+    }
+
+    const handleResize = () =>
+      setViewportHeight(container.clientHeight || fallbackHeight);
+    const handleScroll = () => setScrollTop(container.scrollTop);
+
+    handleResize();
+    handleScroll();
+    container.addEventListener("scroll", handleScroll, { passive: true });
+    window.addEventListener("resize", handleResize);
+
+    return () => {
+      container.removeEventListener("scroll", handleScroll);
+      window.removeEventListener("resize", handleResize);
+    };
+  }, [container, fallbackHeight]);
+
+  const end = Math.min(
+    rowCount,
+    Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan
+  );
+  // Clamp so a shrinking row count never yields start > end
+  const start = Math.min(
+    end,
+    Math.max(0, Math.floor(scrollTop / rowHeight) - overscan)
+  );
+
+  return {
+    start,
+    end,
+    paddingTop: start * rowHeight,
+    paddingBottom: Math.max(0, rowCount - end) * rowHeight,
+  };
+}
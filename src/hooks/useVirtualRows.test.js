@@ -0,0 +1,72 @@
+/**
+ * useVirtualRows Hook Tests
+ *
+ * Unit tests for the row windowing hook used by the View page table.
+ *
+ * References:
+ * - Testing Library renderHook: https://testing-library.com/docs/react-testing-library/api#renderhook
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { renderHook, act } from '@testing-library/react'
+import useVirtualRows from './useVirtualRows'
+
+// Build a scroll container with a fixed viewport height (jsdom has no layout)
+const makeContainer = (clientHeight) => {
+  const el = document.createElement('div')
+  Object.defineProperty(el, 'clientHeight', { value: clientHeight })
+  return el
+}
+
+describe('useVirtualRows Hook', () => {
+  it('should render the first window when no container is mounted yet', () => {
+    const { result } = renderHook(() =>
+      useVirtualRows({ container: null, rowCount: 1000, rowHeight: 50, overscan: 0 })
+    )
+
+    // fallbackHeight (600) / rowHeight (50) = 12 rows
+    expect(result.current).toEqual({
+      start: 0,
+      end: 12,
+      paddingTop: 0,
+      paddingBottom: (1000 - 12) * 50,
+    })
+  })
+
+  it('should follow the scroll position of the container', () => {
+    const container = makeContainer(200)
+    const { result } = renderHook(() =>
+      useVirtualRows({ container, rowCount: 1000, rowHeight: 50, overscan: 2 })
+    )
+
+    act(() => {
+      container.scrollTop = 5000
+      container.dispatchEvent(new Event('scroll'))
+    })
+
+    // Rows 100-104 are visible, plus 2 rows of overscan either side
+    expect(result.current.start).toBe(98)
+    expect(result.current.end).toBe(106)
+    expect(result.current.paddingTop).toBe(98 * 50)
+    expect(result.current.paddingBottom).toBe((1000 - 106) * 50)
+  })
+
+  it('should never return a window past the loaded rows', () => {
+    const container = makeContainer(200)
+    const { result, rerender } = renderHook(
+      ({ rowCount }) => useVirtualRows({ container, rowCount, rowHeight: 50 }),
+      { initialProps: { rowCount: 1000 } }
+    )
+
+    act(() => {
+      container.scrollTop = 40000
+      container.dispatchEvent(new Event('scroll'))
+    })
+    rerender({ rowCount: 10 })
+
+    expect(result.current.end).toBe(10)
+    expect(result.current.start).toBeLessThanOrEqual(result.current.end)
+    expect(result.current.paddingBottom).toBe(0)
+  })
+})
@@ -1,15 +1,29 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
-import { ConvexProvider, ConvexReactClient } from 'convex/react'
+import { ConvexProviderWithAuth, ConvexReactClient } from 'convex/react'
 import './index.css'
 import App from './App.jsx'
+import AuthProvider from './components/AuthProvider.jsx'
+import ConnectionProvider from './components/ConnectionProvider.jsx'
+import RollbackProvider from './components/RollbackProvider.jsx'
+import useAuth from './hooks/useAuth.js'
 
 const convex = new ConvexReactClient(import.meta.env.VITE_CONVEX_DEPLOYMENT_URL)
 
+// AuthProvider holds the sign-in token; ConvexProviderWithAuth sends it with
+// every query and mutation so functions can check ctx.auth. ConnectionProvider
+// follows the client's connection for the banner and loading timeouts, and
+// RollbackProvider explains optimistic writes the server rejected
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <ConvexProvider client={convex}>
-      <App />
-    </ConvexProvider>
+    <AuthProvider client={convex}>
+      <ConvexProviderWithAuth client={convex} useAuth={useAuth}>
+        <ConnectionProvider client={convex}>
+          <RollbackProvider>
+            <App />
+          </RollbackProvider>
+        </ConnectionProvider>
+      </ConvexProviderWithAuth>
+    </AuthProvider>
   </StrictMode>,
 )
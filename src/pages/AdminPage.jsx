@@ -0,0 +1,121 @@
+import { useState } from "react";
+import { useQuery, useMutation } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+import useCurrentUser from "../hooks/useCurrentUser";
+import ApiTokenManager from "../components/ApiTokenManager";
+import LoadingState from "../components/LoadingState";
+import "../App.css";
+
+// Roles an admin can assign, lowest first
+const ROLES = [
+  { value: "viewer", label: "Viewer", description: "Can view data" },
+  { value: "editor", label: "Editor", description: "Can also create, update and restore" },
+  { value: "admin", label: "Admin", description: "Can also delete and assign roles" },
+];
+
+/**
+ * AdminPage Component
+ *
+ * Lets admins assign roles to users (api.roles.listUsers / api.roles.setRole).
+ * The list is a live subscription, so new sign-ups and role changes made by
+ * other admins appear instantly.
+ *
+ * The server refuses to demote the last admin; that error is shown here.
+ *
+ * Below the users, ApiTokenManager creates and revokes REST API tokens.
+ */
+export default function AdminPage() {
+  const users = useQuery(api.roles.listUsers);
+  const setRole = useMutation(api.roles.setRole);
+  const { user: currentUser } = useCurrentUser();
+
+  // ID of the user whose role is currently being saved
+  const [pendingId, setPendingId] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const handleRoleChange = async (userId, role) => {
+    setPendingId(userId);
+    setErrorMessage("");
+    try {
+      await setRole({ userId, role });
+    } catch (error) {
+      setErrorMessage(
+        error instanceof ConvexError
+          ? error.data.message
+          : `Failed to change role: ${error.message}`
+      );
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  // Handle loading state
+  if (users === undefined) {
+    return (
+      <div className="page">
+        <h1>Admin</h1>
+        <LoadingState />
+      </div>
+    );
+  }
+
+  return (
+    <div className="page">
+      <h1>Admin</h1>
+      <p className="page-description">
+        Assign roles to users. Changes take effect immediately.
+      </p>
+
+      <ul className="role-legend">
+        {ROLES.map((role) => (
+          <li key={role.value}>
+            <strong>{role.label}:</strong> {role.description}
+          </li>
+        ))}
+      </ul>
+
+      {errorMessage && (
+        <div className="message error-message">{errorMessage}</div>
+      )}
+
+      <div className="data-container">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Role</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((item) => (
+              <tr key={item._id}>
+                <td className="name-cell">
+                  {item.name}
+                  {item._id === currentUser?._id && <em> (you)</em>}
+                </td>
+                <td>
+                  <select
+                    className="form-control role-select"
+                    value={item.role}
+                    onChange={(e) => handleRoleChange(item._id, e.target.value)}
+                    disabled={pendingId === item._id}
+                    aria-label={`Role for ${item.name}`}
+                  >
+                    {ROLES.map((role) => (
+                      <option key={role.value} value={role.value}>
+                        {role.label}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <ApiTokenManager roles={ROLES} />
+    </div>
+  );
+}
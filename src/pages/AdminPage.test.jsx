@@ -0,0 +1,108 @@
+/**
+ * AdminPage Component Tests
+ *
+ * Unit tests for the AdminPage component.
+ * Verifies the user list and role assignment.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useQuery, useMutation } from 'convex/react'
+import { ConvexError } from 'convex/values'
+import useCurrentUser from '../hooks/useCurrentUser'
+import AdminPage from './AdminPage'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+  useMutation: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    roles: {
+      listUsers: vi.fn(),
+      setRole: vi.fn(),
+    },
+  },
+}))
+
+// Mock the signed-in user
+vi.mock('../hooks/useCurrentUser', () => ({
+  default: vi.fn(),
+}))
+
+// API tokens have their own tests (ApiTokenManager.test.jsx)
+vi.mock('../components/ApiTokenManager', () => ({
+  default: () => null,
+}))
+
+const users = [
+  { _id: 'user1', name: 'Alice', role: 'admin' },
+  { _id: 'user2', name: 'Bob', role: 'viewer' },
+]
+
+describe('AdminPage Component', () => {
+  beforeEach(() => {
+    // Clear mocks before each test
+    vi.clearAllMocks()
+    useCurrentUser.mockReturnValue({
+      user: { _id: 'user1', name: 'Alice', role: 'admin' },
+      can: () => true,
+    })
+  })
+
+  it('should render loading state when data is undefined', () => {
+    useQuery.mockReturnValue(undefined)
+    useMutation.mockReturnValue(vi.fn())
+
+    render(<AdminPage />)
+
+    expect(screen.getByText('Loading data from Convex...')).toBeInTheDocument()
+  })
+
+  it('should list users with their roles', () => {
+    useQuery.mockReturnValue(users)
+    useMutation.mockReturnValue(vi.fn())
+
+    render(<AdminPage />)
+
+    expect(screen.getByText('(you)')).toBeInTheDocument()
+    expect(screen.getByLabelText('Role for Alice')).toHaveValue('admin')
+    expect(screen.getByLabelText('Role for Bob')).toHaveValue('viewer')
+  })
+
+  it('should assign a new role', async () => {
+    const user = userEvent.setup()
+    const mockSetRole = vi.fn().mockResolvedValue('user2')
+    useQuery.mockReturnValue(users)
+    useMutation.mockReturnValue(mockSetRole)
+
+    render(<AdminPage />)
+    await user.selectOptions(screen.getByLabelText('Role for Bob'), 'editor')
+
+    await waitFor(() => {
+      expect(mockSetRole).toHaveBeenCalledWith({ userId: 'user2', role: 'editor' })
+    })
+  })
+
+  it('should show the server message when a role change is refused', async () => {
+    const user = userEvent.setup()
+    const mockSetRole = vi.fn().mockRejectedValue(
+      new ConvexError({ code: 'LAST_ADMIN', message: 'At least one admin must remain.' })
+    )
+    useQuery.mockReturnValue(users)
+    useMutation.mockReturnValue(mockSetRole)
+
+    render(<AdminPage />)
+    await user.selectOptions(screen.getByLabelText('Role for Alice'), 'viewer')
+
+    expect(await screen.findByText('At least one admin must remain.')).toBeInTheDocument()
+  })
+})
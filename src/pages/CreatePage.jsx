@@ -0,0 +1,166 @@
+import { useState } from "react";
+import { ConvexError } from "convex/values";
+import { validateRecordFields } from "../../convex/validation";
+import { useCreateMockData } from "../hooks/useRecordMutations";
+import "../App.css";
+
+/**
+ * CreatePage Component
+ *
+ * Provides a form interface for adding new mock data records to Convex.
+ * This is the counterpart of UpdatePage for inserting data:
+ * - Inserts data using useCreateMockData (createMockData with an optimistic
+ *   update, so the record shows as pending in lists in creation order, such
+ *   as the View page's default one, immediately)
+ * - Real-time sync: new records instantly appear in all connected ViewPage instances
+ * - Applies the server's validation rules (convex/validation.ts) before
+ *   sending, and shows the server's message if it still rejects the record
+ *   (e.g. the name is taken)
+ *
+ * References:
+ * - Convex useMutation Hook: https://docs.convex.dev/client/react
+ *
+ * Form Workflow:
+ * 1. Enter a name, a numeric value and an optional description
+ * 2. Submit the form to create the record
+ * 3. The form resets so another record can be added
+ */
+export default function CreatePage() {
+  // Mutation function for inserting records
+  const createMockData = useCreateMockData();
+
+  // Form state
+  const [name, setName] = useState("");
+  const [value, setValue] = useState("");
+  const [description, setDescription] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [successMessage, setSuccessMessage] = useState("");
+  const [errorMessage, setErrorMessage] = useState("");
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Validation (the same rules the server applies)
+    const errors = validateRecordFields({
+      name,
+      value: value === "" ? NaN : Number(value),
+      description,
+    });
+    if (errors.length > 0) {
+      setErrorMessage(errors[0].message);
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrorMessage("");
+    setSuccessMessage("");
+
+    try {
+      // Only send description when the user actually entered one,
+      // so the optional field stays absent instead of an empty string
+      await createMockData({
+        name: name.trim(),
+        value: Number(value),
+        ...(description.trim() ? { description: description.trim() } : {}),
+      });
+
+      // Reset the form for the next record
+      setName("");
+      setValue("");
+      setDescription("");
+
+      // Show success message
+      setSuccessMessage("Record created successfully! Check the View page to see the change.");
+
+      // Clear success message after 3 seconds
+      setTimeout(() => {
+        setSuccessMessage("");
+      }, 3000);
+    } catch (error) {
+      // Validation failures carry a readable message; anything else
+      // (network issues, etc.) is reported as is
+      setErrorMessage(
+        error instanceof ConvexError
+          ? error.data.message
+          : `Failed to create record: ${error.message}`
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="page">
+      <h1>Create Mock Data</h1>
+      <p className="page-description">
+        Add a new record to the database. It will instantly appear in the View
+        page of all connected browsers.
+      </p>
+
+      <div className="update-form-container">
+        <form className="update-form" onSubmit={handleSubmit}>
+          {/* Name Field */}
+          <div className="form-group">
+            <label htmlFor="name">Name:</label>
+            <input
+              id="name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="form-control"
+              placeholder="Enter name"
+              disabled={isSubmitting}
+            />
+          </div>
+
+          {/* Value Field */}
+          <div className="form-group">
+            <label htmlFor="value">Value:</label>
+            <input
+              id="value"
+              type="number"
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              className="form-control"
+              placeholder="Enter numeric value"
+              disabled={isSubmitting}
+              step="any"
+            />
+          </div>
+
+          {/* Description Field */}
+          <div className="form-group">
+            <label htmlFor="description">Description (optional):</label>
+            <textarea
+              id="description"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              className="form-control"
+              placeholder="Enter description"
+              disabled={isSubmitting}
+              rows={3}
+            />
+          </div>
+
+          {/* Submit Button */}
+          <button
+            type="submit"
+            className="submit-button"
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? "Creating..." : "Create Record"}
+          </button>
+
+          {/* Messages */}
+          {errorMessage && (
+            <div className="message error-message">{errorMessage}</div>
+          )}
+          {successMessage && (
+            <div className="message success-message">{successMessage}</div>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+/**
+ * CreatePage Component Tests
+ *
+ * Unit tests for the CreatePage component.
+ * Verifies that the form validates input and calls the create mutation.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useMutation } from 'convex/react'
+import CreatePage from './CreatePage'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useMutation: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    functions: {
+      createMockData: vi.fn(),
+    },
+  },
+}))
+
+// Optimistic updates have their own tests; use the plain mutation here
+vi.mock('../hooks/useRecordMutations', async () => {
+  const { useMutation } = await import('convex/react')
+  return { useCreateMockData: () => useMutation() }
+})
+
+describe('CreatePage Component', () => {
+  beforeEach(() => {
+    // Clear mocks before each test
+    vi.clearAllMocks()
+  })
+
+  it('should render the create form', () => {
+    useMutation.mockReturnValue(vi.fn())
+
+    render(<CreatePage />)
+
+    expect(screen.getByText('Create Mock Data')).toBeInTheDocument()
+    expect(screen.getByLabelText('Name:')).toBeInTheDocument()
+    expect(screen.getByLabelText('Value:')).toBeInTheDocument()
+    expect(screen.getByLabelText('Description (optional):')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Create Record' })).toBeInTheDocument()
+  })
+
+  it('should show validation error when name is empty', async () => {
+    const user = userEvent.setup()
+    const mockCreate = vi.fn()
+    useMutation.mockReturnValue(mockCreate)
+
+    render(<CreatePage />)
+
+    await user.type(screen.getByLabelText('Value:'), '10')
+    await user.click(screen.getByRole('button', { name: 'Create Record' }))
+
+    expect(screen.getByText('Name cannot be empty.')).toBeInTheDocument()
+    expect(mockCreate).not.toHaveBeenCalled()
+  })
+
+  it('should show validation error when value is missing', async () => {
+    const user = userEvent.setup()
+    const mockCreate = vi.fn()
+    useMutation.mockReturnValue(mockCreate)
+
+    render(<CreatePage />)
+
+    await user.type(screen.getByLabelText('Name:'), 'Zeta')
+    await user.click(screen.getByRole('button', { name: 'Create Record' }))
+
+    expect(screen.getByText('Value must be a valid number.')).toBeInTheDocument()
+    expect(mockCreate).not.toHaveBeenCalled()
+  })
+
+  it('should call mutation without description when it is left blank', async () => {
+    const user = userEvent.setup()
+    const mockCreate = vi.fn().mockResolvedValue('new123')
+    useMutation.mockReturnValue(mockCreate)
+
+    render(<CreatePage />)
+
+    await user.type(screen.getByLabelText('Name:'), '  Zeta  ')
+    await user.type(screen.getByLabelText('Value:'), '42')
+    await user.click(screen.getByRole('button', { name: 'Create Record' }))
+
+    await waitFor(() => {
+      expect(mockCreate).toHaveBeenCalledWith({ name: 'Zeta', value: 42 })
+    })
+  })
+
+  it('should include description and reset the form after success', async () => {
+    const user = userEvent.setup()
+    const mockCreate = vi.fn().mockResolvedValue('new123')
+    useMutation.mockReturnValue(mockCreate)
+
+    render(<CreatePage />)
+
+    await user.type(screen.getByLabelText('Name:'), 'Zeta')
+    await user.type(screen.getByLabelText('Value:'), '42')
+    await user.type(screen.getByLabelText('Description (optional):'), 'Sixth item')
+    await user.click(screen.getByRole('button', { name: 'Create Record' }))
+
+    await waitFor(() => {
+      expect(
+        screen.getByText('Record created successfully! Check the View page to see the change.')
+      ).toBeInTheDocument()
+    })
+    expect(mockCreate).toHaveBeenCalledWith({
+      name: 'Zeta',
+      value: 42,
+      description: 'Sixth item',
+    })
+    expect(screen.getByLabelText('Name:')).toHaveValue('')
+    expect(screen.getByLabelText('Value:')).toHaveValue(null)
+  })
+
+  it('should show error message when mutation fails', async () => {
+    const user = userEvent.setup()
+    const mockCreate = vi.fn().mockRejectedValue(new Error('Network error'))
+    useMutation.mockReturnValue(mockCreate)
+
+    render(<CreatePage />)
+
+    await user.type(screen.getByLabelText('Name:'), 'Zeta')
+    await user.type(screen.getByLabelText('Value:'), '42')
+    await user.click(screen.getByRole('button', { name: 'Create Record' }))
+
+    await waitFor(() => {
+      expect(screen.getByText('Failed to create record: Network error')).toBeInTheDocument()
+    })
+  })
+})
@@ -0,0 +1,205 @@
+import { useState } from "react";
+import { useParams, Link } from "react-router-dom";
+import { useQuery, useMutation } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+import useCurrentUser from "../hooks/useCurrentUser";
+import LoadingState from "../components/LoadingState";
+import ValueChart from "../components/ValueChart";
+import "../App.css";
+
+// Fields tracked by the change history, in display order
+const FIELDS = [
+  { key: "name", label: "Name" },
+  { key: "value", label: "Value" },
+  { key: "description", label: "Description" },
+];
+
+// Timeline heading for each kind of history entry
+const ACTION_LABELS = {
+  create: "Created",
+  update: "Updated",
+  delete: "Moved to trash",
+  restore: "Restored from trash",
+  purge: "Permanently deleted",
+  revert: "Reverted",
+};
+
+// Fields whose value differs between two snapshots (either may be missing)
+const changedFields = (before, after) =>
+  FIELDS.filter(({ key }) => before?.[key] !== after?.[key]);
+
+const formatField = (value) =>
+  value === undefined ? <em>None</em> : String(value);
+
+/**
+ * HistoryPage Component
+ *
+ * Revision timeline for a single record, reached from /records/:id/history.
+ * Each entry shows when the record changed and a field-level diff of only
+ * the fields that changed. "Revert to this version" restores the fields as
+ * they were after that entry; the revert shows up as a new entry on top.
+ *
+ * Above the timeline, ValueChart plots the record's value over time from
+ * its periodic value snapshots.
+ *
+ * The timeline is a live subscription (api.history.getRecordHistory), so
+ * changes made in another browser appear here instantly.
+ */
+export default function HistoryPage() {
+  const { id } = useParams();
+  const history = useQuery(api.history.getRecordHistory, { recordId: id });
+  const revertMockData = useMutation(api.functions.revertMockData);
+  const { can } = useCurrentUser();
+
+  // ID of the history entry a revert is currently running for
+  const [pendingId, setPendingId] = useState(null);
+  const [successMessage, setSuccessMessage] = useState("");
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const handleRevert = async (entry) => {
+    if (!window.confirm("Revert this record to the selected version?")) {
+      return;
+    }
+    setPendingId(entry._id);
+    setSuccessMessage("");
+    setErrorMessage("");
+    try {
+      await revertMockData({ historyId: entry._id });
+      setSuccessMessage("Record reverted successfully.");
+    } catch (error) {
+      setErrorMessage(
+        error instanceof ConvexError
+          ? error.data.message
+          : `Failed to revert record: ${error.message}`
+      );
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  // Handle loading state
+  if (history === undefined) {
+    return (
+      <div className="page">
+        <h1>Record History</h1>
+        <LoadingState />
+      </div>
+    );
+  }
+
+  // Malformed id, or a record that never existed
+  if (history === null) {
+    return (
+      <div className="page">
+        <h1>Record History</h1>
+        <div className="empty-state">
+          <p>Record not found.</p>
+          <p>
+            <Link to="/view">Back to View Data</Link>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const { record, entries } = history;
+  // Reverting is an edit, and needs a live record to write to
+  const canRevert =
+    can("editor") && record !== null && record.deletedAt === undefined;
+  const title = record?.name ?? entries.find((entry) => entry.before)?.before.name;
+
+  return (
+    <div className="page">
+      <h1>Record History{title ? `: ${title}` : ""}</h1>
+      <p className="page-description">
+        Every change to this record, newest first.
+        {record === null && " This record has been permanently deleted."}
+        {record !== null &&
+          record.deletedAt !== undefined &&
+          " This record is in the trash; restore it to revert changes."}
+      </p>
+
+      {successMessage && (
+        <div className="message success-message">{successMessage}</div>
+      )}
+      {errorMessage && (
+        <div className="message error-message">{errorMessage}</div>
+      )}
+
+      {/* A purged record's snapshots are deleted with it */}
+      {record !== null && (
+        <ValueChart
+          recordId={record._id}
+          value={record.deletedAt === undefined ? record.value : undefined}
+        />
+      )}
+
+      {entries.length === 0 ? (
+        <div className="empty-state">
+          <p>No changes have been recorded for this record yet.</p>
+        </div>
+      ) : (
+        <ol className="history-timeline">
+          {entries.map((entry, index) => {
+            const diff = changedFields(entry.before, entry.after);
+            // The newest entry with a version is the record's current state
+            const isCurrent = index === 0 && entry.after !== undefined;
+            return (
+              <li key={entry._id} className="history-entry">
+                <div className="history-entry-header">
+                  <strong>{ACTION_LABELS[entry.action]}</strong>
+                  <span className="history-entry-time">
+                    {new Date(entry._creationTime).toLocaleString()}
+                    {entry.changedByName && ` by ${entry.changedByName}`}
+                  </span>
+                  {entry.revision !== undefined && (
+                    <span className="history-entry-revision">
+                      Revision {entry.revision}
+                    </span>
+                  )}
+                </div>
+
+                {diff.length > 0 && entry.action !== "purge" && (
+                  <table className="history-diff">
+                    <thead>
+                      <tr>
+                        <th>Field</th>
+                        <th>Before</th>
+                        <th>After</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {diff.map(({ key, label }) => (
+                        <tr key={key}>
+                          <th scope="row">{label}</th>
+                          <td className="history-before">
+                            {entry.before ? formatField(entry.before[key]) : <em>—</em>}
+                          </td>
+                          <td className="history-after">
+                            {formatField(entry.after[key])}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                {entry.after !== undefined && canRevert && !isCurrent && (
+                  <button
+                    type="button"
+                    className="table-button secondary"
+                    onClick={() => handleRevert(entry)}
+                    disabled={pendingId !== null}
+                  >
+                    Revert to this version
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+/**
+ * HistoryPage Component Tests
+ *
+ * Unit tests for the HistoryPage component.
+ * Verifies the revision timeline, field-level diffs and reverting.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { MemoryRouter, Routes, Route } from 'react-router-dom'
+import { useQuery, useMutation } from 'convex/react'
+import useCurrentUser from '../hooks/useCurrentUser'
+import HistoryPage from './HistoryPage'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+  useMutation: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    functions: {
+      revertMockData: vi.fn(),
+    },
+    history: {
+      getRecordHistory: vi.fn(),
+    },
+  },
+}))
+
+// Mock the signed-in user; tests run as an admin unless they say otherwise
+vi.mock('../hooks/useCurrentUser', () => ({
+  default: vi.fn(),
+}))
+
+// ValueChart has its own tests; the stub shows which record it plots
+vi.mock('../components/ValueChart', () => ({
+  default: ({ recordId, value }) => (
+    <div data-testid="value-chart">{`${recordId}:${value ?? 'none'}`}</div>
+  ),
+}))
+
+const signInAs = (role) =>
+  useCurrentUser.mockReturnValue({
+    user: { _id: 'user1', name: 'Alice', role },
+    can: (minimum) =>
+      ['viewer', 'editor', 'admin'].indexOf(role) >=
+      ['viewer', 'editor', 'admin'].indexOf(minimum),
+  })
+
+const record = {
+  _id: 'abc123',
+  name: 'Alpha Prime',
+  value: 150,
+  description: 'First item',
+  revision: 1,
+  _creationTime: 1234567800000,
+}
+
+// Newest first, as returned by getRecordHistory
+const entries = [
+  {
+    _id: 'h2',
+    recordId: 'abc123',
+    action: 'update',
+    before: { name: 'Alpha', value: 100, description: 'First item' },
+    after: { name: 'Alpha Prime', value: 150, description: 'First item' },
+    revision: 1,
+    changedByName: 'Alice',
+    _creationTime: 1234567900000,
+  },
+  {
+    _id: 'h1',
+    recordId: 'abc123',
+    action: 'create',
+    after: { name: 'Alpha', value: 100, description: 'First item' },
+    revision: 0,
+    _creationTime: 1234567800000,
+  },
+]
+
+const renderHistoryPage = (id = 'abc123') =>
+  render(
+    <MemoryRouter initialEntries={[`/records/${id}/history`]}>
+      <Routes>
+        <Route path="/records/:id/history" element={<HistoryPage />} />
+      </Routes>
+    </MemoryRouter>
+  )
+
+describe('HistoryPage Component', () => {
+  beforeEach(() => {
+    // Clear mocks before each test
+    vi.clearAllMocks()
+    signInAs('admin')
+  })
+
+  it('should render loading state when data is undefined', () => {
+    useQuery.mockReturnValue(undefined)
+    useMutation.mockReturnValue(vi.fn())
+
+    renderHistoryPage()
+
+    expect(screen.getByText('Loading data from Convex...')).toBeInTheDocument()
+  })
+
+  it('should query the history of the record in the URL', () => {
+    useQuery.mockReturnValue(undefined)
+    useMutation.mockReturnValue(vi.fn())
+
+    renderHistoryPage('xyz789')
+
+    expect(useQuery).toHaveBeenCalledWith(expect.anything(), { recordId: 'xyz789' })
+  })
+
+  it('should show not found for an unknown record', () => {
+    useQuery.mockReturnValue(null)
+    useMutation.mockReturnValue(vi.fn())
+
+    renderHistoryPage('not-an-id')
+
+    expect(screen.getByText('Record not found.')).toBeInTheDocument()
+  })
+
+  it('should render the timeline with only the changed fields', () => {
+    useQuery.mockReturnValue({ record, entries })
+    useMutation.mockReturnValue(vi.fn())
+
+    renderHistoryPage()
+
+    expect(screen.getByText('Record History: Alpha Prime')).toBeInTheDocument()
+    const items = screen.getAllByRole('listitem')
+    expect(items).toHaveLength(2)
+
+    // The update changed name and value, but not the description
+    const update = within(items[0])
+    expect(update.getByText('Updated')).toBeInTheDocument()
+    expect(update.getByText(/by Alice/)).toBeInTheDocument()
+    expect(update.getByText('Name')).toBeInTheDocument()
+    expect(update.getByText('Value')).toBeInTheDocument()
+    expect(update.queryByText('Description')).not.toBeInTheDocument()
+    expect(update.getByText('Alpha')).toBeInTheDocument()
+    expect(update.getByText('Alpha Prime')).toBeInTheDocument()
+
+    expect(within(items[1]).getByText('Created')).toBeInTheDocument()
+  })
+
+  it('should offer revert only for earlier versions', () => {
+    useQuery.mockReturnValue({ record, entries })
+    useMutation.mockReturnValue(vi.fn())
+
+    renderHistoryPage()
+
+    const buttons = screen.getAllByRole('button', { name: 'Revert to this version' })
+    expect(buttons).toHaveLength(1)
+    expect(within(screen.getAllByRole('listitem')[1]).getByRole('button')).toBe(buttons[0])
+  })
+
+  it('should revert to the selected version after confirmation', async () => {
+    const user = userEvent.setup()
+    const mockRevert = vi.fn().mockResolvedValue('abc123')
+    useQuery.mockReturnValue({ record, entries })
+    useMutation.mockReturnValue(mockRevert)
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+
+    renderHistoryPage()
+    await user.click(screen.getByRole('button', { name: 'Revert to this version' }))
+
+    await waitFor(() => {
+      expect(mockRevert).toHaveBeenCalledWith({ historyId: 'h1' })
+    })
+    expect(await screen.findByText('Record reverted successfully.')).toBeInTheDocument()
+  })
+
+  it('should show an error message when the revert fails', async () => {
+    const user = userEvent.setup()
+    const mockRevert = vi.fn().mockRejectedValue(new Error('Record not found or has been deleted'))
+    useQuery.mockReturnValue({ record, entries })
+    useMutation.mockReturnValue(mockRevert)
+    vi.spyOn(window, 'confirm').mockReturnValue(true)
+
+    renderHistoryPage()
+    await user.click(screen.getByRole('button', { name: 'Revert to this version' }))
+
+    expect(
+      await screen.findByText('Failed to revert record: Record not found or has been deleted')
+    ).toBeInTheDocument()
+  })
+
+  it('should not offer revert for a trashed record', () => {
+    useQuery.mockReturnValue({ record: { ...record, deletedAt: 1234568000000 }, entries })
+    useMutation.mockReturnValue(vi.fn())
+
+    renderHistoryPage()
+
+    expect(screen.queryByRole('button', { name: 'Revert to this version' })).not.toBeInTheDocument()
+    expect(screen.getByText(/This record is in the trash/)).toBeInTheDocument()
+  })
+
+  it('should chart the value of a live or trashed record', () => {
+    useQuery.mockReturnValue({ record, entries })
+    useMutation.mockReturnValue(vi.fn())
+
+    const { unmount } = renderHistoryPage()
+    expect(screen.getByTestId('value-chart')).toHaveTextContent('abc123:150')
+    unmount()
+
+    // A trashed record has no current value to end the line on
+    useQuery.mockReturnValue({ record: { ...record, deletedAt: 1234568000000 }, entries })
+    renderHistoryPage()
+    expect(screen.getByTestId('value-chart')).toHaveTextContent('abc123:none')
+  })
+
+  it('should not chart a purged record', () => {
+    useQuery.mockReturnValue({ record: null, entries })
+    useMutation.mockReturnValue(vi.fn())
+
+    renderHistoryPage()
+
+    expect(screen.queryByTestId('value-chart')).not.toBeInTheDocument()
+  })
+
+  it('should not offer revert to viewers', () => {
+    signInAs('viewer')
+    useQuery.mockReturnValue({ record, entries })
+    useMutation.mockReturnValue(vi.fn())
+
+    renderHistoryPage()
+
+    expect(screen.getAllByRole('listitem')).toHaveLength(2)
+    expect(screen.queryByRole('button', { name: 'Revert to this version' })).not.toBeInTheDocument()
+  })
+})
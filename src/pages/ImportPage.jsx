@@ -0,0 +1,263 @@
+import { useState } from "react";
+import { useMutation } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+import { parseImportFile } from "../utils/importRecords";
+import "../App.css";
+
+// Rows sent per importMockData call; must not exceed IMPORT_BATCH_SIZE in convex/functions.ts
+const BATCH_SIZE = 100;
+// Maximum number of rows rendered in the preview table
+const PREVIEW_LIMIT = 500;
+
+// Read an uploaded file as text
+const readFile = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+/**
+ * ImportPage Component
+ *
+ * Bulk import of mockData records from a CSV or JSON file, entirely in the
+ * browser (no admin key or `npx convex import` needed, and nothing is
+ * replaced). The workflow:
+ * 1. Choose a file; it is parsed and every row is checked against the
+ *    mockData schema (see utils/importRecords.js)
+ * 2. Review the preview, where invalid rows show their errors
+ * 3. Choose Append (always insert) or Upsert (update records with the same name)
+ * 4. Import: valid rows are sent in batches of BATCH_SIZE through
+ *    api.functions.importMockData, with a progress bar between batches
+ * 5. A summary reports how many rows were inserted, updated and rejected
+ *
+ * Each batch is its own transaction, so if a batch fails the rows from
+ * earlier batches stay imported and the summary says where it stopped.
+ */
+export default function ImportPage() {
+  const importMockData = useMutation(api.functions.importMockData);
+
+  const [fileName, setFileName] = useState("");
+  // Parsed rows: [{ row, raw, record, errors }], or null before a file is chosen
+  const [rows, setRows] = useState(null);
+  const [mode, setMode] = useState("append");
+  const [isImporting, setIsImporting] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  // { inserted, updated, rejected: [{ row, message }] } once an import finishes
+  const [summary, setSummary] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const validRows = rows ? rows.filter((item) => item.record !== null) : [];
+  const invalidRows = rows ? rows.filter((item) => item.record === null) : [];
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setRows(null);
+    setSummary(null);
+    setErrorMessage("");
+    if (!file) {
+      setFileName("");
+      return;
+    }
+
+    setFileName(file.name);
+    try {
+      setRows(parseImportFile(await readFile(file), file.name));
+    } catch (error) {
+      setErrorMessage(`Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setSummary(null);
+    setErrorMessage("");
+    setProgress({ done: 0, total: validRows.length });
+
+    // Rows that failed validation in the browser count as rejected up front
+    const totals = {
+      inserted: 0,
+      updated: 0,
+      rejected: invalidRows.map((item) => ({
+        row: item.row,
+        message: item.errors.join(" "),
+      })),
+    };
+
+    let done = 0;
+    try {
+      for (let start = 0; start < validRows.length; start += BATCH_SIZE) {
+        const batch = validRows.slice(start, start + BATCH_SIZE);
+        const result = await importMockData({
+          rows: batch.map((item) => item.record),
+          mode,
+        });
+        totals.inserted += result.inserted;
+        totals.updated += result.updated;
+        // The server reports rejections by position within the batch
+        for (const { index, message } of result.rejected) {
+          totals.rejected.push({ row: batch[index].row, message });
+        }
+        done += batch.length;
+        setProgress({ done, total: validRows.length });
+      }
+    } catch (error) {
+      const reason =
+        error instanceof ConvexError ? error.data.message : error.message;
+      setErrorMessage(
+        `Import stopped after ${done} of ${validRows.length} rows: ${reason}`
+      );
+    } finally {
+      totals.rejected.sort((a, b) => a.row - b.row);
+      setSummary(totals);
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="page">
+      <h1>Import Mock Data</h1>
+      <p className="page-description">
+        Upload a CSV file (with a header row of name, value and optionally
+        description) or a JSON array of records. Imported records instantly
+        appear in the View page of all connected browsers.
+      </p>
+
+      <div className="import-options">
+        <div className="form-group">
+          <label htmlFor="import-file">File:</label>
+          <input
+            id="import-file"
+            type="file"
+            accept=".csv,.json,text/csv,application/json"
+            onChange={handleFileChange}
+            disabled={isImporting}
+          />
+        </div>
+
+        <fieldset className="import-mode" disabled={isImporting}>
+          <legend>Existing records</legend>
+          <label>
+            <input
+              type="radio"
+              name="import-mode"
+              value="append"
+              checked={mode === "append"}
+              onChange={() => setMode("append")}
+            />{" "}
+            Append: add every row as a new record
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="import-mode"
+              value="upsert"
+              checked={mode === "upsert"}
+              onChange={() => setMode("upsert")}
+            />{" "}
+            Upsert by name: update the record with the same name, if any
+          </label>
+        </fieldset>
+      </div>
+
+      {errorMessage && (
+        <div className="message error-message">{errorMessage}</div>
+      )}
+
+      {rows && (
+        <>
+          <p className="table-status">
+            {fileName}: {rows.length} rows · {validRows.length} valid ·{" "}
+            {invalidRows.length} with errors
+          </p>
+
+          <div className="data-container import-preview">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Name</th>
+                  <th>Value</th>
+                  <th>Description</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.slice(0, PREVIEW_LIMIT).map((item) => (
+                  <tr
+                    key={item.row}
+                    className={item.record ? undefined : "import-row-invalid"}
+                  >
+                    <td>{item.row}</td>
+                    <td className="name-cell">{String(item.raw?.name ?? "")}</td>
+                    <td className="value-cell">{String(item.raw?.value ?? "")}</td>
+                    <td className="description-cell">
+                      {String(item.raw?.description ?? "")}
+                    </td>
+                    <td>
+                      {item.record ? (
+                        "OK"
+                      ) : (
+                        <ul className="import-errors">
+                          {item.errors.map((error) => (
+                            <li key={error}>{error}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {rows.length > PREVIEW_LIMIT && (
+            <p className="table-status">
+              Previewing the first {PREVIEW_LIMIT} of {rows.length} rows.
+            </p>
+          )}
+
+          <button
+            type="button"
+            className="submit-button"
+            onClick={handleImport}
+            disabled={isImporting || validRows.length === 0}
+          >
+            {isImporting
+              ? "Importing..."
+              : `Import ${validRows.length} Valid Rows`}
+          </button>
+        </>
+      )}
+
+      {(isImporting || summary) && progress.total > 0 && (
+        <div className="import-progress">
+          <progress value={progress.done} max={progress.total} />
+          <span>
+            Imported {progress.done} of {progress.total} rows
+          </span>
+        </div>
+      )}
+
+      {summary && (
+        <div className="info-box import-summary" role="status">
+          <h3>Import Summary</h3>
+          <p>
+            Inserted: {summary.inserted} · Updated: {summary.updated} ·
+            Rejected: {summary.rejected.length}
+          </p>
+          {summary.rejected.length > 0 && (
+            <ul className="import-errors">
+              {summary.rejected.map(({ row, message }) => (
+                <li key={row}>
+                  Row {row}: {message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+/**
+ * ImportPage Component Tests
+ *
+ * Unit tests for the ImportPage component.
+ * Verifies the preview, per-row validation, batching and the summary.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useMutation } from 'convex/react'
+import { ConvexError } from 'convex/values'
+import ImportPage from './ImportPage'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useMutation: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    functions: {
+      importMockData: vi.fn(),
+    },
+  },
+}))
+
+const csvFile = (text, name = 'records.csv') => new File([text], name, { type: 'text/csv' })
+
+describe('ImportPage Component', () => {
+  beforeEach(() => {
+    // Clear mocks before each test
+    vi.clearAllMocks()
+  })
+
+  it('should preview rows and flag invalid ones', async () => {
+    const user = userEvent.setup()
+    useMutation.mockReturnValue(vi.fn())
+
+    render(<ImportPage />)
+
+    await user.upload(
+      screen.getByLabelText('File:'),
+      csvFile('name,value\nAlpha,1\n,abc')
+    )
+
+    expect(await screen.findByText('records.csv: 2 rows · 1 valid · 1 with errors')).toBeInTheDocument()
+    expect(screen.getByText('Alpha')).toBeInTheDocument()
+    expect(screen.getByText('Name cannot be empty.')).toBeInTheDocument()
+    expect(screen.getByText('Value must be a valid number.')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Import 1 Valid Rows' })).toBeInTheDocument()
+  })
+
+  it('should show an error when the file cannot be parsed', async () => {
+    const user = userEvent.setup()
+    useMutation.mockReturnValue(vi.fn())
+
+    render(<ImportPage />)
+
+    await user.upload(screen.getByLabelText('File:'), csvFile('{}', 'records.json'))
+
+    expect(
+      await screen.findByText('Could not read records.json: The JSON file must contain an array of records.')
+    ).toBeInTheDocument()
+  })
+
+  it('should import valid rows in batches and summarize the result', async () => {
+    const user = userEvent.setup()
+    const mockImport = vi.fn(async ({ rows }) => ({
+      inserted: rows.length - 1,
+      updated: 1,
+      rejected: [],
+    }))
+    useMutation.mockReturnValue(mockImport)
+
+    const lines = Array.from({ length: 150 }, (_, i) => `Item ${i + 1},${i}`)
+    render(<ImportPage />)
+
+    await user.upload(
+      screen.getByLabelText('File:'),
+      csvFile(['name,value', ...lines, 'Bad,x'].join('\n'))
+    )
+    await user.click(screen.getByLabelText(/Upsert by name/))
+    await user.click(await screen.findByRole('button', { name: 'Import 150 Valid Rows' }))
+
+    await waitFor(() => {
+      expect(screen.getByText('Inserted: 148 · Updated: 2 · Rejected: 1')).toBeInTheDocument()
+    })
+    expect(mockImport).toHaveBeenCalledTimes(2)
+    expect(mockImport.mock.calls[0][0].rows).toHaveLength(100)
+    expect(mockImport.mock.calls[0][0].mode).toBe('upsert')
+    expect(mockImport.mock.calls[1][0].rows).toHaveLength(50)
+    expect(screen.getByText('Imported 150 of 150 rows')).toBeInTheDocument()
+    expect(screen.getByText('Row 151: Value must be a valid number.')).toBeInTheDocument()
+  })
+
+  it('should map server rejections back to file rows', async () => {
+    const user = userEvent.setup()
+    useMutation.mockReturnValue(
+      vi.fn().mockResolvedValue({
+        inserted: 1,
+        updated: 0,
+        rejected: [{ index: 1, message: 'Name cannot be empty.' }],
+      })
+    )
+
+    render(<ImportPage />)
+
+    await user.upload(screen.getByLabelText('File:'), csvFile('name,value\nAlpha,1\nBeta,2'))
+    await user.click(await screen.findByRole('button', { name: 'Import 2 Valid Rows' }))
+
+    expect(await screen.findByText('Row 2: Name cannot be empty.')).toBeInTheDocument()
+  })
+
+  it('should report where the import stopped when a batch fails', async () => {
+    const user = userEvent.setup()
+    useMutation.mockReturnValue(
+      vi.fn().mockRejectedValue(
+        new ConvexError({ code: 'FORBIDDEN', message: 'This action requires the editor role; you are a viewer.' })
+      )
+    )
+
+    render(<ImportPage />)
+
+    await user.upload(screen.getByLabelText('File:'), csvFile('name,value\nAlpha,1'))
+    await user.click(await screen.findByRole('button', { name: 'Import 1 Valid Rows' }))
+
+    expect(
+      await screen.findByText(
+        'Import stopped after 0 of 1 rows: This action requires the editor role; you are a viewer.'
+      )
+    ).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,30 @@
+import { Link } from "react-router-dom";
+import "../App.css";
+
+/**
+ * NotFoundPage Component
+ *
+ * Shown for URLs no route matches (the catch-all route in App.jsx), and by
+ * the record pages when the ID in the URL doesn't belong to any record:
+ * malformed, never existed, or permanently deleted.
+ *
+ * Props:
+ * - title: Heading (defaults to "Page not found")
+ * - message: Explanation below the heading
+ */
+export default function NotFoundPage({
+  title = "Page not found",
+  message = "There is nothing at this address. Check the link, or start again from the records list.",
+}) {
+  return (
+    <div className="page">
+      <h1>{title}</h1>
+      <div className="empty-state">
+        <p>{message}</p>
+        <p>
+          <Link to="/view">Back to View Data</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
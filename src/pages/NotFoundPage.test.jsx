@@ -0,0 +1,40 @@
+/**
+ * NotFoundPage Component Tests
+ *
+ * Unit tests for the NotFoundPage component.
+ * Verifies the default and custom messages and the way back.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import { MemoryRouter } from 'react-router-dom'
+import NotFoundPage from './NotFoundPage'
+
+describe('NotFoundPage Component', () => {
+  it('should explain that nothing is at the address and link back', () => {
+    render(
+      <MemoryRouter>
+        <NotFoundPage />
+      </MemoryRouter>
+    )
+
+    expect(screen.getByRole('heading', { name: 'Page not found' })).toBeInTheDocument()
+    expect(screen.getByText(/There is nothing at this address/)).toBeInTheDocument()
+    expect(screen.getByRole('link', { name: 'Back to View Data' })).toHaveAttribute('href', '/view')
+  })
+
+  it('should show a custom title and message', () => {
+    render(
+      <MemoryRouter>
+        <NotFoundPage title="Record not found" message="No record has this ID." />
+      </MemoryRouter>
+    )
+
+    expect(screen.getByRole('heading', { name: 'Record not found' })).toBeInTheDocument()
+    expect(screen.getByText('No record has this ID.')).toBeInTheDocument()
+  })
+})
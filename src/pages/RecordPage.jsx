@@ -0,0 +1,114 @@
+import { useParams, Link } from "react-router-dom";
+import { useQuery } from "convex/react";
+import { api } from "../../convex/_generated/api";
+import useCurrentUser from "../hooks/useCurrentUser";
+import LoadingState from "../components/LoadingState";
+import ValueChart from "../components/ValueChart";
+import CommentPanel from "../components/CommentPanel";
+import NotFoundPage from "./NotFoundPage";
+import "../App.css";
+
+/**
+ * RecordPage Component
+ *
+ * Detail page of a single record, reached from /records/:id, so a record
+ * can be shared as a link. Shows every field with the record's tags, links
+ * to edit it (/update/:id) and to its history, the value-over-time chart
+ * (ValueChart) and the record's comments (CommentPanel).
+ *
+ * The record is a live subscription (api.functions.getMockDataById), so
+ * edits made anywhere appear here instantly. A malformed or unknown ID, or
+ * a record that was permanently deleted, shows the not-found page; a
+ * trashed record is still shown, marked as such.
+ */
+export default function RecordPage() {
+  const { id } = useParams();
+  const record = useQuery(api.functions.getMockDataById, { id });
+  const { can } = useCurrentUser();
+
+  // Handle loading state
+  if (record === undefined) {
+    return (
+      <div className="page">
+        <h1>Record Details</h1>
+        <LoadingState />
+      </div>
+    );
+  }
+
+  if (record === null) {
+    return (
+      <NotFoundPage
+        title="Record not found"
+        message="No record has this ID. It may have been permanently deleted, or the link is incomplete."
+      />
+    );
+  }
+
+  const isTrashed = record.deletedAt !== undefined;
+
+  return (
+    <div className="page">
+      <h1>{record.name}</h1>
+      {isTrashed && (
+        <div className="message error-message">
+          This record is in the trash.
+          {can("editor") && (
+            <>
+              {" "}
+              <Link to="/trash">Restore it from the Trash page</Link> to edit it again.
+            </>
+          )}
+        </div>
+      )}
+
+      <dl className="record-fields">
+        <dt>ID</dt>
+        <dd>
+          <code>{record._id}</code>
+        </dd>
+        <dt>Value</dt>
+        <dd>{record.value}</dd>
+        <dt>Description</dt>
+        <dd>{record.description ?? <em>None</em>}</dd>
+        <dt>Tags</dt>
+        <dd>
+          {record.tags.length === 0 ? (
+            <em>None</em>
+          ) : (
+            record.tags.map((tag) => (
+              <Link
+                key={tag._id}
+                to={`/view?tags=${tag._id}`}
+                className="tag-chip"
+                title={`Show records tagged ${tag.name}`}
+              >
+                {tag.name}
+              </Link>
+            ))
+          )}
+        </dd>
+        <dt>Created</dt>
+        <dd>{new Date(record._creationTime).toLocaleString()}</dd>
+        <dt>Revision</dt>
+        <dd>{record.revision ?? 0}</dd>
+      </dl>
+
+      <p className="record-actions">
+        {can("editor") && !isTrashed && (
+          <Link to={`/update/${record._id}`} className="table-button">
+            Edit
+          </Link>
+        )}
+        <Link to={`/records/${record._id}/history`} className="table-button secondary">
+          View history
+        </Link>
+      </p>
+
+      <ValueChart recordId={record._id} value={isTrashed ? undefined : record.value} />
+
+      <h2>Comments</h2>
+      <CommentPanel recordId={record._id} disabled={isTrashed} />
+    </div>
+  );
+}
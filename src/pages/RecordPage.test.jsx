@@ -0,0 +1,155 @@
+/**
+ * RecordPage Component Tests
+ *
+ * Unit tests for the RecordPage component.
+ * Verifies the record details, links, and missing or invalid IDs.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import { MemoryRouter, Routes, Route } from 'react-router-dom'
+import { useQuery } from 'convex/react'
+import { api } from '../../convex/_generated/api'
+import useCurrentUser from '../hooks/useCurrentUser'
+import RecordPage from './RecordPage'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    functions: {
+      getMockDataById: vi.fn(),
+    },
+  },
+}))
+
+// Mock the signed-in user; tests run as an editor unless they say otherwise
+vi.mock('../hooks/useCurrentUser', () => ({
+  default: vi.fn(),
+}))
+
+// ValueChart has its own tests; the stub shows which record it plots
+vi.mock('../components/ValueChart', () => ({
+  default: ({ recordId, value }) => (
+    <div data-testid="value-chart">{`${recordId}:${value ?? 'none'}`}</div>
+  ),
+}))
+
+// CommentPanel has its own tests; the stub shows its record and whether posting is off
+vi.mock('../components/CommentPanel', () => ({
+  default: ({ recordId, disabled }) => (
+    <div data-testid="comment-panel">{`${recordId}:${disabled ? 'disabled' : 'enabled'}`}</div>
+  ),
+}))
+
+const signInAs = (role) =>
+  useCurrentUser.mockReturnValue({
+    user: { _id: 'user1', name: 'Alice', role },
+    can: (minimum) =>
+      ['viewer', 'editor', 'admin'].indexOf(role) >=
+      ['viewer', 'editor', 'admin'].indexOf(minimum),
+  })
+
+const record = {
+  _id: 'abc123',
+  name: 'Alpha',
+  value: 150,
+  description: 'First item',
+  revision: 3,
+  tags: [{ _id: 't1', name: 'urgent' }],
+  _creationTime: 1234567800000,
+}
+
+const renderRecordPage = (id = 'abc123') =>
+  render(
+    <MemoryRouter initialEntries={[`/records/${id}`]}>
+      <Routes>
+        <Route path="/records/:id" element={<RecordPage />} />
+      </Routes>
+    </MemoryRouter>
+  )
+
+describe('RecordPage Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    signInAs('editor')
+  })
+
+  it('should query the record in the URL and show loading state', () => {
+    useQuery.mockReturnValue(undefined)
+
+    renderRecordPage('def456')
+
+    expect(useQuery).toHaveBeenCalledWith(api.functions.getMockDataById, { id: 'def456' })
+    expect(screen.getByText('Loading data from Convex...')).toBeInTheDocument()
+  })
+
+  it('should show the not-found page for a missing or invalid ID', () => {
+    useQuery.mockReturnValue(null)
+
+    renderRecordPage('not-an-id')
+
+    expect(screen.getByRole('heading', { name: 'Record not found' })).toBeInTheDocument()
+    expect(screen.getByRole('link', { name: 'Back to View Data' })).toHaveAttribute('href', '/view')
+  })
+
+  it('should show every field with the tags linking to the filtered list', () => {
+    useQuery.mockReturnValue(record)
+
+    renderRecordPage()
+
+    expect(screen.getByRole('heading', { name: 'Alpha' })).toBeInTheDocument()
+    expect(screen.getByText('abc123')).toBeInTheDocument()
+    expect(screen.getByText('150')).toBeInTheDocument()
+    expect(screen.getByText('First item')).toBeInTheDocument()
+    expect(screen.getByText('3')).toBeInTheDocument()
+    expect(screen.getByRole('link', { name: 'urgent' })).toHaveAttribute('href', '/view?tags=t1')
+    expect(screen.getByTestId('value-chart')).toHaveTextContent('abc123:150')
+    expect(screen.getByTestId('comment-panel')).toHaveTextContent('abc123:enabled')
+  })
+
+  it('should link to editing and history', () => {
+    useQuery.mockReturnValue(record)
+
+    renderRecordPage()
+
+    expect(screen.getByRole('link', { name: 'Edit' })).toHaveAttribute('href', '/update/abc123')
+    expect(screen.getByRole('link', { name: 'View history' })).toHaveAttribute(
+      'href',
+      '/records/abc123/history'
+    )
+  })
+
+  it('should not offer editing to viewers', () => {
+    signInAs('viewer')
+    useQuery.mockReturnValue(record)
+
+    renderRecordPage()
+
+    expect(screen.queryByRole('link', { name: 'Edit' })).not.toBeInTheDocument()
+    expect(screen.getByRole('link', { name: 'View history' })).toBeInTheDocument()
+  })
+
+  it('should mark a trashed record and point to the trash instead of editing', () => {
+    useQuery.mockReturnValue({ ...record, tags: [], deletedAt: 1234568000000 })
+
+    renderRecordPage()
+
+    expect(screen.getByText(/This record is in the trash/)).toBeInTheDocument()
+    expect(screen.getByRole('link', { name: 'Restore it from the Trash page' })).toHaveAttribute(
+      'href',
+      '/trash'
+    )
+    expect(screen.queryByRole('link', { name: 'Edit' })).not.toBeInTheDocument()
+    expect(screen.getByTestId('value-chart')).toHaveTextContent('abc123:none')
+    expect(screen.getByTestId('comment-panel')).toHaveTextContent('abc123:disabled')
+  })
+})
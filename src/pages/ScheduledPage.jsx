@@ -0,0 +1,25 @@
+import ScheduledChanges from "../components/ScheduledChanges";
+import "../App.css";
+
+/**
+ * ScheduledPage Component
+ *
+ * Every record's upcoming scheduled changes in one list, soonest first,
+ * with reschedule and cancel actions (see ScheduledChanges). Changes are
+ * scheduled from the Update page; the list updates live as they are added,
+ * applied or cancelled anywhere.
+ */
+export default function ScheduledPage() {
+  return (
+    <div className="page">
+      <h1>Scheduled Changes</h1>
+      <p className="page-description">
+        Updates waiting to take effect. Each one is applied automatically at
+        its time; a change that can't be applied stays here as failed, with
+        the reason.
+      </p>
+
+      <ScheduledChanges />
+    </div>
+  );
+}
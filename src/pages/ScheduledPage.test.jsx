@@ -0,0 +1,29 @@
+/**
+ * ScheduledPage Component Tests
+ *
+ * Unit tests for the page listing every scheduled change.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import ScheduledPage from './ScheduledPage'
+
+// ScheduledChanges has its own tests
+vi.mock('../components/ScheduledChanges', () => ({
+  default: ({ recordId }) => (
+    <div data-testid="scheduled-changes">{recordId ?? 'all records'}</div>
+  ),
+}))
+
+describe('ScheduledPage Component', () => {
+  it("should list every record's scheduled changes", () => {
+    render(<ScheduledPage />)
+
+    expect(screen.getByRole('heading', { name: 'Scheduled Changes' })).toBeInTheDocument()
+    expect(screen.getByTestId('scheduled-changes')).toHaveTextContent('all records')
+  })
+})
@@ -0,0 +1,122 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { ConvexError } from "convex/values";
+import useAuth from "../hooks/useAuth";
+import "../App.css";
+
+/**
+ * SignInPage Component
+ *
+ * Sign-in and account creation form. Credentials are checked by the
+ * api.auth.signIn / api.auth.signUp actions, which return a self-issued
+ * token (see useAuth). Every other page requires an account.
+ *
+ * Form Workflow:
+ * 1. Enter a name and password (or switch to "Create an account")
+ * 2. Submit the form to sign in
+ * 3. On success the app returns to the View page, signed in
+ */
+export default function SignInPage() {
+  const { signIn, signUp } = useAuth();
+  const navigate = useNavigate();
+
+  // "signIn" or "signUp"
+  const [mode, setMode] = useState("signIn");
+  const [name, setName] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const isSignUp = mode === "signUp";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!name.trim() || !password) {
+      setErrorMessage("Enter your name and password.");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrorMessage("");
+
+    try {
+      await (isSignUp ? signUp : signIn)(name.trim(), password);
+      navigate("/view");
+    } catch (error) {
+      // Expected failures (wrong password, name taken...) come as ConvexErrors
+      setErrorMessage(
+        error instanceof ConvexError
+          ? error.data.message
+          : `Failed to sign in: ${error.message}`
+      );
+      setIsSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(isSignUp ? "signIn" : "signUp");
+    setErrorMessage("");
+  };
+
+  return (
+    <div className="page">
+      <h1>{isSignUp ? "Create an Account" : "Sign In"}</h1>
+      <p className="page-description">
+        Sign in to view and edit data. New accounts can view data until an admin
+        gives them a role with more permissions.
+      </p>
+
+      <div className="update-form-container">
+        <form className="update-form" onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label htmlFor="signin-name">Name:</label>
+            <input
+              id="signin-name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="form-control"
+              autoComplete="username"
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="signin-password">Password:</label>
+            <input
+              id="signin-password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="form-control"
+              autoComplete={isSignUp ? "new-password" : "current-password"}
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <button type="submit" className="submit-button" disabled={isSubmitting}>
+            {isSubmitting
+              ? "Signing in..."
+              : isSignUp
+                ? "Create Account"
+                : "Sign In"}
+          </button>
+
+          {errorMessage && (
+            <div className="message error-message">{errorMessage}</div>
+          )}
+
+          <button
+            type="button"
+            className="table-button secondary"
+            onClick={switchMode}
+            disabled={isSubmitting}
+          >
+            {isSignUp ? "I already have an account" : "Create an account"}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+/**
+ * SignInPage Component Tests
+ *
+ * Unit tests for the SignInPage component.
+ * Verifies signing in, creating an account and error display.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { MemoryRouter, Routes, Route } from 'react-router-dom'
+import { ConvexError } from 'convex/values'
+import useAuth from '../hooks/useAuth'
+import SignInPage from './SignInPage'
+
+// Mock the auth hook
+vi.mock('../hooks/useAuth', () => ({
+  default: vi.fn(),
+}))
+
+const renderSignInPage = () =>
+  render(
+    <MemoryRouter initialEntries={['/signin']}>
+      <Routes>
+        <Route path="/signin" element={<SignInPage />} />
+        <Route path="/view" element={<p>View page</p>} />
+      </Routes>
+    </MemoryRouter>
+  )
+
+describe('SignInPage Component', () => {
+  let signIn
+  let signUp
+
+  beforeEach(() => {
+    // Clear mocks before each test
+    vi.clearAllMocks()
+    signIn = vi.fn().mockResolvedValue(undefined)
+    signUp = vi.fn().mockResolvedValue(undefined)
+    useAuth.mockReturnValue({ signIn, signUp })
+  })
+
+  it('should sign in and return to the View page', async () => {
+    const user = userEvent.setup()
+    renderSignInPage()
+
+    await user.type(screen.getByLabelText('Name:'), ' alice ')
+    await user.type(screen.getByLabelText('Password:'), 'correct horse')
+    await user.click(screen.getByRole('button', { name: 'Sign In' }))
+
+    await waitFor(() => {
+      expect(signIn).toHaveBeenCalledWith('alice', 'correct horse')
+    })
+    expect(await screen.findByText('View page')).toBeInTheDocument()
+  })
+
+  it('should create an account in sign-up mode', async () => {
+    const user = userEvent.setup()
+    renderSignInPage()
+
+    await user.click(screen.getByRole('button', { name: 'Create an account' }))
+    expect(screen.getByText('Create an Account')).toBeInTheDocument()
+
+    await user.type(screen.getByLabelText('Name:'), 'bob')
+    await user.type(screen.getByLabelText('Password:'), 'secret-password')
+    await user.click(screen.getByRole('button', { name: 'Create Account' }))
+
+    await waitFor(() => {
+      expect(signUp).toHaveBeenCalledWith('bob', 'secret-password')
+    })
+    expect(signIn).not.toHaveBeenCalled()
+  })
+
+  it('should require a name and password', async () => {
+    const user = userEvent.setup()
+    renderSignInPage()
+
+    await user.click(screen.getByRole('button', { name: 'Sign In' }))
+
+    expect(screen.getByText('Enter your name and password.')).toBeInTheDocument()
+    expect(signIn).not.toHaveBeenCalled()
+  })
+
+  it('should show the server message for rejected credentials', async () => {
+    const user = userEvent.setup()
+    signIn.mockRejectedValue(
+      new ConvexError({ code: 'INVALID_CREDENTIALS', message: 'Incorrect name or password.' })
+    )
+    renderSignInPage()
+
+    await user.type(screen.getByLabelText('Name:'), 'alice')
+    await user.type(screen.getByLabelText('Password:'), 'wrong password')
+    await user.click(screen.getByRole('button', { name: 'Sign In' }))
+
+    expect(await screen.findByText('Incorrect name or password.')).toBeInTheDocument()
+    expect(screen.queryByText('View page')).not.toBeInTheDocument()
+  })
+})
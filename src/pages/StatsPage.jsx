@@ -0,0 +1,183 @@
+import { useState } from "react";
+import { useQuery } from "convex/react";
+import { api } from "../../convex/_generated/api";
+import useListParams from "../hooks/useListParams";
+import ValueRangeFilter from "../components/ValueRangeFilter";
+import LoadingState from "../components/LoadingState";
+import "../App.css";
+
+// Histogram resolutions offered in the bins picker
+const BIN_OPTIONS = [5, 10, 20, 50];
+const DEFAULT_BINS = 10;
+
+const formatNumber = (number) =>
+  number === null ? "–" : number.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+// Position of a value on the min..max strip, as a CSS percentage
+const positionOf = (value, min, max) =>
+  max === min ? "50%" : `${((value - min) / (max - min)) * 100}%`;
+
+/**
+ * StatsPage Component
+ *
+ * Dashboard of the records' values: count, sum, mean, median, min and max,
+ * a histogram, and a strip placing the mean and median between the min and
+ * max. The value-range filter narrows every figure and chart, and is kept
+ * in the URL like the View page's (the same `min`/`max` parameters).
+ *
+ * The figures come from a live subscription (api.stats.getValueStats),
+ * which is served from aggregates kept up to date on every write, so the
+ * charts change as soon as any record does. Records written around the
+ * mutations (e.g. imported) are only counted once an hourly job catches up;
+ * until then the figures are marked as incomplete.
+ */
+export default function StatsPage() {
+  const { valueMin, valueMax, setValueRange } = useListParams();
+  const [bins, setBins] = useState(DEFAULT_BINS);
+  const stats = useQuery(api.stats.getValueStats, {
+    ...(valueMin !== undefined ? { valueMin } : {}),
+    ...(valueMax !== undefined ? { valueMax } : {}),
+    bins,
+  });
+
+  const isFiltered = valueMin !== undefined || valueMax !== undefined;
+
+  const renderStats = () => {
+    if (stats === undefined) {
+      return <LoadingState />;
+    }
+
+    if (stats.count === 0 && stats.stale) {
+      return (
+        <div className="empty-state" role="status">
+          <p>Statistics are being computed. They appear once the records are counted.</p>
+        </div>
+      );
+    }
+
+    if (stats.count === 0) {
+      return (
+        <div className="empty-state">
+          <p>
+            {isFiltered
+              ? "No records have a value in this range."
+              : "No data found. Create some records to see statistics."}
+          </p>
+        </div>
+      );
+    }
+
+    const tallest = Math.max(...stats.histogram.map((bin) => bin.count));
+    const summary = [
+      { label: "Records", value: stats.count.toLocaleString() },
+      { label: "Sum", value: formatNumber(stats.sum) },
+      { label: "Mean", value: formatNumber(stats.mean) },
+      { label: "Median", value: formatNumber(stats.median) },
+      { label: "Min", value: formatNumber(stats.min) },
+      { label: "Max", value: formatNumber(stats.max) },
+    ];
+    const spreadLabel =
+      `Min ${formatNumber(stats.min)}, median ${formatNumber(stats.median)}, ` +
+      `mean ${formatNumber(stats.mean)}, max ${formatNumber(stats.max)}`;
+
+    return (
+      <>
+        {stats.stale && (
+          <div className="message warning-message" role="status">
+            Some records aren't counted yet, so these figures are incomplete. They
+            are brought up to date within the hour.
+          </div>
+        )}
+        <dl className="stats-summary">
+          {summary.map(({ label, value }) => (
+            <div key={label} className="stats-card">
+              <dt>{label}</dt>
+              <dd>{value}</dd>
+            </div>
+          ))}
+        </dl>
+
+        <section className="stats-chart">
+          <div className="stats-chart-header">
+            <h2>Value Distribution</h2>
+            <label htmlFor="stats-bins">Bins:</label>
+            <select
+              id="stats-bins"
+              className="form-control"
+              value={bins}
+              onChange={(e) => setBins(Number(e.target.value))}
+            >
+              {BIN_OPTIONS.map((option) => (
+                <option key={option} value={option}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          </div>
+          <ol className="histogram" aria-label="Value histogram">
+            {stats.histogram.map((bin) => {
+              const label = `${formatNumber(bin.from)} to ${formatNumber(bin.to)}`;
+              return (
+                <li
+                  key={bin.from}
+                  className="histogram-bin"
+                  aria-label={`${label}: ${bin.count} ${bin.count === 1 ? "record" : "records"}`}
+                  title={`${label}: ${bin.count}`}
+                >
+                  <span className="histogram-count">{bin.count}</span>
+                  <span
+                    className="histogram-bar"
+                    style={{ height: `${tallest > 0 ? (bin.count / tallest) * 100 : 0}%` }}
+                  />
+                </li>
+              );
+            })}
+          </ol>
+          <div className="histogram-axis">
+            <span>{formatNumber(stats.min)}</span>
+            <span>{formatNumber(stats.max)}</span>
+          </div>
+        </section>
+
+        <section className="stats-chart">
+          <h2>Spread</h2>
+          <div className="stats-strip" role="img" aria-label={spreadLabel}>
+            {stats.median !== null && (
+              <span
+                className="stats-marker median"
+                style={{ left: positionOf(stats.median, stats.min, stats.max) }}
+                title={`Median ${formatNumber(stats.median)}`}
+              />
+            )}
+            <span
+              className="stats-marker mean"
+              style={{ left: positionOf(stats.mean, stats.min, stats.max) }}
+              title={`Mean ${formatNumber(stats.mean)}`}
+            />
+          </div>
+          <div className="histogram-axis">
+            <span>Min {formatNumber(stats.min)}</span>
+            <span className="stats-legend">
+              <span className="stats-marker-key median" /> Median
+              <span className="stats-marker-key mean" /> Mean
+            </span>
+            <span>Max {formatNumber(stats.max)}</span>
+          </div>
+        </section>
+      </>
+    );
+  };
+
+  return (
+    <div className="page">
+      <h1>Statistics</h1>
+      <p className="page-description">
+        Totals and the spread of record values. Updates live as records change.
+      </p>
+
+      <ValueRangeFilter valueMin={valueMin} valueMax={valueMax} onApply={setValueRange} />
+
+      {renderStats()}
+    </div>
+  );
+}
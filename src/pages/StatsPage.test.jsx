@@ -0,0 +1,180 @@
+/**
+ * StatsPage Component Tests
+ *
+ * Unit tests for the StatsPage component.
+ * Verifies the summary figures, the charts and the value-range filter.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { MemoryRouter } from 'react-router-dom'
+import { useQuery } from 'convex/react'
+import { api } from '../../convex/_generated/api'
+import StatsPage from './StatsPage'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    stats: {
+      getValueStats: vi.fn(),
+    },
+  },
+}))
+
+// StatsPage keeps the value range in the URL, so it needs a router
+const renderStatsPage = (url = '/stats') =>
+  render(
+    <MemoryRouter initialEntries={[url]}>
+      <StatsPage />
+    </MemoryRouter>
+  )
+
+const stats = {
+  count: 4,
+  sum: 1000,
+  mean: 250,
+  min: 100,
+  max: 400,
+  median: 225.5,
+  histogram: [
+    { from: 100, to: 250, count: 3 },
+    { from: 250, to: 400, count: 1 },
+  ],
+  stale: false,
+}
+
+describe('StatsPage Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should render loading state while the stats load', () => {
+    useQuery.mockReturnValue(undefined)
+
+    renderStatsPage()
+
+    expect(screen.getByText('Loading data from Convex...')).toBeInTheDocument()
+  })
+
+  it('should render empty state when there are no records', () => {
+    useQuery.mockReturnValue({
+      count: 0, sum: 0, mean: null, min: null, max: null, median: null, histogram: [], stale: false,
+    })
+
+    renderStatsPage()
+
+    expect(
+      screen.getByText('No data found. Create some records to see statistics.')
+    ).toBeInTheDocument()
+  })
+
+  it('should say the statistics are being computed when no records are counted yet', () => {
+    useQuery.mockReturnValue({
+      count: 0, sum: 0, mean: null, min: null, max: null, median: null, histogram: [], stale: true,
+    })
+
+    renderStatsPage()
+
+    expect(screen.getByRole('status')).toHaveTextContent('Statistics are being computed.')
+    expect(screen.queryByText(/No data found/)).not.toBeInTheDocument()
+  })
+
+  it('should mark the figures as incomplete while some records are not counted', () => {
+    useQuery.mockReturnValue({ ...stats, stale: true })
+
+    renderStatsPage()
+
+    expect(screen.getByRole('status')).toHaveTextContent('these figures are incomplete')
+    expect(screen.getByText('Records').nextSibling).toHaveTextContent('4')
+  })
+
+  it('should show the summary figures', () => {
+    useQuery.mockReturnValue(stats)
+
+    renderStatsPage()
+
+    const figures = Object.fromEntries(
+      screen.getAllByRole('term').map((term) => [term.textContent, term.nextSibling.textContent])
+    )
+    expect(figures).toEqual({
+      Records: '4',
+      Sum: (1000).toLocaleString(),
+      Mean: '250',
+      Median: (225.5).toLocaleString(),
+      Min: '100',
+      Max: '400',
+    })
+  })
+
+  it('should draw a bar per histogram bin scaled to the tallest', () => {
+    useQuery.mockReturnValue(stats)
+
+    renderStatsPage()
+
+    const bins = within(screen.getByRole('list', { name: 'Value histogram' })).getAllByRole(
+      'listitem'
+    )
+    expect(bins).toHaveLength(2)
+    expect(bins[0]).toHaveAccessibleName('100 to 250: 3 records')
+    expect(bins[1]).toHaveAccessibleName('250 to 400: 1 record')
+    expect(bins[0].querySelector('.histogram-bar')).toHaveStyle({ height: '100%' })
+    expect(bins[1].querySelector('.histogram-bar').style.height).toMatch(/^33\.3/)
+  })
+
+  it('should place the mean and median between the min and max', () => {
+    useQuery.mockReturnValue(stats)
+
+    renderStatsPage()
+
+    const strip = screen.getByRole('img')
+    expect(strip).toHaveAccessibleName(
+      `Min 100, median ${(225.5).toLocaleString()}, mean 250, max 400`
+    )
+    expect(strip.querySelector('.stats-marker.mean')).toHaveStyle({ left: '50%' })
+    expect(strip.querySelector('.stats-marker.median')).toHaveStyle({ left: '41.833333333333336%' })
+  })
+
+  it('should query with the value range from the URL', () => {
+    useQuery.mockReturnValue({ ...stats, count: 0, histogram: [] })
+
+    renderStatsPage('/stats?min=10&max=200')
+
+    expect(useQuery).toHaveBeenLastCalledWith(api.stats.getValueStats, {
+      valueMin: 10,
+      valueMax: 200,
+      bins: 10,
+    })
+    expect(screen.getByLabelText('Min value:')).toHaveValue(10)
+    expect(screen.getByText('No records have a value in this range.')).toBeInTheDocument()
+  })
+
+  it('should apply a new value range and bin count', async () => {
+    const user = userEvent.setup()
+    useQuery.mockReturnValue(stats)
+
+    renderStatsPage()
+
+    await user.type(screen.getByLabelText('Min value:'), '150')
+    await user.click(screen.getByRole('button', { name: 'Apply' }))
+    expect(useQuery).toHaveBeenLastCalledWith(api.stats.getValueStats, {
+      valueMin: 150,
+      bins: 10,
+    })
+
+    await user.selectOptions(screen.getByLabelText('Bins:'), '20')
+    expect(useQuery).toHaveBeenLastCalledWith(api.stats.getValueStats, {
+      valueMin: 150,
+      bins: 20,
+    })
+  })
+})
@@ -0,0 +1,152 @@
+import { useState } from "react";
+import { useQuery, useMutation } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+import useCurrentUser from "../hooks/useCurrentUser";
+import LoadingState from "../components/LoadingState";
+import "../App.css";
+
+/**
+ * TrashPage Component
+ *
+ * Lists soft-deleted mock data records and lets users restore them or
+ * delete them permanently. Like the View page, the list is a live
+ * subscription, so records deleted in another browser appear here instantly.
+ *
+ * Records left in the trash are purged automatically by the
+ * purgeExpiredMockData cron job once the retention window has elapsed.
+ * Deleting forever is admin-only; editors can only restore.
+ */
+export default function TrashPage() {
+  // Fetch all records currently in the trash
+  const deletedData = useQuery(api.functions.getDeletedMockData);
+
+  const restoreMockData = useMutation(api.functions.restoreMockData);
+  const purgeMockData = useMutation(api.functions.purgeMockData);
+  const { can } = useCurrentUser();
+
+  // ID of the record an action is currently running for
+  const [pendingId, setPendingId] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const handleRestore = async (id) => {
+    setPendingId(id);
+    setErrorMessage("");
+    try {
+      await restoreMockData({ id });
+    } catch (error) {
+      // e.g. another record has taken its name in the meantime
+      setErrorMessage(
+        error instanceof ConvexError
+          ? error.data.message
+          : `Failed to restore record: ${error.message}`
+      );
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handlePurge = async (item) => {
+    // Purging cannot be undone, so ask first
+    if (!window.confirm(`Permanently delete "${item.name}"? This cannot be undone.`)) {
+      return;
+    }
+    setPendingId(item._id);
+    setErrorMessage("");
+    try {
+      await purgeMockData({ id: item._id });
+    } catch (error) {
+      setErrorMessage(`Failed to delete record: ${error.message}`);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  // Handle loading state
+  if (deletedData === undefined) {
+    return (
+      <div className="page">
+        <h1>Trash</h1>
+        <LoadingState />
+      </div>
+    );
+  }
+
+  // Handle empty trash
+  if (deletedData.length === 0) {
+    return (
+      <div className="page">
+        <h1>Trash</h1>
+        <div className="empty-state">
+          <p>The trash is empty.</p>
+          <p>Records deleted from the Update page will appear here.</p>
+        </div>
+        {errorMessage && (
+          <div className="message error-message">{errorMessage}</div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="page">
+      <h1>Trash</h1>
+      <p className="page-description">
+        Deleted records stay here until they are restored, deleted permanently,
+        or automatically purged after the retention period.
+      </p>
+
+      {errorMessage && (
+        <div className="message error-message">{errorMessage}</div>
+      )}
+
+      <div className="data-container">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Name</th>
+              <th>Value</th>
+              <th>Deleted</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {deletedData.map((item) => (
+              <tr key={item._id}>
+                <td className="id-cell">
+                  <code>{item._id.slice(0, 8)}...</code>
+                </td>
+                <td className="name-cell">{item.name}</td>
+                <td className="value-cell">{item.value}</td>
+                <td className="created-cell">
+                  {new Date(item.deletedAt).toLocaleString()}
+                </td>
+                <td className="actions-cell">
+                  <button
+                    type="button"
+                    className="table-button"
+                    onClick={() => handleRestore(item._id)}
+                    disabled={pendingId === item._id}
+                  >
+                    Restore
+                  </button>
+                  {can("admin") && (
+                    <button
+                      type="button"
+                      className="table-button danger"
+                      onClick={() => handlePurge(item)}
+                      disabled={pendingId === item._id}
+                    >
+                      Delete Forever
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+/**
+ * TrashPage Component Tests
+ *
+ * Unit tests for the TrashPage component.
+ * Verifies that deleted records are listed and can be restored or purged.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useQuery, useMutation } from 'convex/react'
+import useCurrentUser from '../hooks/useCurrentUser'
+import TrashPage from './TrashPage'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+  useMutation: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    functions: {
+      getDeletedMockData: vi.fn(),
+      restoreMockData: vi.fn(),
+      purgeMockData: vi.fn(),
+    },
+  },
+}))
+
+// Mock the signed-in user; tests run as an admin unless they say otherwise
+vi.mock('../hooks/useCurrentUser', () => ({
+  default: vi.fn(),
+}))
+
+const signInAs = (role) =>
+  useCurrentUser.mockReturnValue({
+    user: { _id: 'user1', name: 'Alice', role },
+    can: (minimum) =>
+      ['viewer', 'editor', 'admin'].indexOf(role) >=
+      ['viewer', 'editor', 'admin'].indexOf(minimum),
+  })
+
+const deletedData = [
+  {
+    _id: 'abc123',
+    name: 'Alpha',
+    value: 100,
+    description: 'First item',
+    deletedAt: 1234567890000,
+    _creationTime: 1234567800000,
+  },
+]
+
+describe('TrashPage Component', () => {
+  beforeEach(() => {
+    // Clear mocks before each test
+    vi.clearAllMocks()
+    signInAs('admin')
+  })
+
+  it('should render loading state when data is undefined', () => {
+    useQuery.mockReturnValue(undefined)
+    useMutation.mockReturnValue(vi.fn())
+
+    render(<TrashPage />)
+
+    expect(screen.getByText('Loading data from Convex...')).toBeInTheDocument()
+  })
+
+  it('should render empty state when the trash is empty', () => {
+    useQuery.mockReturnValue([])
+    useMutation.mockReturnValue(vi.fn())
+
+    render(<TrashPage />)
+
+    expect(screen.getByText('The trash is empty.')).toBeInTheDocument()
+  })
+
+  it('should list deleted records', () => {
+    useQuery.mockReturnValue(deletedData)
+    useMutation.mockReturnValue(vi.fn())
+
+    render(<TrashPage />)
+
+    expect(screen.getByText('Alpha')).toBeInTheDocument()
+    expect(screen.getByText('100')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Restore' })).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Delete Forever' })).toBeInTheDocument()
+  })
+
+  it('should restore a record', async () => {
+    const user = userEvent.setup()
+    useQuery.mockReturnValue(deletedData)
+    const mockMutation = vi.fn().mockResolvedValue('abc123')
+    useMutation.mockReturnValue(mockMutation)
+
+    render(<TrashPage />)
+
+    await user.click(screen.getByRole('button', { name: 'Restore' }))
+
+    expect(mockMutation).toHaveBeenCalledWith({ id: 'abc123' })
+  })
+
+  it('should only purge a record after confirmation', async () => {
+    const user = userEvent.setup()
+    useQuery.mockReturnValue(deletedData)
+    const mockMutation = vi.fn().mockResolvedValue('abc123')
+    useMutation.mockReturnValue(mockMutation)
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValueOnce(false)
+
+    render(<TrashPage />)
+
+    const purgeButton = screen.getByRole('button', { name: 'Delete Forever' })
+    await user.click(purgeButton)
+    expect(mockMutation).not.toHaveBeenCalled()
+
+    confirmSpy.mockReturnValueOnce(true)
+    await user.click(purgeButton)
+    expect(mockMutation).toHaveBeenCalledWith({ id: 'abc123' })
+
+    confirmSpy.mockRestore()
+  })
+
+  it('should show error message when restore fails', async () => {
+    const user = userEvent.setup()
+    useQuery.mockReturnValue(deletedData)
+    useMutation.mockReturnValue(vi.fn().mockRejectedValue(new Error('Network error')))
+
+    render(<TrashPage />)
+
+    await user.click(screen.getByRole('button', { name: 'Restore' }))
+
+    await waitFor(() => {
+      expect(screen.getByText('Failed to restore record: Network error')).toBeInTheDocument()
+    })
+  })
+
+  it('should only let admins delete forever', () => {
+    signInAs('editor')
+    useQuery.mockReturnValue(deletedData)
+    useMutation.mockReturnValue(vi.fn())
+
+    render(<TrashPage />)
+
+    expect(screen.getByRole('button', { name: 'Restore' })).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Delete Forever' })).not.toBeInTheDocument()
+  })
+})
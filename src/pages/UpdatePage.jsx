@@ -1,14 +1,50 @@
-import { useState } from "react";
-import { useQuery, useMutation } from "convex/react";
+import { useState, useCallback, useEffect } from "react";
+import { Link, useParams, useNavigate } from "react-router-dom";
+import { useQuery, usePaginatedQuery, useMutation } from "convex/react";
+import { ConvexError } from "convex/values";
 import { api } from "../../convex/_generated/api";
+import UndoToast from "../components/UndoToast";
+import RecordCombobox, { MAX_BROWSE_OPTIONS } from "../components/RecordCombobox";
+import ConflictResolver from "../components/ConflictResolver";
+import ScheduledChanges from "../components/ScheduledChanges";
+import CommentPanel from "../components/CommentPanel";
+import TagInput from "../components/TagInput";
+import PresenceAvatars from "../components/PresenceAvatars";
+import LoadingState from "../components/LoadingState";
+import useCurrentUser from "../hooks/useCurrentUser";
+import usePresence, { usePresenceHeartbeat } from "../hooks/usePresence";
+import useEditLease, { useRecordLocks } from "../hooks/useEditLease";
+import { useUpdateMockData, useDeleteMockData } from "../hooks/useRecordMutations";
+import { fromDateTimeLocal } from "../utils/dateTimeLocal";
+import { validateRecordFields } from "../../convex/validation";
+import NotFoundPage from "./NotFoundPage";
 import "../App.css";
 
+// The first error for each field, keyed by field name, for inline display
+const errorsByField = (errors) =>
+  errors.reduce(
+    (byField, error) => (byField[error.field] ? byField : { ...byField, [error.field]: error.message }),
+    {}
+  );
+
+// "Ana is editing", "Ana and Ben are editing", "Ana, Ben and 2 others are editing"
+const describeEditors = (users) => {
+  const names = users.map((user) => user.name);
+  if (names.length === 1) {
+    return `${names[0]} is editing`;
+  }
+  if (names.length <= 3) {
+    return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]} are editing`;
+  }
+  return `${names.slice(0, 2).join(", ")} and ${names.length - 2} others are editing`;
+};
+
 /**
  * UpdatePage Component
  *
  * Provides a form interface for updating existing mock data records in Convex.
  * This component demonstrates Convex's mutation capabilities:
- * - Fetches existing data using useQuery
+ * - Fetches the record being edited using useQuery
  * - Updates data using useMutation
  * - Real-time sync: changes instantly appear in all connected ViewPage instances
  * - No manual refresh or cache invalidation needed
@@ -20,77 +56,218 @@ import "../App.css";
  * The useMutation hook:
  * - Returns a function that executes the mutation when called
  * - Automatically retries until confirmed
- * - Handles optimistic updates automatically
  * - No manual invalidation or refresh needed
  *
+ * Optimistic Updates:
+ * Updates and deletes go through useUpdateMockData / useDeleteMockData,
+ * which add an explicit optimistic update (Convex doesn't guess one), so
+ * the record changes in every list at once and is styled as pending until
+ * the server confirms it. A rejected write is rolled back and flagged with
+ * a "Rolled back" notice (see src/hooks/useRecordMutations.js).
+ *
+ * Loading Records:
+ * The page never subscribes to the whole table. The combobox lists the first
+ * page of api.functions.listMockData until the user types, then searches
+ * (api.functions.searchMockData); the selected record is loaded on its own
+ * with api.functions.getMockDataById, so any record can be edited however
+ * far down the table it is.
+ *
  * Form Workflow:
- * 1. Select an existing record from the dropdown
+ * 1. Search for and select an existing record in the combobox
  * 2. Edit the name and/or value fields
  * 3. Submit the form to update the record
  * 4. Changes instantly sync to all ViewPage instances
+ *
+ * Selection in the URL:
+ * The selected record is part of the URL (/update/:id), so a link can open
+ * the form on a record and back/forward moves between records. Picking a
+ * record in the combobox navigates there. An ID that doesn't belong to a
+ * live record shows the not-found page.
+ *
+ * Concurrent Edits:
+ * The revision of the record is remembered when it is selected and sent back
+ * with the update. If someone else saved the record in the meantime, the
+ * mutation rejects the write with a CONFLICT error and a three-way view
+ * (original / their change / your edit) lets the user merge or overwrite.
+ *
+ * Validation:
+ * Name and value are checked against the server's rules
+ * (convex/validation.ts) before anything is sent, and a VALIDATION_FAILED
+ * error from the server (e.g. a name another record took in the meantime)
+ * is mapped back to its fields. Either way each problem is shown under the
+ * input it belongs to.
+ *
+ * Scheduled Updates:
+ * Choosing "At a set time" stores the edit as a pending change
+ * (api.scheduledChanges.scheduleChange) that the Convex scheduler applies
+ * at that time, instead of saving it now. The record's pending changes are
+ * listed under Current Record Details, where they can be rescheduled or
+ * cancelled; the Scheduled page lists them for every record.
+ *
+ * Comments:
+ * Current Record Details ends with the record's comment threads
+ * (CommentPanel), updated live, so questions about an edit can be asked
+ * and answered next to the form.
+ *
+ * Tags:
+ * The Tags field (TagInput) adds and removes the record's tags as soon as
+ * they are entered, independently of the Update button.
+ *
+ * Edit Leases:
+ * Selecting a record takes a time-limited lease on it (useEditLease), which
+ * is renewed while the form is open and released after a successful save,
+ * on navigation and on tab close; typing again re-acquires it. While another
+ * user holds the lease the form is read-only, the server refuses their
+ * updates, and the selector marks locked records. Admins can break a lease
+ * someone left behind.
+ *
+ * Presence:
+ * The selected record is announced with usePresenceHeartbeat, and a badge
+ * under the selector names anyone else editing the same record, so
+ * collisions can be avoided before they turn into conflicts.
+ *
+ * Deleting a record moves it to the trash (soft delete). An undo toast lets
+ * the user restore it immediately; otherwise it can be restored from the
+ * Trash page until the retention window expires. Deleting is admin-only, so
+ * the Delete button is only shown to admins.
  */
 export default function UpdatePage() {
-  // Fetch all mock data to populate the record selector
-  const mockData = useQuery(api.functions.getMockData);
+  // The first records, listed by the record selector before anything is typed
+  const { results: browseRecords, status: browseStatus } = usePaginatedQuery(
+    api.functions.listMockData,
+    {},
+    { initialNumItems: MAX_BROWSE_OPTIONS }
+  );
 
-  // Mutation function for updating records
-  // useMutation returns a function that executes the mutation
-  const updateMockData = useMutation(api.functions.updateMockData);
+  // Mutation functions for updating and deleting records, with optimistic updates
+  const updateMockData = useUpdateMockData();
+  const deleteMockData = useDeleteMockData();
+  const restoreMockData = useMutation(api.functions.restoreMockData);
+  const scheduleChange = useMutation(api.scheduledChanges.scheduleChange);
+  const { can } = useCurrentUser();
+
+  // The record being edited comes from the URL (/update/:id)
+  const { id: selectedId = "" } = useParams();
+  const navigate = useNavigate();
+  const record = useQuery(
+    api.functions.getMockDataById,
+    selectedId ? { id: selectedId } : "skip"
+  );
+  // undefined while loading; null for an unknown or malformed ID, and for a
+  // trashed record, which can't be edited
+  const selectedRecord = record?.deletedAt === undefined ? record : null;
+  // ID of the record the form was last loaded from; null reloads it
+  const [loadedId, setLoadedId] = useState("");
 
   // Form state
-  const [selectedId, setSelectedId] = useState("");
+  // False once the edit is saved, so the lease is released until the next change
+  const [isEditing, setIsEditing] = useState(false);
+
+  // Lock the selected record while it is being edited
+  const lease = useEditLease(isEditing ? selectedId : "");
+  const isLocked = lease.status === "locked";
+  const locks = useRecordLocks();
+
+  // Announce which record this tab is editing and see who else is. Only a
+  // loaded record is announced: the raw ID from a malformed link would fail
+  // the heartbeat's validation
+  usePresenceHeartbeat("update", selectedRecord?._id);
+  const { editing } = usePresence();
+  const otherEditors = (selectedId && editing.get(selectedId)) || [];
   const [name, setName] = useState("");
   const [value, setValue] = useState("");
+  // "now" saves immediately; "later" schedules the change for runAtInput
+  const [applyMode, setApplyMode] = useState("now");
+  const [runAtInput, setRunAtInput] = useState("");
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [successMessage, setSuccessMessage] = useState("");
   const [errorMessage, setErrorMessage] = useState("");
+  // Per-field validation errors: { name?, value? }
+  const [fieldErrors, setFieldErrors] = useState({});
+  // Last deleted record, kept so the undo toast can restore it
+  const [deletedRecord, setDeletedRecord] = useState(null);
+  // Snapshot of the record the current edit is based on: { name, value, revision }
+  const [baseRecord, setBaseRecord] = useState(null);
+  // Set when the server rejected an edit as stale: { theirs, mine }
+  const [conflict, setConflict] = useState(null);
 
-  // Handle record selection from dropdown
-  const handleRecordSelect = (e) => {
-    const id = e.target.value;
-    setSelectedId(id);
+  // Load a version of the record into the form and make it the edit's base
+  const loadVersion = useCallback((version) => {
+    setName(version.name);
+    setValue(version.value.toString());
+    setBaseRecord({
+      name: version.name,
+      value: version.value,
+      revision: version.revision ?? 0,
+    });
+  }, []);
 
-    // Find the selected record and populate form fields
-    const selectedRecord = mockData?.find((item) => item._id === id);
+  // Load the record in the URL into the form when the URL changes (picked
+  // in the combobox, opened from a link, or back/forward). Later changes to
+  // the same record don't overwrite the edit in progress.
+  useEffect(() => {
+    if (selectedId === loadedId || (selectedId && !selectedRecord)) {
+      return;
+    }
+    setLoadedId(selectedId);
+    setIsEditing(Boolean(selectedId));
+    setConflict(null);
+    setSuccessMessage("");
+    setErrorMessage("");
+    setFieldErrors({});
     if (selectedRecord) {
-      setName(selectedRecord.name);
-      setValue(selectedRecord.value.toString());
-      setSuccessMessage("");
-      setErrorMessage("");
+      loadVersion(selectedRecord);
+    } else {
+      setBaseRecord(null);
+      setName("");
+      setValue("");
     }
-  };
+  }, [selectedId, selectedRecord, loadedId, loadVersion]);
 
-  // Handle form submission
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  // Handle record selection from the combobox; picking the selected record
+  // again reloads it, discarding the edit
+  const handleRecordSelect = (id) => {
+    setLoadedId(null);
+    navigate(`/update/${id}`);
+  };
 
-    // Validation
-    if (!selectedId) {
-      setErrorMessage("Please select a record to update.");
-      return;
+  // Show a server VALIDATION_FAILED error next to the fields it names;
+  // returns false for any other error
+  const showFieldErrors = (error) => {
+    if (!(error instanceof ConvexError) || error.data?.code !== "VALIDATION_FAILED") {
+      return false;
     }
-    if (!name.trim()) {
-      setErrorMessage("Name cannot be empty.");
-      return;
-    }
-    if (value === "" || isNaN(Number(value))) {
-      setErrorMessage("Value must be a valid number.");
-      return;
+    const byField = errorsByField(error.data.fields);
+    setFieldErrors(byField);
+    // Only name and value have inputs here
+    if (!byField.name && !byField.value) {
+      setErrorMessage(error.data.message);
     }
+    return true;
+  };
 
+  // Send an update based on `expectedRevision`; a stale revision opens the
+  // conflict view instead of failing with a generic error
+  const submitUpdate = async (values, expectedRevision) => {
     setIsSubmitting(true);
     setErrorMessage("");
     setSuccessMessage("");
 
     try {
       // Execute the mutation
-      // Convex automatically handles retries and optimistic updates
+      // Convex automatically retries until the server confirms it
       await updateMockData({
         id: selectedId,
-        name: name.trim(),
-        value: Number(value),
+        name: values.name,
+        value: values.value,
+        expectedRevision,
       });
 
+      // The server bumped the revision; further edits build on this version
+      loadVersion({ ...values, revision: expectedRevision + 1 });
+      setConflict(null);
+      setIsEditing(false);
+
       // Show success message
       setSuccessMessage("Record updated successfully! Check the View page to see the change.");
 
@@ -99,28 +276,201 @@ export default function UpdatePage() {
         setSuccessMessage("");
       }, 3000);
     } catch (error) {
-      // Handle any errors (network issues, validation, etc.)
-      setErrorMessage(`Failed to update record: ${error.message}`);
+      if (error instanceof ConvexError && error.data?.code === "CONFLICT") {
+        setConflict({ theirs: error.data.current, mine: values });
+        setErrorMessage(error.data.message);
+      } else if (error instanceof ConvexError && error.data?.code === "LOCKED") {
+        setErrorMessage(error.data.message);
+      } else if (showFieldErrors(error)) {
+        setConflict(null);
+      } else {
+        // Handle any other errors (network issues, validation, etc.)
+        setErrorMessage(`Failed to update record: ${error.message}`);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Store the edit as a change applied at `runAt`; the record itself keeps
+  // its current values until then
+  const submitSchedule = async (values, runAt) => {
+    setIsSubmitting(true);
+    setErrorMessage("");
+    setSuccessMessage("");
+
+    try {
+      await scheduleChange({ recordId: selectedId, ...values, runAt });
+
+      if (selectedRecord) {
+        loadVersion(selectedRecord);
+      }
+      setApplyMode("now");
+      setRunAtInput("");
+      setIsEditing(false);
+      setSuccessMessage(`Update scheduled for ${new Date(runAt).toLocaleString()}.`);
+    } catch (error) {
+      if (!showFieldErrors(error)) {
+        setErrorMessage(
+          error instanceof ConvexError
+            ? error.data.message
+            : `Failed to schedule update: ${error.message}`
+        );
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Editing again after a save takes the lease back; editing a field
+  // clears its error
+  const handleFieldChange = (setField, field) => (e) => {
+    setField(e.target.value);
+    setIsEditing(true);
+    setFieldErrors(({ [field]: _cleared, ...rest }) => rest);
+  };
+
+  // Admins only: take over another user's lease
+  const handleBreakLock = async () => {
+    setErrorMessage("");
+    try {
+      await lease.takeOver();
+    } catch (error) {
+      setErrorMessage(
+        error instanceof ConvexError
+          ? error.data.message
+          : `Failed to break lock: ${error.message}`
+      );
+    }
+  };
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Validation
+    if (!selectedId) {
+      setErrorMessage("Please select a record to update.");
+      return;
+    }
+    const errors = validateRecordFields({
+      name,
+      value: value === "" ? NaN : Number(value),
+    });
+    setFieldErrors(errorsByField(errors));
+    if (errors.length > 0) {
+      setErrorMessage("");
+      return;
+    }
+
+    if (applyMode === "later") {
+      const runAt = fromDateTimeLocal(runAtInput);
+      if (Number.isNaN(runAt)) {
+        setErrorMessage("Choose when the update should take effect.");
+        return;
+      }
+      if (runAt <= Date.now()) {
+        setErrorMessage("Pick a time in the future.");
+        return;
+      }
+      await submitSchedule({ name: name.trim(), value: Number(value) }, runAt);
+      return;
+    }
+
+    await submitUpdate(
+      { name: name.trim(), value: Number(value) },
+      baseRecord?.revision ?? 0
+    );
+  };
+
+  // Conflict view actions: save the chosen values over their revision,
+  // or drop the local edit and continue from their version
+  const handleResolveConflict = (values) =>
+    submitUpdate(values, conflict.theirs.revision);
+
+  const handleDiscardMine = () => {
+    loadVersion(conflict.theirs);
+    setConflict(null);
+    setErrorMessage("");
+  };
+
+  // Handle record deletion (soft delete - moves the record to the trash)
+  const handleDelete = async () => {
+    if (!selectedId) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrorMessage("");
+    setSuccessMessage("");
+
+    try {
+      const name = selectedRecord?.name ?? "Record";
+      await deleteMockData({ id: selectedId });
+
+      // Offer an undo and clear the form, since the record is no longer live
+      setDeletedRecord({ id: selectedId, name });
+      navigate("/update", { replace: true });
+    } catch (error) {
+      setErrorMessage(
+        error instanceof ConvexError
+          ? error.data.message
+          : `Failed to delete record: ${error.message}`
+      );
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  // Restore the record that was just deleted (undo toast action)
+  const handleUndoDelete = async () => {
+    if (!deletedRecord) {
+      return;
+    }
+    try {
+      await restoreMockData({ id: deletedRecord.id });
+    } catch (error) {
+      setErrorMessage(`Failed to restore record: ${error.message}`);
+    }
+  };
+
+  // Stable callback so the toast's auto-dismiss timer isn't reset on re-render
+  const dismissUndoToast = useCallback(() => setDeletedRecord(null), []);
+
+  const undoToast = deletedRecord && (
+    <UndoToast
+      message={`"${deletedRecord.name}" moved to trash.`}
+      onUndo={handleUndoDelete}
+      onDismiss={dismissUndoToast}
+    />
+  );
+
   // Handle loading state
-  if (mockData === undefined) {
+  if (browseStatus === "LoadingFirstPage") {
     return (
       <div className="page">
         <h1>Update Mock Data</h1>
-        <div className="loading-container">
-          <p className="loading-text">Loading data from Convex...</p>
-          <p className="loading-subtext">Connecting to real-time database</p>
-        </div>
+        <LoadingState />
       </div>
     );
   }
 
+  // Malformed or unknown ID, or a record that was deleted. Not while this
+  // page is deleting it, since it leaves the URL once that succeeds.
+  if (selectedId && selectedRecord === null && !isSubmitting) {
+    return (
+      <>
+        <NotFoundPage
+          title="Record not found"
+          message="This record doesn't exist or has been moved to the trash, so it can't be edited."
+        />
+        {undoToast}
+      </>
+    );
+  }
+
   // Handle empty data state
-  if (mockData.length === 0) {
+  if (browseRecords.length === 0 && !selectedId) {
     return (
       <div className="page">
         <h1>Update Mock Data</h1>
@@ -128,6 +478,7 @@ export default function UpdatePage() {
           <p>No data available in the database.</p>
           <p>Please seed the database first using the data seeding script.</p>
         </div>
+        {undoToast}
       </div>
     );
   }
@@ -145,20 +496,39 @@ export default function UpdatePage() {
           {/* Record Selector */}
           <div className="form-group">
             <label htmlFor="record-select">Select Record to Update:</label>
-            <select
+            <RecordCombobox
               id="record-select"
-              value={selectedId}
-              onChange={handleRecordSelect}
-              className="form-control"
+              records={browseRecords}
+              selectedId={selectedId}
+              selectedRecord={selectedRecord}
+              onSelect={handleRecordSelect}
               disabled={isSubmitting}
-            >
-              <option value="">-- Choose a record --</option>
-              {mockData.map((item) => (
-                <option key={item._id} value={item._id}>
-                  {item.name} (Value: {item.value})
-                </option>
-              ))}
-            </select>
+              locks={locks}
+            />
+            {isLocked && (
+              <div className="lock-notice" role="alert">
+                <span>
+                  <span aria-hidden="true">🔒 </span>
+                  Locked: {lease.holder} is editing this record. You can edit
+                  it once they are done.
+                </span>
+                {can("admin") && (
+                  <button
+                    type="button"
+                    className="table-button danger"
+                    onClick={handleBreakLock}
+                  >
+                    Break Lock
+                  </button>
+                )}
+              </div>
+            )}
+            {otherEditors.length > 0 && (
+              <div className="editing-badge" role="status">
+                <PresenceAvatars users={otherEditors} label="Editing" max={3} />
+                {describeEditors(otherEditors)}
+              </div>
+            )}
           </div>
 
           {/* Name Field */}
@@ -168,11 +538,18 @@ export default function UpdatePage() {
               id="name"
               type="text"
               value={name}
-              onChange={(e) => setName(e.target.value)}
+              onChange={handleFieldChange(setName, "name")}
               className="form-control"
               placeholder="Enter name"
-              disabled={!selectedId || isSubmitting}
+              disabled={!selectedRecord || isSubmitting || isLocked}
+              aria-invalid={fieldErrors.name ? true : undefined}
+              aria-describedby={fieldErrors.name ? "name-error" : undefined}
             />
+            {fieldErrors.name && (
+              <div id="name-error" className="field-error">
+                {fieldErrors.name}
+              </div>
+            )}
           </div>
 
           {/* Value Field */}
@@ -182,23 +559,96 @@ export default function UpdatePage() {
               id="value"
               type="number"
               value={value}
-              onChange={(e) => setValue(e.target.value)}
+              onChange={handleFieldChange(setValue, "value")}
               className="form-control"
               placeholder="Enter numeric value"
-              disabled={!selectedId || isSubmitting}
+              disabled={!selectedRecord || isSubmitting || isLocked}
               step="any"
+              aria-invalid={fieldErrors.value ? true : undefined}
+              aria-describedby={fieldErrors.value ? "value-error" : undefined}
             />
+            {fieldErrors.value && (
+              <div id="value-error" className="field-error">
+                {fieldErrors.value}
+              </div>
+            )}
           </div>
 
+          {/* Tags Field (saved immediately) */}
+          {selectedId && (
+            <div className="form-group">
+              <label htmlFor="tags">Tags:</label>
+              <TagInput
+                key={selectedId}
+                id="tags"
+                recordId={selectedId}
+                disabled={isSubmitting || isLocked}
+              />
+            </div>
+          )}
+
+          {/* When to apply the update */}
+          <fieldset
+            className="import-mode apply-mode"
+            disabled={!selectedRecord || isSubmitting || isLocked}
+          >
+            <legend>Apply</legend>
+            <label>
+              <input
+                type="radio"
+                name="apply-mode"
+                value="now"
+                checked={applyMode === "now"}
+                onChange={() => setApplyMode("now")}
+              />{" "}
+              Now
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="apply-mode"
+                value="later"
+                checked={applyMode === "later"}
+                onChange={() => setApplyMode("later")}
+              />{" "}
+              At a set time
+            </label>
+            {applyMode === "later" && (
+              <input
+                type="datetime-local"
+                className="form-control"
+                value={runAtInput}
+                onChange={(e) => setRunAtInput(e.target.value)}
+                aria-label="Apply at"
+              />
+            )}
+          </fieldset>
+
           {/* Submit Button */}
           <button
             type="submit"
             className="submit-button"
-            disabled={!selectedId || isSubmitting}
+            disabled={!selectedRecord || isSubmitting || isLocked}
           >
-            {isSubmitting ? "Updating..." : "Update Record"}
+            {isSubmitting
+              ? "Updating..."
+              : applyMode === "later"
+                ? "Schedule Update"
+                : "Update Record"}
           </button>
 
+          {/* Delete Button (soft delete, admins only) */}
+          {can("admin") && (
+            <button
+              type="button"
+              className="delete-button"
+              onClick={handleDelete}
+              disabled={!selectedId || isSubmitting}
+            >
+              Delete Record
+            </button>
+          )}
+
           {/* Messages */}
           {errorMessage && (
             <div className="message error-message">{errorMessage}</div>
@@ -206,29 +656,56 @@ export default function UpdatePage() {
           {successMessage && (
             <div className="message success-message">{successMessage}</div>
           )}
+
+          {/* Three-way merge after a rejected (stale) update */}
+          {conflict && baseRecord && (
+            <ConflictResolver
+              key={conflict.theirs.revision}
+              original={baseRecord}
+              theirs={conflict.theirs}
+              mine={conflict.mine}
+              onResolve={handleResolveConflict}
+              onDiscard={handleDiscardMine}
+              disabled={isSubmitting}
+            />
+          )}
         </form>
 
         {/* Selected Record Info */}
         {selectedId && (
           <div className="selected-record-info">
             <h3>Current Record Details</h3>
-            {mockData
-              .filter((item) => item._id === selectedId)
-              .map((item) => (
-                <div key={item._id} className="record-details">
-                  <p>
-                    <strong>ID:</strong> <code>{item._id.slice(0, 8)}...</code>
-                  </p>
-                  <p>
-                    <strong>Description:</strong>{" "}
-                    {item.description ?? <em>None</em>}
-                  </p>
-                  <p>
-                    <strong>Created:</strong>{" "}
-                    {new Date(item._creationTime).toLocaleString()}
-                  </p>
-                </div>
-              ))}
+            {selectedRecord === undefined && (
+              <p className="loading-text">Loading record...</p>
+            )}
+            {selectedRecord && (
+              <div
+                key={selectedRecord._id}
+                className={selectedRecord._pending ? "record-details pending-row" : "record-details"}
+              >
+                <p>
+                  <strong>ID:</strong> <code>{selectedRecord._id.slice(0, 8)}...</code>
+                  {selectedRecord._pending && <span className="pending-label">Saving...</span>}
+                </p>
+                <p>
+                  <strong>Description:</strong>{" "}
+                  {selectedRecord.description ?? <em>None</em>}
+                </p>
+                <p>
+                  <strong>Created:</strong>{" "}
+                  {new Date(selectedRecord._creationTime).toLocaleString()}
+                </p>
+                <p>
+                  <Link to={`/records/${selectedRecord._id}`}>View details</Link>
+                  {" · "}
+                  <Link to={`/records/${selectedRecord._id}/history`}>View history</Link>
+                </p>
+                <h4>Scheduled Changes</h4>
+                <ScheduledChanges recordId={selectedRecord._id} />
+                <h4>Comments</h4>
+                <CommentPanel recordId={selectedRecord._id} />
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -242,6 +719,8 @@ export default function UpdatePage() {
           real-time data synchronization.
         </p>
       </div>
+
+      {undoToast}
     </div>
   );
 }
@@ -10,14 +10,21 @@
  */
 
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { render, screen, fireEvent, waitFor, cleanup } from '@testing-library/react'
 import userEvent from '@testing-library/user-event'
-import { useQuery, useMutation } from 'convex/react'
+import { useQuery, usePaginatedQuery, useMutation } from 'convex/react'
+import { ConvexError } from 'convex/values'
+import { MemoryRouter, Routes, Route } from 'react-router-dom'
+import { api } from '../../convex/_generated/api'
+import useCurrentUser from '../hooks/useCurrentUser'
+import usePresence, { usePresenceHeartbeat } from '../hooks/usePresence'
+import useEditLease, { useRecordLocks } from '../hooks/useEditLease'
 import UpdatePage from './UpdatePage'
 
 // Mock the Convex hooks
 vi.mock('convex/react', () => ({
   useQuery: vi.fn(),
+  usePaginatedQuery: vi.fn(),
   useMutation: vi.fn(),
 }))
 
@@ -25,33 +32,143 @@ vi.mock('convex/react', () => ({
 vi.mock('../../convex/_generated/api', () => ({
   api: {
     functions: {
-      getMockData: vi.fn(),
+      getMockDataById: vi.fn(),
+      listMockData: vi.fn(),
       updateMockData: vi.fn(),
+      searchMockData: vi.fn(),
+      deleteMockData: vi.fn(),
+      restoreMockData: vi.fn(),
+    },
+    scheduledChanges: {
+      scheduleChange: vi.fn(),
     },
   },
 }))
 
+// ScheduledChanges has its own tests; stub it so it doesn't need its own data
+vi.mock('../components/ScheduledChanges', () => ({
+  default: ({ recordId }) => <div data-testid="scheduled-changes">{recordId}</div>,
+}))
+
+// CommentPanel has its own tests; the stub shows which record it is for
+vi.mock('../components/CommentPanel', () => ({
+  default: ({ recordId }) => <div data-testid="comment-panel">{recordId}</div>,
+}))
+
+// TagInput has its own tests; the stub shows which record it edits
+vi.mock('../components/TagInput', () => ({
+  default: ({ id, recordId, disabled }) => (
+    <input id={id} data-testid="tag-input" value={recordId} disabled={disabled} readOnly />
+  ),
+}))
+
+// Mock the signed-in user; tests run as an admin unless they say otherwise
+vi.mock('../hooks/useCurrentUser', () => ({
+  default: vi.fn(),
+}))
+
+// Mock presence; nobody else is editing unless a test says otherwise
+vi.mock('../hooks/usePresence', () => ({
+  default: vi.fn(),
+  usePresenceHeartbeat: vi.fn(),
+}))
+
+// Mock edit leases; the lease is granted unless a test says otherwise
+vi.mock('../hooks/useEditLease', () => ({
+  default: vi.fn(),
+  useRecordLocks: vi.fn(),
+}))
+
+// Optimistic updates have their own tests; use the plain mutations here
+vi.mock('../hooks/useRecordMutations', async () => {
+  const { useMutation } = await import('convex/react')
+  const { api } = await import('../../convex/_generated/api')
+  return {
+    useUpdateMockData: () => useMutation(api.functions.updateMockData),
+    useDeleteMockData: () => useMutation(api.functions.deleteMockData),
+  }
+})
+
+// Serve `records` as the table: the combobox lists them (listMockData), the
+// selected one is loaded by ID (getMockDataById) and searchMockData returns
+// `searchResults`. Leaving out `records` keeps everything loading.
+const mockRecords = (records, searchResults = records) => {
+  usePaginatedQuery.mockReturnValue(
+    records === undefined
+      ? { results: [], status: 'LoadingFirstPage', loadMore: vi.fn() }
+      : { results: records, status: 'Exhausted', loadMore: vi.fn() }
+  )
+  useQuery.mockImplementation((fn, args) => {
+    if (records === undefined || args === 'skip') {
+      return undefined
+    }
+    if (fn === api.functions.getMockDataById) {
+      return records.find((record) => record._id === args.id) ?? null
+    }
+    return fn === api.functions.searchMockData ? searchResults : undefined
+  })
+}
+
+const mockLease = (status, holder = null) => {
+  const takeOver = vi.fn().mockResolvedValue(undefined)
+  useEditLease.mockImplementation((recordId) =>
+    recordId
+      ? { status, holder, takeOver }
+      : { status: 'idle', holder: null, takeOver }
+  )
+  return takeOver
+}
+
+const signInAs = (role) =>
+  useCurrentUser.mockReturnValue({
+    user: { _id: 'user1', name: 'Alice', role },
+    can: (minimum) =>
+      ['viewer', 'editor', 'admin'].indexOf(role) >=
+      ['viewer', 'editor', 'admin'].indexOf(minimum),
+  })
+
+// UpdatePage reads the selected record from the URL (/update/:id)
+const renderUpdatePage = (url = '/update') =>
+  render(
+    <MemoryRouter initialEntries={[url]}>
+      <Routes>
+        <Route path="/update" element={<UpdatePage />} />
+        <Route path="/update/:id" element={<UpdatePage />} />
+      </Routes>
+    </MemoryRouter>
+  )
+
+// Pick a record through the searchable combobox (open it, click the option)
+const selectRecord = async (user, name) => {
+  await user.click(screen.getByLabelText('Select Record to Update:'))
+  await user.click(screen.getByRole('option', { name: new RegExp(name) }))
+}
+
 describe('UpdatePage Component', () => {
   beforeEach(() => {
     // Clear mocks before each test
     vi.clearAllMocks()
+    signInAs('admin')
+    usePresence.mockReturnValue({ online: [], editing: new Map() })
+    mockLease('held')
+    useRecordLocks.mockReturnValue(new Map())
   })
 
   it('should render loading state when data is undefined', () => {
-    // Mock useQuery to return undefined (loading state)
-    useQuery.mockReturnValue(undefined)
+    // Nothing loaded yet
+    mockRecords(undefined)
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
     expect(screen.getByText('Loading data from Convex...')).toBeInTheDocument()
     expect(screen.getByText('Connecting to real-time database')).toBeInTheDocument()
   })
 
   it('should render empty state when data array is empty', () => {
-    // Mock useQuery to return empty array
-    useQuery.mockReturnValue([])
+    // No records in the table
+    mockRecords([])
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
     expect(screen.getByText('No data available in the database.')).toBeInTheDocument()
     expect(
@@ -63,10 +180,10 @@ describe('UpdatePage Component', () => {
     const mockData = [
       { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockRecords(mockData)
     useMutation.mockReturnValue(vi.fn())
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
     expect(screen.getByText('Select Record to Update:')).toBeInTheDocument()
     expect(screen.getByLabelText('Name:')).toBeInTheDocument()
@@ -79,13 +196,12 @@ describe('UpdatePage Component', () => {
     const mockData = [
       { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockRecords(mockData)
     useMutation.mockReturnValue(vi.fn())
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
-    const select = screen.getByLabelText('Select Record to Update:')
-    await user.selectOptions(select, 'abc123')
+    await selectRecord(user, 'Alpha')
 
     expect(screen.getByDisplayValue('Alpha')).toBeInTheDocument()
     expect(screen.getByDisplayValue('100')).toBeInTheDocument()
@@ -96,11 +212,11 @@ describe('UpdatePage Component', () => {
     const mockData = [
       { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockRecords(mockData)
     const mockUpdate = vi.fn()
     useMutation.mockReturnValue(mockUpdate)
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
     const submitButton = screen.getByRole('button', { name: 'Update Record' })
     await user.click(submitButton)
@@ -114,14 +230,13 @@ describe('UpdatePage Component', () => {
     const mockData = [
       { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockRecords(mockData)
     const mockUpdate = vi.fn()
     useMutation.mockReturnValue(mockUpdate)
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
-    const select = screen.getByLabelText('Select Record to Update:')
-    await user.selectOptions(select, 'abc123')
+    await selectRecord(user, 'Alpha')
 
     const nameInput = screen.getByLabelText('Name:')
     await user.clear(nameInput)
@@ -139,14 +254,13 @@ describe('UpdatePage Component', () => {
     const mockData = [
       { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockRecords(mockData)
     const mockUpdate = vi.fn()
     useMutation.mockReturnValue(mockUpdate)
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
-    const select = screen.getByLabelText('Select Record to Update:')
-    await user.selectOptions(select, 'abc123')
+    await selectRecord(user, 'Alpha')
 
     const valueInput = screen.getByLabelText('Value:')
     await user.clear(valueInput)
@@ -164,14 +278,13 @@ describe('UpdatePage Component', () => {
     const mockData = [
       { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockRecords(mockData)
     const mockUpdate = vi.fn().mockResolvedValue('abc123')
     useMutation.mockReturnValue(mockUpdate)
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
-    const select = screen.getByLabelText('Select Record to Update:')
-    await user.selectOptions(select, 'abc123')
+    await selectRecord(user, 'Alpha')
 
     const nameInput = screen.getByLabelText('Name:')
     await user.clear(nameInput)
@@ -189,6 +302,7 @@ describe('UpdatePage Component', () => {
         id: 'abc123',
         name: 'Updated Name',
         value: 250,
+        expectedRevision: 0,
       })
     })
   })
@@ -198,14 +312,13 @@ describe('UpdatePage Component', () => {
     const mockData = [
       { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockRecords(mockData)
     const mockUpdate = vi.fn().mockResolvedValue('abc123')
     useMutation.mockReturnValue(mockUpdate)
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
-    const select = screen.getByLabelText('Select Record to Update:')
-    await user.selectOptions(select, 'abc123')
+    await selectRecord(user, 'Alpha')
 
     const submitButton = screen.getByRole('button', { name: 'Update Record' })
     await user.click(submitButton)
@@ -222,15 +335,14 @@ describe('UpdatePage Component', () => {
     const mockData = [
       { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockRecords(mockData)
     let resolveUpdate
     const mockUpdate = vi.fn(() => new Promise((resolve) => (resolveUpdate = resolve)))
     useMutation.mockReturnValue(mockUpdate)
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
-    const select = screen.getByLabelText('Select Record to Update:')
-    await user.selectOptions(select, 'abc123')
+    await selectRecord(user, 'Alpha')
 
     const submitButton = screen.getByRole('button', { name: 'Update Record' })
     await user.click(submitButton)
@@ -251,14 +363,13 @@ describe('UpdatePage Component', () => {
     const mockData = [
       { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockRecords(mockData)
     const mockUpdate = vi.fn().mockRejectedValue(new Error('Network error'))
     useMutation.mockReturnValue(mockUpdate)
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
-    const select = screen.getByLabelText('Select Record to Update:')
-    await user.selectOptions(select, 'abc123')
+    await selectRecord(user, 'Alpha')
 
     const submitButton = screen.getByRole('button', { name: 'Update Record' })
     await user.click(submitButton)
@@ -268,6 +379,78 @@ describe('UpdatePage Component', () => {
     })
   })
 
+  it('should show validation errors next to the fields they belong to', async () => {
+    const user = userEvent.setup()
+    mockRecords([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ])
+    const mockUpdate = vi.fn()
+    useMutation.mockReturnValue(mockUpdate)
+
+    renderUpdatePage()
+
+    await selectRecord(user, 'Alpha')
+    await user.clear(screen.getByLabelText('Name:'))
+    await user.clear(screen.getByLabelText('Value:'))
+    await user.click(screen.getByRole('button', { name: 'Update Record' }))
+
+    expect(screen.getByLabelText('Name:')).toHaveAttribute('aria-invalid', 'true')
+    expect(screen.getByLabelText('Name:')).toHaveAccessibleDescription('Name cannot be empty.')
+    expect(screen.getByLabelText('Value:')).toHaveAccessibleDescription(
+      'Value must be a valid number.'
+    )
+    expect(mockUpdate).not.toHaveBeenCalled()
+
+    // Typing in a field clears its error
+    await user.type(screen.getByLabelText('Name:'), 'Beta')
+    expect(screen.queryByText('Name cannot be empty.')).not.toBeInTheDocument()
+    expect(screen.getByText('Value must be a valid number.')).toBeInTheDocument()
+  })
+
+  it('should mark the selected record as saving until its update is confirmed', async () => {
+    const user = userEvent.setup()
+    mockRecords([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now(), _pending: true },
+    ])
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage()
+
+    await selectRecord(user, 'Alpha')
+
+    expect(screen.getByText('Saving...').closest('.record-details')).toHaveClass('pending-row')
+  })
+
+  it('should map a server validation error to its field', async () => {
+    const user = userEvent.setup()
+    mockRecords([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ])
+    const message = 'A record named "Beta" already exists.'
+    const mockUpdate = vi.fn().mockRejectedValue(
+      new ConvexError({
+        code: 'VALIDATION_FAILED',
+        message,
+        field: 'name',
+        fields: [{ code: 'NAME_TAKEN', field: 'name', message }],
+      })
+    )
+    useMutation.mockReturnValue(mockUpdate)
+
+    renderUpdatePage()
+
+    await selectRecord(user, 'Alpha')
+    await user.clear(screen.getByLabelText('Name:'))
+    await user.type(screen.getByLabelText('Name:'), 'Beta')
+    await user.click(screen.getByRole('button', { name: 'Update Record' }))
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Name:')).toHaveAccessibleDescription(message)
+    })
+    expect(screen.getByLabelText('Value:')).not.toHaveAttribute('aria-invalid')
+    expect(screen.queryByText(/Failed to update record/)).not.toBeInTheDocument()
+  })
+
   it('should display selected record info when record is selected', async () => {
     const user = userEvent.setup()
     const mockData = [
@@ -279,13 +462,12 @@ describe('UpdatePage Component', () => {
         _creationTime: 1234567890000,
       },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockRecords(mockData)
     useMutation.mockReturnValue(vi.fn())
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
-    const select = screen.getByLabelText('Select Record to Update:')
-    await user.selectOptions(select, 'abc123')
+    await selectRecord(user, 'Alpha')
 
     expect(screen.getByText('Current Record Details')).toBeInTheDocument()
     expect(screen.getByText(/abc123\.\.\./)).toBeInTheDocument()
@@ -293,10 +475,10 @@ describe('UpdatePage Component', () => {
   })
 
   it('should render info box about real-time updates', () => {
-    useQuery.mockReturnValue([])
+    mockRecords([])
     useMutation.mockReturnValue(vi.fn())
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
     expect(screen.getByText('Real-time Update Demo')).toBeInTheDocument()
     expect(
@@ -308,10 +490,10 @@ describe('UpdatePage Component', () => {
     const mockData = [
       { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockRecords(mockData)
     useMutation.mockReturnValue(vi.fn())
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
     const nameInput = screen.getByLabelText('Name:')
     const valueInput = screen.getByLabelText('Value:')
@@ -325,13 +507,12 @@ describe('UpdatePage Component', () => {
     const mockData = [
       { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockRecords(mockData)
     useMutation.mockReturnValue(vi.fn())
 
-    render(<UpdatePage />)
+    renderUpdatePage()
 
-    const select = screen.getByLabelText('Select Record to Update:')
-    await user.selectOptions(select, 'abc123')
+    await selectRecord(user, 'Alpha')
 
     const nameInput = screen.getByLabelText('Name:')
     const valueInput = screen.getByLabelText('Value:')
@@ -339,4 +520,553 @@ describe('UpdatePage Component', () => {
     expect(nameInput).not.toBeDisabled()
     expect(valueInput).not.toBeDisabled()
   })
+
+  it('should soft-delete the selected record and offer an undo', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    const mockMutation = vi.fn().mockResolvedValue('abc123')
+    useMutation.mockReturnValue(mockMutation)
+
+    renderUpdatePage()
+
+    await selectRecord(user, 'Alpha')
+    await user.click(screen.getByRole('button', { name: 'Delete Record' }))
+
+    await waitFor(() => {
+      expect(screen.getByText('"Alpha" moved to trash.')).toBeInTheDocument()
+    })
+    expect(mockMutation).toHaveBeenCalledWith({ id: 'abc123' })
+    expect(screen.getByLabelText('Name:')).toBeDisabled()
+
+    // Undo restores the same record
+    mockMutation.mockClear()
+    await user.click(screen.getByRole('button', { name: 'Undo' }))
+
+    expect(mockMutation).toHaveBeenCalledWith({ id: 'abc123' })
+    expect(screen.queryByText('"Alpha" moved to trash.')).not.toBeInTheDocument()
+  })
+
+  it('should disable delete button when no record is selected', () => {
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage()
+
+    expect(screen.getByRole('button', { name: 'Delete Record' })).toBeDisabled()
+  })
+
+  it('should search records in the combobox and highlight matches', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, description: 'First', _creationTime: Date.now() },
+      { _id: 'def456', name: 'Beta', value: 200, description: 'Second', _creationTime: Date.now() },
+    ]
+    const searchResults = [mockData[1]]
+    // Both records are listed; searchMockData only returns the match
+    mockRecords(mockData, searchResults)
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage()
+
+    const combobox = screen.getByRole('combobox', { name: 'Select Record to Update:' })
+    await user.click(combobox)
+    expect(screen.getAllByRole('option')).toHaveLength(2)
+
+    await user.type(combobox, 'bet')
+
+    await waitFor(() => {
+      expect(useQuery).toHaveBeenCalledWith(api.functions.searchMockData, { query: 'bet' })
+    })
+    expect(screen.getAllByRole('option')).toHaveLength(1)
+    expect(screen.getByText('Bet', { selector: 'mark' })).toBeInTheDocument()
+
+    // Keyboard selection: ArrowDown to the match, Enter to pick it
+    await user.keyboard('{ArrowDown}{Enter}')
+
+    expect(screen.getByDisplayValue('Beta')).toBeInTheDocument()
+    expect(screen.getByDisplayValue('200')).toBeInTheDocument()
+  })
+
+  it('should send the selected revision and build on the saved one', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, revision: 4, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    const mockUpdate = vi.fn().mockResolvedValue('abc123')
+    useMutation.mockReturnValue(mockUpdate)
+
+    renderUpdatePage()
+
+    await selectRecord(user, 'Alpha')
+    const submitButton = screen.getByRole('button', { name: 'Update Record' })
+    await user.click(submitButton)
+    await waitFor(() => expect(submitButton).not.toBeDisabled())
+    await user.click(submitButton)
+
+    await waitFor(() => expect(mockUpdate).toHaveBeenCalledTimes(2))
+    expect(mockUpdate.mock.calls[0][0].expectedRevision).toBe(4)
+    expect(mockUpdate.mock.calls[1][0].expectedRevision).toBe(5)
+  })
+
+  it('should show a three-way merge view when the update conflicts', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, revision: 1, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    const mockUpdate = vi
+      .fn()
+      .mockRejectedValueOnce(
+        new ConvexError({
+          code: 'CONFLICT',
+          message: 'This record was changed by someone else after you loaded it.',
+          current: { name: 'Alpha Prime', value: 100, revision: 2 },
+        })
+      )
+      .mockResolvedValueOnce('abc123')
+    useMutation.mockReturnValue(mockUpdate)
+
+    renderUpdatePage()
+
+    await selectRecord(user, 'Alpha')
+    const valueInput = screen.getByLabelText('Value:')
+    await user.clear(valueInput)
+    await user.type(valueInput, '250')
+    await user.click(screen.getByRole('button', { name: 'Update Record' }))
+
+    await waitFor(() => {
+      expect(screen.getByText('Edit Conflict')).toBeInTheDocument()
+    })
+    expect(
+      screen.getByText('This record was changed by someone else after you loaded it.')
+    ).toBeInTheDocument()
+
+    // Three-way defaults: their name (I didn't touch it), my value (I changed it)
+    expect(screen.getByLabelText('Keep their name')).toBeChecked()
+    expect(screen.getByLabelText('Keep my value')).toBeChecked()
+
+    await user.click(screen.getByRole('button', { name: 'Save Merged Version' }))
+
+    await waitFor(() => {
+      expect(mockUpdate).toHaveBeenLastCalledWith({
+        id: 'abc123',
+        name: 'Alpha Prime',
+        value: 250,
+        expectedRevision: 2,
+      })
+    })
+    expect(screen.queryByText('Edit Conflict')).not.toBeInTheDocument()
+  })
+
+  it('should load their version when discarding my changes', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, revision: 1, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    const mockUpdate = vi.fn().mockRejectedValue(
+      new ConvexError({
+        code: 'CONFLICT',
+        message: 'This record was changed by someone else after you loaded it.',
+        current: { name: 'Alpha Prime', value: 300, revision: 2 },
+      })
+    )
+    useMutation.mockReturnValue(mockUpdate)
+
+    renderUpdatePage()
+
+    await selectRecord(user, 'Alpha')
+    await user.click(screen.getByRole('button', { name: 'Update Record' }))
+    await user.click(await screen.findByRole('button', { name: 'Discard My Changes' }))
+
+    expect(screen.getByLabelText('Name:')).toHaveValue('Alpha Prime')
+    expect(screen.getByLabelText('Value:')).toHaveValue(300)
+    expect(screen.queryByText('Edit Conflict')).not.toBeInTheDocument()
+  })
+
+  it('should link the selected record to its change history', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage()
+    await selectRecord(user, 'Alpha')
+
+    expect(screen.getByRole('link', { name: 'View history' })).toHaveAttribute(
+      'href',
+      '/records/abc123/history'
+    )
+  })
+
+  it('should open preselected on the record in the URL', async () => {
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+      { _id: 'def456', name: 'Beta', value: 200, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage('/update/def456')
+
+    expect(await screen.findByDisplayValue('Beta')).toBeInTheDocument()
+    expect(screen.getByLabelText('Value:')).toHaveValue(200)
+    expect(screen.getByRole('link', { name: 'View details' })).toHaveAttribute(
+      'href',
+      '/records/def456'
+    )
+    expect(useEditLease).toHaveBeenLastCalledWith('def456')
+  })
+
+  it("should show the selected record's comments", async () => {
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+      { _id: 'def456', name: 'Beta', value: 200, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage('/update/def456')
+
+    expect(await screen.findByTestId('comment-panel')).toHaveTextContent('def456')
+  })
+
+  it('should switch records through the URL and keep edits across server changes', async () => {
+    const user = userEvent.setup()
+    let mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+      { _id: 'def456', name: 'Beta', value: 200, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage('/update/abc123')
+    await screen.findByDisplayValue('Alpha')
+    await user.clear(screen.getByLabelText('Name:'))
+
+    // Another user's save (seen on the next render) doesn't reset the form
+    mockData = [{ ...mockData[0], value: 150, revision: 1 }, mockData[1]]
+    mockRecords(mockData)
+    await user.type(screen.getByLabelText('Name:'), 'Alpha Edited')
+    expect(screen.getByLabelText('Name:')).toHaveValue('Alpha Edited')
+    expect(screen.getByLabelText('Value:')).toHaveValue(100)
+
+    await selectRecord(user, 'Beta')
+    expect(await screen.findByDisplayValue('Beta')).toBeInTheDocument()
+  })
+
+  it('should show the not-found page for an unknown record', () => {
+    mockRecords([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ])
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage('/update/not-an-id')
+
+    expect(screen.getByRole('heading', { name: 'Record not found' })).toBeInTheDocument()
+    expect(screen.getByRole('link', { name: 'Back to View Data' })).toHaveAttribute('href', '/view')
+    expect(screen.queryByLabelText('Name:')).not.toBeInTheDocument()
+  })
+
+  it('should load the selected record by ID, even when it is not listed', async () => {
+    const listed = [{ _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() }]
+    const farDown = { _id: 'xyz789', name: 'Omega', value: 900, _creationTime: Date.now() }
+    mockRecords(listed)
+    useQuery.mockImplementation((fn, args) =>
+      fn === api.functions.getMockDataById && args.id === 'xyz789' ? farDown : undefined
+    )
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage('/update/xyz789')
+
+    expect(await screen.findByDisplayValue('Omega')).toBeInTheDocument()
+    expect(screen.getByRole('combobox')).toHaveValue('Omega (Value: 900)')
+    // The combobox lists one page of records instead of the whole table
+    expect(usePaginatedQuery).toHaveBeenCalledWith(
+      api.functions.listMockData,
+      {},
+      { initialNumItems: 20 }
+    )
+  })
+
+  it('should keep the form disabled while the selected record loads', () => {
+    mockRecords([{ _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() }])
+    useQuery.mockReturnValue(undefined)
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage('/update/abc123')
+
+    expect(screen.getByText('Loading record...')).toBeInTheDocument()
+    expect(screen.getByLabelText('Name:')).toBeDisabled()
+    expect(screen.getByRole('button', { name: 'Update Record' })).toBeDisabled()
+  })
+
+  it('should show the not-found page for a trashed record', () => {
+    mockRecords([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now(), deletedAt: Date.now() },
+    ])
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage('/update/abc123')
+
+    expect(screen.getByRole('heading', { name: 'Record not found' })).toBeInTheDocument()
+  })
+
+  it('should only show the delete button to admins', () => {
+    signInAs('editor')
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage()
+
+    expect(screen.getByRole('button', { name: 'Update Record' })).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Delete Record' })).not.toBeInTheDocument()
+  })
+
+  it('should announce the selected record and show who else is editing it', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+      { _id: 'def456', name: 'Beta', value: 200, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn())
+    // Someone is editing Alpha, nobody is editing Beta
+    usePresence.mockReturnValue({
+      online: [],
+      editing: new Map([
+        ['abc123', [
+          { userId: 'user2', name: 'Bob Stone' },
+          { userId: 'user3', name: 'Carol' },
+        ]],
+      ]),
+    })
+
+    renderUpdatePage()
+
+    expect(usePresenceHeartbeat).toHaveBeenLastCalledWith('update', undefined)
+    expect(screen.queryByRole('status')).not.toBeInTheDocument()
+
+    await selectRecord(user, 'Alpha')
+
+    expect(usePresenceHeartbeat).toHaveBeenLastCalledWith('update', 'abc123')
+    expect(screen.getByRole('status')).toHaveTextContent('Bob Stone and Carol are editing')
+    expect(screen.getByRole('group', { name: 'Editing: Bob Stone, Carol' })).toBeInTheDocument()
+  })
+
+  it('should not announce a record before it has loaded or when the link is broken', () => {
+    mockRecords([{ _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() }])
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage('/update/not-a-record')
+    expect(usePresenceHeartbeat).toHaveBeenLastCalledWith('update', undefined)
+
+    cleanup()
+    mockRecords(undefined)
+    renderUpdatePage('/update/abc123')
+    expect(usePresenceHeartbeat).toHaveBeenLastCalledWith('update', undefined)
+  })
+
+  it('should hold the lease while editing and release it after saving', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn().mockResolvedValue('abc123'))
+
+    renderUpdatePage()
+    expect(useEditLease).toHaveBeenLastCalledWith('')
+
+    await selectRecord(user, 'Alpha')
+    expect(useEditLease).toHaveBeenLastCalledWith('abc123')
+
+    await user.click(screen.getByRole('button', { name: 'Update Record' }))
+    await screen.findByText(/Record updated successfully/)
+    expect(useEditLease).toHaveBeenLastCalledWith('')
+
+    // Editing again takes the lease back
+    await user.type(screen.getByLabelText('Value:'), '1')
+    expect(useEditLease).toHaveBeenLastCalledWith('abc123')
+  })
+
+  it("should make the form read-only while someone else holds the lease", async () => {
+    signInAs('editor')
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn())
+    mockLease('locked', 'Bob')
+
+    renderUpdatePage()
+    await selectRecord(user, 'Alpha')
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Locked: Bob is editing this record.')
+    expect(screen.getByLabelText('Name:')).toBeDisabled()
+    expect(screen.getByLabelText('Value:')).toBeDisabled()
+    expect(screen.getByRole('button', { name: 'Update Record' })).toBeDisabled()
+    expect(screen.queryByRole('button', { name: 'Break Lock' })).not.toBeInTheDocument()
+  })
+
+  it('should let admins break a lease', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn())
+    const takeOver = mockLease('locked', 'Bob')
+
+    renderUpdatePage()
+    await selectRecord(user, 'Alpha')
+    await user.click(screen.getByRole('button', { name: 'Break Lock' }))
+
+    expect(takeOver).toHaveBeenCalled()
+  })
+
+  it('should mark records locked by others in the selector', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+      { _id: 'def456', name: 'Beta', value: 200, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn())
+    useRecordLocks.mockReturnValue(new Map([['def456', 'Bob']]))
+
+    renderUpdatePage()
+    await user.click(screen.getByLabelText('Select Record to Update:'))
+
+    expect(screen.getByRole('option', { name: /Beta/ })).toHaveTextContent('Locked by Bob')
+    expect(screen.getByRole('option', { name: /Alpha/ })).not.toHaveTextContent('Locked')
+  })
+
+  it('should show the lock holder when the server refuses an update', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(
+      vi.fn().mockRejectedValue(
+        new ConvexError({ code: 'LOCKED', message: 'Bob is editing this record.', holder: 'Bob' })
+      )
+    )
+
+    renderUpdatePage()
+    await selectRecord(user, 'Alpha')
+    await user.click(screen.getByRole('button', { name: 'Update Record' }))
+
+    expect(await screen.findByText('Bob is editing this record.')).toBeInTheDocument()
+  })
+
+  it('should schedule the update for a future time instead of saving it', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    const mockUpdate = vi.fn()
+    const mockSchedule = vi.fn().mockResolvedValue('change1')
+    useMutation.mockImplementation((fn) =>
+      fn === api.scheduledChanges.scheduleChange ? mockSchedule : mockUpdate
+    )
+
+    renderUpdatePage()
+    await selectRecord(user, 'Alpha')
+    expect(screen.getByTestId('scheduled-changes')).toHaveTextContent('abc123')
+
+    const valueInput = screen.getByLabelText('Value:')
+    await user.clear(valueInput)
+    await user.type(valueInput, '150')
+    await user.click(screen.getByLabelText('At a set time'))
+    fireEvent.change(screen.getByLabelText('Apply at'), {
+      target: { value: '2099-01-01T00:00' },
+    })
+    await user.click(screen.getByRole('button', { name: 'Schedule Update' }))
+
+    const runAt = new Date(2099, 0, 1, 0, 0).getTime()
+    expect(mockSchedule).toHaveBeenCalledWith({
+      recordId: 'abc123',
+      name: 'Alpha',
+      value: 150,
+      runAt,
+    })
+    expect(mockUpdate).not.toHaveBeenCalled()
+    expect(
+      await screen.findByText(`Update scheduled for ${new Date(runAt).toLocaleString()}.`)
+    ).toBeInTheDocument()
+    // The form goes back to the record's current values
+    expect(screen.getByLabelText('Value:')).toHaveValue(100)
+    expect(screen.getByRole('button', { name: 'Update Record' })).toBeInTheDocument()
+  })
+
+  it('should refuse to schedule an update in the past', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    const mockSchedule = vi.fn()
+    useMutation.mockReturnValue(mockSchedule)
+
+    renderUpdatePage()
+    await selectRecord(user, 'Alpha')
+    await user.click(screen.getByLabelText('At a set time'))
+    await user.click(screen.getByRole('button', { name: 'Schedule Update' }))
+    expect(screen.getByText('Choose when the update should take effect.')).toBeInTheDocument()
+
+    fireEvent.change(screen.getByLabelText('Apply at'), {
+      target: { value: '2000-01-01T00:00' },
+    })
+    await user.click(screen.getByRole('button', { name: 'Schedule Update' }))
+
+    expect(screen.getByText('Pick a time in the future.')).toBeInTheDocument()
+    expect(mockSchedule).not.toHaveBeenCalled()
+  })
+
+  it('should show the tag input for the selected record', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn())
+
+    renderUpdatePage()
+    expect(screen.queryByLabelText('Tags:')).not.toBeInTheDocument()
+
+    await selectRecord(user, 'Alpha')
+    expect(screen.getByLabelText('Tags:')).toHaveValue('abc123')
+    expect(screen.getByLabelText('Tags:')).toBeEnabled()
+  })
+
+  it('should make the tag input read-only while another user holds the lease', async () => {
+    const user = userEvent.setup()
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ]
+    mockRecords(mockData)
+    useMutation.mockReturnValue(vi.fn())
+    mockLease('locked', 'Bob')
+
+    renderUpdatePage()
+    await selectRecord(user, 'Alpha')
+
+    expect(screen.getByLabelText('Tags:')).toBeDisabled()
+  })
 })
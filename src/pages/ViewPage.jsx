@@ -1,7 +1,37 @@
-import { useQuery } from "convex/react";
+import { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { usePaginatedQuery, useQuery } from "convex/react";
 import { api } from "../../convex/_generated/api";
+import useVirtualRows from "../hooks/useVirtualRows";
+import useListParams from "../hooks/useListParams";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import usePresence, { usePresenceHeartbeat } from "../hooks/usePresence";
+import useCurrentUser from "../hooks/useCurrentUser";
+import ValueRangeFilter from "../components/ValueRangeFilter";
+import TagFilter from "../components/TagFilter";
+import Highlight from "../components/Highlight";
+import ExportControl from "../components/ExportControl";
+import PresenceAvatars from "../components/PresenceAvatars";
+import LoadingState from "../components/LoadingState";
+import BulkActionBar from "../components/BulkActionBar";
+import Sparkline from "../components/Sparkline";
 import "../App.css";
 
+// Number of records fetched per page from listMockData
+const PAGE_SIZE = 50;
+// Fixed row height (px) used by the virtualized table; must match .virtual-table CSS
+const ROW_HEIGHT = 56;
+// Start loading the next page when the last rendered row is this close to the end
+const LOAD_MORE_THRESHOLD = 20;
+// Maximum number of search results shown at once
+const SEARCH_LIMIT = 100;
+
+// Join the truthy class names, or undefined if there are none
+const classNames = (...names) => names.filter(Boolean).join(" ") || undefined;
+
+// Unconfirmed new records carry a placeholder ID until the server assigns one
+const isUnsaved = (item) => item._id.startsWith("pending-");
+
 /**
  * ViewPage Component
  *
@@ -20,39 +50,417 @@ import "../App.css";
  * - Returns query result when data is ready
  * - Automatically re-renders on data changes
  * - Maintains WebSocket connection for real-time updates
+ *
+ * Large Tables:
+ * - Records are fetched page by page with usePaginatedQuery(listMockData)
+ * - Only the rows inside the scroll viewport are rendered (useVirtualRows)
+ * - The next page loads automatically as the user scrolls near the end
+ * - Every loaded page stays subscribed, so visible rows still update live
+ *
+ * Sorting and Filtering:
+ * - Name, Value and Created headers toggle the server-side sort order
+ * - The filter bar narrows records to a value range
+ * - All are kept in the URL (useListParams), so views can be shared
+ *
+ * Tags:
+ * - Each row shows its tags as chips; clicking one adds it to the tag filter
+ * - The tag filter (TagFilter) keeps records with all or any of the picked
+ *   tags, and applies to search results too
+ *
+ * Search:
+ * - The search box runs a debounced full-text search (searchMockData) over
+ *   name and description and highlights the matching words
+ * - Search results are ranked by relevance, so sort and value range don't
+ *   apply (the tag filter does)
+ *
+ * Export:
+ * - ExportControl downloads every record matching the current sort and
+ *   value range (or the current search results) as CSV, JSON or NDJSON
+ *
+ * Record Links:
+ * - Each name links to the record's detail page (/records/:id), and editors
+ *   get an Edit link that opens the Update page on the record (/update/:id)
+ *
+ * Value Trend:
+ * - Each row shows a sparkline (Sparkline) of its value over the last 30
+ *   days, from the periodic value snapshots
+ *
+ * Scheduled Changes:
+ * - Records with an upcoming scheduled change (see the Update page) show a
+ *   "Scheduled" badge next to their value, with the next change as tooltip
+ *
+ * Presence:
+ * - The page announces itself with usePresenceHeartbeat, so viewers show
+ *   up in the navbar's online list
+ * - Rows show avatars of the users currently editing them on the Update page
+ *
+ * Bulk Editing:
+ * - Editors get a checkbox per row and a select-all box for the loaded rows
+ *   (or the search results)
+ * - BulkActionBar applies one action to the whole selection in a single
+ *   mutation; afterwards only the records it had to skip stay selected
  */
 export default function ViewPage() {
-  // Fetch all mock data from Convex database
-  // useQuery returns undefined while loading, then the data when ready
-  const mockData = useQuery(api.functions.getMockData);
+  // Sort, value-range and tag filter state, read from and written to the URL
+  const {
+    sort,
+    direction,
+    valueMin,
+    valueMax,
+    tagIds,
+    tagMatch,
+    queryArgs,
+    toggleSort,
+    setValueRange,
+    setTagFilter,
+  } = useListParams();
+  const isFiltered = valueMin !== undefined || valueMax !== undefined || tagIds.length > 0;
 
-  // Handle loading state - useQuery returns undefined during initial load
-  if (mockData === undefined) {
-    return (
-      <div className="page">
-        <h1>View Mock Data</h1>
-        <div className="loading-container">
-          <p className="loading-text">Loading data from Convex...</p>
-          <p className="loading-subtext">Connecting to real-time database</p>
-        </div>
-      </div>
+  // Fetch mock data from Convex one page at a time
+  // status is "LoadingFirstPage" until the first page arrives, and again
+  // whenever the sort or filter changes
+  const {
+    results: mockData,
+    status,
+    loadMore,
+  } = usePaginatedQuery(
+    api.functions.listMockData,
+    queryArgs,
+    { initialNumItems: PAGE_SIZE }
+  );
+
+  // Announce this viewer and find out who is editing which record
+  usePresenceHeartbeat("view");
+  const { editing } = usePresence();
+
+  // Full-text search; only subscribed while the (debounced) box is non-empty
+  const [searchInput, setSearchInput] = useState("");
+  const searchTerm = useDebouncedValue(searchInput.trim());
+  const searchResults = useQuery(
+    api.functions.searchMockData,
+    searchTerm
+      ? {
+          query: searchTerm,
+          limit: SEARCH_LIMIT,
+          ...(tagIds.length > 0 ? { tagIds, tagMatch } : {}),
+        }
+      : "skip"
+  );
+
+  // Bulk selection (editors only); kept across sorting, filtering and search
+  const { can } = useCurrentUser();
+  const canEdit = can("editor");
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const visibleRecords = searchTerm ? (searchResults ?? []) : mockData;
+  const allVisibleSelected =
+    visibleRecords.length > 0 && visibleRecords.every((item) => selectedIds.has(item._id));
+  const someVisibleSelected = visibleRecords.some((item) => selectedIds.has(item._id));
+
+  // Next pending scheduled change of each visible record, for the
+  // "Scheduled" badge; rows not yet confirmed have no real ID to look up
+  const visibleIds = visibleRecords.filter((item) => !item._pending).map((item) => item._id);
+  const scheduledChanges = useQuery(
+    api.scheduledChanges.nextScheduledChanges,
+    visibleIds.length > 0 ? { recordIds: visibleIds } : "skip"
+  );
+  const nextChanges = useMemo(
+    () => new Map((scheduledChanges ?? []).map((change) => [change.recordId, change])),
+    [scheduledChanges]
+  );
+
+  const toggleSelected = (id) =>
+    setSelectedIds((current) => {
+      const next = new Set(current);
+      if (!next.delete(id)) {
+        next.add(id);
+      }
+      return next;
+    });
+
+  const toggleAllVisible = () =>
+    setSelectedIds((current) => {
+      const next = new Set(current);
+      for (const item of visibleRecords) {
+        if (allVisibleSelected) {
+          next.delete(item._id);
+        } else {
+          next.add(item._id);
+        }
+      }
+      return next;
+    });
+
+  // Keep the records the bulk action skipped selected, to retry or inspect
+  const handleBulkApplied = ({ results }) =>
+    setSelectedIds(
+      new Set(results.filter((result) => result.status === "skipped").map((result) => result.id))
     );
-  }
 
-  // Handle empty data state
-  if (mockData.length === 0) {
+  // Scroll container for the virtualized table (callback ref)
+  const [scrollContainer, setScrollContainer] = useState(null);
+  const { start, end, paddingTop, paddingBottom } = useVirtualRows({
+    container: scrollContainer,
+    rowCount: mockData.length,
+    rowHeight: ROW_HEIGHT,
+  });
+
+  // Load the next page once the rendered window approaches the loaded rows.
+  // While a filter has matched nothing yet the user loads more by hand, so a
+  // filter matching few records doesn't read the whole table unasked
+  useEffect(() => {
+    if (
+      status === "CanLoadMore" &&
+      mockData.length > 0 &&
+      end >= mockData.length - LOAD_MORE_THRESHOLD
+    ) {
+      loadMore(PAGE_SIZE);
+    }
+  }, [status, end, mockData.length, loadMore]);
+
+  // Sortable column header; aria-sort exposes the current order to assistive tech.
+  // Search results are relevance-ranked, so headers aren't sortable while searching.
+  const sortHeader = (key, label) => {
+    if (searchTerm) {
+      return <th>{label}</th>;
+    }
+    const isActive = sort === key;
     return (
-      <div className="page">
-        <h1>View Mock Data</h1>
+      <th aria-sort={isActive ? (direction === "asc" ? "ascending" : "descending") : "none"}>
+        <button type="button" className="sort-header" onClick={() => toggleSort(key)}>
+          {label}
+          {isActive && (
+            <span className="sort-indicator">{direction === "asc" ? " ▲" : " ▼"}</span>
+          )}
+        </button>
+      </th>
+    );
+  };
+
+  const tableHeader = (
+    <thead>
+      <tr>
+        {canEdit && (
+          <th className="select-cell">
+            <input
+              type="checkbox"
+              checked={allVisibleSelected}
+              // Partly selected: neither checked nor unchecked
+              ref={(el) => {
+                if (el) {
+                  el.indeterminate = someVisibleSelected && !allVisibleSelected;
+                }
+              }}
+              onChange={toggleAllVisible}
+              disabled={visibleRecords.length === 0}
+              aria-label={searchTerm ? "Select all search results" : "Select all loaded records"}
+            />
+          </th>
+        )}
+        <th>ID</th>
+        {sortHeader("name", "Name")}
+        {sortHeader("value", "Value")}
+        <th>Description</th>
+        <th>Tags</th>
+        {sortHeader("created", "Created")}
+        {canEdit && (
+          <th className="actions-cell">Actions</th>
+        )}
+      </tr>
+    </thead>
+  );
+
+  // One table row; matches of the current search term are highlighted and
+  // rows with unconfirmed (optimistic) writes are dimmed
+  const renderRow = (item) => (
+    <tr
+      key={item._id}
+      className={classNames(
+        item._pending && "pending-row",
+        selectedIds.has(item._id) && "selected-row"
+      )}
+      title={item._pending ? "Saving: not confirmed by the server yet" : undefined}
+    >
+      {canEdit && (
+        <td className="select-cell">
+          <input
+            type="checkbox"
+            checked={selectedIds.has(item._id)}
+            onChange={() => toggleSelected(item._id)}
+            aria-label={`Select ${item.name}`}
+          />
+        </td>
+      )}
+      <td className="id-cell">
+        <code>{item._id.slice(0, 8)}...</code>
+      </td>
+      <td className="name-cell">
+        {isUnsaved(item) ? (
+          <Highlight text={item.name} query={searchTerm} />
+        ) : (
+          <Link to={`/records/${item._id}`} className="record-link">
+            <Highlight text={item.name} query={searchTerm} />
+          </Link>
+        )}
+        <PresenceAvatars users={editing.get(item._id)} label="Editing" max={3} />
+      </td>
+      <td className="value-cell">
+        {item.value}
+        {!isUnsaved(item) && <Sparkline recordId={item._id} value={item.value} />}
+        {nextChanges.has(item._id) && (
+          <span
+            className="scheduled-badge"
+            title={`Changes to ${nextChanges.get(item._id).value} at ${new Date(
+              nextChanges.get(item._id).runAt
+            ).toLocaleString()}`}
+          >
+            Scheduled
+          </span>
+        )}
+      </td>
+      <td className="description-cell">
+        {item.description ? (
+          <Highlight text={item.description} query={searchTerm} />
+        ) : (
+          <em>None</em>
+        )}
+      </td>
+      <td className="tags-cell">
+        {(item.tags ?? []).map((tag) => (
+          <button
+            key={tag._id}
+            type="button"
+            className="tag-chip"
+            onClick={() => {
+              if (!tagIds.includes(tag._id)) {
+                setTagFilter([...tagIds, tag._id], tagMatch);
+              }
+            }}
+            title={`Show records tagged ${tag.name}`}
+          >
+            {tag.name}
+          </button>
+        ))}
+      </td>
+      <td className="created-cell">
+        {new Date(item._creationTime).toLocaleString()}
+      </td>
+      {canEdit && (
+        <td className="actions-cell">
+          {!isUnsaved(item) && (
+            <Link to={`/update/${item._id}`} className="table-button secondary">
+              Edit
+            </Link>
+          )}
+        </td>
+      )}
+    </tr>
+  );
+
+  let content;
+  if (searchTerm) {
+    // Search mode: a short, relevance-ranked list, so no virtualization needed
+    if (searchResults === undefined) {
+      content = (
+        <div className="loading-container">
+          <p className="loading-text">Searching...</p>
+        </div>
+      );
+    } else if (searchResults.length === 0) {
+      content = (
         <div className="empty-state">
-          <p>No data available in the database.</p>
-          <p>Use the Update page to add some data.</p>
+          <p>No records match &quot;{searchTerm}&quot;.</p>
         </div>
+      );
+    } else {
+      content = (
+        <>
+          <div className="data-container">
+            <table className="data-table">
+              {tableHeader}
+              <tbody>{searchResults.map(renderRow)}</tbody>
+            </table>
+          </div>
+          <p className="table-status">
+            {searchResults.length} matching records
+          </p>
+        </>
+      );
+    }
+  } else if (status === "LoadingFirstPage") {
+    // Handle loading state - nothing is available until the first page arrives
+    content = <LoadingState />;
+  } else if (mockData.length === 0 && status !== "Exhausted") {
+    // Filters are applied to each page after it is read, so pages can come
+    // back empty while more records remain to be searched
+    content = (
+      <div className="empty-state" role="status">
+        <p>
+          {status === "LoadingMore"
+            ? "Searching more records..."
+            : "No matches in the records searched so far."}
+        </p>
+        <p>
+          <button
+            type="button"
+            className="table-button"
+            onClick={() => loadMore(PAGE_SIZE)}
+            disabled={status !== "CanLoadMore"}
+          >
+            Search more records
+          </button>
+        </p>
+      </div>
+    );
+  } else if (mockData.length === 0) {
+    // Handle empty data state
+    content = isFiltered ? (
+      <div className="empty-state">
+        <p>No records match the current filter.</p>
+        <p>Clear the value range and tag filter to see all records.</p>
+      </div>
+    ) : (
+      <div className="empty-state">
+        <p>No data available in the database.</p>
+        <p>Use the Create page to add some data.</p>
       </div>
     );
+  } else {
+    // Display the data in a formatted table
+    content = (
+      <>
+        <div
+          className="data-container virtual-scroll"
+          ref={setScrollContainer}
+        >
+          <table className="data-table virtual-table">
+            {tableHeader}
+            <tbody>
+              {/* Spacer standing in for the rows scrolled past */}
+              {paddingTop > 0 && (
+                <tr className="virtual-spacer" aria-hidden="true">
+                  <td colSpan={canEdit ? 8 : 6} style={{ height: paddingTop }} />
+                </tr>
+              )}
+              {mockData.slice(start, end).map(renderRow)}
+              {/* Spacer standing in for the loaded rows below the viewport */}
+              {paddingBottom > 0 && (
+                <tr className="virtual-spacer" aria-hidden="true">
+                  <td colSpan={canEdit ? 8 : 6} style={{ height: paddingBottom }} />
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        <p className="table-status">
+          Showing {mockData.length} records
+          {status === "LoadingMore" && " · Loading more..."}
+          {status === "Exhausted" && " · All records loaded"}
+        </p>
+      </>
+    );
   }
 
-  // Display the data in a formatted table
   return (
     <div className="page">
       <h1>View Mock Data</h1>
@@ -61,37 +469,42 @@ export default function ViewPage() {
         browsers to see updates sync instantly.
       </p>
 
-      <div className="data-container">
-        <table className="data-table">
-          <thead>
-            <tr>
-              <th>ID</th>
-              <th>Name</th>
-              <th>Value</th>
-              <th>Description</th>
-              <th>Created</th>
-            </tr>
-          </thead>
-          <tbody>
-            {mockData.map((item) => (
-              <tr key={item._id}>
-                <td className="id-cell">
-                  <code>{item._id.slice(0, 8)}...</code>
-                </td>
-                <td className="name-cell">{item.name}</td>
-                <td className="value-cell">{item.value}</td>
-                <td className="description-cell">
-                  {item.description ?? <em>None</em>}
-                </td>
-                <td className="created-cell">
-                  {new Date(item._creationTime).toLocaleString()}
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
+      <div className="search-bar">
+        <label htmlFor="record-search">Search:</label>
+        <input
+          id="record-search"
+          type="search"
+          className="form-control"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Search name and description"
+        />
       </div>
 
+      <ValueRangeFilter
+        valueMin={valueMin}
+        valueMax={valueMax}
+        onApply={setValueRange}
+      />
+
+      <TagFilter tagIds={tagIds} tagMatch={tagMatch} onChange={setTagFilter} />
+
+      <ExportControl
+        queryArgs={queryArgs}
+        searchResults={searchTerm ? searchResults : undefined}
+        disabled={Boolean(searchTerm) && searchResults === undefined}
+      />
+
+      {canEdit && (
+        <BulkActionBar
+          selectedIds={[...selectedIds]}
+          onApplied={handleBulkApplied}
+          onClear={() => setSelectedIds(new Set())}
+        />
+      )}
+
+      {content}
+
       <div className="info-box">
         <h3>Real-time Updates Active</h3>
         <p>
@@ -10,13 +10,20 @@
  */
 
 import { describe, it, expect, vi, beforeEach } from 'vitest'
-import { render, screen } from '@testing-library/react'
-import { useQuery } from 'convex/react'
+import { render, screen, waitFor, act } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { MemoryRouter } from 'react-router-dom'
+import { usePaginatedQuery, useQuery, useConvex } from 'convex/react'
+import { api } from '../../convex/_generated/api'
+import usePresence, { usePresenceHeartbeat } from '../hooks/usePresence'
+import useCurrentUser from '../hooks/useCurrentUser'
 import ViewPage from './ViewPage'
 
 // Mock the Convex hooks
 vi.mock('convex/react', () => ({
   useQuery: vi.fn(),
+  usePaginatedQuery: vi.fn(),
+  useConvex: vi.fn(),
 }))
 
 // Mock the API
@@ -24,38 +31,107 @@ vi.mock('../../convex/_generated/api', () => ({
   api: {
     functions: {
       getMockData: vi.fn(),
+      listMockData: vi.fn(),
+      searchMockData: vi.fn(),
     },
+    scheduledChanges: {
+      nextScheduledChanges: vi.fn(),
+    },
+  },
+}))
+
+// Mock presence; nobody is editing unless a test says otherwise
+vi.mock('../hooks/usePresence', () => ({
+  default: vi.fn(),
+  usePresenceHeartbeat: vi.fn(),
+}))
+
+// Mock the signed-in user; tests run as a viewer unless they say otherwise
+vi.mock('../hooks/useCurrentUser', () => ({
+  default: vi.fn(),
+}))
+
+// Arguments of the latest search subscription
+const lastSearchArgs = () =>
+  useQuery.mock.calls.filter(([fn]) => fn === api.functions.searchMockData).at(-1)?.[1]
+
+const signInAs = (role) =>
+  useCurrentUser.mockReturnValue({
+    user: { _id: 'user1', name: 'Alice', role },
+    can: (minimum) =>
+      ['viewer', 'editor', 'admin'].indexOf(role) >=
+      ['viewer', 'editor', 'admin'].indexOf(minimum),
+  })
+
+// BulkActionBar has its own tests; the stub shows the selection and can
+// report a result back
+let bulkBarProps
+vi.mock('../components/BulkActionBar', () => ({
+  default: (props) => {
+    bulkBarProps = props
+    return <div data-testid="bulk-bar">{props.selectedIds.join(',')}</div>
+  },
+}))
+
+// Sparkline has its own tests; the stub shows which row's trend it draws
+vi.mock('../components/Sparkline', () => ({
+  default: ({ recordId, value }) => <span data-testid="sparkline">{`${recordId}:${value}`}</span>,
+}))
+
+// TagFilter has its own tests; the stub shows the filter and can change it
+let tagFilterProps
+vi.mock('../components/TagFilter', () => ({
+  default: (props) => {
+    tagFilterProps = props
+    return <div data-testid="tag-filter">{`${props.tagMatch}:${props.tagIds.join(',')}`}</div>
   },
 }))
 
+// ViewPage keeps sort and filter state in the URL, so it needs a router
+const renderViewPage = (url = '/view') =>
+  render(
+    <MemoryRouter initialEntries={[url]}>
+      <ViewPage />
+    </MemoryRouter>
+  )
+
+// Mock usePaginatedQuery's return value for the given rows and status
+const mockPaginatedData = (results, status = 'Exhausted') => {
+  const loadMore = vi.fn()
+  usePaginatedQuery.mockReturnValue({ results, status, loadMore, isLoading: false })
+  return loadMore
+}
+
 describe('ViewPage Component', () => {
   beforeEach(() => {
     // Clear mocks before each test
     vi.clearAllMocks()
+    usePresence.mockReturnValue({ online: [], editing: new Map() })
+    signInAs('viewer')
   })
 
   it('should render loading state when data is undefined', () => {
-    // Mock useQuery to return undefined (loading state)
-    useQuery.mockReturnValue(undefined)
+    // Mock usePaginatedQuery while the first page is loading
+    mockPaginatedData([], 'LoadingFirstPage')
 
-    render(<ViewPage />)
+    renderViewPage()
 
     expect(screen.getByText('Loading data from Convex...')).toBeInTheDocument()
     expect(screen.getByText('Connecting to real-time database')).toBeInTheDocument()
   })
 
   it('should render empty state when data array is empty', () => {
-    // Mock useQuery to return empty array
-    useQuery.mockReturnValue([])
+    // Mock usePaginatedQuery to return no rows
+    mockPaginatedData([])
 
-    render(<ViewPage />)
+    renderViewPage()
 
     expect(screen.getByText('No data available in the database.')).toBeInTheDocument()
-    expect(screen.getByText('Use the Update page to add some data.')).toBeInTheDocument()
+    expect(screen.getByText('Use the Create page to add some data.')).toBeInTheDocument()
   })
 
   it('should render data table with mock data', () => {
-    // Mock useQuery to return sample data
+    // Mock usePaginatedQuery to return sample data
     const mockData = [
       {
         _id: 'abc123',
@@ -72,9 +148,9 @@ describe('ViewPage Component', () => {
         _creationTime: Date.now(),
       },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockPaginatedData(mockData)
 
-    render(<ViewPage />)
+    renderViewPage()
 
     // Verify page title
     expect(screen.getByText('View Mock Data')).toBeInTheDocument()
@@ -105,25 +181,29 @@ describe('ViewPage Component', () => {
         _creationTime: Date.now(),
       },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockPaginatedData(mockData)
 
-    render(<ViewPage />)
+    renderViewPage()
 
     expect(screen.getByText('None')).toBeInTheDocument()
   })
 
-  it('should call useQuery with correct API function', () => {
-    useQuery.mockReturnValue([])
+  it('should call usePaginatedQuery with the paginated API function', () => {
+    mockPaginatedData([])
 
-    render(<ViewPage />)
+    renderViewPage()
 
-    expect(useQuery).toHaveBeenCalled()
+    expect(usePaginatedQuery).toHaveBeenCalledWith(
+      api.functions.listMockData,
+      { sortField: '_creationTime', sortDirection: 'asc' },
+      { initialNumItems: 50 }
+    )
   })
 
   it('should display real-time updates info box', () => {
-    useQuery.mockReturnValue([])
+    mockPaginatedData([])
 
-    render(<ViewPage />)
+    renderViewPage()
 
     expect(screen.getByText('Real-time Updates Active')).toBeInTheDocument()
     expect(
@@ -132,9 +212,9 @@ describe('ViewPage Component', () => {
   })
 
   it('should display page description', () => {
-    useQuery.mockReturnValue([])
+    mockPaginatedData([])
 
-    render(<ViewPage />)
+    renderViewPage()
 
     expect(
       screen.getByText(/This page displays real-time data from Convex/)
@@ -151,9 +231,9 @@ describe('ViewPage Component', () => {
         _creationTime: Date.now(),
       },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockPaginatedData(mockData)
 
-    render(<ViewPage />)
+    renderViewPage()
 
     // ID should be truncated to 8 characters followed by ...
     expect(screen.getByText(/abcdefgh\.\.\./)).toBeInTheDocument()
@@ -170,12 +250,452 @@ describe('ViewPage Component', () => {
         _creationTime: timestamp,
       },
     ]
-    useQuery.mockReturnValue(mockData)
+    mockPaginatedData(mockData)
 
-    render(<ViewPage />)
+    renderViewPage()
 
     // The creation time should be formatted using toLocaleString
     const expectedDate = new Date(timestamp).toLocaleString()
     expect(screen.getByText(expectedDate)).toBeInTheDocument()
   })
+
+  it('should only render the rows inside the scroll window', () => {
+    const mockData = Array.from({ length: 500 }, (_, i) => ({
+      _id: `id${String(i).padStart(6, '0')}`,
+      name: `Item ${i}`,
+      value: i,
+      _creationTime: Date.now(),
+    }))
+    mockPaginatedData(mockData)
+
+    renderViewPage()
+
+    expect(screen.getByText('Item 0')).toBeInTheDocument()
+    expect(screen.queryByText('Item 499')).not.toBeInTheDocument()
+    expect(screen.getByText(/Showing 500 records/)).toBeInTheDocument()
+  })
+
+  it('should load the next page when the loaded rows fit in the viewport', () => {
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ]
+    const loadMore = mockPaginatedData(mockData, 'CanLoadMore')
+
+    renderViewPage()
+
+    expect(loadMore).toHaveBeenCalledWith(50)
+  })
+
+  it('should not request more pages once all records are loaded', () => {
+    const mockData = [
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ]
+    const loadMore = mockPaginatedData(mockData, 'Exhausted')
+
+    renderViewPage()
+
+    expect(loadMore).not.toHaveBeenCalled()
+    expect(screen.getByText(/All records loaded/)).toBeInTheDocument()
+  })
+
+  it('should read sort and value range from the URL', () => {
+    mockPaginatedData([])
+
+    renderViewPage('/view?sort=value&dir=desc&min=10&max=200')
+
+    expect(usePaginatedQuery).toHaveBeenLastCalledWith(
+      api.functions.listMockData,
+      { sortField: 'value', sortDirection: 'desc', valueMin: 10, valueMax: 200 },
+      { initialNumItems: 50 }
+    )
+    expect(screen.getByLabelText('Min value:')).toHaveValue(10)
+    expect(screen.getByLabelText('Max value:')).toHaveValue(200)
+    expect(screen.getByText('No records match the current filter.')).toBeInTheDocument()
+  })
+
+  it('should toggle the sort order when a column header is clicked', async () => {
+    const user = userEvent.setup()
+    mockPaginatedData([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ])
+
+    renderViewPage()
+
+    await user.click(screen.getByRole('button', { name: 'Value' }))
+    expect(usePaginatedQuery).toHaveBeenLastCalledWith(
+      api.functions.listMockData,
+      { sortField: 'value', sortDirection: 'asc' },
+      { initialNumItems: 50 }
+    )
+
+    await user.click(screen.getByRole('button', { name: /Value/ }))
+    expect(usePaginatedQuery).toHaveBeenLastCalledWith(
+      api.functions.listMockData,
+      { sortField: 'value', sortDirection: 'desc' },
+      { initialNumItems: 50 }
+    )
+    expect(screen.getByRole('columnheader', { name: /Value/ })).toHaveAttribute(
+      'aria-sort',
+      'descending'
+    )
+  })
+
+  it('should apply and clear the value range filter', async () => {
+    const user = userEvent.setup()
+    mockPaginatedData([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ])
+
+    renderViewPage()
+
+    await user.type(screen.getByLabelText('Min value:'), '50')
+    await user.type(screen.getByLabelText('Max value:'), '150')
+    await user.click(screen.getByRole('button', { name: 'Apply' }))
+
+    expect(usePaginatedQuery).toHaveBeenLastCalledWith(
+      api.functions.listMockData,
+      { sortField: '_creationTime', sortDirection: 'asc', valueMin: 50, valueMax: 150 },
+      { initialNumItems: 50 }
+    )
+
+    await user.click(screen.getByRole('button', { name: 'Clear' }))
+
+    expect(usePaginatedQuery).toHaveBeenLastCalledWith(
+      api.functions.listMockData,
+      { sortField: '_creationTime', sortDirection: 'asc' },
+      { initialNumItems: 50 }
+    )
+    expect(screen.getByLabelText('Min value:')).toHaveValue(null)
+  })
+
+  it('should show highlighted search results for the search box', async () => {
+    const user = userEvent.setup()
+    mockPaginatedData([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+    ])
+    useQuery.mockImplementation((fn, args) =>
+      fn !== api.functions.searchMockData || args === 'skip'
+        ? undefined
+        : [
+            {
+              _id: 'def456',
+              name: 'Beta',
+              value: 200,
+              description: 'Second sample item',
+              _creationTime: Date.now(),
+            },
+          ]
+    )
+
+    renderViewPage()
+
+    await user.type(screen.getByLabelText('Search:'), 'sample')
+
+    await waitFor(() => {
+      expect(screen.getByText('1 matching records')).toBeInTheDocument()
+    })
+    expect(lastSearchArgs()).toEqual({
+      query: 'sample',
+      limit: 100,
+    })
+    expect(screen.getByText('sample', { selector: 'mark' })).toBeInTheDocument()
+    expect(screen.queryByText('Alpha')).not.toBeInTheDocument()
+    // Relevance-ranked results can't be re-sorted
+    expect(screen.queryByRole('button', { name: 'Value' })).not.toBeInTheDocument()
+  })
+
+  it('should export every matching record by paging through listMockData', async () => {
+    const user = userEvent.setup()
+    mockPaginatedData([{ _id: 'abc123', name: 'Alpha', value: 100, _creationTime: 0 }])
+    const convexQuery = vi
+      .fn()
+      .mockResolvedValueOnce({
+        page: [{ _id: 'abc123', name: 'Alpha', value: 100, _creationTime: 0 }],
+        isDone: false,
+        continueCursor: 'next',
+      })
+      .mockResolvedValueOnce({
+        page: [{ _id: 'def456', name: 'Beta, Inc', value: 200, description: 'Note', _creationTime: 1000 }],
+        isDone: true,
+        continueCursor: 'end',
+      })
+    useConvex.mockReturnValue({ query: convexQuery })
+    // jsdom doesn't implement object URLs; capture the downloaded Blob instead
+    let blob
+    URL.createObjectURL = vi.fn((value) => {
+      blob = value
+      return 'blob:export'
+    })
+    URL.revokeObjectURL = vi.fn()
+    // ...and the navigation that clicking the download link would start
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {})
+
+    renderViewPage('/view?sort=value&dir=desc&min=50')
+
+    await user.click(screen.getByRole('button', { name: 'Download' }))
+
+    await waitFor(() => {
+      expect(URL.createObjectURL).toHaveBeenCalled()
+    })
+    expect(convexQuery).toHaveBeenNthCalledWith(1, api.functions.listMockData, {
+      sortField: 'value',
+      sortDirection: 'desc',
+      valueMin: 50,
+      paginationOpts: { numItems: 500, cursor: null },
+    })
+    expect(convexQuery.mock.calls[1][1].paginationOpts.cursor).toBe('next')
+    expect(click).toHaveBeenCalledTimes(1)
+    click.mockRestore()
+    const text = await new Promise((resolve) => {
+      const reader = new FileReader()
+      reader.onload = () => resolve(reader.result)
+      reader.readAsText(blob)
+    })
+    expect(text).toBe(
+      '_id,name,value,description,_creationTime\r\n' +
+        'abc123,Alpha,100,,1970-01-01T00:00:00.000Z\r\n' +
+        'def456,"Beta, Inc",200,Note,1970-01-01T00:00:01.000Z\r\n'
+    )
+  })
+
+  it('should announce the viewer and show who is editing each row', () => {
+    mockPaginatedData([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+      { _id: 'def456', name: 'Beta', value: 200, _creationTime: Date.now() },
+    ])
+    usePresence.mockReturnValue({
+      online: [],
+      editing: new Map([['def456', [{ userId: 'user2', name: 'Bob Stone' }]]]),
+    })
+
+    renderViewPage()
+
+    expect(usePresenceHeartbeat).toHaveBeenCalledWith('view')
+    const avatars = screen.getByRole('group', { name: 'Editing: Bob Stone' })
+    expect(avatars).toHaveTextContent('BS')
+    expect(avatars.closest('tr')).toHaveTextContent('Beta')
+    expect(screen.getAllByRole('group')).toHaveLength(1)
+  })
+
+  it('should mark the visible records that have an upcoming scheduled change', () => {
+    mockPaginatedData([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+      { _id: 'def456', name: 'Beta', value: 200, _creationTime: Date.now() },
+      { _id: 'pending-1', name: 'Gamma', value: 300, _creationTime: Date.now(), _pending: true },
+    ])
+    const runAt = new Date(2030, 0, 1, 0, 0).getTime()
+    useQuery.mockImplementation((fn) =>
+      fn === api.scheduledChanges.nextScheduledChanges
+        ? [{ _id: 'c1', recordId: 'def456', value: 250, runAt, status: 'pending' }]
+        : undefined
+    )
+
+    renderViewPage()
+
+    // Only the confirmed rows on screen are looked up
+    expect(useQuery).toHaveBeenCalledWith(api.scheduledChanges.nextScheduledChanges, {
+      recordIds: ['abc123', 'def456'],
+    })
+    const badge = screen.getByText('Scheduled')
+    expect(badge.closest('tr')).toHaveTextContent('Beta')
+    expect(badge).toHaveAttribute(
+      'title',
+      `Changes to 250 at ${new Date(runAt).toLocaleString()}`
+    )
+    expect(screen.getAllByText('Scheduled')).toHaveLength(1)
+  })
+
+  it('should style rows whose writes are not confirmed yet', () => {
+    mockPaginatedData([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+      { _id: 'def456', name: 'Beta', value: 200, _creationTime: Date.now(), _pending: true },
+    ])
+
+    renderViewPage()
+
+    expect(screen.getByText('Beta').closest('tr')).toHaveClass('pending-row')
+    expect(screen.getByText('Alpha').closest('tr')).not.toHaveClass('pending-row')
+  })
+
+  it('should show a value sparkline for every confirmed record', () => {
+    mockPaginatedData([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+      { _id: 'def456', name: 'Beta', value: 250, _creationTime: Date.now(), _pending: true },
+      { _id: 'pending-1', name: 'Gamma', value: 300, _creationTime: Date.now(), _pending: true },
+    ])
+
+    renderViewPage()
+
+    // Unconfirmed edits keep their sparkline; unconfirmed creates have no ID yet
+    expect(screen.getAllByTestId('sparkline').map((el) => el.textContent)).toEqual([
+      'abc123:100',
+      'def456:250',
+    ])
+  })
+
+  it('should link each row to its details and, for editors, its edit form', () => {
+    signInAs('editor')
+    mockPaginatedData([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+      { _id: 'pending-1', name: 'Gamma', value: 300, _creationTime: Date.now(), _pending: true },
+    ])
+
+    renderViewPage()
+
+    expect(screen.getByRole('link', { name: 'Alpha' })).toHaveAttribute('href', '/records/abc123')
+    expect(screen.getByRole('link', { name: 'Edit' })).toHaveAttribute('href', '/update/abc123')
+    // Not saved yet, so there is nothing to link to
+    expect(screen.queryByRole('link', { name: 'Gamma' })).not.toBeInTheDocument()
+  })
+
+  it('should not offer edit links to viewers', () => {
+    mockPaginatedData([{ _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() }])
+
+    renderViewPage()
+
+    expect(screen.getByRole('link', { name: 'Alpha' })).toBeInTheDocument()
+    expect(screen.queryByRole('link', { name: 'Edit' })).not.toBeInTheDocument()
+  })
+
+  it('should not offer bulk selection to viewers', () => {
+    mockPaginatedData([{ _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() }])
+
+    renderViewPage()
+
+    expect(screen.queryByRole('checkbox')).not.toBeInTheDocument()
+    expect(screen.queryByTestId('bulk-bar')).not.toBeInTheDocument()
+  })
+
+  it('should select rows one by one and all at once', async () => {
+    const user = userEvent.setup()
+    signInAs('editor')
+    mockPaginatedData([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+      { _id: 'def456', name: 'Beta', value: 200, _creationTime: Date.now() },
+    ])
+
+    renderViewPage()
+
+    await user.click(screen.getByRole('checkbox', { name: 'Select Beta' }))
+    expect(screen.getByTestId('bulk-bar')).toHaveTextContent('def456')
+    expect(screen.getByText('Beta').closest('tr')).toHaveClass('selected-row')
+    const selectAll = screen.getByRole('checkbox', { name: 'Select all loaded records' })
+    expect(selectAll).not.toBeChecked()
+    expect(selectAll.indeterminate).toBe(true)
+
+    await user.click(selectAll)
+    expect(screen.getByTestId('bulk-bar')).toHaveTextContent('def456,abc123')
+    expect(selectAll).toBeChecked()
+
+    await user.click(selectAll)
+    expect(screen.getByTestId('bulk-bar')).toBeEmptyDOMElement()
+  })
+
+  it('should keep only the skipped records selected after a bulk action', async () => {
+    const user = userEvent.setup()
+    signInAs('editor')
+    mockPaginatedData([
+      { _id: 'abc123', name: 'Alpha', value: 100, _creationTime: Date.now() },
+      { _id: 'def456', name: 'Beta', value: 200, _creationTime: Date.now() },
+    ])
+
+    renderViewPage()
+
+    await user.click(screen.getByRole('checkbox', { name: 'Select all loaded records' }))
+    act(() => {
+      bulkBarProps.onApplied({
+        changed: 1,
+        skipped: 1,
+        results: [
+          { id: 'abc123', name: 'Alpha', status: 'updated' },
+          { id: 'def456', name: 'Beta', status: 'skipped', message: 'Locked' },
+        ],
+      })
+    })
+
+    expect(screen.getByTestId('bulk-bar')).toHaveTextContent('def456')
+    expect(screen.getByRole('checkbox', { name: 'Select Alpha' })).not.toBeChecked()
+  })
+
+  it('should read the tag filter from the URL and apply it to listing and search', async () => {
+    const user = userEvent.setup()
+    mockPaginatedData([])
+    useQuery.mockImplementation((fn, args) => (args === 'skip' ? undefined : []))
+
+    renderViewPage('/view?tags=t1,t2&match=any')
+
+    expect(usePaginatedQuery).toHaveBeenLastCalledWith(
+      api.functions.listMockData,
+      { sortField: '_creationTime', sortDirection: 'asc', tagIds: ['t1', 't2'], tagMatch: 'any' },
+      { initialNumItems: 50 }
+    )
+    expect(screen.getByTestId('tag-filter')).toHaveTextContent('any:t1,t2')
+    expect(screen.getByText('No records match the current filter.')).toBeInTheDocument()
+
+    await user.type(screen.getByLabelText('Search:'), 'sample')
+    await waitFor(() => {
+      expect(lastSearchArgs()).toEqual({
+        query: 'sample',
+        limit: 100,
+        tagIds: ['t1', 't2'],
+        tagMatch: 'any',
+      })
+    })
+  })
+
+  it('should show tag chips that add their tag to the filter', async () => {
+    const user = userEvent.setup()
+    mockPaginatedData([
+      {
+        _id: 'abc123',
+        name: 'Alpha',
+        value: 100,
+        _creationTime: Date.now(),
+        tags: [
+          { _id: 't1', name: 'budget' },
+          { _id: 't2', name: 'q3' },
+        ],
+      },
+    ])
+
+    renderViewPage('/view?tags=t1')
+
+    await user.click(screen.getByRole('button', { name: 'q3' }))
+
+    expect(screen.getByTestId('tag-filter')).toHaveTextContent('all:t1,t2')
+    expect(usePaginatedQuery).toHaveBeenLastCalledWith(
+      api.functions.listMockData,
+      { sortField: '_creationTime', sortDirection: 'asc', tagIds: ['t1', 't2'], tagMatch: 'all' },
+      { initialNumItems: 50 }
+    )
+
+    act(() => {
+      tagFilterProps.onChange([], 'all')
+    })
+    expect(screen.getByTestId('tag-filter')).toHaveTextContent('all:')
+  })
+
+  it('should offer to search further while filtered pages come back empty', async () => {
+    const user = userEvent.setup()
+    const loadMore = mockPaginatedData([], 'CanLoadMore')
+
+    renderViewPage('/view?tags=t1')
+
+    // Not the loading state, which times out into a connection error
+    expect(screen.queryByText('Loading data from Convex...')).not.toBeInTheDocument()
+    expect(screen.getByText('No matches in the records searched so far.')).toBeInTheDocument()
+    expect(loadMore).not.toHaveBeenCalled()
+
+    await user.click(screen.getByRole('button', { name: 'Search more records' }))
+    expect(loadMore).toHaveBeenCalledWith(50)
+  })
+
+  it('should show that more records are being searched', () => {
+    mockPaginatedData([], 'LoadingMore')
+
+    renderViewPage('/view?tags=t1')
+
+    expect(screen.getByText('Searching more records...')).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Search more records' })).toBeDisabled()
+  })
 })
@@ -0,0 +1,327 @@
+import { useState } from "react";
+import { useQuery, useMutation } from "convex/react";
+import { ConvexError } from "convex/values";
+import { api } from "../../convex/_generated/api";
+import LoadingState from "../components/LoadingState";
+import "../App.css";
+
+// Event types a subscription can choose from (see convex/webhooks.ts)
+const EVENT_TYPES = [
+  { value: "mockData.created", label: "Created" },
+  { value: "mockData.updated", label: "Updated (including reverts)" },
+  { value: "mockData.deleted", label: "Deleted (moved to trash)" },
+  { value: "mockData.restored", label: "Restored" },
+  { value: "mockData.purged", label: "Purged" },
+];
+
+// A random signing secret, generated in the browser (64 hex characters)
+const generateSecret = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(32)), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+
+const formatTime = (timestamp) =>
+  timestamp === undefined ? "—" : new Date(timestamp).toLocaleString();
+
+/**
+ * WebhooksPage Component
+ *
+ * Admin page for outbound webhooks (convex/webhooks.ts):
+ * - Subscribe a URL to record events; the signing secret is generated
+ *   here and must be copied to the receiver before saving
+ * - Pause, resume or delete subscriptions
+ * - Watch the delivery log, for all subscriptions or one; it is a live
+ *   query, so attempts, retries and their outcomes appear as they happen
+ *
+ * Use `npm run webhook-receiver` for a local receiver that verifies
+ * signatures and can simulate failures (see the README).
+ */
+export default function WebhooksPage() {
+  const webhooks = useQuery(api.webhooks.listWebhooks);
+  // Delivery log filter: a webhook ID, or null for all
+  const [logFilter, setLogFilter] = useState(null);
+  const deliveries = useQuery(
+    api.webhooks.listDeliveries,
+    logFilter ? { webhookId: logFilter } : {}
+  );
+
+  const createWebhook = useMutation(api.webhooks.createWebhook);
+  const setWebhookEnabled = useMutation(api.webhooks.setWebhookEnabled);
+  const deleteWebhook = useMutation(api.webhooks.deleteWebhook);
+
+  const [url, setUrl] = useState("");
+  const [secret, setSecret] = useState(generateSecret);
+  const [eventTypes, setEventTypes] = useState(EVENT_TYPES.map((type) => type.value));
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  // ID of the webhook an action is currently running for
+  const [pendingId, setPendingId] = useState(null);
+  const [message, setMessage] = useState({ type: "", text: "" });
+
+  const showError = (error, action) =>
+    setMessage({
+      type: "error",
+      text:
+        error instanceof ConvexError
+          ? error.data.message
+          : `Failed to ${action} webhook: ${error.message}`,
+    });
+
+  const toggleEventType = (value) => {
+    setEventTypes((current) =>
+      current.includes(value)
+        ? current.filter((type) => type !== value)
+        : [...current, value]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setMessage({ type: "", text: "" });
+    try {
+      await createWebhook({ url, secret, eventTypes });
+      setMessage({ type: "success", text: `Webhook added for ${url.trim()}.` });
+      setUrl("");
+      // Each subscription gets its own secret
+      setSecret(generateSecret());
+    } catch (error) {
+      showError(error, "add");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleToggle = async (webhook) => {
+    setPendingId(webhook._id);
+    setMessage({ type: "", text: "" });
+    try {
+      await setWebhookEnabled({ webhookId: webhook._id, enabled: !webhook.enabled });
+    } catch (error) {
+      showError(error, "update");
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url} and its delivery log?`)) {
+      return;
+    }
+    setPendingId(webhook._id);
+    setMessage({ type: "", text: "" });
+    try {
+      await deleteWebhook({ webhookId: webhook._id });
+      if (logFilter === webhook._id) {
+        setLogFilter(null);
+      }
+    } catch (error) {
+      showError(error, "delete");
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  // Handle loading state
+  if (webhooks === undefined) {
+    return (
+      <div className="page">
+        <h1>Webhooks</h1>
+        <LoadingState />
+      </div>
+    );
+  }
+
+  return (
+    <div className="page">
+      <h1>Webhooks</h1>
+      <p className="page-description">
+        Webhooks POST a signed JSON payload with each record&apos;s before and
+        after state to your URL whenever it changes. Failed deliveries are
+        retried with exponential backoff.
+      </p>
+
+      <form className="update-form webhook-form" onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="webhook-url">Payload URL:</label>
+          <input
+            id="webhook-url"
+            type="url"
+            className="form-control"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="http://host.docker.internal:4000/webhook"
+            disabled={isSubmitting}
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="webhook-secret">Signing secret:</label>
+          <div className="webhook-secret">
+            <input
+              id="webhook-secret"
+              type="text"
+              className="form-control"
+              value={secret}
+              readOnly
+            />
+            <button
+              type="button"
+              className="table-button secondary"
+              onClick={() => setSecret(generateSecret())}
+              disabled={isSubmitting}
+            >
+              Regenerate
+            </button>
+          </div>
+          <small className="field-hint">
+            Copy this to your receiver now; it isn&apos;t shown again.
+          </small>
+        </div>
+
+        <fieldset className="import-mode" disabled={isSubmitting}>
+          <legend>Events</legend>
+          {EVENT_TYPES.map((type) => (
+            <label key={type.value}>
+              <input
+                type="checkbox"
+                checked={eventTypes.includes(type.value)}
+                onChange={() => toggleEventType(type.value)}
+              />{" "}
+              {type.label}
+            </label>
+          ))}
+        </fieldset>
+
+        <button
+          type="submit"
+          className="submit-button"
+          disabled={isSubmitting || !url.trim() || eventTypes.length === 0}
+        >
+          {isSubmitting ? "Adding..." : "Add Webhook"}
+        </button>
+      </form>
+
+      {message.text && (
+        <div className={`message ${message.type}-message`}>{message.text}</div>
+      )}
+
+      <h2>Subscriptions</h2>
+      {webhooks.length === 0 ? (
+        <p className="table-status">No webhooks yet.</p>
+      ) : (
+        <div className="data-container">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>URL</th>
+                <th>Events</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {webhooks.map((webhook) => (
+                <tr key={webhook._id}>
+                  <td className="name-cell">
+                    <code>{webhook.url}</code>
+                  </td>
+                  <td>{webhook.eventTypes.join(", ")}</td>
+                  <td>{webhook.enabled ? "Active" : "Paused"}</td>
+                  <td className="actions-cell">
+                    <button
+                      type="button"
+                      className="table-button"
+                      onClick={() => setLogFilter(webhook._id)}
+                    >
+                      Deliveries
+                    </button>
+                    <button
+                      type="button"
+                      className="table-button secondary"
+                      onClick={() => handleToggle(webhook)}
+                      disabled={pendingId === webhook._id}
+                    >
+                      {webhook.enabled ? "Pause" : "Resume"}
+                    </button>
+                    <button
+                      type="button"
+                      className="table-button danger"
+                      onClick={() => handleDelete(webhook)}
+                      disabled={pendingId === webhook._id}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <h2>Delivery Log</h2>
+      {logFilter && (
+        <p className="table-status">
+          Showing deliveries for one webhook ·{" "}
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => setLogFilter(null)}
+          >
+            Show all
+          </button>
+        </p>
+      )}
+      {deliveries === undefined ? (
+        <p className="loading-text">Loading deliveries...</p>
+      ) : deliveries.length === 0 ? (
+        <p className="table-status">No deliveries yet.</p>
+      ) : (
+        <div className="data-container">
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Event</th>
+                <th>Record</th>
+                <th>URL</th>
+                <th>Status</th>
+                <th>Attempts</th>
+                <th>Last Response</th>
+                <th>Next Retry</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map((delivery) => (
+                <tr key={delivery._id}>
+                  <td className="created-cell">{formatTime(delivery._creationTime)}</td>
+                  <td>{delivery.eventType}</td>
+                  <td className="id-cell">
+                    <code>{delivery.recordId.slice(0, 8)}...</code>
+                  </td>
+                  <td>
+                    <code>{delivery.url ?? "(deleted)"}</code>
+                  </td>
+                  <td>
+                    <span className={`delivery-status delivery-${delivery.status}`}>
+                      {delivery.status}
+                    </span>
+                  </td>
+                  <td className="value-cell">{delivery.attempts}</td>
+                  <td>
+                    {delivery.lastError ??
+                      (delivery.lastStatusCode !== undefined
+                        ? `HTTP ${delivery.lastStatusCode}`
+                        : "—")}
+                  </td>
+                  <td className="created-cell">{formatTime(delivery.nextAttemptAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+/**
+ * WebhooksPage Component Tests
+ *
+ * Unit tests for the WebhooksPage component.
+ * Verifies subscription management and the delivery log.
+ *
+ * References:
+ * - Testing Library Docs: https://testing-library.com/react
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useQuery, useMutation } from 'convex/react'
+import { ConvexError } from 'convex/values'
+import { api } from '../../convex/_generated/api'
+import WebhooksPage from './WebhooksPage'
+
+// Mock the Convex hooks
+vi.mock('convex/react', () => ({
+  useQuery: vi.fn(),
+  useMutation: vi.fn(),
+}))
+
+// Mock the API
+vi.mock('../../convex/_generated/api', () => ({
+  api: {
+    webhooks: {
+      listWebhooks: 'listWebhooks',
+      listDeliveries: 'listDeliveries',
+      createWebhook: 'createWebhook',
+      setWebhookEnabled: 'setWebhookEnabled',
+      deleteWebhook: 'deleteWebhook',
+    },
+  },
+}))
+
+const webhooks = [
+  {
+    _id: 'hook1',
+    url: 'http://host.docker.internal:4000/webhook',
+    eventTypes: ['mockData.created', 'mockData.updated'],
+    enabled: true,
+  },
+]
+
+const deliveries = [
+  {
+    _id: 'delivery2',
+    _creationTime: Date.now(),
+    eventType: 'mockData.updated',
+    recordId: 'record12345',
+    url: 'http://host.docker.internal:4000/webhook',
+    status: 'pending',
+    attempts: 2,
+    lastStatusCode: 500,
+    lastError: 'Receiver responded 500 Internal Server Error',
+    nextAttemptAt: Date.now() + 60000,
+  },
+  {
+    _id: 'delivery1',
+    _creationTime: Date.now(),
+    eventType: 'mockData.created',
+    recordId: 'record12345',
+    url: 'http://host.docker.internal:4000/webhook',
+    status: 'succeeded',
+    attempts: 1,
+    lastStatusCode: 200,
+  },
+]
+
+// Mock each query's result, and one mutation per function reference
+const mockConvex = ({ hooks = webhooks, log = deliveries } = {}) => {
+  useQuery.mockImplementation((fn) => (fn === api.webhooks.listWebhooks ? hooks : log))
+  const mutations = {
+    createWebhook: vi.fn().mockResolvedValue('hook2'),
+    setWebhookEnabled: vi.fn().mockResolvedValue('hook1'),
+    deleteWebhook: vi.fn().mockResolvedValue('hook1'),
+  }
+  useMutation.mockImplementation((fn) => mutations[fn])
+  return mutations
+}
+
+describe('WebhooksPage Component', () => {
+  beforeEach(() => {
+    // Clear mocks before each test
+    vi.clearAllMocks()
+  })
+
+  it('should render loading state when data is undefined', () => {
+    useQuery.mockReturnValue(undefined)
+    useMutation.mockReturnValue(vi.fn())
+
+    render(<WebhooksPage />)
+
+    expect(screen.getByText('Loading data from Convex...')).toBeInTheDocument()
+  })
+
+  it('should list subscriptions and the delivery log', () => {
+    mockConvex()
+
+    render(<WebhooksPage />)
+
+    expect(screen.getByText('mockData.created, mockData.updated')).toBeInTheDocument()
+    expect(screen.getByText('Active')).toBeInTheDocument()
+    expect(screen.getByText('Receiver responded 500 Internal Server Error')).toBeInTheDocument()
+    expect(screen.getByText('HTTP 200')).toBeInTheDocument()
+    expect(screen.getByText('succeeded')).toHaveClass('delivery-succeeded')
+    expect(useQuery).toHaveBeenCalledWith(api.webhooks.listDeliveries, {})
+  })
+
+  it('should add a webhook with a generated secret and the chosen events', async () => {
+    const user = userEvent.setup()
+    const { createWebhook } = mockConvex({ hooks: [], log: [] })
+
+    render(<WebhooksPage />)
+
+    const secret = screen.getByLabelText('Signing secret:').value
+    expect(secret).toMatch(/^[0-9a-f]{64}$/)
+
+    await user.type(screen.getByLabelText('Payload URL:'), 'http://localhost:4000/webhook')
+    await user.click(screen.getByLabelText('Purged'))
+    await user.click(screen.getByRole('button', { name: 'Add Webhook' }))
+
+    await waitFor(() => {
+      expect(createWebhook).toHaveBeenCalledWith({
+        url: 'http://localhost:4000/webhook',
+        secret,
+        eventTypes: [
+          'mockData.created',
+          'mockData.updated',
+          'mockData.deleted',
+          'mockData.restored',
+        ],
+      })
+    })
+    expect(
+      screen.getByText('Webhook added for http://localhost:4000/webhook.')
+    ).toBeInTheDocument()
+    // The next subscription gets a fresh secret
+    expect(screen.getByLabelText('Signing secret:').value).not.toBe(secret)
+  })
+
+  it('should show server validation errors', async () => {
+    const user = userEvent.setup()
+    const { createWebhook } = mockConvex({ hooks: [], log: [] })
+    createWebhook.mockRejectedValue(
+      new ConvexError({ code: 'INVALID_URL', message: 'Enter an http:// or https:// URL.' })
+    )
+
+    render(<WebhooksPage />)
+
+    await user.type(screen.getByLabelText('Payload URL:'), 'http://bad')
+    await user.click(screen.getByRole('button', { name: 'Add Webhook' }))
+
+    expect(await screen.findByText('Enter an http:// or https:// URL.')).toBeInTheDocument()
+  })
+
+  it('should pause a webhook and filter the log by webhook', async () => {
+    const user = userEvent.setup()
+    const { setWebhookEnabled } = mockConvex()
+
+    render(<WebhooksPage />)
+
+    await user.click(screen.getByRole('button', { name: 'Pause' }))
+    expect(setWebhookEnabled).toHaveBeenCalledWith({ webhookId: 'hook1', enabled: false })
+
+    await user.click(screen.getByRole('button', { name: 'Deliveries' }))
+    expect(useQuery).toHaveBeenLastCalledWith(api.webhooks.listDeliveries, { webhookId: 'hook1' })
+
+    await user.click(screen.getByRole('button', { name: 'Show all' }))
+    expect(useQuery).toHaveBeenLastCalledWith(api.webhooks.listDeliveries, {})
+  })
+})
@@ -21,14 +21,68 @@ afterEach(() => {
 // Tests can't connect to a real Convex backend, so we mock the hooks
 vi.mock('convex/react', () => ({
   useQuery: vi.fn(),
+  usePaginatedQuery: vi.fn(),
   useMutation: vi.fn(),
+  useAction: vi.fn(),
+  useConvex: vi.fn(),
 }))
 
 vi.mock('../../convex/_generated/api', () => ({
   api: {
     functions: {
       getMockData: vi.fn(),
+      getMockDataById: vi.fn(),
+      listMockData: vi.fn(),
+      searchMockData: vi.fn(),
       updateMockData: vi.fn(),
+      createMockData: vi.fn(),
+      getDeletedMockData: vi.fn(),
+      deleteMockData: vi.fn(),
+      restoreMockData: vi.fn(),
+      purgeMockData: vi.fn(),
+      revertMockData: vi.fn(),
+      importMockData: vi.fn(),
+    },
+    history: {
+      getRecordHistory: vi.fn(),
+    },
+    auth: {
+      currentUser: vi.fn(),
+      signIn: vi.fn(),
+      signUp: vi.fn(),
+    },
+    roles: {
+      listUsers: vi.fn(),
+      setRole: vi.fn(),
+    },
+    webhooks: {
+      listWebhooks: vi.fn(),
+      listDeliveries: vi.fn(),
+      createWebhook: vi.fn(),
+      setWebhookEnabled: vi.fn(),
+      deleteWebhook: vi.fn(),
+    },
+    apiTokens: {
+      listApiTokens: vi.fn(),
+      createApiToken: vi.fn(),
+      revokeApiToken: vi.fn(),
+    },
+    leases: {
+      acquireLease: vi.fn(),
+      releaseLease: vi.fn(),
+      breakLease: vi.fn(),
+      listLeases: vi.fn(),
+    },
+    scheduledChanges: {
+      listScheduledChanges: vi.fn(),
+      scheduleChange: vi.fn(),
+      rescheduleChange: vi.fn(),
+      cancelScheduledChange: vi.fn(),
+    },
+    presence: {
+      heartbeat: vi.fn(),
+      leavePresence: vi.fn(),
+      listPresence: vi.fn(),
     },
   },
 }))
@@ -38,5 +92,6 @@ vi.mock('convex/react', () => ({
   ConvexProvider: ({ children }) => children,
   ConvexReactClient: vi.fn(),
   useQuery: vi.fn(),
+  usePaginatedQuery: vi.fn(),
   useMutation: vi.fn(),
 }))
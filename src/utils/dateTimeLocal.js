@@ -0,0 +1,38 @@
+/**
+ * datetime-local Helpers
+ *
+ * Conversions between timestamps and the value of an
+ * <input type="datetime-local">, which is a "YYYY-MM-DDTHH:mm" string in
+ * the browser's time zone with no offset.
+ */
+
+const pad = (number) => String(number).padStart(2, "0");
+
+/**
+ * Format a timestamp as a datetime-local input value (local time, minutes).
+ *
+ * @param timestamp - Milliseconds since the epoch
+ * @returns {string} e.g. "2026-01-31T23:59"
+ */
+export function toDateTimeLocal(timestamp) {
+  const date = new Date(timestamp);
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+/**
+ * Parse a datetime-local input value as local time.
+ *
+ * @param value - The input's value
+ * @returns {number} Milliseconds since the epoch, or NaN if blank or invalid
+ */
+export function fromDateTimeLocal(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value ?? "");
+  if (!match) {
+    return NaN;
+  }
+  const [, year, month, day, hours, minutes] = match.map(Number);
+  return new Date(year, month - 1, day, hours, minutes).getTime();
+}
@@ -0,0 +1,39 @@
+/**
+ * datetime-local Helper Tests
+ *
+ * Unit tests for converting between timestamps and datetime-local values.
+ *
+ * References:
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { toDateTimeLocal, fromDateTimeLocal } from './dateTimeLocal'
+
+describe('toDateTimeLocal', () => {
+  it('should format local time to the minute with zero padding', () => {
+    const timestamp = new Date(2026, 0, 5, 7, 3, 45).getTime()
+
+    expect(toDateTimeLocal(timestamp)).toBe('2026-01-05T07:03')
+  })
+})
+
+describe('fromDateTimeLocal', () => {
+  it('should read the value as local time', () => {
+    expect(fromDateTimeLocal('2026-12-31T23:59')).toBe(
+      new Date(2026, 11, 31, 23, 59).getTime()
+    )
+  })
+
+  it('should round-trip with toDateTimeLocal', () => {
+    const timestamp = new Date(2026, 5, 15, 12, 30).getTime()
+
+    expect(fromDateTimeLocal(toDateTimeLocal(timestamp))).toBe(timestamp)
+  })
+
+  it('should return NaN for blank or malformed values', () => {
+    expect(fromDateTimeLocal('')).toBeNaN()
+    expect(fromDateTimeLocal(undefined)).toBeNaN()
+    expect(fromDateTimeLocal('31/12/2026 23:59')).toBeNaN()
+  })
+})
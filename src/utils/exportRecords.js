@@ -0,0 +1,100 @@
+/**
+ * Record Export Formatting
+ *
+ * Turns mockData documents into downloadable files for the View page's
+ * export control. Every format carries the same fields, in this order:
+ * _id, name, value, description (empty/absent when not set) and
+ * _creationTime as an ISO 8601 timestamp.
+ *
+ * Formats:
+ * - csv: a header row, then one record per line (RFC 4180 quoting), so the
+ *   file opens directly in a spreadsheet and can be re-imported (the Import
+ *   page ignores the _id and _creationTime columns). Text starting with
+ *   =, +, - or @ is prefixed with an apostrophe so spreadsheets don't run it
+ *   as a formula; the importer removes the apostrophe again
+ * - json: a single array of records, which can be re-imported too
+ * - ndjson: one JSON record per line, for streaming tools (jq, BigQuery...)
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", mimeType: "text/csv" },
+  json: { label: "JSON", mimeType: "application/json" },
+  ndjson: { label: "NDJSON", mimeType: "application/x-ndjson" },
+};
+
+const CSV_COLUMNS = ["_id", "name", "value", "description", "_creationTime"];
+
+/**
+ * Pick the exported fields from a mockData document.
+ *
+ * @param doc - A mockData document
+ * @returns {{ _id, name, value, description?, _creationTime }} - _creationTime as an ISO string
+ */
+export function toExportRecord(doc) {
+  return {
+    _id: doc._id,
+    name: doc.name,
+    value: doc.value,
+    ...(doc.description !== undefined ? { description: doc.description } : {}),
+    _creationTime: new Date(doc._creationTime).toISOString(),
+  };
+}
+
+// Text cells a spreadsheet would evaluate as a formula (see
+// FORMULA_ESCAPE in importRecords.js)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a CSV field when it contains a delimiter, quote or line break, and
+// escape text that would run as a formula
+const csvField = (field) => {
+  let text = field === undefined ? "" : String(field);
+  if (typeof field === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize export records in the given format.
+ *
+ * @param records - Records from toExportRecord
+ * @param format - A key of EXPORT_FORMATS
+ * @returns string - The file contents
+ */
+export function formatRecords(records, format) {
+  switch (format) {
+    case "csv":
+      return [
+        CSV_COLUMNS.join(","),
+        ...records.map((record) =>
+          CSV_COLUMNS.map((column) => csvField(record[column])).join(",")
+        ),
+      ].join("\r\n") + "\r\n";
+    case "json":
+      return JSON.stringify(records, null, 2) + "\n";
+    case "ndjson":
+      return records.map((record) => JSON.stringify(record) + "\n").join("");
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
+
+/**
+ * File name for an export made now, e.g. "mock-data-2024-05-01.csv".
+ */
+export const exportFileName = (format, now = new Date()) =>
+  `mock-data-${now.toISOString().slice(0, 10)}.${format}`;
+
+/**
+ * Have the browser download `contents` as a file.
+ */
+export function downloadFile(contents, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
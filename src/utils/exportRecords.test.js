@@ -0,0 +1,78 @@
+/**
+ * Record Export Formatting Tests
+ *
+ * Unit tests for the CSV, JSON and NDJSON export formats.
+ *
+ * References:
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { toExportRecord, formatRecords, exportFileName } from './exportRecords'
+
+const records = [
+  toExportRecord({ _id: 'a1', name: 'Alpha', value: 1, _creationTime: 0, revision: 3 }),
+  toExportRecord({
+    _id: 'b2',
+    name: 'Say "hi"',
+    value: -2.5,
+    description: 'Line one\nline two',
+    _creationTime: 86400000,
+  }),
+]
+
+describe('toExportRecord', () => {
+  it('should keep only the exported fields with an ISO creation time', () => {
+    expect(records[0]).toEqual({
+      _id: 'a1',
+      name: 'Alpha',
+      value: 1,
+      _creationTime: '1970-01-01T00:00:00.000Z',
+    })
+  })
+})
+
+describe('formatRecords', () => {
+  it('should write CSV with a header and quoted fields', () => {
+    expect(formatRecords(records, 'csv')).toBe(
+      '_id,name,value,description,_creationTime\r\n' +
+        'a1,Alpha,1,,1970-01-01T00:00:00.000Z\r\n' +
+        'b2,"Say ""hi""",-2.5,"Line one\nline two",1970-01-02T00:00:00.000Z\r\n'
+    )
+  })
+
+  it('should escape text that a spreadsheet would run as a formula', () => {
+    const risky = ['=HYPERLINK("x")', '+1', '-x', '@SUM(A1)'].map((name) =>
+      toExportRecord({ _id: 'a1', name, value: -1, _creationTime: 0 })
+    )
+
+    expect(formatRecords(risky, 'csv').split('\r\n').slice(1, -1)).toEqual([
+      `a1,"'=HYPERLINK(""x"")",-1,,1970-01-01T00:00:00.000Z`,
+      "a1,'+1,-1,,1970-01-01T00:00:00.000Z",
+      "a1,'-x,-1,,1970-01-01T00:00:00.000Z",
+      "a1,'@SUM(A1),-1,,1970-01-01T00:00:00.000Z",
+    ])
+  })
+
+  it('should write JSON as a single array', () => {
+    expect(JSON.parse(formatRecords(records, 'json'))).toEqual(records)
+  })
+
+  it('should write NDJSON as one record per line', () => {
+    const lines = formatRecords(records, 'ndjson').trimEnd().split('\n')
+
+    expect(lines.map((line) => JSON.parse(line))).toEqual(records)
+  })
+
+  it('should reject unknown formats', () => {
+    expect(() => formatRecords(records, 'xml')).toThrow('Unknown export format "xml"')
+  })
+})
+
+describe('exportFileName', () => {
+  it('should include the date and format extension', () => {
+    expect(exportFileName('ndjson', new Date('2024-05-01T12:00:00Z'))).toBe(
+      'mock-data-2024-05-01.ndjson'
+    )
+  })
+})
@@ -0,0 +1,191 @@
+import { validateRecordFields } from "../../convex/validation";
+
+/**
+ * Import File Parsing
+ *
+ * Turns an uploaded CSV or JSON file into mockData rows for the Import page
+ * and checks each row against the mockData schema (convex/schema.ts):
+ * - name: required, non-empty text
+ * - value: required, a finite number
+ * - description: optional text
+ * The system fields the export writes (_id, _creationTime) are ignored, so
+ * exported files can be imported again. Any other field is rejected, as
+ * Convex would reject it on insert.
+ *
+ * Supported formats:
+ * - JSON: an array of objects, e.g. [{ "name": "Alpha", "value": 100 }]
+ *   (the same shape as the seed-data script's file)
+ * - CSV: a header row naming the columns (any order, case-insensitive),
+ *   then one record per line; quoted fields may contain commas, quotes ("")
+ *   and line breaks. A leading apostrophe before =, +, - or @ is removed:
+ *   the export adds it so spreadsheets don't run the text as a formula
+ */
+
+const KNOWN_FIELDS = ["name", "value", "description"];
+
+// Compared case-insensitively, as CSV headers are lower-cased
+const SYSTEM_FIELDS = ["_id", "_creationtime"];
+
+// The apostrophe csvField in exportRecords.js puts before formula-like text
+const FORMULA_ESCAPE = /^'(?=[=+\-@\t\r])/;
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting).
+ *
+ * @param text - The CSV file contents
+ * @returns Array<Array<string>> - One array of fields per line; blank lines are dropped
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      // Treat \r\n as a single line break
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+// CSV rows -> objects keyed by the (lower-cased) header names
+function csvToObjects(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    throw new Error("The file is empty.");
+  }
+  const columns = header.map((column) => column.trim().toLowerCase());
+  for (const required of ["name", "value"]) {
+    if (!columns.includes(required)) {
+      throw new Error(`The header row must include a "${required}" column.`);
+    }
+  }
+  return lines.map((fields) =>
+    Object.fromEntries(
+      columns
+        .map((column, index) => [column, (fields[index] ?? "").replace(FORMULA_ESCAPE, "")])
+        // An empty cell means "no value", so optional columns can be left blank
+        .filter(([, value]) => value.trim() !== "")
+    )
+  );
+}
+
+/**
+ * Check one parsed row against the mockData schema and the record rules in
+ * convex/validation.ts.
+ *
+ * CSV cells are always text, so for CSV the value is converted with Number();
+ * JSON values must already be numbers.
+ *
+ * @param raw - A row object from the file
+ * @param format - "csv" or "json"
+ * @returns {{ record, errors }} - The cleaned record ({ name, value, description? })
+ *   if the row is valid, otherwise null, and the list of problems found
+ */
+export function validateRow(raw, format) {
+  const errors = [];
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    return { record: null, errors: ["Row must be an object."] };
+  }
+
+  for (const field of Object.keys(raw)) {
+    if (!KNOWN_FIELDS.includes(field) && !SYSTEM_FIELDS.includes(field.toLowerCase())) {
+      errors.push(`Unknown field "${field}".`);
+    }
+  }
+
+  const name = typeof raw.name === "string" ? raw.name.trim() : "";
+  let value = raw.value;
+  if (format === "csv" && typeof value === "string" && value.trim() !== "") {
+    value = Number(value);
+  }
+  const { description } = raw;
+  const trimmedDescription = typeof description === "string" ? description.trim() : "";
+
+  // The rules the server applies to every record (name uniqueness aside)
+  for (const error of validateRecordFields({
+    name,
+    value: typeof value === "number" ? value : NaN,
+    description: trimmedDescription,
+  })) {
+    errors.push(error.message);
+  }
+  if (description !== undefined && description !== null && typeof description !== "string") {
+    errors.push("Description must be text.");
+  }
+
+  if (errors.length > 0) {
+    return { record: null, errors };
+  }
+  return {
+    record: {
+      name,
+      value,
+      ...(trimmedDescription ? { description: trimmedDescription } : {}),
+    },
+    errors,
+  };
+}
+
+/**
+ * Parse and validate an uploaded file. The format is taken from the file
+ * extension, falling back to sniffing the first character.
+ *
+ * @param text - The file contents
+ * @param fileName - The file's name
+ * @returns Array<{ row, raw, record, errors }> - One entry per data row;
+ *   `row` is its 1-based position (not counting the CSV header)
+ * @throws Error if the file as a whole can't be read (bad JSON, missing header)
+ */
+export function parseImportFile(text, fileName) {
+  const extension = fileName.split(".").pop().toLowerCase();
+  const isJson =
+    extension === "json" || (extension !== "csv" && text.trimStart().startsWith("["));
+
+  if (isJson) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`The file is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data)) {
+      throw new Error("The JSON file must contain an array of records.");
+    }
+    return data.map((raw, index) => ({ row: index + 1, raw, ...validateRow(raw, "json") }));
+  }
+
+  return csvToObjects(text).map((raw, index) => ({
+    row: index + 1,
+    raw,
+    ...validateRow(raw, "csv"),
+  }));
+}
@@ -0,0 +1,113 @@
+/**
+ * Import File Parsing Tests
+ *
+ * Unit tests for CSV/JSON parsing and per-row validation used by the
+ * Import page.
+ *
+ * References:
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import { parseCsv, validateRow, parseImportFile } from './importRecords'
+import { toExportRecord, formatRecords } from './exportRecords'
+
+describe('parseCsv', () => {
+  it('should split rows and fields and drop blank lines', () => {
+    expect(parseCsv('name,value\r\nAlpha,1\n\nBeta,2\n')).toEqual([
+      ['name', 'value'],
+      ['Alpha', '1'],
+      ['Beta', '2'],
+    ])
+  })
+
+  it('should handle quoted commas, escaped quotes and line breaks', () => {
+    expect(parseCsv('name,description\n"A, B","Say ""hi""\nthere"')).toEqual([
+      ['name', 'description'],
+      ['A, B', 'Say "hi"\nthere'],
+    ])
+  })
+})
+
+describe('validateRow', () => {
+  it('should accept a valid row and trim its text', () => {
+    expect(validateRow({ name: ' Alpha ', value: 3, description: ' Note ' }, 'json')).toEqual({
+      record: { name: 'Alpha', value: 3, description: 'Note' },
+      errors: [],
+    })
+  })
+
+  it('should convert CSV values to numbers and omit empty descriptions', () => {
+    expect(validateRow({ name: 'Alpha', value: '2.5', description: '' }, 'csv').record).toEqual({
+      name: 'Alpha',
+      value: 2.5,
+    })
+  })
+
+  it('should report every problem with a row', () => {
+    const { record, errors } = validateRow({ name: '', value: 'abc', extra: 1 }, 'csv')
+
+    expect(record).toBeNull()
+    expect(errors).toEqual([
+      'Unknown field "extra".',
+      'Name cannot be empty.',
+      'Value must be a valid number.',
+    ])
+  })
+
+  it('should not coerce string values in JSON', () => {
+    expect(validateRow({ name: 'Alpha', value: '5' }, 'json').errors).toEqual([
+      'Value must be a valid number.',
+    ])
+  })
+})
+
+describe('parseImportFile', () => {
+  it('should parse a CSV file with columns in any order', () => {
+    const rows = parseImportFile('Value,Name\n10,Alpha\nx,Beta', 'data.csv')
+
+    expect(rows).toHaveLength(2)
+    expect(rows[0]).toMatchObject({ row: 1, record: { name: 'Alpha', value: 10 } })
+    expect(rows[1]).toMatchObject({ row: 2, record: null })
+  })
+
+  it('should parse a JSON array', () => {
+    const rows = parseImportFile('[{"name":"Alpha","value":1},{"name":"Beta"}]', 'data.json')
+
+    expect(rows.map((item) => item.record)).toEqual([{ name: 'Alpha', value: 1 }, null])
+  })
+
+  it('should read back exported CSV and JSON files', () => {
+    const exported = [
+      toExportRecord({ _id: 'a1', name: '=HYPERLINK("x")', value: -1, _creationTime: 0 }),
+      toExportRecord({
+        _id: 'b2',
+        name: 'Beta',
+        value: 2,
+        description: '@later, maybe',
+        _creationTime: 0,
+      }),
+    ]
+    const expected = [
+      { name: '=HYPERLINK("x")', value: -1 },
+      { name: 'Beta', value: 2, description: '@later, maybe' },
+    ]
+
+    for (const [format, fileName] of [
+      ['csv', 'export.csv'],
+      ['json', 'export.json'],
+    ]) {
+      const rows = parseImportFile(formatRecords(exported, format), fileName)
+      expect(rows.map((item) => item.errors)).toEqual([[], []])
+      expect(rows.map((item) => item.record)).toEqual(expected)
+    }
+  })
+
+  it('should throw when the file cannot be read as a whole', () => {
+    expect(() => parseImportFile('{"name":"Alpha"}', 'data.json')).toThrow(
+      'The JSON file must contain an array of records.'
+    )
+    expect(() => parseImportFile('[', 'data.json')).toThrow('The file is not valid JSON')
+    expect(() => parseImportFile('title,value\nAlpha,1', 'data.csv')).toThrow()
+  })
+})
@@ -0,0 +1,91 @@
+/**
+ * Value Series Helpers
+ *
+ * Day ranges and chart geometry for a record's value snapshots
+ * (api.valueSnapshots.getValueSeries), shared by the View page's sparklines
+ * and the value-over-time chart.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = (number) => String(number).padStart(2, "0");
+
+/**
+ * Start (local midnight) of the day `days` before the given time's day.
+ * The result only changes once a day, so it is safe in query arguments.
+ *
+ * @param days - Number of whole days back
+ * @param now - Milliseconds since the epoch (defaults to now)
+ * @returns {number} Milliseconds since the epoch
+ */
+export function startOfDaysAgo(days, now = Date.now()) {
+  const date = new Date(now);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - days).getTime();
+}
+
+/**
+ * Format a timestamp as a date input value (local time).
+ *
+ * @param timestamp - Milliseconds since the epoch
+ * @returns {string} e.g. "2026-01-31"
+ */
+export function toDateInput(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a date input value as the start or end of that local day.
+ *
+ * @param value - The input's value
+ * @param endOfDay - Return the last millisecond of the day instead of the first
+ * @returns {number | undefined} Milliseconds since the epoch, or undefined if
+ *   blank or invalid
+ */
+export function fromDateInput(value, endOfDay = false) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value ?? "");
+  if (!match) {
+    return undefined;
+  }
+  const [, year, month, day] = match.map(Number);
+  const start = new Date(year, month - 1, day).getTime();
+  return endOfDay ? start + DAY - 1 : start;
+}
+
+/**
+ * Place series points in a width × height box: time runs left to right
+ * from the first point to the last, and values bottom to top from the
+ * lowest to the highest. A single point, or a flat series, is centered.
+ *
+ * @param points - Array<{ takenAt, value }>, oldest first
+ * @param width - Box width
+ * @param height - Box height
+ * @returns {Array<{ x, y, takenAt, value }>}
+ */
+export function chartCoordinates(points, width, height) {
+  if (points.length === 0) {
+    return [];
+  }
+  const first = points[0].takenAt;
+  const span = points[points.length - 1].takenAt - first;
+  const values = points.map((point) => point.value);
+  const low = Math.min(...values);
+  const range = Math.max(...values) - low;
+  return points.map(({ takenAt, value }) => ({
+    x: span === 0 ? width / 2 : ((takenAt - first) / span) * width,
+    y: range === 0 ? height / 2 : height - ((value - low) / range) * height,
+    takenAt,
+    value,
+  }));
+}
+
+/**
+ * Format coordinates for an SVG <polyline points>.
+ *
+ * @param coordinates - Array<{ x, y }>
+ * @returns {string} e.g. "0,10 50,2.5 100,0"
+ */
+export function toPolylinePoints(coordinates) {
+  const round = (number) => Math.round(number * 100) / 100;
+  return coordinates.map(({ x, y }) => `${round(x)},${round(y)}`).join(" ");
+}
@@ -0,0 +1,94 @@
+/**
+ * Value Series Helper Tests
+ *
+ * Unit tests for the day ranges and chart geometry of value snapshots.
+ *
+ * References:
+ * - Vitest Docs: https://vitest.dev/guide/
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  startOfDaysAgo,
+  toDateInput,
+  fromDateInput,
+  chartCoordinates,
+  toPolylinePoints,
+} from './valueSeries'
+
+describe('startOfDaysAgo', () => {
+  it('should return local midnight of an earlier day', () => {
+    const now = new Date(2026, 2, 15, 17, 45).getTime()
+
+    expect(startOfDaysAgo(0, now)).toBe(new Date(2026, 2, 15).getTime())
+    expect(startOfDaysAgo(30, now)).toBe(new Date(2026, 1, 13).getTime())
+  })
+
+  it('should not change within a day', () => {
+    expect(startOfDaysAgo(7, new Date(2026, 2, 15, 0, 1).getTime())).toBe(
+      startOfDaysAgo(7, new Date(2026, 2, 15, 23, 59).getTime())
+    )
+  })
+})
+
+describe('date inputs', () => {
+  it('should format local dates with zero padding', () => {
+    expect(toDateInput(new Date(2026, 0, 5, 23, 30).getTime())).toBe('2026-01-05')
+  })
+
+  it('should parse the start or end of the local day', () => {
+    expect(fromDateInput('2026-01-05')).toBe(new Date(2026, 0, 5).getTime())
+    expect(fromDateInput('2026-01-05', true)).toBe(new Date(2026, 0, 6).getTime() - 1)
+  })
+
+  it('should return undefined for blank or invalid values', () => {
+    expect(fromDateInput('')).toBeUndefined()
+    expect(fromDateInput('05/01/2026')).toBeUndefined()
+  })
+})
+
+describe('chartCoordinates', () => {
+  it('should scale time to the width and values to the height', () => {
+    const coordinates = chartCoordinates(
+      [
+        { takenAt: 1000, value: 10 },
+        { takenAt: 2000, value: 30 },
+        { takenAt: 5000, value: 20 },
+      ],
+      100,
+      40
+    )
+
+    expect(coordinates.map(({ x, y }) => [x, y])).toEqual([
+      [0, 40],
+      [25, 0],
+      [100, 20],
+    ])
+  })
+
+  it('should center a single point or a flat series', () => {
+    expect(chartCoordinates([{ takenAt: 1000, value: 5 }], 100, 40)).toEqual([
+      { x: 50, y: 20, takenAt: 1000, value: 5 },
+    ])
+    expect(
+      chartCoordinates(
+        [
+          { takenAt: 1000, value: 5 },
+          { takenAt: 2000, value: 5 },
+        ],
+        100,
+        40
+      ).map(({ y }) => y)
+    ).toEqual([20, 20])
+  })
+
+  it('should return no coordinates for an empty series', () => {
+    expect(chartCoordinates([], 100, 40)).toEqual([])
+  })
+})
+
+describe('toPolylinePoints', () => {
+  it('should join rounded coordinates', () => {
+    expect(toPolylinePoints([{ x: 0, y: 10 }, { x: 33.3333, y: 2.5 }])).toBe('0,10 33.33,2.5')
+  })
+})